@@ -0,0 +1,200 @@
+// Admin API
+// Routes under /admin/ manage gateway state. They require the ADMIN_API_KEY
+// Worker secret as a Bearer token and are not served when it is unset.
+import { ERROR_CODES, createErrorResponse, handleAuthenticationError, handleMissingApiKey, handleInvalidRequest, handleNotFoundError } from './errors.js';
+import { isStorageConfigured, hashApiKey } from './store.js';
+import { createVirtualKey, listVirtualKeys, getVirtualKey, revokeVirtualKey, toPublicKey, validateKeyRequest, getUpstreamKeyNames } from './keys.js';
+import { getPoolStatus } from './pool.js';
+import { MODEL_ALIASES } from './models.js';
+import { getRoutingRules, saveRoutingRules, clearRoutingRules, validateRoutingRules } from './routing.js';
+import { fetchRemoteCatalog, diffCatalog, getStoredCatalog, syncModelCatalog, pruneModelCatalog, clearModelCatalog } from './catalog.js';
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
+
+async function isAdminRequest(request, env) {
+  const authHeader = request.headers.get('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return false;
+  }
+  // Compare digests so the check does not leak the key through timing
+  return await hashApiKey(authHeader.substring(7)) === await hashApiKey(env.ADMIN_API_KEY);
+}
+
+export async function handleAdminRequest(request, env, url) {
+  if (!env.ADMIN_API_KEY) {
+    return handleNotFoundError('Not Found');
+  }
+
+  if (!request.headers.get('Authorization')) {
+    return handleMissingApiKey();
+  }
+  if (!await isAdminRequest(request, env)) {
+    return handleAuthenticationError('Invalid admin API key');
+  }
+
+  if (url.pathname === '/admin/keys') {
+    return handleKeys(request, env);
+  }
+
+  if (url.pathname === '/admin/pool') {
+    if (request.method !== 'GET') {
+      return handleInvalidRequest(`Method ${request.method} not allowed`);
+    }
+    return jsonResponse(await getPoolStatus(env, getUpstreamKeyNames(env)));
+  }
+
+  if (['/admin/catalog', '/admin/catalog/sync', '/admin/catalog/prune'].includes(url.pathname)) {
+    return handleCatalog(request, env, url);
+  }
+
+  if (url.pathname === '/admin/routing') {
+    return handleRouting(request, env);
+  }
+
+  const keyMatch = url.pathname.match(/^\/admin\/keys\/([^/]+)$/);
+  if (keyMatch) {
+    return handleKey(request, env, keyMatch[1]);
+  }
+
+  return handleNotFoundError('Not Found');
+}
+
+async function handleKeys(request, env) {
+  if (!isStorageConfigured(env)) {
+    return handleInvalidRequest('Virtual keys require the CACHE KV binding');
+  }
+
+  if (request.method === 'GET') {
+    return jsonResponse({ object: 'list', data: await listVirtualKeys(env) });
+  }
+
+  if (request.method !== 'POST') {
+    return handleInvalidRequest(`Method ${request.method} not allowed`);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return handleInvalidRequest('Invalid JSON in request body');
+  }
+
+  const validation = validateKeyRequest(body, env);
+  if (!validation.valid) {
+    return handleInvalidRequest(validation.error, validation.param);
+  }
+
+  // The plaintext key is only ever returned here
+  const { key, record } = await createVirtualKey(env, body);
+  return jsonResponse({ ...toPublicKey(record), key }, 201);
+}
+
+async function handleKey(request, env, id) {
+  if (!isStorageConfigured(env)) {
+    return handleInvalidRequest('Virtual keys require the CACHE KV binding');
+  }
+
+  if (request.method === 'GET') {
+    const record = await getVirtualKey(env, id);
+    return record ? jsonResponse(toPublicKey(record)) : handleNotFoundError(`Key '${id}' not found`);
+  }
+
+  if (request.method === 'DELETE') {
+    const record = await revokeVirtualKey(env, id);
+    return record ? jsonResponse(toPublicKey(record)) : handleNotFoundError(`Key '${id}' not found`);
+  }
+
+  return handleInvalidRequest(`Method ${request.method} not allowed`);
+}
+
+// GET diffs the live 1min AI catalog against MODELS_CONFIG, POST .../sync
+// stores it as the active catalog, POST .../prune drops the static models the
+// synced catalog no longer lists and DELETE reverts to the static table
+async function handleCatalog(request, env, url) {
+  if (!isStorageConfigured(env)) {
+    return handleInvalidRequest('The model catalog requires the CACHE KV binding');
+  }
+
+  const sync = url.pathname === '/admin/catalog/sync';
+  const prune = url.pathname === '/admin/catalog/prune';
+  if (sync || prune ? request.method !== 'POST' : !['GET', 'DELETE'].includes(request.method)) {
+    return handleInvalidRequest(`Method ${request.method} not allowed`);
+  }
+
+  if (request.method === 'DELETE') {
+    await clearModelCatalog(env);
+    return jsonResponse({ object: 'model_catalog', source: 'static', synced_at: null, pruned: [] });
+  }
+
+  let models;
+  let syncedAt;
+  let pruned;
+  try {
+    if (sync) {
+      ({ models, synced_at: syncedAt, pruned } = await syncModelCatalog(env));
+    } else if (prune) {
+      const record = await pruneModelCatalog(env);
+      if (!record) {
+        return handleInvalidRequest('Sync the model catalog before pruning it');
+      }
+      ({ models, synced_at: syncedAt, pruned } = record);
+    } else {
+      models = await fetchRemoteCatalog(env);
+      const stored = await getStoredCatalog(env);
+      syncedAt = stored?.synced_at ?? null;
+      pruned = stored?.pruned ?? [];
+    }
+  } catch (error) {
+    return createErrorResponse(`Failed to fetch the 1min AI model catalog: ${error.message}`, ERROR_CODES.API_ERROR, 502);
+  }
+
+  return jsonResponse({
+    object: 'model_catalog',
+    source: syncedAt ? 'synced' : 'static',
+    synced_at: syncedAt,
+    remote_models: models.length,
+    pruned,
+    ...diffCatalog(models)
+  });
+}
+
+// GET shows the active routing rules, PUT replaces them in KV and DELETE
+// reverts to MODEL_ROUTING. The static aliases are listed for reference.
+async function handleRouting(request, env) {
+  if (request.method === 'PUT') {
+    if (!isStorageConfigured(env)) {
+      return handleInvalidRequest('Updating routing rules requires the CACHE KV binding');
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return handleInvalidRequest('Invalid JSON in request body');
+    }
+
+    const validation = validateRoutingRules(body);
+    if (!validation.valid) {
+      return handleInvalidRequest(validation.error, validation.param);
+    }
+    await saveRoutingRules(env, body.rules);
+  } else if (request.method === 'DELETE') {
+    await clearRoutingRules(env);
+  } else if (request.method !== 'GET') {
+    return handleInvalidRequest(`Method ${request.method} not allowed`);
+  }
+
+  return jsonResponse({
+    object: 'model_routing',
+    ...await getRoutingRules(env),
+    static_aliases: MODEL_ALIASES
+  });
+}
@@ -0,0 +1,375 @@
+// Anthropic Messages API compatibility
+// Anthropic-format requests are mapped onto the chat completion pipeline and
+// the results are returned as Anthropic messages and SSE events.
+import { ERROR_CODES } from './errors.js';
+import { normalizeStopSequences, truncateAtStop, createStopFilter } from './stop.js';
+import { bytesToBase64 } from './images.js';
+
+function generateMessageId() {
+  return `msg_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+export function getAnthropicApiKey(request) {
+  const apiKey = request.headers.get('x-api-key');
+  if (apiKey) {
+    return apiKey;
+  }
+
+  const authHeader = request.headers.get('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+
+  return null;
+}
+
+export function validateAnthropicRequest(body) {
+  if (!body.model) {
+    return { valid: false, error: 'model: Field required', param: 'model' };
+  }
+  if (!Number.isInteger(body.max_tokens) || body.max_tokens < 1) {
+    return { valid: false, error: 'max_tokens: Field required', param: 'max_tokens' };
+  }
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return { valid: false, error: 'messages: at least one message is required', param: 'messages' };
+  }
+  return { valid: true };
+}
+
+export function transformAnthropicToChat(anthropicBody) {
+  const messages = [];
+
+  const system = blocksToText(anthropicBody.system);
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+
+  for (const message of anthropicBody.messages) {
+    messages.push(...transformAnthropicMessage(message));
+  }
+
+  return {
+    model: anthropicBody.model,
+    messages,
+    stream: anthropicBody.stream || false,
+    temperature: anthropicBody.temperature,
+    max_tokens: anthropicBody.max_tokens,
+    tools: transformTools(anthropicBody.tools),
+    tool_choice: transformToolChoice(anthropicBody.tool_choice),
+    parallel_tool_calls: anthropicBody.tool_choice?.disable_parallel_tool_use ? false : undefined
+  };
+}
+
+function transformAnthropicMessage(message) {
+  if (typeof message.content === 'string') {
+    return [{ role: message.role, content: message.content }];
+  }
+
+  const parts = [];
+  const toolCalls = [];
+  const toolResults = [];
+
+  for (const block of message.content || []) {
+    if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text });
+    } else if (block.type === 'image') {
+      parts.push({ type: 'image_url', image_url: { url: imageSourceToUrl(block.source) } });
+    } else if (block.type === 'document') {
+      parts.push(documentToPart(block));
+    } else if (block.type === 'tool_use') {
+      toolCalls.push({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) }
+      });
+    } else if (block.type === 'tool_result') {
+      const output = blocksToText(block.content);
+      toolResults.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: block.is_error ? `Error: ${output}` : output
+      });
+    }
+  }
+
+  if (message.role === 'assistant') {
+    const text = parts.map(part => part.text || '').join('');
+    return [{ role: 'assistant', content: text || null, ...(toolCalls.length > 0 && { tool_calls: toolCalls }) }];
+  }
+
+  // Tool results come first: they answer the preceding assistant turn
+  const result = [...toolResults];
+  if (parts.length > 0) {
+    const onlyText = parts.every(part => part.type === 'text');
+    result.push({ role: message.role, content: onlyText ? parts.map(part => part.text).join('') : parts });
+  }
+  return result;
+}
+
+function imageSourceToUrl(source = {}) {
+  if (source.type === 'base64') {
+    return `data:${source.media_type};base64,${source.data}`;
+  }
+  return source.url;
+}
+
+// Document blocks become OpenAI file parts; inline content blocks are plain text
+function documentToPart(block) {
+  const source = block.source || {};
+  const file = { filename: block.title };
+  if (source.type === 'base64') {
+    file.file_data = `data:${source.media_type};base64,${source.data}`;
+  } else if (source.type === 'text') {
+    file.file_data = `data:${source.media_type || 'text/plain'};base64,${bytesToBase64(new TextEncoder().encode(source.data || ''))}`;
+    file.filename ??= 'document.txt';
+  } else if (source.type === 'url') {
+    file.file_url = source.url;
+  } else if (source.type === 'content') {
+    return { type: 'text', text: blocksToText(source.content) };
+  }
+  return { type: 'file', file };
+}
+
+function blocksToText(content) {
+  if (!content) {
+    return '';
+  }
+  if (typeof content === 'string') {
+    return content;
+  }
+  return content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+function transformTools(tools) {
+  if (!Array.isArray(tools)) {
+    return undefined;
+  }
+
+  return tools
+    .filter(tool => tool.input_schema)
+    .map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema
+      }
+    }));
+}
+
+function transformToolChoice(toolChoice) {
+  switch (toolChoice?.type) {
+    case 'any':
+      return 'required';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    case 'none':
+      return 'none';
+    case 'auto':
+      return 'auto';
+    default:
+      return undefined;
+  }
+}
+
+function mapStopReason(finishReason, stopSequence) {
+  if (stopSequence) {
+    return 'stop_sequence';
+  }
+  switch (finishReason) {
+    case 'tool_calls':
+      return 'tool_use';
+    case 'length':
+      return 'max_tokens';
+    default:
+      return 'end_turn';
+  }
+}
+
+function parseToolInput(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+export function transformChatToAnthropic(chatResponse, anthropicBody) {
+  const choice = chatResponse.choices[0];
+  const { text, stopSequence } = truncateAtStop(choice.message.content || '', normalizeStopSequences(anthropicBody.stop_sequences));
+  const content = [];
+
+  if (text) {
+    content.push({ type: 'text', text });
+  }
+  if (!stopSequence) {
+    for (const toolCall of choice.message.tool_calls || []) {
+      content.push({
+        type: 'tool_use',
+        id: toolCall.id,
+        name: toolCall.function.name,
+        input: parseToolInput(toolCall.function.arguments)
+      });
+    }
+  }
+
+  return {
+    id: generateMessageId(),
+    type: 'message',
+    role: 'assistant',
+    model: anthropicBody.model,
+    content,
+    stop_reason: mapStopReason(choice.finish_reason, stopSequence),
+    stop_sequence: stopSequence,
+    usage: {
+      input_tokens: chatResponse.usage?.prompt_tokens || 0,
+      output_tokens: chatResponse.usage?.completion_tokens || 0
+    }
+  };
+}
+
+// Translates chat.completion.chunk objects into Anthropic SSE events
+// (message_start, content_block_*, message_delta, message_stop).
+export function createAnthropicStreamTranslator(anthropicBody) {
+  const stopFilter = createStopFilter(normalizeStopSequences(anthropicBody.stop_sequences));
+  let blockIndex = -1;
+  let textBlockOpen = false;
+  let finishReason = null;
+  let usage = null;
+  const toolBlocks = {};
+
+  const closeTextBlock = () => {
+    if (!textBlockOpen) {
+      return [];
+    }
+    textBlockOpen = false;
+    return [{ type: 'content_block_stop', index: blockIndex }];
+  };
+
+  const textEvents = text => {
+    if (!text) {
+      return [];
+    }
+    const events = [];
+    if (!textBlockOpen) {
+      blockIndex++;
+      textBlockOpen = true;
+      events.push({ type: 'content_block_start', index: blockIndex, content_block: { type: 'text', text: '' } });
+    }
+    events.push({ type: 'content_block_delta', index: blockIndex, delta: { type: 'text_delta', text } });
+    return events;
+  };
+
+  return {
+    start() {
+      return [
+        {
+          type: 'message_start',
+          message: {
+            id: generateMessageId(),
+            type: 'message',
+            role: 'assistant',
+            model: anthropicBody.model,
+            content: [],
+            stop_reason: null,
+            stop_sequence: null,
+            usage: { input_tokens: 0, output_tokens: 0 }
+          }
+        },
+        { type: 'ping' }
+      ];
+    },
+
+    push(chatChunk) {
+      const events = [];
+      if (chatChunk.usage) {
+        usage = chatChunk.usage;
+      }
+
+      for (const choice of chatChunk.choices || []) {
+        const delta = choice.delta || {};
+        finishReason = choice.finish_reason || finishReason;
+
+        if (delta.content) {
+          events.push(...textEvents(stopFilter.push(delta.content)));
+        }
+
+        for (const toolCallDelta of delta.tool_calls || []) {
+          if (stopFilter.stopSequence) {
+            continue;
+          }
+          if (!toolBlocks[toolCallDelta.index]) {
+            events.push(...closeTextBlock());
+            blockIndex++;
+            toolBlocks[toolCallDelta.index] = blockIndex;
+            events.push({
+              type: 'content_block_start',
+              index: blockIndex,
+              content_block: { type: 'tool_use', id: toolCallDelta.id, name: toolCallDelta.function?.name, input: {} }
+            });
+          }
+          if (toolCallDelta.function?.arguments) {
+            events.push({
+              type: 'content_block_delta',
+              index: toolBlocks[toolCallDelta.index],
+              delta: { type: 'input_json_delta', partial_json: toolCallDelta.function.arguments }
+            });
+          }
+        }
+      }
+
+      return events;
+    },
+
+    finish() {
+      const events = [...textEvents(stopFilter.flush()), ...closeTextBlock()];
+
+      for (const index of Object.values(toolBlocks)) {
+        events.push({ type: 'content_block_stop', index });
+      }
+
+      events.push(
+        {
+          type: 'message_delta',
+          delta: {
+            stop_reason: mapStopReason(finishReason, stopFilter.stopSequence),
+            stop_sequence: stopFilter.stopSequence
+          },
+          usage: { input_tokens: usage?.prompt_tokens || 0, output_tokens: usage?.completion_tokens || 0 }
+        },
+        { type: 'message_stop' }
+      );
+
+      return events;
+    },
+
+    fail(error) {
+      return [{ type: 'error', error: { type: ERROR_CODES.API_ERROR, message: error.message } }];
+    }
+  };
+}
+
+// Rewrap an OpenAI-style error body in Anthropic's error envelope
+export function transformErrorToAnthropic(errorData) {
+  const type = errorData?.error?.type;
+  const anthropicTypes = [
+    ERROR_CODES.INVALID_REQUEST_ERROR,
+    ERROR_CODES.AUTHENTICATION_ERROR,
+    ERROR_CODES.PERMISSION_ERROR,
+    ERROR_CODES.NOT_FOUND_ERROR,
+    ERROR_CODES.RATE_LIMIT_ERROR,
+    ERROR_CODES.API_ERROR,
+    ERROR_CODES.OVERLOADED_ERROR
+  ];
+
+  return {
+    type: 'error',
+    error: {
+      type: anthropicTypes.includes(type) ? type : ERROR_CODES.API_ERROR,
+      message: errorData?.error?.message || 'Unknown error'
+    }
+  };
+}
@@ -0,0 +1,197 @@
+// Audio endpoints (/v1/audio/transcriptions, /v1/audio/translations, /v1/audio/speech)
+// Transcription and translation upload the audio file as a 1min AI asset and
+// call its speech-to-text features; the transcript is rendered locally in the
+// requested response_format. Speech calls text-to-speech and streams the
+// generated audio file back to the client.
+
+export const TRANSCRIPTION_FEATURES = {
+  transcribe: 'SPEECH_TO_TEXT',
+  translate: 'AUDIO_TRANSLATOR'
+};
+export const SPEECH_FEATURE = 'TEXT_TO_SPEECH';
+
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+const MAX_SPEECH_INPUT = 4096;
+const TRANSCRIPT_FORMATS = ['json', 'text', 'srt', 'verbose_json', 'vtt'];
+const VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+// Rough speaking rate for transcripts that come back without timings
+const WORDS_PER_SECOND = 2.5;
+
+// Accepted uploads by extension, with the MIME type sent to the assets API
+const AUDIO_TYPES = {
+  flac: 'audio/flac',
+  m4a: 'audio/mp4',
+  mp3: 'audio/mpeg',
+  mp4: 'audio/mp4',
+  mpeg: 'audio/mpeg',
+  mpga: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  wav: 'audio/wav',
+  webm: 'audio/webm'
+};
+
+export const SPEECH_CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/opus',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  pcm: 'audio/pcm'
+};
+
+// The fields of a multipart transcription or translation request
+export function readAudioForm(form) {
+  const field = name => {
+    const value = form.get(name);
+    return value === null || value === '' ? undefined : value;
+  };
+  const temperature = field('temperature');
+  return {
+    file: field('file'),
+    model: field('model'),
+    language: field('language'),
+    prompt: field('prompt'),
+    response_format: field('response_format') ?? 'json',
+    temperature: temperature === undefined ? undefined : Number(temperature)
+  };
+}
+
+export function getAudioMimeType(file) {
+  const extension = file.name?.split('.').pop()?.toLowerCase();
+  return AUDIO_TYPES[extension] || (Object.values(AUDIO_TYPES).includes(file.type) ? file.type : null);
+}
+
+export function validateTranscriptionRequest(params) {
+  const { file } = params;
+  if (!file || typeof file !== 'object' || typeof file.arrayBuffer !== 'function') {
+    return { valid: false, error: 'Missing required parameter: file', param: 'file' };
+  }
+  if (!getAudioMimeType(file)) {
+    return { valid: false, error: `file must be one of: ${Object.keys(AUDIO_TYPES).join(', ')}`, param: 'file' };
+  }
+  if (file.size > MAX_AUDIO_BYTES) {
+    return { valid: false, error: `file must be smaller than ${MAX_AUDIO_BYTES / 1024 / 1024} MB`, param: 'file' };
+  }
+  if (!TRANSCRIPT_FORMATS.includes(params.response_format)) {
+    return { valid: false, error: `response_format must be one of: ${TRANSCRIPT_FORMATS.join(', ')}`, param: 'response_format' };
+  }
+  if (params.temperature !== undefined && !(params.temperature >= 0 && params.temperature <= 1)) {
+    return { valid: false, error: 'temperature must be a number between 0 and 1', param: 'temperature' };
+  }
+  return { valid: true };
+}
+
+export function buildTranscriptionPromptObject(params, audioUrl) {
+  const promptObject = {
+    audioUrl,
+    language: params.language,
+    prompt: params.prompt,
+    temperature: params.temperature,
+    response_format: 'verbose_json'
+  };
+  return Object.fromEntries(Object.entries(promptObject).filter(([, value]) => value !== undefined));
+}
+
+// 1min AI answers with the transcript text, or with Whisper's verbose JSON
+// (as an object or a JSON string) when timings are available
+export function parseTranscript(result) {
+  let transcript = result;
+  if (typeof result === 'string') {
+    try {
+      transcript = JSON.parse(result);
+    } catch (error) {
+      transcript = { text: result };
+    }
+  }
+  if (!transcript || typeof transcript !== 'object') {
+    transcript = { text: String(result ?? '') };
+  }
+
+  const text = (transcript.text || '').trim();
+  const segments = Array.isArray(transcript.segments) && transcript.segments.length > 0
+    ? transcript.segments.map((segment, id) => ({ id, start: segment.start, end: segment.end, text: segment.text }))
+    : null;
+  const duration = transcript.duration ?? segments?.[segments.length - 1].end ?? null;
+  return { text, language: transcript.language ?? null, duration, segments };
+}
+
+function formatTimestamp(seconds, separator) {
+  const milliseconds = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(milliseconds / 3600000);
+  const minutes = Math.floor(milliseconds / 60000) % 60;
+  const secs = Math.floor(milliseconds / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(milliseconds % 1000, 3)}`;
+}
+
+// Subtitle cues; a transcript without timings becomes one cue over an estimated duration
+function getCues(transcript) {
+  if (transcript.segments) {
+    return transcript.segments;
+  }
+  const words = transcript.text.split(/\s+/).filter(Boolean).length;
+  return [{ start: 0, end: transcript.duration ?? Math.max(1, words / WORDS_PER_SECOND), text: transcript.text }];
+}
+
+// { body, contentType } for the requested response_format; task is 'transcribe' or 'translate'
+export function formatTranscript(transcript, responseFormat, task) {
+  switch (responseFormat) {
+    case 'text':
+      return { body: `${transcript.text}\n`, contentType: 'text/plain; charset=utf-8' };
+    case 'srt':
+      return {
+        body: getCues(transcript).map((cue, index) =>
+          `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text.trim()}\n`
+        ).join('\n'),
+        contentType: 'text/plain; charset=utf-8'
+      };
+    case 'vtt':
+      return {
+        body: `WEBVTT\n\n${getCues(transcript).map(cue =>
+          `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text.trim()}\n`
+        ).join('\n')}`,
+        contentType: 'text/vtt; charset=utf-8'
+      };
+    case 'verbose_json':
+      return {
+        body: JSON.stringify({
+          task,
+          language: task === 'translate' ? 'english' : transcript.language,
+          duration: transcript.duration,
+          text: transcript.text,
+          segments: getCues(transcript).map((cue, id) => ({ id, start: cue.start, end: cue.end, text: cue.text }))
+        }),
+        contentType: 'application/json'
+      };
+    default:
+      return { body: JSON.stringify({ text: transcript.text }), contentType: 'application/json' };
+  }
+}
+
+export function validateSpeechRequest(body) {
+  if (typeof body.input !== 'string' || !body.input) {
+    return { valid: false, error: 'Missing required parameter: input', param: 'input' };
+  }
+  if (body.input.length > MAX_SPEECH_INPUT) {
+    return { valid: false, error: `input must be at most ${MAX_SPEECH_INPUT} characters`, param: 'input' };
+  }
+  if (!VOICES.includes(body.voice)) {
+    return { valid: false, error: `voice must be one of: ${VOICES.join(', ')}`, param: 'voice' };
+  }
+  if (body.response_format !== undefined && !SPEECH_CONTENT_TYPES[body.response_format]) {
+    return { valid: false, error: `response_format must be one of: ${Object.keys(SPEECH_CONTENT_TYPES).join(', ')}`, param: 'response_format' };
+  }
+  if (body.speed !== undefined && !(typeof body.speed === 'number' && body.speed >= 0.25 && body.speed <= 4)) {
+    return { valid: false, error: 'speed must be a number between 0.25 and 4.0', param: 'speed' };
+  }
+  return { valid: true };
+}
+
+export function buildSpeechPromptObject(body) {
+  return {
+    text: body.input,
+    voice: body.voice,
+    response_format: body.response_format || 'mp3',
+    speed: body.speed ?? 1
+  };
+}
@@ -0,0 +1,482 @@
+// Batch API (/v1/batches)
+// A batch runs the requests of an uploaded JSONL file (purpose "batch") in the
+// background and writes the results to output and error files. Each API key
+// gets a BatchRunner Durable Object that stores its batches and works through
+// them from alarms, a few requests at a time (BATCH_CONCURRENCY), with every
+// request going through the regular chat completion pipeline. Each request
+// counts against the key's rate limits; when the per-minute limits run out the
+// runner pauses until they refill, and a spent token budget fails the request.
+//
+// API keys are stored by hash only, so a runner holds the caller's credentials
+// in memory. A runner that restarts mid-batch picks the work up again on the
+// next call from the same key, e.g. when the client polls the batch; if none
+// comes within BATCH_RECONNECT_SECONDS, its active batches fail.
+import { DurableObject } from 'cloudflare:workers';
+import { hashApiKey } from './store.js';
+import { getFile, getFileContent, createFile } from './files.js';
+import { checkRateLimit } from './ratelimit.js';
+
+export const BATCH_ENDPOINTS = ['/v1/chat/completions'];
+const COMPLETION_WINDOWS = { '24h': 24 * 60 * 60 };
+const MAX_BATCH_REQUESTS = 50000;
+const MAX_METADATA_PAIRS = 16;
+const DEFAULT_CONCURRENCY = 4;
+// Requests run per alarm before the runner re-arms, so progress is saved often
+const REQUESTS_PER_STEP = 50;
+// The storage API takes at most 128 keys per call
+const STORAGE_BATCH_SIZE = 128;
+// Results read per storage call while finalizing, so memory stays bounded
+const RESULTS_PER_PAGE = 500;
+// Statuses the runner still has work for; a batch interrupted while finalizing
+// is finalized again
+const ACTIVE_STATUSES = ['in_progress', 'cancelling', 'finalizing'];
+// How long a restarted runner waits for its key to call again
+const DEFAULT_RECONNECT_SECONDS = 15 * 60;
+const RECONNECT_DEADLINE_KEY = 'reconnect_deadline';
+
+// Runs one request line: (body, auth, env) => Response. Set by index.js,
+// which owns the chat completion pipeline.
+let requestHandler = null;
+
+export function setBatchRequestHandler(handler) {
+  requestHandler = handler;
+}
+
+export function isBatchConfigured(env) {
+  return Boolean(env.BATCH_RUNNER && env.FILES);
+}
+
+export async function getBatchRunner(env, clientKey) {
+  return env.BATCH_RUNNER.get(env.BATCH_RUNNER.idFromName(await hashApiKey(clientKey)));
+}
+
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+export function validateBatchRequest(body) {
+  if (typeof body.input_file_id !== 'string' || !body.input_file_id) {
+    return { valid: false, error: 'Missing required parameter: input_file_id', param: 'input_file_id' };
+  }
+  if (!BATCH_ENDPOINTS.includes(body.endpoint)) {
+    return { valid: false, error: `endpoint must be one of: ${BATCH_ENDPOINTS.join(', ')}`, param: 'endpoint' };
+  }
+  if (!COMPLETION_WINDOWS[body.completion_window]) {
+    return { valid: false, error: `completion_window must be one of: ${Object.keys(COMPLETION_WINDOWS).join(', ')}`, param: 'completion_window' };
+  }
+  if (body.metadata !== undefined && body.metadata !== null) {
+    const entries = typeof body.metadata === 'object' && !Array.isArray(body.metadata) ? Object.entries(body.metadata) : null;
+    if (!entries || entries.length > MAX_METADATA_PAIRS ||
+      entries.some(([key, value]) => key.length > 64 || typeof value !== 'string' || value.length > 512)) {
+      return { valid: false, error: `metadata must have at most ${MAX_METADATA_PAIRS} string values (keys up to 64, values up to 512 characters)`, param: 'metadata' };
+    }
+  }
+  return { valid: true };
+}
+
+// The request lines of a batch input file, checked the way OpenAI does on creation
+export function parseBatchInput(text, endpoint) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) {
+    return { valid: false, error: 'The input file contains no requests', param: 'input_file_id' };
+  }
+  if (lines.length > MAX_BATCH_REQUESTS) {
+    return { valid: false, error: `The input file contains more than ${MAX_BATCH_REQUESTS} requests`, param: 'input_file_id' };
+  }
+
+  const requests = [];
+  const customIds = new Set();
+  for (const [index, line] of lines.entries()) {
+    const fail = message => ({ valid: false, error: `Line ${index + 1}: ${message}`, param: 'input_file_id' });
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      return fail('not valid JSON');
+    }
+    if (typeof request?.custom_id !== 'string' || !request.custom_id) {
+      return fail('custom_id must be a non-empty string');
+    }
+    if (customIds.has(request.custom_id)) {
+      return fail(`duplicate custom_id '${request.custom_id}'`);
+    }
+    if (request.method !== 'POST') {
+      return fail('method must be POST');
+    }
+    if (request.url !== endpoint) {
+      return fail(`url must match the batch endpoint ${endpoint}`);
+    }
+    if (!request.body || typeof request.body !== 'object' || Array.isArray(request.body)) {
+      return fail('body must be an object');
+    }
+    customIds.add(request.custom_id);
+    requests.push({ custom_id: request.custom_id, body: request.body });
+  }
+  return { valid: true, requests };
+}
+
+function batchKey(batchId) {
+  return `batch:${batchId}`;
+}
+
+// Zero-padded so listing returns lines in file order
+function lineKey(kind, batchId, index) {
+  return `${kind}:${batchId}:${String(index).padStart(6, '0')}`;
+}
+
+function resultKey(requestKey) {
+  return requestKey.replace(/^request:/, 'result:');
+}
+
+function isSuccess(result) {
+  return result.response && result.response.status_code < 400;
+}
+
+export class BatchRunner extends DurableObject {
+  // Credentials of the key this runner belongs to, see the module comment
+  auth = null;
+
+  async connect(auth) {
+    this.auth = auth;
+    const waiting = await this.ctx.storage.get(RECONNECT_DEADLINE_KEY);
+    if (waiting) {
+      await this.ctx.storage.delete(RECONNECT_DEADLINE_KEY);
+    }
+    // Keep an alarm set for later (a rate limit pause), but not the deadline of
+    // a runner waiting for credentials, nor one already due: wrangler dev does
+    // not replay alarms that were due before a restart
+    const alarm = await this.ctx.storage.getAlarm();
+    if ((waiting || alarm === null || alarm <= Date.now()) &&
+      (await this.listBatches()).some(batch => ACTIVE_STATUSES.includes(batch.status))) {
+      await this.ctx.storage.setAlarm(Date.now());
+    }
+  }
+
+  async listBatches() {
+    const batches = await this.ctx.storage.list({ prefix: 'batch:' });
+    return [...batches.values()].sort((a, b) => a.created_at - b.created_at);
+  }
+
+  async putAll(entries) {
+    for (let start = 0; start < entries.length; start += STORAGE_BATCH_SIZE) {
+      await this.ctx.storage.put(Object.fromEntries(entries.slice(start, start + STORAGE_BATCH_SIZE)));
+    }
+  }
+
+  async deleteAll(keys) {
+    for (let start = 0; start < keys.length; start += STORAGE_BATCH_SIZE) {
+      await this.ctx.storage.delete(keys.slice(start, start + STORAGE_BATCH_SIZE));
+    }
+  }
+
+  async deletePrefix(prefix) {
+    for (;;) {
+      const keys = [...(await this.ctx.storage.list({ prefix, limit: STORAGE_BATCH_SIZE })).keys()];
+      if (keys.length === 0) {
+        return;
+      }
+      await this.ctx.storage.delete(keys);
+    }
+  }
+
+  // The stored results of a batch in line order, read a page at a time
+  async *results(batchId) {
+    const prefix = `result:${batchId}:`;
+    let startAfter;
+    for (;;) {
+      const page = await this.ctx.storage.list({ prefix, startAfter, limit: RESULTS_PER_PAGE });
+      if (page.size === 0) {
+        return;
+      }
+      for (const [key, result] of page) {
+        startAfter = key;
+        yield result;
+      }
+    }
+  }
+
+  // Returns { batch } or { error: { message, param } }
+  async create(auth, body) {
+    await this.connect(auth);
+
+    const file = await getFile(this.env, auth.clientKey, body.input_file_id);
+    if (!file) {
+      return { error: { message: `No such File object: ${body.input_file_id}`, param: 'input_file_id' } };
+    }
+    if (file.purpose !== 'batch') {
+      return { error: { message: `File ${file.id} must have purpose 'batch'`, param: 'input_file_id' } };
+    }
+
+    const content = await getFileContent(this.env, auth.clientKey, file.id);
+    const parsed = parseBatchInput(await content.text(), body.endpoint);
+    if (!parsed.valid) {
+      return { error: { message: parsed.error, param: parsed.param } };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const batch = {
+      id: generateId('batch'),
+      object: 'batch',
+      endpoint: body.endpoint,
+      errors: null,
+      input_file_id: file.id,
+      completion_window: body.completion_window,
+      status: 'in_progress',
+      output_file_id: null,
+      error_file_id: null,
+      created_at: now,
+      in_progress_at: now,
+      expires_at: now + COMPLETION_WINDOWS[body.completion_window],
+      finalizing_at: null,
+      completed_at: null,
+      failed_at: null,
+      expired_at: null,
+      cancelling_at: null,
+      cancelled_at: null,
+      request_counts: { total: parsed.requests.length, completed: 0, failed: 0 },
+      metadata: body.metadata ?? null
+    };
+
+    await this.putAll(parsed.requests.map((request, index) => [lineKey('request', batch.id, index), request]));
+    await this.ctx.storage.put(batchKey(batch.id), batch);
+    await this.ctx.storage.setAlarm(Date.now());
+    return { batch };
+  }
+
+  async get(auth, batchId) {
+    await this.connect(auth);
+    return (await this.ctx.storage.get(batchKey(batchId))) || null;
+  }
+
+  async list(auth) {
+    await this.connect(auth);
+    return this.listBatches();
+  }
+
+  // Returns { batch } or { error: { message } }; remaining requests are skipped
+  async cancel(auth, batchId) {
+    await this.connect(auth);
+    const batch = await this.ctx.storage.get(batchKey(batchId));
+    if (!batch) {
+      return { batch: null };
+    }
+    if (batch.status !== 'in_progress') {
+      return { error: { message: `Cannot cancel a batch with status '${batch.status}'` } };
+    }
+
+    batch.status = 'cancelling';
+    batch.cancelling_at = Math.floor(Date.now() / 1000);
+    await this.ctx.storage.put(batchKey(batchId), batch);
+    await this.ctx.storage.setAlarm(Date.now());
+    return { batch };
+  }
+
+  // One step of the oldest active batch per alarm
+  async alarm() {
+    if (!this.auth) {
+      return this.awaitReconnect();
+    }
+
+    const batch = (await this.listBatches()).find(candidate => ACTIVE_STATUSES.includes(candidate.status));
+    if (!batch) {
+      return;
+    }
+    const retryAt = await this.step(batch);
+
+    if ((await this.listBatches()).some(candidate => ACTIVE_STATUSES.includes(candidate.status))) {
+      await this.ctx.storage.setAlarm(retryAt ?? Date.now());
+    }
+  }
+
+  // Restarted without credentials: wait for connect() to bring them back, and
+  // fail the active batches once the deadline passes
+  async awaitReconnect() {
+    const deadline = await this.ctx.storage.get(RECONNECT_DEADLINE_KEY);
+    if (!deadline) {
+      const seconds = Number(this.env.BATCH_RECONNECT_SECONDS) || DEFAULT_RECONNECT_SECONDS;
+      const at = Date.now() + seconds * 1000;
+      await this.ctx.storage.put(RECONNECT_DEADLINE_KEY, at);
+      await this.ctx.storage.setAlarm(at);
+      return;
+    }
+
+    const error = {
+      code: 'batch_interrupted',
+      message: 'The batch was interrupted by a restart and no request from its API key resumed it in time. Please submit it again.'
+    };
+    for (const batch of await this.listBatches()) {
+      if (ACTIVE_STATUSES.includes(batch.status)) {
+        await this.fail(batch, error);
+      }
+    }
+    await this.ctx.storage.delete(RECONNECT_DEADLINE_KEY);
+  }
+
+  // Returns the time to resume at when the key's rate limits paused the batch
+  async step(batch) {
+    if (batch.status === 'finalizing') {
+      return this.finalize(batch, batch.finalizing_to);
+    }
+    if (batch.status === 'cancelling') {
+      return this.finalize(batch, 'cancelled');
+    }
+    if (Date.now() / 1000 >= batch.expires_at) {
+      return this.finalize(batch, 'expired');
+    }
+
+    // Requests are deleted once they have run, so the first ones left come next
+    const prefix = `request:${batch.id}:`;
+    const pending = [...(await this.ctx.storage.list({ prefix, limit: REQUESTS_PER_STEP })).entries()];
+    const concurrency = Number(this.env.BATCH_CONCURRENCY) || DEFAULT_CONCURRENCY;
+
+    // A fixed pool of workers bounds the requests in flight against 1min AI.
+    // Workers stop taking requests once the batch is being cancelled or the
+    // key's per-minute limits run out; requests left behind run on a later step.
+    const results = [];
+    let retryAt = null;
+    const worker = async () => {
+      while (pending.length > 0 && retryAt === null) {
+        const current = await this.ctx.storage.get(batchKey(batch.id));
+        // Another worker may have taken the last request or hit a limit meanwhile
+        if (current.status !== 'in_progress' || pending.length === 0 || retryAt !== null) {
+          return;
+        }
+        const [key, request] = pending.shift();
+        const limit = await checkRateLimit(this.env, this.auth);
+        // Only the per-minute limits set retry-after; a spent token budget fails the request
+        const retryAfter = limit.error?.headers.get('retry-after');
+        if (retryAfter) {
+          retryAt = Date.now() + Number(retryAfter) * 1000;
+          return;
+        }
+        results.push([key, await this.runRequest(request, limit.error)]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+
+    await this.putAll(results.map(([key, result]) => [resultKey(key), result]));
+    await this.deleteAll(results.map(([key]) => key));
+
+    // Re-read the record: a cancel may have arrived while requests were running
+    const current = await this.ctx.storage.get(batchKey(batch.id));
+    const succeeded = results.filter(([, result]) => isSuccess(result)).length;
+    current.request_counts.completed += succeeded;
+    current.request_counts.failed += results.length - succeeded;
+    await this.ctx.storage.put(batchKey(batch.id), current);
+
+    if (current.status === 'in_progress' && (await this.ctx.storage.list({ prefix, limit: 1 })).size === 0) {
+      await this.finalize(current, 'completed');
+    }
+    return retryAt;
+  }
+
+  // Runs one request, or records `rejected` (the rate limiter's 429) as its response
+  async runRequest(request, rejected = null) {
+    const id = generateId('batch_req');
+    try {
+      const response = rejected || await requestHandler({ ...request.body, stream: false }, this.auth, this.env);
+      return {
+        id,
+        custom_id: request.custom_id,
+        response: { status_code: response.status, request_id: id, body: await response.json() },
+        error: null
+      };
+    } catch (error) {
+      return { id, custom_id: request.custom_id, response: null, error: { code: 'server_error', message: error.message } };
+    }
+  }
+
+  // Settle a batch that cannot run any further as failed, without output files
+  async fail(batch, error) {
+    delete batch.finalizing_to;
+    batch.status = 'failed';
+    batch.failed_at = Math.floor(Date.now() / 1000);
+    batch.errors = { object: 'list', data: [{ ...error, param: null, line: null }] };
+    await this.ctx.storage.put(batchKey(batch.id), batch);
+
+    await this.deletePrefix(`result:${batch.id}:`);
+    await this.deletePrefix(`request:${batch.id}:`);
+  }
+
+  // Write the output and error files and settle the batch in its final status.
+  // Safe to run again after a restart: the status to settle in is kept in
+  // finalizing_to, counts are taken from the stored results, and files already
+  // written are not written twice. Results are read a page at a time and
+  // streamed into the files, so large batches are never held in memory.
+  async finalize(batch, status) {
+    if (batch.status !== 'finalizing') {
+      batch.status = 'finalizing';
+      batch.finalizing_at = Math.floor(Date.now() / 1000);
+      batch.finalizing_to = status;
+      await this.ctx.storage.put(batchKey(batch.id), batch);
+    }
+
+    // Requests the completion window cut off are reported as errors
+    if (status === 'expired') {
+      for (;;) {
+        const pending = [...(await this.ctx.storage.list({ prefix: `request:${batch.id}:`, limit: STORAGE_BATCH_SIZE })).entries()];
+        if (pending.length === 0) {
+          break;
+        }
+        await this.ctx.storage.put(Object.fromEntries(pending.map(([key, request]) => [resultKey(key), {
+          id: generateId('batch_req'),
+          custom_id: request.custom_id,
+          response: null,
+          error: { code: 'batch_expired', message: 'This request could not be executed before the completion window expired.' }
+        }])));
+        await this.ctx.storage.delete(pending.map(([key]) => key));
+      }
+    }
+
+    // A first pass counts the results and sizes the files they are streamed into
+    const encoder = new TextEncoder();
+    const encode = result => encoder.encode(`${JSON.stringify(result)}\n`);
+    let succeeded = 0;
+    let failed = 0;
+    const sizes = { output: 0, error: 0 };
+    for await (const result of this.results(batch.id)) {
+      if (isSuccess(result)) {
+        succeeded++;
+        sizes.output += encode(result).length;
+      } else {
+        failed++;
+        sizes.error += encode(result).length;
+      }
+    }
+    batch.request_counts.completed = succeeded;
+    batch.request_counts.failed = failed;
+
+    const writeFile = async suffix => {
+      if (sizes[suffix] === 0) {
+        return null;
+      }
+      const { readable, writable } = new FixedLengthStream(sizes[suffix]);
+      const writeLines = async () => {
+        const writer = writable.getWriter();
+        for await (const result of this.results(batch.id)) {
+          if (isSuccess(result) === (suffix === 'output')) {
+            await writer.write(encode(result));
+          }
+        }
+        await writer.close();
+      };
+      const [file] = await Promise.all([
+        createFile(this.env, this.auth.clientKey, { name: `${batch.id}_${suffix}.jsonl`, type: 'application/jsonl' }, 'batch_output', readable),
+        writeLines()
+      ]);
+      return file.id;
+    };
+    batch.output_file_id ??= await writeFile('output');
+    await this.ctx.storage.put(batchKey(batch.id), batch);
+    batch.error_file_id ??= await writeFile('error');
+
+    // Settle the status before deleting the lines it was counted from
+    delete batch.finalizing_to;
+    batch.status = status;
+    batch[`${status}_at`] = Math.floor(Date.now() / 1000);
+    await this.ctx.storage.put(batchKey(batch.id), batch);
+
+    await this.deletePrefix(`result:${batch.id}:`);
+    await this.deletePrefix(`request:${batch.id}:`);
+  }
+}
@@ -0,0 +1,216 @@
+// Live model catalog
+// A Cron Trigger (and POST /admin/catalog/sync) fetches 1min AI's model
+// catalog and stores it in the CACHE KV namespace. Requests then serve the
+// synced models, with the static MODELS_CONFIG entries layered on top as local
+// overrides (vision flags, context windows, aliases). Static models the catalog
+// no longer lists are kept until an admin prunes them (POST /admin/catalog/prune).
+// Without a synced catalog the static table is used as before.
+import { MODELS_CONFIG, setModelCatalog } from './models.js';
+import { isStorageConfigured } from './store.js';
+import { getUpstreamKeyNames, getUpstreamKey } from './keys.js';
+
+const CATALOG_KEY = 'model_catalog';
+// How long an isolate keeps the catalog before reading KV again
+const CATALOG_REFRESH_MS = 60 * 1000;
+
+const IMAGE_FEATURES = ['IMAGE_GENERATOR', 'IMAGE_VARIATOR', 'IMAGE_EDITOR', 'IMAGE_UPSCALER', 'BACKGROUND_REMOVER', 'BACKGROUND_REPLACER'];
+const CHAT_FEATURES = ['CHAT_WITH_AI', 'CHAT_WITH_IMAGE', 'CHAT_WITH_PDF'];
+const SPEECH_TO_TEXT_FEATURES = ['SPEECH_TO_TEXT', 'AUDIO_TRANSLATOR'];
+const DIFF_FIELDS = ['provider', 'vision', 'type', 'context_window', 'max_output_tokens'];
+
+let loadedAt = 0;
+
+function firstDefined(...values) {
+  return values.find(value => value !== undefined && value !== null);
+}
+
+// The model type implied by its 1min AI features; null for chat models
+function getFeatureType(features) {
+  if (features.length === 0 || features.some(feature => CHAT_FEATURES.includes(feature))) {
+    return null;
+  }
+  if (features.includes('IMAGE_GENERATOR')) {
+    return 'image_generation';
+  }
+  // Image models that cannot generate from a prompt only edit images
+  if (features.some(feature => IMAGE_FEATURES.includes(feature))) {
+    return 'image_editing';
+  }
+  if (features.some(feature => SPEECH_TO_TEXT_FEATURES.includes(feature))) {
+    return 'speech_to_text';
+  }
+  return features.includes('TEXT_TO_SPEECH') ? 'text_to_speech' : null;
+}
+
+function normalizeEntry(entry, features = []) {
+  if (typeof entry === 'string') {
+    entry = { id: entry };
+  }
+  const id = firstDefined(entry.id, entry.modelId, entry.model, entry.value, entry.key);
+  if (!id) {
+    return null;
+  }
+
+  const entryFeatures = [...features, ...(entry.features || entry.types || [])].map(String);
+
+  return {
+    id: String(id),
+    provider: firstDefined(entry.provider, entry.vendor, entry.owned_by)?.toLowerCase() ?? null,
+    features: [...new Set(entryFeatures)],
+    type: entry.type === 'image_generation' ? entry.type : getFeatureType(entryFeatures),
+    vision: firstDefined(entry.vision, entry.supportsVision) ?? (entryFeatures.includes('CHAT_WITH_IMAGE') || null),
+    context_window: Number(firstDefined(entry.context_window, entry.contextWindow, entry.contextLength, entry.maxContextTokens)) || null,
+    max_output_tokens: Number(firstDefined(entry.max_output_tokens, entry.maxOutputTokens)) || null,
+    pricing: firstDefined(entry.pricing, entry.credits) ?? null
+  };
+}
+
+// Accept the catalog as a list of models, wrapped in models/data, or grouped by feature
+export function normalizeCatalog(data) {
+  const list = Array.isArray(data) ? data : firstDefined(data?.models, data?.data, data?.result);
+  const entries = Array.isArray(list)
+    ? list.map(entry => normalizeEntry(entry))
+    : Object.entries(data || {})
+      .filter(([, models]) => Array.isArray(models))
+      .flatMap(([feature, models]) => models.map(entry => normalizeEntry(entry, [feature])));
+
+  // Models listed under several features are merged into one entry
+  const models = {};
+  for (const entry of entries.filter(Boolean)) {
+    const known = models[entry.id];
+    models[entry.id] = known
+      ? { ...known, ...Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== null)), features: [...new Set([...known.features, ...entry.features])] }
+      : entry;
+  }
+  return Object.values(models);
+}
+
+export async function fetchRemoteCatalog(env) {
+  const url = env.MODEL_CATALOG_URL || `${env.ONE_MIN_API_URL}/api/models`;
+  const [keyName] = getUpstreamKeyNames(env);
+  const response = await fetch(url, {
+    headers: keyName ? { 'API-KEY': getUpstreamKey(env, keyName) } : {}
+  });
+  if (!response.ok) {
+    throw new Error(`Catalog request returned ${response.status}`);
+  }
+
+  const models = normalizeCatalog(await response.json());
+  if (models.length === 0) {
+    throw new Error('Catalog response contained no models');
+  }
+  return models;
+}
+
+// Embedding models are served outside 1min AI, so its catalog never lists them
+function getLocalModelIds() {
+  return Object.keys(MODELS_CONFIG).filter(id => MODELS_CONFIG[id].type === 'embedding');
+}
+
+// The static entries plus the remote models, with the static entries as
+// overrides. Models 1min AI added get what the catalog says; static ones it no
+// longer lists stay unless their ids are in pruned.
+export function mergeCatalog(remoteModels, pruned = []) {
+  const merged = Object.fromEntries(Object.entries(MODELS_CONFIG).filter(([id]) => !pruned.includes(id)));
+  for (const remote of remoteModels) {
+    const derived = Object.fromEntries(
+      DIFF_FIELDS.filter(field => remote[field] !== null).map(field => [field, remote[field]])
+    );
+    merged[remote.id] = {
+      name: remote.id,
+      provider: 'unknown',
+      ...derived,
+      ...(remote.pricing && { pricing: remote.pricing }),
+      ...MODELS_CONFIG[remote.id]
+    };
+  }
+  return merged;
+}
+
+export function diffCatalog(remoteModels) {
+  const remoteIds = new Set(remoteModels.map(model => model.id));
+  const changed = [];
+
+  for (const remote of remoteModels) {
+    const local = MODELS_CONFIG[remote.id];
+    if (!local) {
+      continue;
+    }
+    const fields = DIFF_FIELDS
+      .filter(field => remote[field] !== null && remote[field] !== (local[field] ?? (field === 'vision' ? false : null)))
+      .map(field => ({ field, static: local[field] ?? null, remote: remote[field] }));
+    if (fields.length > 0) {
+      changed.push({ id: remote.id, fields });
+    }
+  }
+
+  return {
+    added: remoteModels.filter(model => !MODELS_CONFIG[model.id]).map(model => model.id),
+    removed: Object.keys(MODELS_CONFIG).filter(id => !remoteIds.has(id) && !getLocalModelIds().includes(id)),
+    changed
+  };
+}
+
+export async function getStoredCatalog(env) {
+  if (!isStorageConfigured(env)) {
+    return null;
+  }
+  return env.CACHE.get(CATALOG_KEY, 'json');
+}
+
+// Fetch the remote catalog and make it the active one. Returns the stored record.
+export async function syncModelCatalog(env) {
+  if (!isStorageConfigured(env)) {
+    throw new Error('Catalog sync requires the CACHE KV binding');
+  }
+
+  const models = await fetchRemoteCatalog(env);
+  // Pruned models stay pruned; any the catalog lists again are served from it
+  const pruned = (await getStoredCatalog(env))?.pruned ?? [];
+  const record = { synced_at: Math.floor(Date.now() / 1000), models, pruned };
+  await env.CACHE.put(CATALOG_KEY, JSON.stringify(record));
+
+  setModelCatalog(mergeCatalog(models, pruned));
+  loadedAt = Date.now();
+  return record;
+}
+
+// Stop serving the static models the synced catalog no longer lists (the
+// diff's removed models). Returns the stored record, or null before a sync.
+export async function pruneModelCatalog(env) {
+  const record = await getStoredCatalog(env);
+  if (!record?.models?.length) {
+    return null;
+  }
+
+  record.pruned = diffCatalog(record.models).removed;
+  await env.CACHE.put(CATALOG_KEY, JSON.stringify(record));
+
+  setModelCatalog(mergeCatalog(record.models, record.pruned));
+  loadedAt = Date.now();
+  return record;
+}
+
+// Drop the synced catalog and fall back to the static table
+export async function clearModelCatalog(env) {
+  if (isStorageConfigured(env)) {
+    await env.CACHE.delete(CATALOG_KEY);
+  }
+  setModelCatalog(null);
+  loadedAt = Date.now();
+}
+
+// Called per request; reads KV at most once per CATALOG_REFRESH_MS per isolate
+export async function loadModelCatalog(env) {
+  if (!isStorageConfigured(env) || Date.now() - loadedAt < CATALOG_REFRESH_MS) {
+    return;
+  }
+  loadedAt = Date.now();
+
+  try {
+    const record = await getStoredCatalog(env);
+    setModelCatalog(record?.models?.length ? mergeCatalog(record.models, record.pruned) : null);
+  } catch (error) {
+    console.error('Failed to load model catalog:', error);
+  }
+}
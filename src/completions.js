@@ -0,0 +1,163 @@
+// Legacy text completion (/v1/completions) support
+// Each prompt is sent through the chat completion pipeline as a single user turn.
+import { validateStopSequences } from './stop.js';
+
+// Each prompt and choice is an upstream call of its own, so their total is capped
+export const MAX_COMPLETION_CHOICES = 20;
+// Upstream calls a single completion request runs at once
+export const COMPLETION_CONCURRENCY = 4;
+
+function generateCompletionId() {
+  return `cmpl-${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+export function normalizePrompts(prompt) {
+  if (typeof prompt === 'string') {
+    return [prompt];
+  }
+  if (Array.isArray(prompt) && prompt.every(item => typeof item === 'string')) {
+    return prompt;
+  }
+  return null;
+}
+
+export function validateCompletionRequest(body) {
+  if (body.prompt === undefined || body.prompt === null) {
+    return { valid: false, error: 'Missing required parameter: prompt', param: 'prompt' };
+  }
+
+  const prompts = normalizePrompts(body.prompt);
+  if (!prompts || prompts.length === 0) {
+    return { valid: false, error: 'prompt must be a string or an array of strings (token arrays are not supported)', param: 'prompt' };
+  }
+
+  const n = body.n ?? 1;
+  if (!Number.isInteger(n) || n < 1 || n > 128) {
+    return { valid: false, error: 'n must be an integer between 1 and 128', param: 'n' };
+  }
+
+  if (prompts.length * n > MAX_COMPLETION_CHOICES) {
+    return { valid: false, error: `prompt and n may request at most ${MAX_COMPLETION_CHOICES} completions in total (${prompts.length} prompts with n=${n} requested ${prompts.length * n})`, param: 'n' };
+  }
+
+  const stopValidation = validateStopSequences(body.stop);
+  if (!stopValidation.valid) {
+    return { valid: false, error: stopValidation.error, param: 'stop' };
+  }
+
+  if (body.stream && prompts.length * n > 1) {
+    return { valid: false, error: 'Streaming is only supported for a single prompt with n=1', param: 'stream' };
+  }
+
+  return { valid: true, prompts, n };
+}
+
+export function transformCompletionToChat(completionBody, prompt) {
+  const messages = [];
+
+  if (completionBody.suffix) {
+    // Best-effort insert mode: ask for the text between prompt and suffix
+    messages.push({
+      role: 'system',
+      content: 'Write the text that belongs between the given prefix and suffix. Reply with only the inserted text.'
+    });
+    messages.push({ role: 'user', content: `Prefix:\n${prompt}\n\nSuffix:\n${completionBody.suffix}` });
+  } else {
+    messages.push({ role: 'user', content: prompt });
+  }
+
+  return {
+    model: completionBody.model,
+    messages,
+    stream: completionBody.stream || false,
+    temperature: completionBody.temperature,
+    max_tokens: completionBody.max_tokens,
+    stop: completionBody.stop
+  };
+}
+
+function completionText(text, prompt, completionBody) {
+  return completionBody.echo ? `${prompt}${text}` : text;
+}
+
+// Merge one chat completion per (prompt, n) pair into a text_completion object
+export function transformChatToCompletion(chatResponses, completionBody, prompts, n) {
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+  const choices = chatResponses.map((chatResponse, index) => {
+    usage.prompt_tokens += chatResponse.usage?.prompt_tokens || 0;
+    usage.completion_tokens += chatResponse.usage?.completion_tokens || 0;
+    usage.total_tokens += chatResponse.usage?.total_tokens || 0;
+
+    const choice = chatResponse.choices[0];
+    return {
+      text: completionText(choice.message.content || '', prompts[Math.floor(index / n)], completionBody),
+      index,
+      logprobs: null,
+      finish_reason: choice.finish_reason === 'length' ? 'length' : 'stop'
+    };
+  });
+
+  return {
+    id: generateCompletionId(),
+    object: 'text_completion',
+    created: Math.floor(Date.now() / 1000),
+    model: completionBody.model,
+    system_fingerprint: null,
+    choices,
+    usage
+  };
+}
+
+// Translates chat.completion.chunk objects into text_completion chunks,
+// terminated by the usual [DONE] sentinel.
+export function createCompletionStreamTranslator(completionBody, prompt) {
+  const id = generateCompletionId();
+  let finishReason = null;
+  let usage = null;
+
+  const chunk = (text, extra = {}) => ({
+    id,
+    object: 'text_completion',
+    created: Math.floor(Date.now() / 1000),
+    model: completionBody.model,
+    choices: [{ text, index: 0, logprobs: null, finish_reason: null }],
+    ...extra
+  });
+
+  return {
+    encode(event) {
+      return `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`;
+    },
+
+    start() {
+      return completionBody.echo ? [chunk(prompt)] : [];
+    },
+
+    push(chatChunk) {
+      const events = [];
+      if (chatChunk.usage) {
+        usage = chatChunk.usage;
+      }
+
+      for (const choice of chatChunk.choices || []) {
+        finishReason = choice.finish_reason || finishReason;
+        if (choice.delta?.content) {
+          events.push(chunk(choice.delta.content));
+        }
+      }
+
+      return events;
+    },
+
+    finish() {
+      const final = chunk('', { usage });
+      final.choices[0].finish_reason = finishReason === 'length' ? 'length' : 'stop';
+      return [final, '[DONE]'];
+    },
+
+    fail(error) {
+      return [{ error: { message: error.message, type: 'api_error' } }];
+    }
+  };
+}
@@ -0,0 +1,193 @@
+// Context window management
+// Prompts are measured with the token counter before they go upstream. Prompts
+// that do not fit fail with OpenAI's context_length_exceeded error, unless the
+// caller opts into a truncation strategy via the x-context-strategy header or
+// the context_strategy body field.
+import { calculatePromptTokens } from './tokens.js';
+import { contentToText } from './messages.js';
+
+export const CONTEXT_STRATEGIES = ['error', 'drop_oldest', 'keep_last', 'summarize'];
+
+const DEFAULT_KEEP_LAST = 10;
+
+// Upper bound for the summary that replaces the middle of a long chat
+export const SUMMARY_MAX_TOKENS = 1024;
+
+export function getContextOptions(request, body = {}) {
+  const strategy = request.headers.get('x-context-strategy') || body.context_strategy || 'error';
+  const keepLast = request.headers.get('x-context-keep-last') ?? body.context_keep_last ?? DEFAULT_KEEP_LAST;
+  return { strategy, keepLast: Number(keepLast) };
+}
+
+export function validateContextOptions(options) {
+  if (!CONTEXT_STRATEGIES.includes(options.strategy)) {
+    return {
+      valid: false,
+      error: `Invalid context_strategy '${options.strategy}'. Expected one of: ${CONTEXT_STRATEGIES.join(', ')}`,
+      param: 'context_strategy'
+    };
+  }
+  if (!Number.isInteger(options.keepLast) || options.keepLast < 1) {
+    return { valid: false, error: 'context_keep_last must be a positive integer', param: 'context_keep_last' };
+  }
+  return { valid: true };
+}
+
+// Tokens available for the prompt once the requested completion is reserved
+export function getContextLimits(modelInfo, maxTokens) {
+  if (!modelInfo.context_window) {
+    return null;
+  }
+  const reserved = Math.min(maxTokens || 0, modelInfo.max_output_tokens || Infinity);
+  return {
+    contextWindow: modelInfo.context_window,
+    reserved,
+    budget: modelInfo.context_window - reserved
+  };
+}
+
+// Per-message token sizes, so truncation does not re-tokenize the whole chat
+function measureMessages(messages, modelId) {
+  const base = calculatePromptTokens([], modelId);
+  const sizes = messages.map(message => calculatePromptTokens([message], modelId) - base);
+  return { base, sizes, total: sizes.reduce((sum, size) => sum + size, base) };
+}
+
+// A truncated history should not open with an assistant turn
+function dropLeadingAssistant(messages, keep) {
+  for (let i = 0; i < messages.length - 1; i++) {
+    if (!keep[i] || messages[i].role === 'system') {
+      continue;
+    }
+    if (messages[i].role !== 'assistant') {
+      break;
+    }
+    keep[i] = false;
+  }
+}
+
+function dropOldest(messages, measured, budget) {
+  const keep = messages.map(() => true);
+  let total = measured.total;
+
+  for (let i = 0; i < messages.length - 1 && total > budget; i++) {
+    if (messages[i].role !== 'system') {
+      keep[i] = false;
+      total -= measured.sizes[i];
+    }
+  }
+
+  dropLeadingAssistant(messages, keep);
+  return messages.filter((_, i) => keep[i]);
+}
+
+function keepLast(messages, count) {
+  let remaining = count;
+  const keep = new Array(messages.length).fill(false);
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === 'system') {
+      keep[i] = true;
+    } else if (remaining > 0) {
+      keep[i] = true;
+      remaining--;
+    }
+  }
+
+  dropLeadingAssistant(messages, keep);
+  return messages.filter((_, i) => keep[i]);
+}
+
+export function buildSummaryMessages(messages) {
+  const transcript = messages
+    .map(message => `${message.role}: ${contentToText(message.content)}`)
+    .join('\n\n');
+
+  return [
+    {
+      role: 'system',
+      content: 'Summarize the following conversation excerpt. Keep every fact, decision, name and open question ' +
+        'needed to continue the conversation. Reply with the summary only.'
+    },
+    { role: 'user', content: transcript }
+  ];
+}
+
+// Replace the oldest turns that do not fit with a model-written summary
+async function summarizeMiddle(messages, measured, limits, summarize) {
+  let total = measured.base + SUMMARY_MAX_TOKENS;
+  const isTail = messages.map(() => false);
+
+  messages.forEach((message, i) => {
+    if (message.role === 'system') {
+      total += measured.sizes[i];
+    }
+  });
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === 'system') {
+      continue;
+    }
+    if (i < messages.length - 1 && total + measured.sizes[i] > limits.budget) {
+      break;
+    }
+    isTail[i] = true;
+    total += measured.sizes[i];
+  }
+
+  const middle = messages.filter((message, i) => message.role !== 'system' && !isTail[i]);
+  if (middle.length === 0) {
+    return null;
+  }
+
+  // The summary request has to fit in the same context window
+  const middleSizes = measured.sizes.filter((_, i) => messages[i].role !== 'system' && !isTail[i]);
+  let middleTotal = middleSizes.reduce((sum, size) => sum + size, measured.base);
+  let start = 0;
+  while (start < middle.length - 1 && middleTotal > limits.contextWindow - 2 * SUMMARY_MAX_TOKENS) {
+    middleTotal -= middleSizes[start++];
+  }
+
+  const summary = await summarize(middle.slice(start));
+  return [
+    ...messages.filter(message => message.role === 'system'),
+    { role: 'system', content: `Summary of the earlier conversation:\n${summary}` },
+    ...messages.filter((_, i) => isTail[i])
+  ];
+}
+
+// Returns { messages, promptTokens } when the prompt fits (after the requested
+// truncation), otherwise { error: { contextWindow, reserved, promptTokens } }.
+export async function fitToContextWindow(messages, modelInfo, maxTokens, options, summarize) {
+  const promptTokens = calculatePromptTokens(messages, modelInfo.name);
+  const limits = getContextLimits(modelInfo, maxTokens);
+
+  if (!limits || promptTokens <= limits.budget) {
+    return { messages, promptTokens };
+  }
+
+  const measured = measureMessages(messages, modelInfo.name);
+  let fitted = null;
+
+  if (options.strategy === 'drop_oldest') {
+    fitted = dropOldest(messages, measured, limits.budget);
+  } else if (options.strategy === 'keep_last') {
+    fitted = keepLast(messages, options.keepLast);
+  } else if (options.strategy === 'summarize') {
+    try {
+      fitted = await summarizeMiddle(messages, measured, limits, summarize);
+    } catch (error) {
+      console.error('Context summary failed, dropping oldest turns instead:', error);
+      fitted = dropOldest(messages, measured, limits.budget);
+    }
+  }
+
+  if (fitted) {
+    const fittedTokens = calculatePromptTokens(fitted, modelInfo.name);
+    if (fittedTokens <= limits.budget) {
+      return { messages: fitted, promptTokens: fittedTokens };
+    }
+  }
+
+  return { error: { contextWindow: limits.contextWindow, reserved: limits.reserved, promptTokens } };
+}
@@ -0,0 +1,223 @@
+// Conversation mapping for 1min AI
+// A chat history is sent to a fresh 1min conversation once. Follow-up requests
+// whose history matches a known conversation reuse it and send only the new
+// turn. Histories that cannot be reused are rendered with the chat template of
+// the model's provider instead of a flat transcript. Conversations belong to
+// one upstream 1min account, so each mapping records the pooled key that owns it.
+// Chats with documents always run in a conversation, which holds the files.
+import { contentToText } from './messages.js';
+import { DOCUMENT_FEATURE, getDocumentList } from './documents.js';
+import { isStorageConfigured, hashApiKey } from './store.js';
+
+// Conversation mappings are only useful while a client is actively chatting
+const CONVERSATION_TTL_SECONDS = 24 * 60 * 60;
+
+const CHAT_TEMPLATES = {
+  // ChatML, as used by OpenAI-style chat models
+  chatml: messages => [
+    ...messages.map(message => `<|im_start|>${message.role}\n${message.content}<|im_end|>`),
+    '<|im_start|>assistant\n'
+  ].join('\n'),
+
+  anthropic: messages => {
+    const system = systemText(messages);
+    const turns = messages
+      .filter(message => message.role !== 'system')
+      .map(message => `${message.role === 'assistant' ? 'Assistant' : 'Human'}: ${message.content}`);
+    return [system, ...turns, 'Assistant:'].filter(Boolean).join('\n\n');
+  },
+
+  llama3: messages => '<|begin_of_text|>' + messages
+    .map(message => `<|start_header_id|>${message.role}<|end_header_id|>\n\n${message.content}<|eot_id|>`)
+    .join('') + '<|start_header_id|>assistant<|end_header_id|>\n\n',
+
+  // Gemma and Mistral have no system role: it is folded into the first user turn
+  gemma: messages => withSystemInFirstTurn(messages)
+    .map(message => `<start_of_turn>${message.role === 'assistant' ? 'model' : 'user'}\n${message.content}<end_of_turn>\n`)
+    .join('') + '<start_of_turn>model\n',
+
+  mistral: messages => withSystemInFirstTurn(messages)
+    .map(message => message.role === 'assistant' ? ` ${message.content}</s>` : `[INST] ${message.content} [/INST]`)
+    .join(''),
+
+  cohere: messages => messages
+    .map(message => `<|START_OF_TURN_TOKEN|>${COHERE_ROLES[message.role]}${message.content}<|END_OF_TURN_TOKEN|>`)
+    .join('') + '<|START_OF_TURN_TOKEN|><|CHATBOT_TOKEN|>'
+};
+
+const COHERE_ROLES = {
+  system: '<|SYSTEM_TOKEN|>',
+  user: '<|USER_TOKEN|>',
+  assistant: '<|CHATBOT_TOKEN|>'
+};
+
+const PROVIDER_TEMPLATES = {
+  openai: 'chatml',
+  xai: 'chatml',
+  deepseek: 'chatml',
+  alibaba: 'chatml',
+  anthropic: 'anthropic',
+  meta: 'llama3',
+  google: 'gemma',
+  mistral: 'mistral',
+  cohere: 'cohere'
+};
+
+function systemText(messages) {
+  return messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+}
+
+function withSystemInFirstTurn(messages) {
+  const system = systemText(messages);
+  const turns = messages.filter(message => message.role !== 'system');
+  if (!system) {
+    return turns;
+  }
+
+  const firstUser = turns.findIndex(message => message.role === 'user');
+  if (firstUser === -1) {
+    return [{ role: 'user', content: system }, ...turns];
+  }
+  return turns.map((message, index) => index === firstUser
+    ? { ...message, content: `${system}\n\n${message.content}` }
+    : message);
+}
+
+// Reduce messages to plain { role, content } text turns
+function normalizeMessages(messages) {
+  return messages.map(message => {
+    let role = message.role;
+    if (role === 'developer') {
+      role = 'system';
+    } else if (role !== 'system' && role !== 'assistant') {
+      role = 'user';
+    }
+    return { role, content: contentToText(message.content) };
+  });
+}
+
+export function renderChatTemplate(messages, provider) {
+  const turns = normalizeMessages(messages);
+
+  // A lone user message needs no template
+  if (turns.length === 1 && turns[0].role === 'user') {
+    return turns[0].content;
+  }
+
+  const template = CHAT_TEMPLATES[PROVIDER_TEMPLATES[provider]] || CHAT_TEMPLATES.chatml;
+  return template(turns);
+}
+
+// Images travel as uploaded asset paths next to the prompt, never inside it.
+// Parts not uploaded yet still count, so a conversation is looked up with the
+// same scope before the sending key uploads them.
+function getImageList(messages) {
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  if (!Array.isArray(lastUser?.content)) {
+    return [];
+  }
+  return lastUser.content
+    .filter(part => part?.type === 'image')
+    .map(part => part.url || part.asset_id);
+}
+
+function getScope(messages, modelInfo) {
+  const imageList = getImageList(messages);
+  const fileList = getDocumentList(messages);
+  let type = imageList.length > 0 ? 'CHAT_WITH_IMAGE' : 'CHAT_WITH_AI';
+  if (fileList.length > 0) {
+    type = DOCUMENT_FEATURE;
+  }
+  return { type, model: modelInfo.name, imageList, fileList };
+}
+
+async function conversationKey(clientKey, scope, messages) {
+  // Whitespace is ignored so replies that clients re-serialise (tool call JSON) still match
+  const turns = normalizeMessages(messages).map(({ role, content }) => [role, content.replace(/\s+/g, '')]);
+  // Documents are uploaded again on every request, so they are told apart by
+  // count rather than asset path; a new document starts a new conversation
+  const source = JSON.stringify([scope.type, scope.model, turns, scope.fileList.length]);
+  return `conversation:${await hashApiKey(clientKey)}:${await hashApiKey(source)}`;
+}
+
+async function createConversation(type, modelInfo, apiKey, env, fileList = []) {
+  try {
+    const response = await fetch(`${env.ONE_MIN_API_URL}/api/conversations`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'API-KEY': apiKey
+      },
+      body: JSON.stringify({ title: 'API conversation', type, model: modelInfo.name, ...(fileList.length > 0 && { fileList }) })
+    });
+    if (!response.ok) {
+      console.error('Failed to create conversation:', response.status);
+      return null;
+    }
+    const data = await response.json();
+    return data.conversation?.uuid || null;
+  } catch (error) {
+    console.error('Failed to create conversation:', error);
+    return null;
+  }
+}
+
+// Look up the conversation whose history the messages extend.
+// Returns { conversationId, upstream } or null; upstream names the pooled key that owns it.
+export async function findConversation(messages, modelInfo, clientKey, env) {
+  const lastAssistant = messages.map(message => message.role).lastIndexOf('assistant');
+  if (!isStorageConfigured(env) || lastAssistant === -1 || lastAssistant === messages.length - 1) {
+    return null;
+  }
+
+  try {
+    const key = await conversationKey(clientKey, getScope(messages, modelInfo), messages.slice(0, lastAssistant + 1));
+    const known = await env.CACHE.get(key, 'json');
+    return known?.conversationId ? { conversationId: known.conversationId, upstream: known.upstream ?? null } : null;
+  } catch (error) {
+    console.error('Failed to look up conversation:', error);
+    return null;
+  }
+}
+
+// Decide how the messages reach 1min AI through the given upstream key
+// ({ name, apiKey }): the new turn of the known conversation when that key owns
+// it, or the whole history rendered into a (new) conversation's first prompt.
+export async function prepareConversation(messages, modelInfo, upstreamKey, env, known = null) {
+  const conversation = { ...getScope(messages, modelInfo), upstream: upstreamKey.name, conversationId: null, prompt: null };
+
+  if (!isStorageConfigured(env) && conversation.fileList.length === 0) {
+    conversation.prompt = renderChatTemplate(messages, modelInfo.provider);
+    return conversation;
+  }
+
+  if (known && known.upstream === upstreamKey.name) {
+    const lastAssistant = messages.map(message => message.role).lastIndexOf('assistant');
+    conversation.conversationId = known.conversationId;
+    conversation.prompt = renderChatTemplate(messages.slice(lastAssistant + 1), modelInfo.provider);
+    return conversation;
+  }
+
+  conversation.conversationId = await createConversation(conversation.type, modelInfo, upstreamKey.apiKey, env, conversation.fileList);
+  conversation.prompt = renderChatTemplate(messages, modelInfo.provider);
+  return conversation;
+}
+
+// Record the reply so the next request extending this history can reuse the conversation
+export async function rememberConversation(env, clientKey, conversation, messages, reply) {
+  if (!conversation.conversationId || !isStorageConfigured(env)) {
+    return;
+  }
+
+  try {
+    const key = await conversationKey(clientKey, conversation, [...messages, { role: 'assistant', content: reply }]);
+    await env.CACHE.put(key, JSON.stringify({ conversationId: conversation.conversationId, upstream: conversation.upstream }), {
+      expirationTtl: CONVERSATION_TTL_SECONDS
+    });
+  } catch (error) {
+    console.error('Failed to store conversation:', error);
+  }
+}
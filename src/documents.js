@@ -0,0 +1,69 @@
+// Document inputs in chat (PDF, Word and text files)
+// OpenAI `file` content parts (and Anthropic document blocks, converted to them)
+// are uploaded to 1min AI as assets and attached to the conversation, which is
+// then run through its CHAT_WITH_PDF feature. Documents apply to the whole
+// chat, unlike images, which only travel with the latest user turn.
+
+export const DOCUMENT_FEATURE = 'CHAT_WITH_PDF';
+export const MAX_DOCUMENT_BYTES = 20 * 1024 * 1024;
+
+// Accepted documents by extension
+const DOCUMENT_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  doc: 'application/msword',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  json: 'application/json'
+};
+const TEXT_TYPES = ['text/plain', 'text/markdown', 'text/csv', 'application/json'];
+
+// The MIME type of a document, from its declared type or else its filename; null when unsupported
+export function getDocumentMimeType(filename, mimeType) {
+  const declared = mimeType?.split(';')[0].trim().toLowerCase();
+  if (Object.values(DOCUMENT_TYPES).includes(declared)) {
+    return declared;
+  }
+  return DOCUMENT_TYPES[filename?.split('.').pop()?.toLowerCase()] || null;
+}
+
+export function validateDocument(filename, mimeType, size) {
+  if (!getDocumentMimeType(filename, mimeType)) {
+    return { valid: false, error: `Unsupported file type${filename ? ` for ${filename}` : ''}; supported: ${Object.keys(DOCUMENT_TYPES).join(', ')}` };
+  }
+  if (size > MAX_DOCUMENT_BYTES) {
+    return { valid: false, error: `${filename || 'File'} is larger than ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB` };
+  }
+  return { valid: true };
+}
+
+// Page objects in a PDF; null when none can be found (e.g. compressed object streams)
+function countPdfPages(bytes) {
+  const source = new TextDecoder('latin1').decode(bytes);
+  const pages = source.match(/\/Type\s*\/Page(?![a-zA-Z])/g)?.length;
+  return pages || null;
+}
+
+// What token accounting needs to know about a document
+export function describeDocument(bytes, mimeType) {
+  return {
+    size: bytes.length,
+    pages: mimeType === 'application/pdf' ? countPdfPages(bytes) : null,
+    text_content: TEXT_TYPES.includes(mimeType) ? new TextDecoder().decode(bytes) : null
+  };
+}
+
+export function hasDocumentContent(messages) {
+  return messages.some(message => Array.isArray(message.content) &&
+    message.content.some(item => item?.type === 'file' || item?.type === 'document'));
+}
+
+// Asset paths of every document in the chat (undefined until uploaded)
+export function getDocumentList(messages) {
+  return messages
+    .filter(message => Array.isArray(message.content))
+    .flatMap(message => message.content)
+    .filter(part => part?.type === 'document')
+    .map(part => part.url || part.asset_id);
+}
@@ -0,0 +1,140 @@
+// Embeddings (/v1/embeddings)
+// 1min AI has no embedding feature, so embedding models run on Workers AI:
+// through the AI binding when it is bound, otherwise through the
+// OpenAI-compatible endpoint at EMBEDDINGS_URL (e.g. the Workers AI REST API,
+// with the EMBEDDINGS_API_KEY secret as its token). Inputs are sent in batches,
+// and vectors can be shortened with `dimensions` and returned as base64.
+import { ERROR_CODES, createErrorResponse, getUpstreamErrorMessage, handleUpstreamError } from './errors.js';
+import { estimateTokens } from './tokens.js';
+
+const MAX_INPUTS = 2048;
+// Workers AI accepts at most 100 texts per call
+const BATCH_SIZE = 100;
+const ENCODING_FORMATS = ['float', 'base64'];
+
+export function normalizeEmbeddingInput(input) {
+  if (typeof input === 'string') {
+    return [input];
+  }
+  if (Array.isArray(input) && input.every(item => typeof item === 'string')) {
+    return input;
+  }
+  return null;
+}
+
+export function isEmbeddingProviderConfigured(env) {
+  return Boolean(env.AI || env.EMBEDDINGS_URL);
+}
+
+export function validateEmbeddingRequest(body, modelId, modelInfo) {
+  if (body.input === undefined || body.input === null) {
+    return { valid: false, error: 'Missing required parameter: input', param: 'input' };
+  }
+
+  const inputs = normalizeEmbeddingInput(body.input);
+  if (!inputs || inputs.length === 0 || inputs.some(input => input.length === 0)) {
+    return { valid: false, error: 'input must be a non-empty string or array of non-empty strings (token arrays are not supported)', param: 'input' };
+  }
+  if (inputs.length > MAX_INPUTS) {
+    return { valid: false, error: `input must contain at most ${MAX_INPUTS} items`, param: 'input' };
+  }
+
+  if (body.encoding_format !== undefined && !ENCODING_FORMATS.includes(body.encoding_format)) {
+    return { valid: false, error: `encoding_format must be one of: ${ENCODING_FORMATS.join(', ')}`, param: 'encoding_format' };
+  }
+
+  if (body.dimensions !== undefined && (!Number.isInteger(body.dimensions) || body.dimensions < 1 || body.dimensions > modelInfo.dimensions)) {
+    return { valid: false, error: `dimensions must be an integer between 1 and ${modelInfo.dimensions} for this model`, param: 'dimensions' };
+  }
+
+  const tokens = inputs.map(input => estimateTokens(input, modelId));
+  const tooLong = tokens.findIndex(count => count > modelInfo.context_window);
+  if (tooLong !== -1) {
+    return {
+      valid: false,
+      error: `This model's maximum context length is ${modelInfo.context_window} tokens, however input[${tooLong}] has ${tokens[tooLong]} tokens. Please reduce the length of the input.`,
+      param: 'input',
+      code: 'context_length_exceeded'
+    };
+  }
+
+  return { valid: true, inputs, promptTokens: tokens.reduce((sum, count) => sum + count, 0) };
+}
+
+async function embedBatch(env, modelInfo, texts) {
+  if (env.AI) {
+    const result = await env.AI.run(modelInfo.name, { text: texts });
+    return { vectors: result.data };
+  }
+
+  const response = await fetch(env.EMBEDDINGS_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(env.EMBEDDINGS_API_KEY && { 'Authorization': `Bearer ${env.EMBEDDINGS_API_KEY}` })
+    },
+    body: JSON.stringify({ model: modelInfo.name, input: texts })
+  });
+  if (!response.ok) {
+    const message = getUpstreamErrorMessage(await response.text());
+    return {
+      error: createErrorResponse(`Embedding provider returned ${response.status}${message ? `: ${message}` : ''}`, ERROR_CODES.API_ERROR, 502)
+    };
+  }
+
+  const data = await response.json();
+  return { vectors: [...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding) };
+}
+
+// One vector per input, or { error } with the response to return
+export async function createEmbeddings(env, modelInfo, inputs) {
+  const embeddings = [];
+  try {
+    for (let start = 0; start < inputs.length; start += BATCH_SIZE) {
+      const batch = await embedBatch(env, modelInfo, inputs.slice(start, start + BATCH_SIZE));
+      if (batch.error) {
+        return batch;
+      }
+      embeddings.push(...batch.vectors);
+    }
+  } catch (error) {
+    return { error: handleUpstreamError(error) };
+  }
+  return { embeddings };
+}
+
+// Truncate to `dimensions` and rescale to unit length, as OpenAI does
+export function shortenEmbedding(vector, dimensions) {
+  const shortened = vector.slice(0, dimensions);
+  const norm = Math.sqrt(shortened.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? shortened.map(value => value / norm) : shortened;
+}
+
+// Little-endian float32 bytes, base64 encoded
+export function encodeEmbeddingBase64(vector) {
+  const bytes = new Uint8Array(new Float32Array(vector).buffer);
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+export function formatEmbeddingResponse(embeddings, body, promptTokens) {
+  return {
+    object: 'list',
+    data: embeddings.map((vector, index) => {
+      const shortened = body.dimensions ? shortenEmbedding(vector, body.dimensions) : vector;
+      return {
+        object: 'embedding',
+        index,
+        embedding: body.encoding_format === 'base64' ? encodeEmbeddingBase64(shortened) : shortened
+      };
+    }),
+    model: body.model,
+    usage: {
+      prompt_tokens: promptTokens,
+      total_tokens: promptTokens
+    }
+  };
+}
@@ -23,6 +23,12 @@ export const ERROR_MESSAGES = {
   REQUEST_TOO_LARGE: 'Request payload is too large',
   RATE_LIMIT_EXCEEDED: 'Rate limit exceeded. Please try again later',
   UPSTREAM_ERROR: 'Error from upstream AI service',
+  UPSTREAM_TIMEOUT: 'The upstream AI service did not respond in time',
+  UPSTREAM_KEY_REJECTED: 'The gateway\'s credentials for the upstream AI service were rejected',
+  INSUFFICIENT_QUOTA: 'You exceeded your current quota, please check your 1min AI credits',
+  CONTENT_FILTERED: 'The request was rejected by the content moderation of the upstream AI service',
+  RESPONSE_FORMAT_FAILED: 'Model output did not match the requested response_format',
+  TOOL_CHOICE_FAILED: 'Model output did not follow the requested tool_choice',
   INTERNAL_ERROR: 'Internal server error occurred'
 };
 
@@ -58,11 +64,13 @@ export function createErrorResponse(message, type = ERROR_CODES.API_ERROR, statu
   return error.toResponse(status);
 }
 
-export function handleAuthenticationError() {
+export function handleAuthenticationError(message = ERROR_MESSAGES.INVALID_API_KEY) {
   return createErrorResponse(
-    ERROR_MESSAGES.INVALID_API_KEY,
+    message,
     ERROR_CODES.AUTHENTICATION_ERROR,
-    401
+    401,
+    null,
+    'invalid_api_key'
   );
 }
 
@@ -94,17 +102,49 @@ export function handleInvalidRequest(message, param = null) {
   );
 }
 
-export function handleRateLimitError() {
+export function handleNotFoundError(message, param = null) {
+  return createErrorResponse(
+    message,
+    ERROR_CODES.INVALID_REQUEST_ERROR,
+    404,
+    param
+  );
+}
+
+export function handleContextLengthError({ contextWindow, reserved, promptTokens }) {
+  const message = reserved > 0
+    ? `This model's maximum context length is ${contextWindow} tokens. However, you requested ${promptTokens + reserved} tokens ` +
+      `(${promptTokens} in the messages, ${reserved} in the completion). Please reduce the length of the messages or completion.`
+    : `This model's maximum context length is ${contextWindow} tokens. However, your messages resulted in ${promptTokens} tokens. ` +
+      'Please reduce the length of the messages.';
+
+  return createErrorResponse(
+    message,
+    ERROR_CODES.INVALID_REQUEST_ERROR,
+    400,
+    'messages',
+    'context_length_exceeded'
+  );
+}
+
+export function handleRateLimitError(message = ERROR_MESSAGES.RATE_LIMIT_EXCEEDED, code = 'rate_limit_exceeded') {
   return createErrorResponse(
-    ERROR_MESSAGES.RATE_LIMIT_EXCEEDED,
+    message,
     ERROR_CODES.RATE_LIMIT_ERROR,
-    429
+    429,
+    null,
+    code
   );
 }
 
+// Network failures and timeouts, where 1min AI sent no answer at all
 export function handleUpstreamError(originalError) {
   console.error('Upstream API error:', originalError);
-  
+
+  if (originalError?.name === 'TimeoutError') {
+    return createErrorResponse(ERROR_MESSAGES.UPSTREAM_TIMEOUT, ERROR_CODES.API_ERROR, 504, null, 'timeout');
+  }
+
   return createErrorResponse(
     ERROR_MESSAGES.UPSTREAM_ERROR,
     ERROR_CODES.API_ERROR,
@@ -112,6 +152,126 @@ export function handleUpstreamError(originalError) {
   );
 }
 
+const MAX_UPSTREAM_MESSAGE_LENGTH = 300;
+
+function stringifyMessage(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Pull the message out of a 1min AI error body: JSON with message/error, or plain text
+export function getUpstreamErrorMessage(errorText) {
+  let message = errorText || '';
+  try {
+    const data = JSON.parse(errorText);
+    const candidate = typeof data === 'string'
+      ? data
+      : data?.message ?? data?.error?.message ?? data?.error ?? data?.msg;
+    if (Array.isArray(candidate)) {
+      message = candidate.map(stringifyMessage).join('; ');
+    } else if (candidate !== null && typeof candidate === 'object') {
+      // e.g. { error: { code, detail } } without a message
+      message = JSON.stringify(candidate);
+    } else if (typeof candidate === 'string') {
+      message = candidate;
+    }
+    // Anything else (no candidate, numbers) keeps the raw body
+  } catch (error) {
+    // Not JSON: HTML error pages are reduced to their text
+    message = message.replace(/<[^>]*>/g, ' ');
+  }
+
+  return String(message ?? '')
+    // Never echo anything that looks like a credential
+    .replace(/\b(?=[A-Za-z0-9_-]*\d)[A-Za-z0-9_-]{32,}\b/g, '[redacted]')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_UPSTREAM_MESSAGE_LENGTH);
+}
+
+// Map a failed 1min AI response onto the matching OpenAI error.
+// pooledKey marks a gateway-owned upstream key: its rejection is the gateway's
+// failure, not a problem with the key the client sent.
+export function handleUpstreamResponseError(status, errorText, { pooledKey = false } = {}) {
+  const upstreamMessage = getUpstreamErrorMessage(errorText);
+  const withUpstream = message => upstreamMessage ? `${message} (1min AI: ${upstreamMessage})` : message;
+
+  const invalidModel = upstreamMessage.match(/invalid model\s+(\S+)/i);
+  if (invalidModel || status === 404) {
+    return createErrorResponse(
+      invalidModel ? withUpstream(`The model '${invalidModel[1]}' does not exist or is not available`) : withUpstream(ERROR_MESSAGES.INVALID_MODEL),
+      ERROR_CODES.INVALID_REQUEST_ERROR,
+      404,
+      'model',
+      'model_not_found'
+    );
+  }
+
+  if (status === 401 || /invalid api[ -]?key|unauthori[sz]ed/i.test(upstreamMessage)) {
+    if (pooledKey) {
+      console.error('Upstream key rejected by 1min AI:', status, upstreamMessage);
+      return createErrorResponse(withUpstream(ERROR_MESSAGES.UPSTREAM_KEY_REJECTED), ERROR_CODES.API_ERROR, 502, null, 'upstream_key_rejected');
+    }
+    return handleAuthenticationError(withUpstream(ERROR_MESSAGES.INVALID_API_KEY));
+  }
+
+  if (status === 402 || /credit|insufficient|quota|balance/i.test(upstreamMessage)) {
+    return handleRateLimitError(withUpstream(ERROR_MESSAGES.INSUFFICIENT_QUOTA), 'insufficient_quota');
+  }
+
+  if (/moderat|content policy|flagged|inappropriate|safety/i.test(upstreamMessage)) {
+    return createErrorResponse(
+      withUpstream(ERROR_MESSAGES.CONTENT_FILTERED),
+      ERROR_CODES.INVALID_REQUEST_ERROR,
+      400,
+      null,
+      'content_filter'
+    );
+  }
+
+  if (status === 429) {
+    return handleRateLimitError(withUpstream(ERROR_MESSAGES.RATE_LIMIT_EXCEEDED));
+  }
+
+  if (status === 403) {
+    return createErrorResponse(withUpstream(ERROR_MESSAGES.MODEL_NOT_PERMITTED), ERROR_CODES.PERMISSION_ERROR, 403);
+  }
+
+  if (status === 413) {
+    return createErrorResponse(withUpstream(ERROR_MESSAGES.REQUEST_TOO_LARGE), ERROR_CODES.REQUEST_TOO_LARGE, 413);
+  }
+
+  if (status >= 400 && status < 500) {
+    return handleInvalidRequest(upstreamMessage || ERROR_MESSAGES.INVALID_REQUEST);
+  }
+
+  console.error('Upstream API error:', status, upstreamMessage);
+  return createErrorResponse(
+    withUpstream(ERROR_MESSAGES.UPSTREAM_ERROR),
+    status === 503 ? ERROR_CODES.OVERLOADED_ERROR : ERROR_CODES.API_ERROR,
+    status === 503 ? 503 : 502
+  );
+}
+
+export function handleResponseFormatError(errors) {
+  return createErrorResponse(
+    `${ERROR_MESSAGES.RESPONSE_FORMAT_FAILED}: ${errors.join('; ')}`,
+    ERROR_CODES.API_ERROR,
+    502,
+    'response_format',
+    'json_validate_failed'
+  );
+}
+
+export function handleToolChoiceError(error) {
+  return createErrorResponse(
+    `${ERROR_MESSAGES.TOOL_CHOICE_FAILED}: ${error}`,
+    ERROR_CODES.API_ERROR,
+    502,
+    'tool_choice',
+    'tool_choice_failed'
+  );
+}
+
 export function handleInternalError(error) {
   console.error('Internal error:', error);
   
@@ -0,0 +1,76 @@
+// Model fallback chains and upstream retries
+// A chat request may name backup models in a `models` array; otherwise the
+// MODEL_FALLBACKS var (JSON keyed on MODELS_CONFIG ids) supplies them. Transient
+// upstream failures (timeouts, network errors, 5xx) are retried with exponential
+// backoff before the next model in the chain is tried.
+import { resolveModelId, isVisionModel, isChatModel } from './models.js';
+
+const MAX_FALLBACK_MODELS = 5;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const DEFAULT_TIMEOUT_MS = 120000;
+
+export const FALLBACK_HEADER = 'x-gateway-fallback';
+
+function getServerFallbacks(env) {
+  if (!env.MODEL_FALLBACKS) {
+    return {};
+  }
+  try {
+    return JSON.parse(env.MODEL_FALLBACKS);
+  } catch (error) {
+    console.error('Ignoring invalid MODEL_FALLBACKS:', error.message);
+    return {};
+  }
+}
+
+export function validateFallbackModels(models) {
+  if (models === undefined) {
+    return { valid: true };
+  }
+  if (!Array.isArray(models) || models.length > MAX_FALLBACK_MODELS || models.some(model => typeof model !== 'string')) {
+    return { valid: false, error: `models must be an array of at most ${MAX_FALLBACK_MODELS} model ids` };
+  }
+  const unknown = models.find(model => !isChatModel(model));
+  if (unknown) {
+    return { valid: false, error: `Model '${unknown}' is not supported` };
+  }
+  return { valid: true };
+}
+
+// The requested model followed by its fallbacks, without duplicates. Fallbacks
+// that cannot see the request's images are left out.
+export function getModelChain(body, env, hasImages = false) {
+  const fallbacks = body.models ?? getServerFallbacks(env)[resolveModelId(body.model)] ?? [];
+  const chain = [body.model];
+  const seen = new Set([resolveModelId(body.model)]);
+
+  for (const model of fallbacks) {
+    const id = resolveModelId(model);
+    if (seen.has(id) || !isChatModel(model) || (hasImages && !isVisionModel(model))) {
+      continue;
+    }
+    seen.add(id);
+    chain.push(model);
+  }
+  return chain;
+}
+
+export function getRetryOptions(env) {
+  const retries = Number(env.UPSTREAM_RETRIES);
+  return {
+    retries: Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_RETRIES,
+    delayMs: Number(env.UPSTREAM_RETRY_DELAY_MS) || DEFAULT_RETRY_DELAY_MS,
+    timeoutMs: Number(env.UPSTREAM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+  };
+}
+
+export function isTransientStatus(status) {
+  return status >= 500;
+}
+
+// Exponential backoff with jitter: delay, 2 x delay, 4 x delay...
+export function backoff(attempt, delayMs) {
+  const delay = delayMs * 2 ** attempt * (0.5 + Math.random() / 2);
+  return new Promise(resolve => setTimeout(resolve, delay));
+}
@@ -0,0 +1,163 @@
+// Files API (/v1/files)
+// Uploads live in the FILES R2 bucket under a hash of the caller's API key, so
+// keys never reach storage and callers only see their own files. A file that a
+// chat or image edit request references by file_id is uploaded to 1min AI's
+// assets the first time each upstream account needs it; the asset is then
+// remembered next to the file so later references reuse it.
+import { hashApiKey } from './store.js';
+
+export const FILE_PURPOSES = ['assistants', 'batch', 'fine-tune', 'vision', 'user_data', 'evals'];
+// Purposes of files the gateway writes itself (batch results); listable but not uploadable
+export const OUTPUT_FILE_PURPOSES = ['batch_output'];
+export const MAX_FILE_BYTES = 50 * 1024 * 1024;
+
+export function isFileStorageConfigured(env) {
+  return Boolean(env.FILES);
+}
+
+async function fileKey(clientKey, fileId) {
+  return `files/${await hashApiKey(clientKey)}/${fileId}`;
+}
+
+// Upstream assets are per 1min AI account, so they are cached per upstream key
+async function assetKey(fileId, upstreamKey) {
+  return `assets/${fileId}/${await hashApiKey(upstreamKey)}`;
+}
+
+function generateFileId() {
+  return `file-${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+// The OpenAI file object for an R2 object (or its listing entry)
+function toFileObject(object) {
+  return {
+    id: object.key.split('/').pop(),
+    object: 'file',
+    bytes: object.size,
+    created_at: Number(object.customMetadata.created_at),
+    expires_at: null,
+    filename: object.customMetadata.filename,
+    purpose: object.customMetadata.purpose,
+    status: 'processed',
+    status_details: null
+  };
+}
+
+export function validateFileUpload(file, purpose) {
+  if (!file || typeof file !== 'object' || typeof file.arrayBuffer !== 'function') {
+    return { valid: false, error: 'Missing required parameter: file', param: 'file' };
+  }
+  if (file.size === 0) {
+    return { valid: false, error: 'file must not be empty', param: 'file' };
+  }
+  if (file.size > MAX_FILE_BYTES) {
+    return { valid: false, error: `file must be smaller than ${MAX_FILE_BYTES / 1024 / 1024} MB`, param: 'file' };
+  }
+  if (!FILE_PURPOSES.includes(purpose)) {
+    return { valid: false, error: `purpose must be one of: ${FILE_PURPOSES.join(', ')}`, param: 'purpose' };
+  }
+  return { valid: true };
+}
+
+// file gives the name and type; body defaults to the file itself and may be a
+// stream of known length (e.g. a FixedLengthStream) for content written as it goes
+export async function createFile(env, clientKey, file, purpose, body = file) {
+  const fileId = generateFileId();
+  const object = await env.FILES.put(await fileKey(clientKey, fileId), body, {
+    httpMetadata: { contentType: file.type || 'application/octet-stream' },
+    customMetadata: {
+      filename: file.name || 'upload',
+      purpose,
+      created_at: String(Math.floor(Date.now() / 1000))
+    }
+  });
+  return toFileObject(object);
+}
+
+// Every file of the caller, oldest first
+export async function listFiles(env, clientKey, purpose) {
+  const prefix = `files/${await hashApiKey(clientKey)}/`;
+  const objects = [];
+  let cursor;
+  do {
+    const page = await env.FILES.list({ prefix, cursor, include: ['customMetadata'] });
+    objects.push(...page.objects);
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+
+  // R2's upload time orders files created within the same second
+  return objects
+    .sort((a, b) => a.uploaded - b.uploaded)
+    .map(toFileObject)
+    .filter(file => !purpose || file.purpose === purpose);
+}
+
+export async function getFile(env, clientKey, fileId) {
+  const object = await env.FILES.head(await fileKey(clientKey, fileId));
+  return object ? toFileObject(object) : null;
+}
+
+// The R2 object with its body, or null
+export async function getFileContent(env, clientKey, fileId) {
+  return env.FILES.get(await fileKey(clientKey, fileId));
+}
+
+export async function deleteFile(env, clientKey, fileId) {
+  const key = await fileKey(clientKey, fileId);
+  if (!await env.FILES.head(key)) {
+    return false;
+  }
+
+  const assets = await env.FILES.list({ prefix: `assets/${fileId}/` });
+  await env.FILES.delete([key, ...assets.objects.map(object => object.key)]);
+  return true;
+}
+
+// A stored file shaped like an uploaded File (name, type, size, arrayBuffer),
+// so it can go wherever a multipart upload is accepted. Null when the caller
+// has no such file.
+export async function getStoredFile(env, clientKey, fileId) {
+  if (!isFileStorageConfigured(env) || typeof fileId !== 'string') {
+    return null;
+  }
+  const object = await env.FILES.head(await fileKey(clientKey, fileId));
+  if (!object) {
+    return null;
+  }
+  return {
+    ...toFileObject(object),
+    name: object.customMetadata.filename,
+    type: object.httpMetadata?.contentType || 'application/octet-stream',
+    size: object.size,
+    arrayBuffer: async () => (await getFileContent(env, clientKey, fileId)).arrayBuffer()
+  };
+}
+
+export function isStoredFile(file) {
+  return file?.object === 'file' && typeof file.id === 'string';
+}
+
+// The 1min AI asset a file was uploaded as through upstreamKey, or null
+export async function getFileAsset(env, fileId, upstreamKey) {
+  const object = await env.FILES.get(await assetKey(fileId, upstreamKey));
+  return object ? object.json() : null;
+}
+
+export async function saveFileAsset(env, fileId, upstreamKey, asset) {
+  await env.FILES.put(await assetKey(fileId, upstreamKey), JSON.stringify(asset), {
+    httpMetadata: { contentType: 'application/json' }
+  });
+}
+
+// What chats need to know about a file's content (image size, document pages
+// and text), stored next to its assets so the content is read only once
+export async function getFileDescription(env, fileId) {
+  const object = await env.FILES.get(`assets/${fileId}/description`);
+  return object ? object.json() : null;
+}
+
+export async function saveFileDescription(env, fileId, description) {
+  await env.FILES.put(`assets/${fileId}/description`, JSON.stringify(description), {
+    httpMetadata: { contentType: 'application/json' }
+  });
+}
@@ -0,0 +1,337 @@
+// Google Gemini generateContent compatibility
+// Gemini-style contents/parts requests are mapped onto the chat completion
+// pipeline and answered as candidates/usageMetadata responses.
+import { ERROR_CODES } from './errors.js';
+
+// Gemini accepts both camelCase and snake_case field names
+function pick(object, camelCase, snakeCase) {
+  return object?.[camelCase] ?? object?.[snakeCase];
+}
+
+export function getGeminiApiKey(request, url) {
+  const apiKey = request.headers.get('x-goog-api-key') || url.searchParams.get('key');
+  if (apiKey) {
+    return apiKey;
+  }
+
+  const authHeader = request.headers.get('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+
+  return null;
+}
+
+export function parseGeminiPath(pathname) {
+  const match = pathname.match(/^\/v1beta\/models\/(.+):(generateContent|streamGenerateContent)$/);
+  if (!match) {
+    return null;
+  }
+  return { model: decodeURIComponent(match[1]), stream: match[2] === 'streamGenerateContent' };
+}
+
+export function validateGeminiRequest(body) {
+  if (!Array.isArray(body.contents) || body.contents.length === 0) {
+    return { valid: false, error: '* GenerateContentRequest.contents: contents is not specified', param: 'contents' };
+  }
+  return { valid: true };
+}
+
+export function transformGeminiToChat(geminiBody, model, stream) {
+  const messages = [];
+
+  const systemInstruction = pick(geminiBody, 'systemInstruction', 'system_instruction');
+  const system = partsToText(systemInstruction?.parts);
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+
+  // Gemini function calls carry no ids, so responses are matched by name in order
+  const pendingCallIds = {};
+  let callCount = 0;
+
+  for (const content of geminiBody.contents) {
+    const parts = content.parts || [];
+
+    if (content.role === 'model') {
+      const text = partsToText(parts);
+      const toolCalls = parts
+        .map(part => pick(part, 'functionCall', 'function_call'))
+        .filter(Boolean)
+        .map(call => {
+          const id = call.id || `call_${callCount++}`;
+          (pendingCallIds[call.name] = pendingCallIds[call.name] || []).push(id);
+          return {
+            id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.args ?? {}) }
+          };
+        });
+      messages.push({ role: 'assistant', content: text || null, ...(toolCalls.length > 0 && { tool_calls: toolCalls }) });
+      continue;
+    }
+
+    const userParts = [];
+    for (const part of parts) {
+      const functionResponse = pick(part, 'functionResponse', 'function_response');
+      const inlineData = pick(part, 'inlineData', 'inline_data');
+      const fileData = pick(part, 'fileData', 'file_data');
+
+      if (functionResponse) {
+        const id = functionResponse.id || pendingCallIds[functionResponse.name]?.shift() || `call_${callCount++}`;
+        messages.push({
+          role: 'tool',
+          tool_call_id: id,
+          name: functionResponse.name,
+          content: JSON.stringify(functionResponse.response ?? {})
+        });
+      } else if (part.text !== undefined) {
+        userParts.push({ type: 'text', text: part.text });
+      } else if (inlineData && pick(inlineData, 'mimeType', 'mime_type')?.startsWith('image/')) {
+        userParts.push({
+          type: 'image_url',
+          image_url: { url: `data:${pick(inlineData, 'mimeType', 'mime_type')};base64,${inlineData.data}` }
+        });
+      } else if (fileData && pick(fileData, 'mimeType', 'mime_type')?.startsWith('image/')) {
+        userParts.push({ type: 'image_url', image_url: { url: pick(fileData, 'fileUri', 'file_uri') } });
+      }
+    }
+
+    if (userParts.length > 0) {
+      const onlyText = userParts.every(part => part.type === 'text');
+      messages.push({ role: 'user', content: onlyText ? userParts.map(part => part.text).join('') : userParts });
+    }
+  }
+
+  const generationConfig = pick(geminiBody, 'generationConfig', 'generation_config') || {};
+
+  return {
+    model,
+    messages,
+    stream,
+    temperature: generationConfig.temperature,
+    max_tokens: pick(generationConfig, 'maxOutputTokens', 'max_output_tokens'),
+    stop: pick(generationConfig, 'stopSequences', 'stop_sequences'),
+    response_format: transformResponseFormat(generationConfig),
+    tools: transformTools(geminiBody.tools),
+    tool_choice: transformToolConfig(pick(geminiBody, 'toolConfig', 'tool_config'))
+  };
+}
+
+function partsToText(parts) {
+  if (!Array.isArray(parts)) {
+    return '';
+  }
+  return parts
+    .filter(part => typeof part.text === 'string')
+    .map(part => part.text)
+    .join('');
+}
+
+function transformResponseFormat(generationConfig) {
+  const mimeType = pick(generationConfig, 'responseMimeType', 'response_mime_type');
+  const schema = pick(generationConfig, 'responseSchema', 'response_schema');
+
+  if (schema) {
+    return { type: 'json_schema', json_schema: { name: 'response', schema: transformSchema(schema) } };
+  }
+  if (mimeType === 'application/json') {
+    return { type: 'json_object' };
+  }
+  return undefined;
+}
+
+// Gemini schemas use OpenAPI-style upper-case types and a nullable flag
+export function transformSchema(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'type' && typeof value === 'string') {
+      result.type = value.toLowerCase();
+    } else if (key === 'properties') {
+      result.properties = Object.fromEntries(Object.entries(value).map(([name, property]) => [name, transformSchema(property)]));
+    } else if (key === 'items') {
+      result.items = transformSchema(value);
+    } else if (key === 'anyOf') {
+      result.anyOf = value.map(transformSchema);
+    } else if (key !== 'nullable' && key !== 'propertyOrdering' && key !== 'format') {
+      result[key] = value;
+    }
+  }
+
+  if (schema.nullable && result.type) {
+    result.type = [result.type, 'null'];
+  }
+
+  return result;
+}
+
+function transformTools(tools) {
+  if (!Array.isArray(tools)) {
+    return undefined;
+  }
+
+  const declarations = tools.flatMap(tool => pick(tool, 'functionDeclarations', 'function_declarations') || []);
+  if (declarations.length === 0) {
+    return undefined;
+  }
+
+  return declarations.map(declaration => ({
+    type: 'function',
+    function: {
+      name: declaration.name,
+      description: declaration.description,
+      parameters: transformSchema(declaration.parameters)
+    }
+  }));
+}
+
+function transformToolConfig(toolConfig) {
+  const config = pick(toolConfig, 'functionCallingConfig', 'function_calling_config');
+  const allowed = pick(config, 'allowedFunctionNames', 'allowed_function_names');
+
+  switch (config?.mode) {
+    case 'ANY':
+      return allowed?.length === 1 ? { type: 'function', function: { name: allowed[0] } } : 'required';
+    case 'NONE':
+      return 'none';
+    case 'AUTO':
+      return 'auto';
+    default:
+      return undefined;
+  }
+}
+
+function mapFinishReason(finishReason) {
+  return finishReason === 'length' ? 'MAX_TOKENS' : 'STOP';
+}
+
+function parseArgs(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+function transformUsage(usage) {
+  return {
+    promptTokenCount: usage?.prompt_tokens || 0,
+    candidatesTokenCount: usage?.completion_tokens || 0,
+    totalTokenCount: usage?.total_tokens || 0
+  };
+}
+
+export function transformChatToGemini(chatResponse, model) {
+  const choice = chatResponse.choices[0];
+  const parts = [];
+
+  if (choice.message.content) {
+    parts.push({ text: choice.message.content });
+  }
+  for (const toolCall of choice.message.tool_calls || []) {
+    parts.push({ functionCall: { name: toolCall.function.name, args: parseArgs(toolCall.function.arguments) } });
+  }
+
+  return {
+    candidates: [{
+      content: { role: 'model', parts },
+      finishReason: mapFinishReason(choice.finish_reason),
+      index: 0,
+      safetyRatings: []
+    }],
+    usageMetadata: transformUsage(chatResponse.usage),
+    modelVersion: model
+  };
+}
+
+// Translates chat.completion.chunk objects into streamed GenerateContentResponse
+// objects, sent as plain `data:` lines (alt=sse).
+export function createGeminiStreamTranslator(model) {
+  const toolCalls = [];
+  let finishReason = null;
+  let usage = null;
+
+  const candidateChunk = (parts, extra = {}) => ({
+    candidates: [{ content: { role: 'model', parts }, index: 0, ...extra }],
+    modelVersion: model
+  });
+
+  return {
+    encode(event) {
+      return `data: ${JSON.stringify(event)}\n\n`;
+    },
+
+    start() {
+      return [];
+    },
+
+    push(chatChunk) {
+      const events = [];
+      if (chatChunk.usage) {
+        usage = chatChunk.usage;
+      }
+
+      for (const choice of chatChunk.choices || []) {
+        const delta = choice.delta || {};
+        finishReason = choice.finish_reason || finishReason;
+
+        if (delta.content) {
+          events.push(candidateChunk([{ text: delta.content }]));
+        }
+
+        // Gemini sends function calls whole, so argument deltas are accumulated
+        for (const toolCallDelta of delta.tool_calls || []) {
+          const call = toolCalls[toolCallDelta.index] || (toolCalls[toolCallDelta.index] = { name: '', arguments: '' });
+          call.name += toolCallDelta.function?.name || '';
+          call.arguments += toolCallDelta.function?.arguments || '';
+        }
+      }
+
+      return events;
+    },
+
+    finish() {
+      const parts = toolCalls
+        .filter(Boolean)
+        .map(call => ({ functionCall: { name: call.name, args: parseArgs(call.arguments) } }));
+
+      return [{
+        ...candidateChunk(parts.length > 0 ? parts : [{ text: '' }], {
+          finishReason: mapFinishReason(finishReason),
+          safetyRatings: []
+        }),
+        usageMetadata: transformUsage(usage)
+      }];
+    },
+
+    fail(error) {
+      return [{ error: { code: 500, message: error.message, status: 'INTERNAL' } }];
+    }
+  };
+}
+
+const GEMINI_STATUS = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  429: 'RESOURCE_EXHAUSTED',
+  500: 'INTERNAL',
+  502: 'UNAVAILABLE',
+  503: 'UNAVAILABLE'
+};
+
+// Rewrap an OpenAI-style error body in Google's error envelope
+export function transformErrorToGemini(errorData, status) {
+  return {
+    error: {
+      code: status,
+      message: errorData?.error?.message || 'Unknown error',
+      status: GEMINI_STATUS[status] || (errorData?.error?.type === ERROR_CODES.INVALID_REQUEST_ERROR ? 'INVALID_ARGUMENT' : 'INTERNAL')
+    }
+  };
+}
@@ -0,0 +1,314 @@
+// Image generation (/v1/images/generations), edits and variations
+// OpenAI image parameters are mapped onto each provider's 1min AI promptObject:
+// DALL-E takes them as-is, Midjourney and Flux want aspect ratios, Leonardo and
+// Stability take width/height plus their own presets, styles and step counts.
+// Edits and variations upload the input image as a 1min AI asset and call the
+// matching editing feature. Every image in resultObject is returned, as a URL
+// or inlined as b64_json.
+import { bytesToBase64 } from './images.js';
+
+const DEFAULT_ASSET_URL = 'https://asset.1min.ai';
+const RESPONSE_FORMATS = ['url', 'b64_json'];
+const QUALITIES = ['standard', 'hd', 'auto', 'low', 'medium', 'high'];
+const STYLES = ['vivid', 'natural'];
+
+// Sizes for providers that take an aspect ratio instead of pixels
+const ASPECT_RATIOS = {
+  '1024x1024': '1:1',
+  '1792x1024': '16:9',
+  '1024x1792': '9:16',
+  '1344x768': '16:9',
+  '768x1344': '9:16',
+  '1216x832': '3:2',
+  '832x1216': '2:3',
+  '1152x896': '4:3',
+  '896x1152': '3:4'
+};
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const UPLOAD_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// /v1/images/edits operations, the 1min AI feature behind each and whether
+// they take a prompt and a mask
+export const EDIT_OPERATIONS = {
+  inpaint: { feature: 'IMAGE_EDITOR', prompt: true, mask: true },
+  replace_background: { feature: 'BACKGROUND_REPLACER', prompt: true },
+  remove_background: { feature: 'BACKGROUND_REMOVER' },
+  upscale: { feature: 'IMAGE_UPSCALER' }
+};
+
+const LEONARDO_PRESETS = { vivid: 'DYNAMIC', natural: 'PHOTOGRAPHY' };
+const STABILITY_STYLES = { vivid: 'enhance', natural: 'photographic' };
+
+function isHighQuality(body) {
+  return body.quality === 'hd' || body.quality === 'high';
+}
+
+function dimensionsOf(size) {
+  const [width, height] = size.split('x').map(Number);
+  return { width, height };
+}
+
+// Per provider: supported sizes, the most images per request and the promptObject
+const PROVIDERS = {
+  openai: {
+    sizes: ['1024x1024'],
+    maxImages: 10,
+    promptObject: body => ({
+      prompt: body.prompt,
+      n: body.n,
+      size: body.size,
+      quality: isHighQuality(body) ? 'hd' : 'standard',
+      style: body.style
+    })
+  },
+  midjourney: {
+    sizes: Object.keys(ASPECT_RATIOS),
+    // Midjourney always renders a grid of four
+    maxImages: 4,
+    promptObject: body => {
+      const [aspectWidth, aspectHeight] = ASPECT_RATIOS[body.size].split(':').map(Number);
+      return {
+        prompt: body.prompt,
+        mode: isHighQuality(body) ? 'fast' : 'relax',
+        aspect_width: aspectWidth,
+        aspect_height: aspectHeight,
+        no: body.negative_prompt,
+        seed: body.seed
+      };
+    }
+  },
+  leonardo: {
+    sizes: ['512x512', '768x768', '1024x1024', '1024x768', '768x1024', '1344x768', '768x1344', '1536x1536'],
+    maxImages: 8,
+    promptObject: body => ({
+      prompt: body.prompt,
+      n: body.n,
+      ...dimensionsOf(body.size),
+      negativePrompt: body.negative_prompt,
+      presetStyle: LEONARDO_PRESETS[body.style],
+      alchemy: isHighQuality(body),
+      seed: body.seed
+    })
+  },
+  stability: {
+    sizes: ['1024x1024', '1152x896', '896x1152', '1216x832', '832x1216', '1344x768', '768x1344', '1536x640', '640x1536'],
+    maxImages: 10,
+    promptObject: body => ({
+      prompt: body.prompt,
+      samples: body.n,
+      ...dimensionsOf(body.size),
+      negative_prompt: body.negative_prompt,
+      style_preset: STABILITY_STYLES[body.style],
+      steps: isHighQuality(body) ? 50 : 30,
+      seed: body.seed
+    })
+  },
+  'black-forest-labs': {
+    sizes: Object.keys(ASPECT_RATIOS),
+    maxImages: 4,
+    promptObject: (body, modelInfo) => ({
+      prompt: body.prompt,
+      num_outputs: body.n,
+      aspect_ratio: ASPECT_RATIOS[body.size],
+      // Schnell is distilled to a fixed four steps
+      num_inference_steps: modelInfo.name === 'flux-schnell' ? undefined : isHighQuality(body) ? 50 : 28,
+      output_format: 'png',
+      seed: body.seed
+    })
+  },
+  clipdrop: {
+    sizes: ['1024x1024'],
+    maxImages: 1,
+    promptObject: body => ({ prompt: body.prompt })
+  }
+};
+
+function getProvider(modelInfo) {
+  const provider = PROVIDERS[modelInfo.provider] || PROVIDERS.openai;
+  return {
+    ...provider,
+    sizes: modelInfo.sizes || provider.sizes,
+    maxImages: modelInfo.max_images || provider.maxImages
+  };
+}
+
+// Returns { valid, error, param }; on success `params` holds the body with defaults applied
+export function validateImageGenerationRequest(body, modelInfo) {
+  const provider = getProvider(modelInfo);
+  const params = { ...body, n: body.n ?? 1, size: body.size ?? provider.sizes[0] };
+
+  if (typeof body.prompt !== 'string' || !body.prompt) {
+    return { valid: false, error: 'Missing required parameter: prompt', param: 'prompt' };
+  }
+  if (!Number.isInteger(params.n) || params.n < 1 || params.n > provider.maxImages) {
+    return { valid: false, error: `n must be an integer between 1 and ${provider.maxImages} for this model`, param: 'n' };
+  }
+  if (!provider.sizes.includes(params.size)) {
+    return { valid: false, error: `size must be one of ${provider.sizes.join(', ')} for this model`, param: 'size' };
+  }
+  if (body.response_format !== undefined && !RESPONSE_FORMATS.includes(body.response_format)) {
+    return { valid: false, error: `response_format must be one of: ${RESPONSE_FORMATS.join(', ')}`, param: 'response_format' };
+  }
+  if (body.quality !== undefined && !QUALITIES.includes(body.quality)) {
+    return { valid: false, error: `quality must be one of: ${QUALITIES.join(', ')}`, param: 'quality' };
+  }
+  if (body.style !== undefined && !STYLES.includes(body.style)) {
+    return { valid: false, error: `style must be one of: ${STYLES.join(', ')}`, param: 'style' };
+  }
+  if (body.seed !== undefined && (!Number.isInteger(body.seed) || body.seed < 0)) {
+    return { valid: false, error: 'seed must be a non-negative integer', param: 'seed' };
+  }
+  if (body.negative_prompt !== undefined && typeof body.negative_prompt !== 'string') {
+    return { valid: false, error: 'negative_prompt must be a string', param: 'negative_prompt' };
+  }
+
+  return { valid: true, params };
+}
+
+// The 1min AI promptObject for validated params, without unset fields
+export function buildImagePromptObject(params, modelInfo) {
+  const promptObject = getProvider(modelInfo).promptObject(params, modelInfo);
+  return Object.fromEntries(Object.entries(promptObject).filter(([, value]) => value !== undefined));
+}
+
+// The fields of a multipart edit or variation request
+export function readImageForm(form) {
+  const field = name => {
+    const value = form.get(name);
+    return value === null || value === '' ? undefined : value;
+  };
+  const n = field('n');
+  return {
+    image: field('image') ?? field('image[]'),
+    mask: field('mask'),
+    prompt: field('prompt'),
+    model: field('model'),
+    n: n === undefined ? undefined : Number(n),
+    size: field('size'),
+    response_format: field('response_format'),
+    operation: field('operation')
+  };
+}
+
+function validateUpload(file, param) {
+  if (!file || typeof file !== 'object' || typeof file.arrayBuffer !== 'function') {
+    return { valid: false, error: `${param} must be an uploaded image file`, param };
+  }
+  if (!UPLOAD_TYPES.includes(file.type)) {
+    return { valid: false, error: `${param} must be a PNG, JPEG or WebP image`, param };
+  }
+  if (file.size > MAX_UPLOAD_BYTES) {
+    return { valid: false, error: `${param} must be smaller than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`, param };
+  }
+  return { valid: true };
+}
+
+// The first operation the model offers that fits the prompt and mask given
+function getDefaultOperation(modelInfo, params) {
+  return modelInfo.edits.find(operation => {
+    const spec = EDIT_OPERATIONS[operation];
+    return Boolean(params.prompt) === Boolean(spec.prompt) && (!params.mask || spec.mask);
+  });
+}
+
+// kind is 'edit' or 'variation'. On success `params` also carries the
+// operation and the 1min AI feature to call.
+export function validateImageEditRequest(params, modelInfo, kind) {
+  const imageValidation = validateUpload(params.image, 'image');
+  if (!imageValidation.valid) {
+    return imageValidation;
+  }
+
+  let operation = 'variation';
+  let feature = 'IMAGE_VARIATOR';
+  if (kind === 'variation') {
+    if (!modelInfo.variations) {
+      return { valid: false, error: `Model '${params.model}' does not support image variations`, param: 'model' };
+    }
+  } else {
+    if (!modelInfo.edits) {
+      return { valid: false, error: `Model '${params.model}' does not support image edits`, param: 'model' };
+    }
+    operation = params.operation ?? getDefaultOperation(modelInfo, params) ?? modelInfo.edits[0];
+    if (!modelInfo.edits.includes(operation)) {
+      return { valid: false, error: `operation must be one of ${modelInfo.edits.join(', ')} for this model`, param: 'operation' };
+    }
+    const spec = EDIT_OPERATIONS[operation];
+    if (spec.prompt && !params.prompt) {
+      return { valid: false, error: 'Missing required parameter: prompt', param: 'prompt' };
+    }
+    if (params.mask !== undefined) {
+      if (!spec.mask) {
+        return { valid: false, error: `operation ${operation} does not take a mask`, param: 'mask' };
+      }
+      const maskValidation = validateUpload(params.mask, 'mask');
+      if (!maskValidation.valid) {
+        return maskValidation;
+      }
+    }
+    feature = spec.feature;
+  }
+
+  // Background and upscaling tools return one image per input
+  const provider = getProvider(modelInfo);
+  const maxImages = ['inpaint', 'variation'].includes(operation) ? provider.maxImages : 1;
+  const n = params.n ?? 1;
+  if (!Number.isInteger(n) || n < 1 || n > maxImages) {
+    return { valid: false, error: `n must be an integer between 1 and ${maxImages} for this request`, param: 'n' };
+  }
+  if (params.size !== undefined && !provider.sizes.includes(params.size)) {
+    return { valid: false, error: `size must be one of ${provider.sizes.join(', ')} for this model`, param: 'size' };
+  }
+  if (params.response_format !== undefined && !RESPONSE_FORMATS.includes(params.response_format)) {
+    return { valid: false, error: `response_format must be one of: ${RESPONSE_FORMATS.join(', ')}`, param: 'response_format' };
+  }
+
+  return { valid: true, params: { ...params, n, operation, feature } };
+}
+
+// The 1min AI promptObject for an edit or variation of the uploaded image
+export function buildImageEditPromptObject(params, imageUrl, maskUrl) {
+  const multiple = ['inpaint', 'variation'].includes(params.operation);
+  const promptObject = {
+    imageUrl,
+    maskUrl,
+    prompt: EDIT_OPERATIONS[params.operation]?.prompt ? params.prompt : undefined,
+    n: multiple ? params.n : undefined,
+    size: params.size
+  };
+  return Object.fromEntries(Object.entries(promptObject).filter(([, value]) => value !== undefined));
+}
+
+// URLs of every generated file (images, speech). resultObject holds asset
+// paths; the one 1min AI signed is served through its temporaryUrl.
+export function getResultUrls(oneMinResponse, env) {
+  const temporaryUrl = oneMinResponse.temporaryUrl || oneMinResponse.aiRecord?.temporaryUrl;
+  const results = oneMinResponse.aiRecord?.aiRecordDetail?.resultObject || [];
+  const assetUrl = env.ONE_MIN_ASSET_URL || DEFAULT_ASSET_URL;
+
+  const urls = results.filter(result => typeof result === 'string').map(result => {
+    if (/^https?:\/\//.test(result)) {
+      return result;
+    }
+    return temporaryUrl?.includes(result) ? temporaryUrl : `${assetUrl}/${result.replace(/^\//, '')}`;
+  });
+  return urls.length > 0 ? urls : [temporaryUrl].filter(Boolean);
+}
+
+async function fetchImageBase64(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch generated image: ${response.status}`);
+  }
+  return bytesToBase64(new Uint8Array(await response.arrayBuffer()));
+}
+
+// OpenAI image objects for the generated URLs
+export async function formatImageResults(urls, params) {
+  const inline = params.response_format === 'b64_json';
+  return Promise.all(urls.map(async url => ({
+    ...(inline ? { b64_json: await fetchImageBase64(url) } : { url }),
+    revised_prompt: params.prompt
+  })));
+}
@@ -1,5 +1,12 @@
 // Image handling and multi-modal support
-import { handleInvalidRequest } from './errors.js';
+//
+// Image and file parts reach 1min AI as uploaded assets, which belong to the
+// account that uploaded them. processImageContent validates and decodes the
+// parts once per request; uploadContentAssets then uploads them with the
+// upstream key that actually sends the request.
+import { handleInvalidRequest, getUpstreamErrorMessage } from './errors.js';
+import { MAX_DOCUMENT_BYTES, getDocumentMimeType, validateDocument, describeDocument } from './documents.js';
+import { isFileStorageConfigured, getStoredFile, isStoredFile, getFileAsset, saveFileAsset, getFileDescription, saveFileDescription } from './files.js';
 
 export async function processImageContent(content, env) {
   if (typeof content === 'string') {
@@ -15,6 +22,8 @@ export async function processImageContent(content, env) {
       } else if (item.type === 'image_url') {
         const imageData = await processImageUrl(item.image_url, env);
         processedContent.push(imageData);
+      } else if (item.type === 'file') {
+        processedContent.push(await processFile(item.file || {}, env));
       }
     }
     
@@ -26,59 +35,336 @@ export async function processImageContent(content, env) {
 
 export async function processImageUrl(imageUrl, env) {
   const url = imageUrl.url;
+  let image;
   
   if (url.startsWith('data:image/')) {
     // Base64 encoded image
-    return await uploadBase64Image(url, env);
+    image = decodeBase64Image(url);
   } else if (url.startsWith('http://') || url.startsWith('https://')) {
     // External image URL
-    return await uploadExternalImage(url, env);
+    image = await fetchExternalImage(url);
   } else {
     throw new Error('Invalid image URL format');
   }
+
+  // Keep the requested detail level for token accounting
+  return { ...image, detail: imageUrl.detail || 'auto' };
 }
 
-export async function uploadBase64Image(dataUrl, env) {
-  try {
-    // Extract the base64 data and mime type
-    const matches = dataUrl.match(/^data:image\/([a-zA-Z]+);base64,(.+)$/);
-    if (!matches) {
-      throw new Error('Invalid base64 image format');
+// OpenAI file part: a file_id from the Files API, inline file_data (a data URL
+// or bare base64), or file_url for documents given by URL (Anthropic url sources).
+// env carries clientKey, whose files are visible.
+export async function processFile(file, env) {
+  if (file.file_id) {
+    return processStoredFile(file.file_id, env);
+  }
+
+  let document;
+  if (typeof file.file_data === 'string') {
+    const decoded = decodeDataUrl(file.file_data.startsWith('data:') ? file.file_data : `data:application/octet-stream;base64,${file.file_data}`);
+    if (!decoded) {
+      throw new Error('file_data must be base64 encoded');
     }
+    document = { ...decoded, filename: file.filename };
+  } else if (/^https?:\/\//.test(file.file_url || '')) {
+    document = await fetchDocument(file.file_url, file.filename);
+  } else {
+    throw new Error('file parts need file_data');
+  }
 
-    const [, mimeType, base64Data] = matches;
-    
-    // Upload to 1min AI assets endpoint
-    const uploadResponse = await fetch(`${env.ONE_MIN_API_URL}/api/assets`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'API-KEY': env.clientApiKey  // Use the client's API key passed from main handler
-      },
-      body: JSON.stringify({
-        type: 'image',
-        data: base64Data,
-        mimeType: `image/${mimeType}`
-      })
-    });
-
-    if (!uploadResponse.ok) {
-      throw new Error('Failed to upload image to 1min AI');
+  const validation = validateDocument(document.filename, document.mimeType, document.bytes.length);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+  const mimeType = getDocumentMimeType(document.filename, document.mimeType);
+
+  return {
+    type: 'document',
+    filename: document.filename || null,
+    mime_type: mimeType,
+    ...describeDocument(document.bytes, mimeType),
+    source: { kind: 'document', base64: document.base64, mimeType }
+  };
+}
+
+async function processStoredFile(fileId, env) {
+  if (!isFileStorageConfigured(env)) {
+    throw new Error('file_id references require file storage (FILES R2 binding)');
+  }
+  const stored = await getStoredFile(env, env.clientKey, fileId);
+  if (!stored) {
+    throw new Error(`No such file: ${fileId}`);
+  }
+
+  // Stored images are attached like image_url parts
+  if (stored.type.startsWith('image/')) {
+    const { width, height } = await describeStoredFile(stored, env, bytes => getImageDimensions(bytes) || {});
+    return { type: 'image', width, height, detail: 'auto', source: { kind: 'image', stored, mimeType: stored.type } };
+  }
+
+  const validation = validateDocument(stored.name, stored.type, stored.size);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+  const mimeType = getDocumentMimeType(stored.name, stored.type);
+  const description = await describeStoredFile(stored, env, bytes => describeDocument(bytes, mimeType));
+  return {
+    type: 'document',
+    filename: stored.name,
+    mime_type: mimeType,
+    size: description.size,
+    pages: description.pages,
+    text_content: description.text_content,
+    source: { kind: 'document', stored, mimeType }
+  };
+}
+
+// Read a Files API file once for what chats need to know about its content
+async function describeStoredFile(stored, env, describe) {
+  const cached = await getFileDescription(env, stored.id);
+  if (cached) {
+    return cached;
+  }
+
+  const description = describe(new Uint8Array(await stored.arrayBuffer()));
+  await saveFileDescription(env, stored.id, description);
+  return description;
+}
+
+// Upload the image and document parts prepared by processImageContent with
+// env.clientApiKey, the key sending the request. Assets are remembered per key
+// on the part, so a retry or failover uploads a part at most once per key.
+export async function uploadContentAssets(messages, env) {
+  const uploaded = [];
+  for (const message of messages) {
+    if (!Array.isArray(message.content) || !message.content.some(part => part?.source)) {
+      uploaded.push(message);
+      continue;
     }
 
-    const uploadResult = await uploadResponse.json();
+    const content = [];
+    for (const part of message.content) {
+      if (!part?.source) {
+        content.push(part);
+        continue;
+      }
+      const { source } = part;
+      source.assets ??= new Map();
+      if (!source.assets.has(env.clientApiKey)) {
+        source.assets.set(env.clientApiKey, source.stored
+          ? await uploadStoredFile(source.stored, env, source.kind, source.mimeType)
+          : await uploadAsset(source.base64, source.mimeType, env, source.kind));
+      }
+      const asset = source.assets.get(env.clientApiKey);
+      content.push({ ...part, asset_id: asset.id, url: asset.url });
+    }
+    uploaded.push({ ...message, content });
+  }
+  return uploaded;
+}
+
+// Upload a Files API file to 1min AI once per upstream key
+export async function uploadStoredFile(stored, env, type = 'image', mimeType = stored.type) {
+  const cached = await getFileAsset(env, stored.id, env.clientApiKey);
+  if (cached) {
+    return cached;
+  }
+
+  const bytes = new Uint8Array(await stored.arrayBuffer());
+  const uploadResult = await uploadAsset(bytesToBase64(bytes), mimeType, env, type);
+  const asset = { id: uploadResult.id, url: uploadResult.url };
+  await saveFileAsset(env, stored.id, env.clientApiKey, asset);
+  return asset;
+}
+
+// Documents given by URL are read up to MAX_DOCUMENT_BYTES: a larger declared
+// Content-Length is rejected up front, and the body is abandoned once it runs past it
+async function fetchDocument(url, filename) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch document from ${url}`);
+  }
+  const name = filename || new URL(url).pathname.split('/').pop();
+  const tooLarge = `${name || 'File'} is larger than ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB`;
+  if (Number(response.headers.get('content-length')) > MAX_DOCUMENT_BYTES) {
+    await response.body?.cancel();
+    throw new Error(tooLarge);
+  }
+
+  const bytes = await readBytes(response.body, MAX_DOCUMENT_BYTES);
+  if (!bytes) {
+    throw new Error(tooLarge);
+  }
+  return {
+    mimeType: response.headers.get('content-type'),
+    base64: bytesToBase64(bytes),
+    bytes,
+    filename: name
+  };
+}
+
+// The whole stream as bytes, or null (with the stream cancelled) past maxBytes
+async function readBytes(stream, maxBytes) {
+  const chunks = [];
+  let length = 0;
+  if (stream) {
+    const reader = stream.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      length += value.length;
+      if (length > maxBytes) {
+        await reader.cancel();
+        return null;
+      }
+      chunks.push(value);
+    }
+  }
+
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+export function decodeDataUrl(dataUrl) {
+  const matches = dataUrl.match(/^data:([^;,]+);base64,(.+)$/);
+  if (!matches) {
+    return null;
+  }
+
+  try {
+    const binary = atob(matches[2]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return { mimeType: matches[1], base64: matches[2], bytes };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Read width/height from PNG, GIF, JPEG or WebP headers
+export function getImageDimensions(bytes) {
+  if (!bytes || bytes.length < 30) {
+    return null;
+  }
+
+  const uint16BE = offset => (bytes[offset] << 8) | bytes[offset + 1];
+  const uint16LE = offset => bytes[offset] | (bytes[offset + 1] << 8);
+  const uint24LE = offset => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+  const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+  // PNG: IHDR chunk follows the 8-byte signature
+  if (bytes[0] === 0x89 && ascii(1, 3) === 'PNG') {
     return {
-      type: 'image',
-      asset_id: uploadResult.id,
-      url: uploadResult.url
+      width: ((bytes[16] << 24) | (bytes[17] << 16) | (bytes[18] << 8) | bytes[19]) >>> 0,
+      height: ((bytes[20] << 24) | (bytes[21] << 16) | (bytes[22] << 8) | bytes[23]) >>> 0
     };
-  } catch (error) {
-    console.error('Error uploading base64 image:', error);
+  }
+
+  if (ascii(0, 4) === 'GIF8') {
+    return { width: uint16LE(6), height: uint16LE(8) };
+  }
+
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+    const chunk = ascii(12, 4);
+    if (chunk === 'VP8 ') {
+      return { width: uint16LE(26) & 0x3fff, height: uint16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const [b0, b1, b2, b3] = bytes.subarray(21, 25);
+      return {
+        width: 1 + (((b1 & 0x3f) << 8) | b0),
+        height: 1 + (((b3 & 0x0f) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6))
+      };
+    }
+    if (chunk === 'VP8X') {
+      return { width: 1 + uint24LE(24), height: 1 + uint24LE(27) };
+    }
+    return null;
+  }
+
+  // JPEG: walk the segments until a start-of-frame marker
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xff) {
+        return null;
+      }
+      const marker = bytes[offset + 1];
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+      if (isStartOfFrame) {
+        return { height: uint16BE(offset + 5), width: uint16BE(offset + 7) };
+      }
+      offset += 2 + uint16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+export function bytesToBase64(bytes) {
+  let binary = '';
+  // Chunked so large images do not overflow the argument list
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Upload to 1min AI assets endpoint. Returns { id, url }.
+// Rejections carry the upstream status and body so the key pool can judge them.
+export async function uploadAsset(base64Data, mimeType, env, type = 'image') {
+  const uploadResponse = await fetch(`${env.ONE_MIN_API_URL}/api/assets`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'API-KEY': env.clientApiKey  // The upstream key that sends the request
+    },
+    body: JSON.stringify({
+      type,
+      data: base64Data,
+      mimeType
+    })
+  });
+
+  if (!uploadResponse.ok) {
+    const errorText = await uploadResponse.text();
+    const error = new Error(`Failed to upload ${type} to 1min AI: ${getUpstreamErrorMessage(errorText) || uploadResponse.status}`);
+    error.status = uploadResponse.status;
+    error.errorText = errorText;
+    throw error;
+  }
+
+  return uploadResponse.json();
+}
+
+function decodeBase64Image(dataUrl) {
+  // Extract the base64 data and mime type
+  const matches = dataUrl.match(/^data:image\/([a-zA-Z]+);base64,(.+)$/);
+  const decoded = matches && decodeDataUrl(dataUrl);
+  if (!decoded) {
     throw new Error('Failed to process image upload');
   }
+
+  const [, mimeType, base64Data] = matches;
+  const dimensions = getImageDimensions(decoded.bytes);
+  return {
+    type: 'image',
+    width: dimensions?.width,
+    height: dimensions?.height,
+    source: { kind: 'image', base64: base64Data, mimeType: `image/${mimeType}` }
+  };
 }
 
-export async function uploadExternalImage(imageUrl, env) {
+async function fetchExternalImage(imageUrl) {
   try {
     // Fetch the external image
     const imageResponse = await fetch(imageUrl);
@@ -87,39 +373,32 @@ export async function uploadExternalImage(imageUrl, env) {
     }
 
     const imageBuffer = await imageResponse.arrayBuffer();
-    const base64Data = btoa(String.fromCharCode(...new Uint8Array(imageBuffer)));
+    const base64Data = bytesToBase64(new Uint8Array(imageBuffer));
     const contentType = imageResponse.headers.get('content-type') || 'image/jpeg';
+    const dimensions = getImageDimensions(new Uint8Array(imageBuffer));
 
-    // Upload to 1min AI assets endpoint
-    const uploadResponse = await fetch(`${env.ONE_MIN_API_URL}/api/assets`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'API-KEY': env.clientApiKey  // Use the client's API key passed from main handler
-      },
-      body: JSON.stringify({
-        type: 'image',
-        data: base64Data,
-        mimeType: contentType
-      })
-    });
-
-    if (!uploadResponse.ok) {
-      throw new Error('Failed to upload image to 1min AI');
-    }
-
-    const uploadResult = await uploadResponse.json();
     return {
       type: 'image',
-      asset_id: uploadResult.id,
-      url: uploadResult.url
+      width: dimensions?.width,
+      height: dimensions?.height,
+      source: { kind: 'image', base64: base64Data, mimeType: contentType }
     };
   } catch (error) {
-    console.error('Error uploading external image:', error);
+    console.error('Error fetching external image:', error);
     throw new Error('Failed to process external image');
   }
 }
 
+// A file from a multipart upload (/v1/images/edits, /v1/audio/transcriptions...)
+// or a Files API file from getStoredFile
+export async function uploadFile(file, env, type = 'image', mimeType = file.type) {
+  if (isStoredFile(file)) {
+    return uploadStoredFile(file, env, type, mimeType);
+  }
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  return uploadAsset(bytesToBase64(bytes), mimeType, env, type);
+}
+
 export function hasImageContent(messages) {
   return messages.some(message => {
     if (Array.isArray(message.content)) {
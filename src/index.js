@@ -1,7 +1,44 @@
-import { formatModelsForOpenAI, validateModel, isVisionModel, isImageGenerationModel } from './models.js';
-import { handleAuthenticationError, handleMissingApiKey, handleInvalidModel, handleInvalidRequest, handleUpstreamError, handleInternalError } from './errors.js';
-import { processImageContent, validateImageSupport, hasImageContent } from './images.js';
-import { calculatePromptTokens, calculateCompletionTokens, createUsageObject } from './tokens.js';
+import { formatModelsForOpenAI, getModelForOpenAI, validateModel, getModelInfo, isVisionModel, isImageGenerationModel, isChatModel, isEmbeddingModel } from './models.js';
+import { ERROR_CODES, createErrorResponse, handleMissingApiKey, handleInvalidModel, handleInvalidRequest, handleNotFoundError, handleUpstreamError, handleUpstreamResponseError, handleResponseFormatError, handleToolChoiceError, handleContextLengthError, handleInternalError } from './errors.js';
+import { processImageContent, uploadContentAssets, validateImageSupport, hasImageContent, uploadFile } from './images.js';
+import { calculatePromptTokens, calculateCompletionTokens, createUsageObject, getUpstreamUsage } from './tokens.js';
+import { getResponseFormat, validateResponseFormat, applyResponseFormatPrompt, buildRetryPrompt, checkStructuredOutput } from './structured.js';
+import { transformResponsesToChat, transformChatToResponses, createResponsesStreamTranslator, normalizeInputItems, paginateItems } from './responses.js';
+import { getAnthropicApiKey, validateAnthropicRequest, transformAnthropicToChat, transformChatToAnthropic, createAnthropicStreamTranslator, transformErrorToAnthropic } from './anthropic.js';
+import { getGeminiApiKey, parseGeminiPath, validateGeminiRequest, transformGeminiToChat, transformChatToGemini, createGeminiStreamTranslator, transformErrorToGemini } from './gemini.js';
+import { COMPLETION_CONCURRENCY, validateCompletionRequest, transformCompletionToChat, transformChatToCompletion, createCompletionStreamTranslator } from './completions.js';
+import { validateEmbeddingRequest, isEmbeddingProviderConfigured, createEmbeddings, formatEmbeddingResponse } from './embeddings.js';
+import { validateImageGenerationRequest, buildImagePromptObject, readImageForm, validateImageEditRequest, buildImageEditPromptObject, getResultUrls, formatImageResults } from './imagegen.js';
+import { TRANSCRIPTION_FEATURES, SPEECH_FEATURE, SPEECH_CONTENT_TYPES, readAudioForm, getAudioMimeType, validateTranscriptionRequest, buildTranscriptionPromptObject, parseTranscript, formatTranscript, validateSpeechRequest, buildSpeechPromptObject } from './audio.js';
+import { FILE_PURPOSES, OUTPUT_FILE_PURPOSES, isFileStorageConfigured, validateFileUpload, createFile, listFiles, getFile, getFileContent, deleteFile, getStoredFile } from './files.js';
+import { isBatchConfigured, getBatchRunner, validateBatchRequest, setBatchRequestHandler } from './batches.js';
+import { isStorageConfigured, saveResponse, getStoredResponse, deleteStoredResponse } from './store.js';
+import { authenticate } from './keys.js';
+import { handleAdminRequest } from './admin.js';
+import { loadModelCatalog, syncModelCatalog } from './catalog.js';
+import { loadRoutingRules, routeModel } from './routing.js';
+import { checkRateLimit, recordTokenUsage } from './ratelimit.js';
+import { preferUpstreamKey, classifyUpstreamFailure, markUpstreamFailure } from './pool.js';
+import { validateFallbackModels, getModelChain, getRetryOptions, isTransientStatus, backoff, FALLBACK_HEADER } from './fallback.js';
+import { findConversation, prepareConversation, rememberConversation, renderChatTemplate } from './conversation.js';
+import { getContextOptions, validateContextOptions, fitToContextWindow, buildSummaryMessages, SUMMARY_MAX_TOKENS } from './context.js';
+import { validateStopSequences, normalizeStopSequences, truncateAtStop, createStopFilter } from './stop.js';
+import { hasToolDefinitions, getToolNames, validateTools, validateToolChoice, getRequiredToolNames, checkToolChoice, buildToolChoiceRetryPrompt, applyToolPrompt, parseToolCalls, createToolStreamFilter, createToolCallDeltas } from './tools.js';
+
+// Durable Object classes must be exported from the Worker entry point
+export { RateLimiter } from './ratelimit.js';
+export { BatchRunner } from './batches.js';
+
+// Batch lines run inside the BatchRunner Durable Object, outside of fetch
+setBatchRequestHandler(async (body, auth, env) => {
+  const stopValidation = validateStopSequences(body.stop);
+  if (!stopValidation.valid) {
+    return handleInvalidRequest(stopValidation.error, 'stop');
+  }
+  await loadModelCatalog(env);
+  await loadRoutingRules(env);
+  return processChatCompletion(body, auth, env, getContextOptions({ headers: new Headers() }, body));
+});
 
 export default {
   async fetch(request, env, ctx) {
@@ -12,51 +49,169 @@ export default {
     }
 
     try {
+      await loadModelCatalog(env);
+      await loadRoutingRules(env);
+
       switch (url.pathname) {
         case '/v1/chat/completions':
-          return handleChatCompletions(request, env);
+          return withAuth(request, env, getBearerKey(request), auth => handleChatCompletions(request, env, auth));
+        case '/v1/completions':
+          return withAuth(request, env, getBearerKey(request), auth => handleCompletions(request, env, auth));
         case '/v1/responses':
-          return handleResponses(request, env);
+          return withAuth(request, env, getBearerKey(request), auth => handleResponses(request, env, auth));
+        case '/v1/messages':
+          // Anthropic clients send x-api-key, but Bearer is accepted too
+          return withAuth(request, env, getAnthropicApiKey(request), auth => handleAnthropicMessages(request, env, auth), {
+            toError: toAnthropicError
+          });
         case '/v1/models':
-          return handleModels(env);
+          return handleModels(url);
+        case '/v1/embeddings':
+          return withAuth(request, env, getBearerKey(request), auth => handleEmbeddings(request, env, auth));
         case '/v1/images/generations':
-          return handleImageGeneration(request, env);
+          return withAuth(request, env, getBearerKey(request), auth => handleImageGeneration(request, env, auth));
+        case '/v1/images/edits':
+          return withAuth(request, env, getBearerKey(request), auth => handleImageEdit(request, env, auth, 'edit'));
+        case '/v1/images/variations':
+          return withAuth(request, env, getBearerKey(request), auth => handleImageEdit(request, env, auth, 'variation'));
+        case '/v1/audio/transcriptions':
+          return withAuth(request, env, getBearerKey(request), auth => handleTranscription(request, env, auth, 'transcribe'));
+        case '/v1/audio/translations':
+          return withAuth(request, env, getBearerKey(request), auth => handleTranscription(request, env, auth, 'translate'));
+        case '/v1/audio/speech':
+          return withAuth(request, env, getBearerKey(request), auth => handleSpeech(request, env, auth));
+        case '/v1/files':
+          return withAuth(request, env, getBearerKey(request), auth => handleFiles(request, env, url, auth), {
+            rateLimited: false
+          });
+        case '/v1/batches':
+          return withAuth(request, env, getBearerKey(request), auth => handleBatches(request, env, url, auth), {
+            rateLimited: false
+          });
         case '/health':
         case '/':
           return new Response('OK', { status: 200 });
-        default:
+        default: {
+          if (url.pathname.startsWith('/admin/')) {
+            return handleAdminRequest(request, env, url);
+          }
+
+          const modelMatch = url.pathname.match(/^\/v1\/models\/(.+)$/);
+          if (modelMatch) {
+            return handleModel(decodeURIComponent(modelMatch[1]));
+          }
+
+          const responseMatch = url.pathname.match(/^\/v1\/responses\/([^/]+)(\/input_items)?$/);
+          if (responseMatch) {
+            return withAuth(request, env, getBearerKey(request), auth => handleStoredResponse(request, env, url, responseMatch[1], Boolean(responseMatch[2]), auth), {
+              rateLimited: false
+            });
+          }
+
+          const fileMatch = url.pathname.match(/^\/v1\/files\/([^/]+)(\/content)?$/);
+          if (fileMatch) {
+            return withAuth(request, env, getBearerKey(request), auth => handleStoredFile(request, env, fileMatch[1], Boolean(fileMatch[2]), auth), {
+              rateLimited: false
+            });
+          }
+
+          const batchMatch = url.pathname.match(/^\/v1\/batches\/([^/]+)(\/cancel)?$/);
+          if (batchMatch) {
+            return withAuth(request, env, getBearerKey(request), auth => handleBatch(request, env, batchMatch[1], Boolean(batchMatch[2]), auth), {
+              rateLimited: false
+            });
+          }
+
+          const geminiRoute = parseGeminiPath(url.pathname);
+          if (geminiRoute && request.method === 'POST') {
+            // Gemini clients send x-goog-api-key or ?key=
+            return withAuth(request, env, getGeminiApiKey(request, url), auth => handleGeminiGenerateContent(request, env, url, geminiRoute, auth), {
+              toError: toGeminiError
+            });
+          }
+
           return new Response(JSON.stringify({ error: { message: 'Not Found', type: 'not_found_error' } }), {
             status: 404,
             headers: { 'Content-Type': 'application/json' }
           });
+        }
       }
     } catch (error) {
       return handleInternalError(error);
     }
+  },
+
+  // Cron Trigger: refresh the model catalog from 1min AI
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(syncModelCatalog(env).catch(error => console.error('Model catalog sync failed:', error)));
   }
 };
 
+function getBearerKey(request) {
+  const authHeader = request.headers.get('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.substring(7);
+}
+
+// Authenticate the caller and apply its rate limits before running the handler.
+// Rate limit headers are added to every response, 429s included.
+async function withAuth(request, env, clientKey, handler, { toError = response => response, rateLimited = true } = {}) {
+  if (!clientKey) {
+    return toError(handleMissingApiKey());
+  }
+
+  const auth = await authenticate(clientKey, env);
+  if (auth.error) {
+    return toError(auth.error);
+  }
+
+  const limit = rateLimited ? await checkRateLimit(env, auth) : { headers: {} };
+  const response = limit.error ? await toError(limit.error) : await handler(auth);
+
+  if (Object.keys(limit.headers).length === 0) {
+    return response;
+  }
+  const limited = new Response(response.body, response);
+  for (const [name, value] of Object.entries(limit.headers)) {
+    limited.headers.set(name, value);
+  }
+  return limited;
+}
+
 function handleCORS() {
   return new Response(null, {
     status: 204,
     headers: {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key, anthropic-version, x-goog-api-key, x-context-strategy, x-context-keep-last',
+      'Access-Control-Expose-Headers': 'x-ratelimit-limit-requests, x-ratelimit-limit-tokens, x-ratelimit-remaining-requests, x-ratelimit-remaining-tokens, x-ratelimit-reset-requests, x-ratelimit-reset-tokens, retry-after, x-gateway-fallback',
       'Access-Control-Max-Age': '86400',
     }
   });
 }
 
-async function handleChatCompletions(request, env) {
-  // Authentication
-  const authHeader = request.headers.get('Authorization');
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return handleMissingApiKey();
+async function handleChatCompletions(request, env, auth) {
+  // Parse request body
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return handleInvalidRequest('Invalid JSON in request body');
   }
 
-  const apiKey = authHeader.substring(7);
+  // Other APIs translated into chat completions have stop limits of their own
+  const stopValidation = validateStopSequences(body.stop);
+  if (!stopValidation.valid) {
+    return handleInvalidRequest(stopValidation.error, 'stop');
+  }
 
+  return processChatCompletion(body, auth, env, getContextOptions(request, body));
+}
+
+async function handleCompletions(request, env, auth) {
   // Parse request body
   let body;
   try {
@@ -65,17 +220,61 @@ async function handleChatCompletions(request, env) {
     return handleInvalidRequest('Invalid JSON in request body');
   }
 
-  return processChatCompletion(body, apiKey, env);
-}
+  const validation = validateCompletionRequest(body);
+  if (!validation.valid) {
+    return handleInvalidRequest(validation.error, validation.param);
+  }
 
-async function handleResponses(request, env) {
-  // Authentication
-  const authHeader = request.headers.get('Authorization');
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return handleMissingApiKey();
+  const { prompts, n } = validation;
+  const contextOptions = getContextOptions(request, body);
+
+  if (body.stream) {
+    const chatResponse = await processChatCompletion(transformCompletionToChat(body, prompts[0]), auth, env, contextOptions);
+    if (!chatResponse.ok) {
+      return chatResponse;
+    }
+    return handleTranslatedStreaming(chatResponse, createCompletionStreamTranslator(body, prompts[0]));
+  }
+
+  // One chat completion per prompt and per requested choice. withAuth counted
+  // the first against the rate limits; the others are charged here.
+  const calls = prompts.flatMap(prompt => Array.from({ length: n }, () => prompt));
+  if (calls.length > 1) {
+    const limit = await checkRateLimit(env, auth, calls.length - 1);
+    if (limit.error) {
+      return limit.error;
+    }
   }
 
-  const apiKey = authHeader.substring(7);
+  const chatResponses = await mapConcurrently(calls, COMPLETION_CONCURRENCY,
+    prompt => processChatCompletion(transformCompletionToChat(body, prompt), auth, env, contextOptions));
+
+  const failed = chatResponses.find(response => !response.ok);
+  if (failed) {
+    return failed;
+  }
+
+  const chatData = await Promise.all(chatResponses.map(response => response.json()));
+  return withHeaders(jsonResponse(transformChatToCompletion(chatData, body, prompts, n)), fallbackHeadersOf(chatResponses[0]));
+}
+
+// Results of fn over items in order, with at most limit calls running at once
+async function mapConcurrently(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function handleResponses(request, env, auth) {
+  // Stored responses belong to the caller's own key, not the upstream key
+  const { clientKey } = auth;
 
   // Parse request body
   let body;
@@ -85,26 +284,252 @@ async function handleResponses(request, env) {
     return handleInvalidRequest('Invalid JSON in request body');
   }
 
+  // Rebuild the conversation from the stored chain
+  let previous = null;
+  if (body.previous_response_id) {
+    if (!isStorageConfigured(env)) {
+      return handleInvalidRequest('previous_response_id requires response storage (CACHE KV binding)', 'previous_response_id');
+    }
+    previous = await getStoredResponse(env, clientKey, body.previous_response_id);
+    if (!previous) {
+      return handleNotFoundError(`Previous response with id '${body.previous_response_id}' not found.`, 'previous_response_id');
+    }
+  }
+
+  const inputItems = normalizeInputItems(body.input);
+  const conversation = [...(previous?.conversation || []), ...inputItems];
+
   // Transform Responses to Chat format
-  const chatBody = transformResponsesToChat(body);
+  const chatBody = transformResponsesToChat({ ...body, input: conversation });
 
   // Process as chat completion but intercept the response to transform back
-  const chatResponse = await processChatCompletion(chatBody, apiKey, env);
+  const chatResponse = await processChatCompletion(chatBody, auth, env, getContextOptions(request, body));
 
   if (!chatResponse.ok) {
     return chatResponse;
   }
 
+  const persist = response => storeResponse(env, clientKey, body, response, inputItems, conversation);
+
   // If it's a streaming response, we need a different kind of transformation
   if (chatBody.stream) {
-    return handleResponsesStreaming(chatResponse);
+    return handleResponsesStreaming(chatResponse, body, persist);
   }
 
   // For non-streaming, transform the final JSON
   const chatData = await chatResponse.json();
-  const responsesData = transformChatToResponses(chatData);
+  const responsesData = transformChatToResponses(chatData, body);
+  await persist(responsesData);
 
   return new Response(JSON.stringify(responsesData), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      ...fallbackHeadersOf(chatResponse)
+    }
+  });
+}
+
+async function storeResponse(env, apiKey, body, response, inputItems, conversation) {
+  if (body.store === false || !isStorageConfigured(env)) {
+    return;
+  }
+
+  try {
+    await saveResponse(env, apiKey, {
+      response,
+      input_items: inputItems,
+      conversation: [...conversation, ...response.output]
+    });
+  } catch (error) {
+    console.error('Failed to store response:', error);
+  }
+}
+
+async function handleStoredResponse(request, env, url, responseId, inputItems, auth) {
+  const { clientKey } = auth;
+
+  if (!isStorageConfigured(env)) {
+    return handleNotFoundError(`Response with id '${responseId}' not found.`);
+  }
+
+  if (request.method === 'DELETE' && !inputItems) {
+    const deleted = await deleteStoredResponse(env, clientKey, responseId);
+    if (!deleted) {
+      return handleNotFoundError(`Response with id '${responseId}' not found.`);
+    }
+    return jsonResponse({ id: responseId, object: 'response', deleted: true });
+  }
+
+  if (request.method !== 'GET') {
+    return handleInvalidRequest(`Method ${request.method} not allowed`);
+  }
+
+  const record = await getStoredResponse(env, clientKey, responseId);
+  if (!record) {
+    return handleNotFoundError(`Response with id '${responseId}' not found.`);
+  }
+
+  if (inputItems) {
+    return jsonResponse(paginateItems(record.input_items, url.searchParams));
+  }
+
+  return jsonResponse(record.response);
+}
+
+// POST /v1/files uploads a file, GET lists the caller's files
+async function handleFiles(request, env, url, auth) {
+  if (!isFileStorageConfigured(env)) {
+    return handleInvalidRequest('The Files API requires file storage (FILES R2 binding)');
+  }
+
+  if (request.method === 'GET') {
+    const purpose = url.searchParams.get('purpose');
+    const purposes = [...FILE_PURPOSES, ...OUTPUT_FILE_PURPOSES];
+    if (purpose && !purposes.includes(purpose)) {
+      return handleInvalidRequest(`purpose must be one of: ${purposes.join(', ')}`, 'purpose');
+    }
+    return jsonResponse(paginateItems(await listFiles(env, auth.clientKey, purpose), url.searchParams));
+  }
+
+  if (request.method !== 'POST') {
+    return handleInvalidRequest(`Method ${request.method} not allowed`);
+  }
+  if (!(request.headers.get('Content-Type') || '').includes('multipart/form-data')) {
+    return handleInvalidRequest('Request body must be multipart/form-data');
+  }
+
+  let form;
+  try {
+    form = await request.formData();
+  } catch (error) {
+    return handleInvalidRequest('Invalid multipart/form-data body');
+  }
+
+  const file = form.get('file');
+  const purpose = form.get('purpose');
+  const validation = validateFileUpload(file, purpose);
+  if (!validation.valid) {
+    return handleInvalidRequest(validation.error, validation.param);
+  }
+
+  return jsonResponse(await createFile(env, auth.clientKey, file, purpose));
+}
+
+async function handleStoredFile(request, env, fileId, content, auth) {
+  const { clientKey } = auth;
+
+  if (!isFileStorageConfigured(env)) {
+    return handleNotFoundError(`No such File object: ${fileId}`);
+  }
+
+  if (request.method === 'DELETE' && !content) {
+    const deleted = await deleteFile(env, clientKey, fileId);
+    if (!deleted) {
+      return handleNotFoundError(`No such File object: ${fileId}`);
+    }
+    return jsonResponse({ id: fileId, object: 'file', deleted: true });
+  }
+
+  if (request.method !== 'GET') {
+    return handleInvalidRequest(`Method ${request.method} not allowed`);
+  }
+
+  if (content) {
+    const object = await getFileContent(env, clientKey, fileId);
+    if (!object) {
+      return handleNotFoundError(`No such File object: ${fileId}`);
+    }
+    return new Response(object.body, {
+      headers: {
+        'Content-Type': object.httpMetadata?.contentType || 'application/octet-stream',
+        'Content-Length': String(object.size),
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  }
+
+  const file = await getFile(env, clientKey, fileId);
+  if (!file) {
+    return handleNotFoundError(`No such File object: ${fileId}`);
+  }
+  return jsonResponse(file);
+}
+
+// POST /v1/batches creates a batch from an uploaded JSONL file, GET lists the caller's batches
+async function handleBatches(request, env, url, auth) {
+  if (!isBatchConfigured(env)) {
+    return handleInvalidRequest('The Batch API requires file storage (FILES R2 binding) and the BATCH_RUNNER Durable Object');
+  }
+
+  const runner = await getBatchRunner(env, auth.clientKey);
+  if (request.method === 'GET') {
+    return jsonResponse(paginateItems(await runner.list(auth), url.searchParams));
+  }
+  if (request.method !== 'POST') {
+    return handleInvalidRequest(`Method ${request.method} not allowed`);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return handleInvalidRequest('Invalid JSON in request body');
+  }
+
+  const validation = validateBatchRequest(body);
+  if (!validation.valid) {
+    return handleInvalidRequest(validation.error, validation.param);
+  }
+
+  // Polling is free, but creating a batch counts as a request, so a key over
+  // its limits or token budget is turned away before any work is queued
+  const limit = await checkRateLimit(env, auth);
+  if (limit.error) {
+    return limit.error;
+  }
+
+  const result = await runner.create(auth, body);
+  if (result.error) {
+    return handleInvalidRequest(result.error.message, result.error.param);
+  }
+  return jsonResponse(result.batch);
+}
+
+// GET /v1/batches/{id} retrieves a batch, POST /v1/batches/{id}/cancel cancels it
+async function handleBatch(request, env, batchId, cancel, auth) {
+  if (!isBatchConfigured(env)) {
+    return handleNotFoundError(`No such Batch object: ${batchId}`);
+  }
+
+  const runner = await getBatchRunner(env, auth.clientKey);
+  if (cancel) {
+    if (request.method !== 'POST') {
+      return handleInvalidRequest(`Method ${request.method} not allowed`);
+    }
+    const result = await runner.cancel(auth, batchId);
+    if (result.error) {
+      return handleInvalidRequest(result.error.message);
+    }
+    if (!result.batch) {
+      return handleNotFoundError(`No such Batch object: ${batchId}`);
+    }
+    return jsonResponse(result.batch);
+  }
+
+  if (request.method !== 'GET') {
+    return handleInvalidRequest(`Method ${request.method} not allowed`);
+  }
+  const batch = await runner.get(auth, batchId);
+  if (!batch) {
+    return handleNotFoundError(`No such Batch object: ${batchId}`);
+  }
+  return jsonResponse(batch);
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*'
@@ -112,7 +537,7 @@ async function handleResponses(request, env) {
   });
 }
 
-async function processChatCompletion(body, apiKey, env) {
+async function processChatCompletion(body, auth, env, contextOptions) {
   // Validate required fields
   if (!body.messages || !Array.isArray(body.messages)) {
     return handleInvalidRequest('Missing required parameter: messages', 'messages');
@@ -122,109 +547,403 @@ async function processChatCompletion(body, apiKey, env) {
     return handleInvalidRequest('Messages array cannot be empty', 'messages');
   }
 
+  // Apply routing rules before anything looks at the model or its fallbacks
+  body = { ...body, model: routeModel(body.model, auth) };
+  if (Array.isArray(body.models)) {
+    body.models = body.models.map(model => routeModel(model, auth));
+  }
+
   // Validate model
   const modelValidation = validateModel(body.model);
-  if (!modelValidation.valid) {
+  if (!modelValidation.valid || !isChatModel(body.model)) {
     return handleInvalidModel(body.model);
   }
 
+  // Validate fallback models
+  const fallbackValidation = validateFallbackModels(body.models);
+  if (!fallbackValidation.valid) {
+    return handleInvalidRequest(fallbackValidation.error, 'models');
+  }
+
   // Validate image support
   const imageValidation = validateImageSupport(body.model, body.messages, isVisionModel);
   if (!imageValidation.valid) {
     return handleInvalidRequest(imageValidation.error, 'model');
   }
+  const modelChain = getModelChain(body, env, hasImageContent(body.messages));
+
+  // Validate tool definitions
+  const toolValidation = validateTools(body.tools);
+  if (!toolValidation.valid) {
+    return handleInvalidRequest(toolValidation.error, 'tools');
+  }
+  const toolChoiceValidation = validateToolChoice(body.tool_choice, body.tools);
+  if (!toolChoiceValidation.valid) {
+    return handleInvalidRequest(toolChoiceValidation.error, 'tool_choice');
+  }
+
+  // Validate structured output request
+  const responseFormat = getResponseFormat(body.response_format);
+  const formatValidation = validateResponseFormat(responseFormat);
+  if (!formatValidation.valid) {
+    return handleInvalidRequest(formatValidation.error, 'response_format');
+  }
+
+  // Validate context window options
+  const contextValidation = validateContextOptions(contextOptions);
+  if (!contextValidation.valid) {
+    return handleInvalidRequest(contextValidation.error, contextValidation.param);
+  }
 
-  // Process images if present
+  // Read images and documents if present; they are uploaded once a key is picked
   try {
     for (const message of body.messages) {
       if (Array.isArray(message.content)) {
-        const envWithClientKey = { ...env, clientApiKey: apiKey };
-        message.content = await processImageContent(message.content, envWithClientKey);
+        // clientKey scopes file_id lookups to the caller's own files
+        message.content = await processImageContent(message.content, { ...env, clientKey: auth.clientKey });
       }
     }
   } catch (error) {
-    return handleInvalidRequest(`Image processing failed: ${error.message}`);
+    return handleInvalidRequest(`Content processing failed: ${error.message}`);
   }
 
-  // Calculate prompt tokens
-  const promptTokens = calculatePromptTokens(body.messages);
+  // Emulate tool calling: describe tools in the prompt and flatten tool turns
+  const toolNames = hasToolDefinitions(body) ? getToolNames(body.tools) : null;
+  const requiredTools = getRequiredToolNames(body);
+  const outputOptions = { toolNames, stop: normalizeStopSequences(body.stop), model: body.model };
+  let messages = applyToolPrompt(body.messages, body);
 
-  const transformedRequest = transformOpenAITo1Min(body, modelValidation.model);
+  // Steer the model towards the requested JSON format
+  if (responseFormat) {
+    messages = applyResponseFormatPrompt(messages, responseFormat);
+  }
 
-  let oneMinResponse;
-  try {
-    oneMinResponse = await fetch(`${env.ONE_MIN_API_URL}/api/features`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'API-KEY': apiKey
-      },
-      body: JSON.stringify(transformedRequest)
-    });
-  } catch (error) {
-    return handleUpstreamError(error);
+  // Structured output and forced tool calls must be checked before anything
+  // reaches the client, so those requests are always fetched whole and
+  // re-streamed afterwards
+  const streamUpstream = body.stream && !responseFormat && !requiredTools;
+  const upstream = await sendWithFallback(modelChain, messages, { ...body, stream: streamUpstream }, auth, env, contextOptions);
+  if (upstream.error) {
+    return upstream.error;
+  }
+  const { conversation, modelInfo, promptTokens } = upstream;
+  messages = upstream.messages;
+  outputOptions.model = upstream.model;
+  const fallbackHeaders = upstream.model === body.model ? {} : { [FALLBACK_HEADER]: `${body.model} -> ${upstream.model}` };
+
+  if (streamUpstream) {
+    return withHeaders(await handleChatStreaming(upstream.response, promptTokens, {
+      ...outputOptions,
+      onComplete: async (reply, usage) => {
+        await rememberConversation(env, auth.clientKey, conversation, messages, reply);
+        await recordTokenUsage(env, auth, usage.total_tokens);
+      }
+    }), fallbackHeaders);
   }
 
-  if (!oneMinResponse.ok) {
-    const errorText = await oneMinResponse.text();
-    console.error('1min AI API error:', oneMinResponse.status, errorText);
-    return handleUpstreamError(new Error(`API returned ${oneMinResponse.status}`));
+  let responseData = await upstream.response.json();
+  // console.log('DEBUG: 1min.ai response:', JSON.stringify(responseData, null, 2));
+  await rememberConversation(env, auth.clientKey, conversation, messages, getResultText(responseData));
+  let transformedResponse = transform1MinToOpenAI(responseData, promptTokens, outputOptions);
+  let usedTokens = transformedResponse.usage.total_tokens;
+
+  if (requiredTools) {
+    let check = checkToolChoice(transformedResponse.choices[0].message.tool_calls, requiredTools);
+
+    // Retry once, telling the model which tool it has to call
+    if (!check.valid) {
+      const retryMessages = [
+        ...messages,
+        { role: 'assistant', content: getResultText(responseData) },
+        { role: 'user', content: buildToolChoiceRetryPrompt(check.error, requiredTools) }
+      ];
+      const retry = await sendConversation(retryMessages, modelInfo, { ...body, stream: false }, auth, env);
+      if (retry.error) {
+        return retry.error;
+      }
+
+      responseData = await retry.response.json();
+      transformedResponse = transform1MinToOpenAI(responseData, calculatePromptTokens(retryMessages, upstream.model), outputOptions);
+      usedTokens += transformedResponse.usage.total_tokens;
+      check = checkToolChoice(transformedResponse.choices[0].message.tool_calls, requiredTools);
+      if (!check.valid) {
+        await recordTokenUsage(env, auth, usedTokens);
+        return handleToolChoiceError(check.error);
+      }
+    }
   }
 
-  if (body.stream) {
-    return handleChatStreaming(oneMinResponse, promptTokens);
+  if (responseFormat && !transformedResponse.choices[0].message.tool_calls) {
+    const firstReply = transformedResponse.choices[0].message.content;
+    let check = checkStructuredOutput(firstReply, responseFormat);
+
+    // Retry once, feeding the validation errors back to the model
+    if (!check.valid) {
+      const retryMessages = [
+        ...messages,
+        { role: 'assistant', content: firstReply },
+        { role: 'user', content: buildRetryPrompt(check.errors) }
+      ];
+      // The first reply is already part of the upstream conversation, so only the retry prompt is sent
+      const retry = await sendConversation(retryMessages, modelInfo, { ...body, stream: false }, auth, env);
+      if (retry.error) {
+        return retry.error;
+      }
+
+      responseData = await retry.response.json();
+      transformedResponse = transform1MinToOpenAI(responseData, calculatePromptTokens(retryMessages, upstream.model), outputOptions);
+      usedTokens += transformedResponse.usage.total_tokens;
+      check = checkStructuredOutput(transformedResponse.choices[0].message.content, responseFormat);
+      if (!check.valid) {
+        await recordTokenUsage(env, auth, usedTokens);
+        return handleResponseFormatError(check.errors);
+      }
+    }
+
+    transformedResponse.choices[0].message.content = check.text;
   }
 
-  const responseData = await oneMinResponse.json();
-  // console.log('DEBUG: 1min.ai response:', JSON.stringify(responseData, null, 2));
-  const transformedResponse = transform1MinToOpenAI(responseData, promptTokens);
+  await recordTokenUsage(env, auth, usedTokens);
+
+  if (body.stream) {
+    const text = transformedResponse.choices[0].message.tool_calls
+      ? getResultText(responseData)
+      : transformedResponse.choices[0].message.content;
+    return withHeaders(await handleChatStreaming(createTextStreamResponse(text, transformedResponse.model), promptTokens, outputOptions), fallbackHeaders);
+  }
 
   return new Response(JSON.stringify(transformedResponse), {
     headers: {
       'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*'
+      'Access-Control-Allow-Origin': '*',
+      ...fallbackHeaders
     }
   });
 }
 
-async function handleModels(env) {
+// Try each model of the chain in turn until one answers. Each model gets the
+// messages fitted to its own context window; the requested model's context
+// errors are returned, while fallbacks that cannot fit the prompt are skipped.
+async function sendWithFallback(modelChain, messages, body, auth, env, contextOptions) {
+  let lastError;
+
+  for (const [index, model] of modelChain.entries()) {
+    const modelInfo = getModelInfo(model);
+    const fitted = await fitToContextWindow(
+      messages,
+      modelInfo,
+      body.max_tokens ?? body.max_completion_tokens,
+      contextOptions,
+      middle => summarizeMessages(middle, modelInfo, auth, env)
+    );
+    if (fitted.error) {
+      if (index === 0) {
+        return { error: handleContextLengthError(fitted.error) };
+      }
+      continue;
+    }
+
+    const upstream = await sendConversation(fitted.messages, modelInfo, body, auth, env);
+    if (!upstream.error) {
+      return { ...upstream, model, modelInfo, messages: fitted.messages, promptTokens: fitted.promptTokens };
+    }
+    if (!upstream.transient) {
+      return upstream;
+    }
+    if (index < modelChain.length - 1) {
+      console.error(`Model ${model} failed, falling back to ${modelChain[index + 1]}`);
+    }
+    lastError = upstream.error;
+  }
+
+  return { error: lastError };
+}
+
+// Carry the fallback header over when a chat response is translated to another API
+function fallbackHeadersOf(chatResponse) {
+  const value = chatResponse.headers.get(FALLBACK_HEADER);
+  return value ? { [FALLBACK_HEADER]: value } : {};
+}
+
+function withHeaders(response, headers) {
+  for (const [name, value] of Object.entries(headers)) {
+    response.headers.set(name, value);
+  }
+  return response;
+}
+
+// Send a chat through a 1min AI conversation. The conversation stays pinned to
+// the pooled key that owns it; failing over to another key starts a new one.
+async function sendConversation(messages, modelInfo, body, auth, env) {
+  const known = await findConversation(messages, modelInfo, auth.clientKey, env);
+  let conversation;
+  const upstream = await requestOneMin(auth, env, async upstreamKey => {
+    const uploaded = await uploadContentAssets(messages, { ...env, clientApiKey: upstreamKey.apiKey })
+      .catch(uploadFailure('Content processing failed'));
+    conversation = await prepareConversation(uploaded, modelInfo, upstreamKey, env, known);
+    return transformOpenAITo1Min(body, modelInfo, conversation);
+  }, known?.upstream);
+  return { ...upstream, conversation };
+}
+
+// POST to /api/features, trying the caller's upstream keys in pool order.
+// Key failures (credits, auth, rate limits) cool the key down and move on to
+// the next one; buildPayload runs for each attempt with { name, apiKey }.
+// Errors that persist through the retries are flagged transient so the
+// caller can fall back to another model.
+async function requestOneMin(auth, env, buildPayload, preferredKey = null) {
+  let lastError;
+
+  for (const upstreamKey of preferUpstreamKey(auth.upstreamKeys, preferredKey)) {
+    let result;
+    try {
+      result = await fetchOneMin(await buildPayload(upstreamKey), upstreamKey, env);
+    } catch (error) {
+      if (!error.response) {
+        throw error;
+      }
+      result = { error: error.response, status: error.status, errorText: error.errorText };
+    }
+    if (result.response) {
+      return { response: result.response, upstreamKey };
+    }
+    if (result.transient) {
+      return { error: result.error, transient: true };
+    }
+    lastError = result.error;
+
+    const reason = classifyUpstreamFailure(result.status, result.errorText);
+    if (!reason || !upstreamKey.name) {
+      break;
+    }
+    await markUpstreamFailure(env, upstreamKey.name, reason, {
+      retryAfter: result.retryAfter,
+      errorText: result.errorText
+    });
+  }
+
+  return { error: lastError };
+}
+
+// Assets are uploaded in buildPayload with the key that sends the request, so
+// that key's upload failures end the attempt like a failed upstream call
+function uploadFailure(message, param = null) {
+  return error => {
+    error.response = handleInvalidRequest(`${message}: ${error.message}`, param);
+    throw error;
+  };
+}
+
+// One upstream call, retrying timeouts, network errors and 5xx with backoff.
+// The timeout covers the wait for response headers, not a streamed body.
+async function fetchOneMin(payload, upstreamKey, env) {
+  const { retries, delayMs, timeoutMs } = getRetryOptions(env);
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new DOMException(`Timed out after ${timeoutMs}ms`, 'TimeoutError')), timeoutMs);
+    let failure;
+
+    try {
+      const oneMinResponse = await fetch(`${env.ONE_MIN_API_URL}/api/features`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'API-KEY': upstreamKey.apiKey
+        },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+
+      if (oneMinResponse.ok) {
+        return { response: oneMinResponse };
+      }
+
+      const errorText = await oneMinResponse.text();
+      console.error('1min AI API error:', oneMinResponse.status, errorText);
+      failure = {
+        // Named keys come from the gateway's pool rather than the client
+        error: handleUpstreamResponseError(oneMinResponse.status, errorText, { pooledKey: Boolean(upstreamKey.name) }),
+        status: oneMinResponse.status,
+        errorText,
+        retryAfter: oneMinResponse.headers.get('retry-after'),
+        transient: isTransientStatus(oneMinResponse.status)
+      };
+    } catch (error) {
+      failure = { error: handleUpstreamError(error), transient: true };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!failure.transient || attempt >= retries) {
+      return failure;
+    }
+    await backoff(attempt, delayMs);
+  }
+}
+
+// One-off request used by the summarize context strategy; it stays out of any conversation
+async function summarizeMessages(messages, modelInfo, auth, env) {
+  const payload = transformOpenAITo1Min({ stream: false, max_tokens: SUMMARY_MAX_TOKENS }, modelInfo, {
+    type: 'CHAT_WITH_AI',
+    prompt: renderChatTemplate(buildSummaryMessages(messages), modelInfo.provider),
+    imageList: [],
+    conversationId: null
+  });
+
+  const result = await requestOneMin(auth, env, () => payload);
+  if (result.error) {
+    throw new Error(`Summary request failed with status ${result.error.status}`);
+  }
+  return getResultText(await result.response.json());
+}
+
+// Wrap already-complete text in the 1min AI streaming format so it can be
+// replayed through handleChatStreaming
+function createTextStreamResponse(text, model) {
+  const body = `data: ${JSON.stringify({ response: text, model })}\n\ndata: [DONE]\n\n`;
+  return new Response(body, {
+    headers: { 'Content-Type': 'text/event-stream' }
+  });
+}
+
+async function handleModels(url) {
   try {
-    const models = formatModelsForOpenAI();
+    const models = formatModelsForOpenAI({
+      type: url.searchParams.get('type'),
+      provider: url.searchParams.get('provider'),
+      capability: url.searchParams.get('capability')
+    });
 
-    return new Response(JSON.stringify({
+    return jsonResponse({
       object: 'list',
       data: models
-    }), {
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      }
     });
   } catch (error) {
     return handleInternalError(error);
   }
 }
 
-function transformOpenAITo1Min(openAIRequest, modelInfo) {
-  // Convert OpenAI messages to 1min AI conversation format
-  const conversation = openAIRequest.messages.map(msg => {
-    if (msg.role === 'system') {
-      return `System: ${msg.content}`;
-    } else if (msg.role === 'user') {
-      return `Human: ${msg.content}`;
-    } else if (msg.role === 'assistant') {
-      return `Assistant: ${msg.content}`;
-    }
-    return msg.content;
-  }).join('\n\n');
+async function handleModel(modelId) {
+  const model = getModelForOpenAI(modelId);
+  if (!model) {
+    return createErrorResponse(`The model '${modelId}' does not exist`, ERROR_CODES.INVALID_REQUEST_ERROR, 404, 'model', 'model_not_found');
+  }
+  return jsonResponse(model);
+}
 
+// conversation comes from prepareConversation: the prompt to send, the
+// conversation it belongs to and any images of the latest user turn
+function transformOpenAITo1Min(openAIRequest, modelInfo, conversation) {
   return {
-    type: 'CHAT_WITH_AI',
+    type: conversation.type,
     model: modelInfo.name, // Use the 1min AI identifier from config
+    ...(conversation.conversationId && { conversationId: conversation.conversationId }),
     promptObject: {
-      prompt: conversation,
+      prompt: conversation.prompt,
       isMixed: false,
-      webSearch: false
+      webSearch: false,
+      ...(conversation.imageList.length > 0 && { imageList: conversation.imageList })
     },
     stream: openAIRequest.stream || false,
     temperature: openAIRequest.temperature,
@@ -232,37 +951,64 @@ function transformOpenAITo1Min(openAIRequest, modelInfo) {
   };
 }
 
-function transform1MinToOpenAI(oneMinResponse, promptTokens = 0) {
+// Based on official documentation: response is in aiRecord.aiRecordDetail.resultObject[0]
+function getResultText(oneMinResponse) {
+  return oneMinResponse.aiRecord?.aiRecordDetail?.resultObject?.[0] || '';
+}
+
+function transform1MinToOpenAI(oneMinResponse, promptTokens = 0, options = {}) {
   // Extract the response text from 1min AI format
-  // Based on official documentation: response is in aiRecord.aiRecordDetail.resultObject[0]
-  const responseText = oneMinResponse.aiRecord?.aiRecordDetail?.resultObject?.[0] || '';
-  const completionTokens = calculateCompletionTokens(responseText);
+  const responseText = getResultText(oneMinResponse);
+  // Prefer the counts reported by 1min AI over local estimates
+  const upstreamUsage = getUpstreamUsage(oneMinResponse);
+  const completionTokens = upstreamUsage.completionTokens ?? calculateCompletionTokens(responseText, options.model);
+
+  const message = { role: 'assistant', content: responseText };
+  let finishReason = 'stop';
+
+  if (options.toolNames) {
+    const { content, toolCalls } = parseToolCalls(responseText, options.toolNames);
+    if (toolCalls.length > 0) {
+      message.content = content;
+      message.tool_calls = toolCalls;
+      finishReason = 'tool_calls';
+    }
+  }
+
+  // Cut the text at the first requested stop sequence
+  if (options.stop?.length > 0 && typeof message.content === 'string') {
+    const { text, stopSequence } = truncateAtStop(message.content, options.stop);
+    if (stopSequence) {
+      message.content = text;
+      delete message.tool_calls;
+      finishReason = 'stop';
+    }
+  }
 
   return {
     id: `chatcmpl-${Date.now()}`,
     object: 'chat.completion',
     created: Math.floor(Date.now() / 1000),
-    model: oneMinResponse.aiRecord?.model,
+    model: oneMinResponse.aiRecord?.model || options.model,
     system_fingerprint: null,
     choices: [{
       index: 0,
-      message: {
-        role: 'assistant',
-        content: responseText
-      },
+      message,
       logprobs: null,
-      finish_reason: 'stop'
+      finish_reason: finishReason
     }],
-    usage: createUsageObject(promptTokens, completionTokens)
+    usage: createUsageObject(upstreamUsage.promptTokens ?? promptTokens, completionTokens)
   };
 }
 
-async function handleChatStreaming(response, promptTokens = 0) {
+async function handleChatStreaming(response, promptTokens = 0, options = {}) {
   const reader = response.body.getReader();
   const encoder = new TextEncoder();
   const decoder = new TextDecoder();
-  let totalCompletionTokens = 0;
   let completeResponse = '';
+  let upstreamUsage = { promptTokens: null, completionTokens: null };
+  const toolFilter = options.toolNames ? createToolStreamFilter(options.toolNames) : null;
+  const stopFilter = options.stop?.length > 0 ? createStopFilter(options.stop) : null;
 
   const stream = new ReadableStream({
     async start(controller) {
@@ -271,21 +1017,43 @@ async function handleChatStreaming(response, promptTokens = 0) {
         while (true) {
           const { done, value } = await reader.read();
           if (done) {
+            let finishReason = 'stop';
+            let { content, toolCalls } = toolFilter ? toolFilter.finish() : { content: '', toolCalls: [] };
+            if (stopFilter) {
+              content = stopFilter.push(content) + stopFilter.flush();
+              if (stopFilter.stopSequence) {
+                toolCalls = [];
+              }
+            }
+            if (content) {
+              controller.enqueue(encoder.encode(`data: ${JSON.stringify(transformStreamChunk({}, { content }))}\n\n`));
+            }
+            for (const delta of createToolCallDeltas(toolCalls)) {
+              controller.enqueue(encoder.encode(`data: ${JSON.stringify(transformStreamChunk({}, delta))}\n\n`));
+            }
+            if (toolCalls.length > 0) {
+              finishReason = 'tool_calls';
+            }
+
             const finalChunk = {
               id: `chatcmpl-${Date.now()}`,
               object: 'chat.completion.chunk',
               created: Math.floor(Date.now() / 1000),
-              model: 'gpt-3.5-turbo',
+              model: options.model || 'gpt-3.5-turbo',
               choices: [{
                 index: 0,
                 delta: {},
                 logprobs: null,
-                finish_reason: 'stop'
+                finish_reason: finishReason
               }],
-              usage: createUsageObject(promptTokens, totalCompletionTokens)
+              usage: createUsageObject(
+                upstreamUsage.promptTokens ?? promptTokens,
+                upstreamUsage.completionTokens ?? calculateCompletionTokens(completeResponse, options.model)
+              )
             };
             controller.enqueue(encoder.encode(`data: ${JSON.stringify(finalChunk)}\n\n`));
             controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+            await options.onComplete?.(completeResponse, finalChunk.usage);
             break;
           }
 
@@ -302,9 +1070,22 @@ async function handleChatStreaming(response, promptTokens = 0) {
               try {
                 const parsed = JSON.parse(data);
                 const content = parsed.response || parsed.text || '';
-                if (content) {
-                  completeResponse += content;
-                  totalCompletionTokens = calculateCompletionTokens(completeResponse);
+                completeResponse += content;
+
+                // Some stream events carry 1min AI's own token counts
+                const reported = getUpstreamUsage(parsed);
+                upstreamUsage = {
+                  promptTokens: reported.promptTokens ?? upstreamUsage.promptTokens,
+                  completionTokens: reported.completionTokens ?? upstreamUsage.completionTokens
+                };
+                if (toolFilter || stopFilter) {
+                  // Hold back anything that may turn out to be a tool call or stop sequence
+                  let visible = toolFilter ? toolFilter.push(content) : content;
+                  visible = stopFilter ? stopFilter.push(visible) : visible;
+                  if (!visible) continue;
+                  const transformed = transformStreamChunk(parsed, { content: visible });
+                  controller.enqueue(encoder.encode(`data: ${JSON.stringify(transformed)}\n\n`));
+                  continue;
                 }
                 const transformed = transformStreamChunk(parsed);
                 controller.enqueue(encoder.encode(`data: ${JSON.stringify(transformed)}\n\n`));
@@ -332,20 +1113,35 @@ async function handleChatStreaming(response, promptTokens = 0) {
   });
 }
 
-async function handleResponsesStreaming(chatResponse) {
+async function handleResponsesStreaming(chatResponse, responsesBody, onComplete) {
+  const translator = createResponsesStreamTranslator(responsesBody);
+  return handleTranslatedStreaming(chatResponse, translator, () => onComplete?.(translator.response));
+}
+
+// Re-emit a chat completion stream in another API's SSE format. The translator
+// turns chat chunks into events; by default each one carries an `event:` line.
+async function handleTranslatedStreaming(chatResponse, translator, onComplete) {
   const reader = chatResponse.body.getReader();
   const encoder = new TextEncoder();
   const decoder = new TextDecoder();
+  const encodeEvent = translator.encode || (event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+  const enqueueEvents = (controller, events) => {
+    for (const event of events) {
+      controller.enqueue(encoder.encode(encodeEvent(event)));
+    }
+  };
 
   const stream = new ReadableStream({
     async start(controller) {
       let buffer = '';
+      enqueueEvents(controller, translator.start());
       try {
         while (true) {
           const { done, value } = await reader.read();
           if (done) {
-            // No explicit [DONE] for Responses API in some specs, but let's follow the chat pattern
-            controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+            enqueueEvents(controller, translator.finish());
+            await onComplete?.();
             break;
           }
 
@@ -361,17 +1157,16 @@ async function handleResponsesStreaming(chatResponse) {
 
               try {
                 const chatChunk = JSON.parse(data);
-                const responsesChunk = transformChatChunkToResponsesChunk(chatChunk);
-                controller.enqueue(encoder.encode(`data: ${JSON.stringify(responsesChunk)}\n\n`));
+                enqueueEvents(controller, translator.push(chatChunk));
               } catch (e) {
-                console.error('Failed to parse chat chunk for responses:', e.message);
+                console.error('Failed to parse chat chunk for translation:', e.message);
               }
             }
           }
         }
       } catch (error) {
-        console.error('Responses streaming error:', error);
-        controller.error(error);
+        console.error('Translated streaming error:', error);
+        enqueueEvents(controller, translator.fail(error));
       }
       controller.close();
     }
@@ -382,94 +1177,123 @@ async function handleResponsesStreaming(chatResponse) {
       'Content-Type': 'text/event-stream',
       'Cache-Control': 'no-cache',
       'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*'
+      'Access-Control-Allow-Origin': '*',
+      ...fallbackHeadersOf(chatResponse)
     }
   });
 }
 
-function transformResponsesToChat(responsesBody) {
-  const messages = [];
+async function handleAnthropicMessages(request, env, auth) {
+  // Parse request body
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return toAnthropicError(handleInvalidRequest('Invalid JSON in request body'));
+  }
 
-  // Convert instructions to system message
-  if (responsesBody.instructions) {
-    messages.push({ role: 'system', content: responsesBody.instructions });
+  const validation = validateAnthropicRequest(body);
+  if (!validation.valid) {
+    return toAnthropicError(handleInvalidRequest(validation.error, validation.param));
   }
 
-  // Convert input to messages
-  if (responsesBody.input && Array.isArray(responsesBody.input)) {
-    for (const item of responsesBody.input) {
-      if (item.role && item.content) {
-        messages.push({ role: item.role, content: item.content });
-      } else if (typeof item === 'string') {
-        messages.push({ role: 'user', content: item });
-      }
-    }
+  // Transform Anthropic to Chat format
+  const chatBody = transformAnthropicToChat(body);
+  const chatResponse = await processChatCompletion(chatBody, auth, env, getContextOptions(request, body));
+
+  if (!chatResponse.ok) {
+    return toAnthropicError(chatResponse);
   }
 
-  return {
-    model: responsesBody.model,
-    messages: messages,
-    stream: responsesBody.stream || false,
-    temperature: responsesBody.temperature,
-    max_tokens: responsesBody.max_tokens || responsesBody.max_completion_tokens,
-    response_format: responsesBody.response_format
-  };
-}
+  if (chatBody.stream) {
+    return handleTranslatedStreaming(chatResponse, createAnthropicStreamTranslator(body));
+  }
 
-function transformChatToResponses(chatResponse) {
-  const output = chatResponse.choices.map(choice => ({
-    id: `msg-${Date.now()}`,
-    object: 'response.message',
-    role: choice.message.role,
-    content: choice.message.content,
-    finish_reason: choice.finish_reason
-  }));
+  const chatData = await chatResponse.json();
+  return withHeaders(jsonResponse(transformChatToAnthropic(chatData, body)), fallbackHeadersOf(chatResponse));
+}
 
-  return {
-    id: chatResponse.id.replace('chatcmpl-', 'resp-'),
-    object: 'response',
-    created: chatResponse.created,
-    model: chatResponse.model,
-    status: 'completed',
-    output: output,
-    usage: chatResponse.usage
-  };
+async function toAnthropicError(errorResponse) {
+  const errorData = await errorResponse.json();
+  return jsonResponse(transformErrorToAnthropic(errorData), errorResponse.status);
 }
 
-function transformChatChunkToResponsesChunk(chatChunk) {
-  const output = chatChunk.choices.map(choice => {
-    const item = {
-      index: choice.index,
-      object: 'response.chunk.delta'
-    };
-    if (choice.delta && choice.delta.content !== undefined) {
-      item.delta = choice.delta.content;
-    }
-    if (choice.finish_reason) {
-      item.finish_reason = choice.finish_reason;
-    }
-    return item;
-  });
+async function handleGeminiGenerateContent(request, env, url, route, auth) {
+  // Parse request body
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return toGeminiError(handleInvalidRequest('Invalid JSON in request body'));
+  }
 
-  return {
-    id: chatChunk.id.replace('chatcmpl-', 'resp-'),
-    object: 'response.chunk',
-    created: chatChunk.created,
-    model: chatChunk.model,
-    output: output,
-    usage: chatChunk.usage
-  };
+  const validation = validateGeminiRequest(body);
+  if (!validation.valid) {
+    return toGeminiError(handleInvalidRequest(validation.error, validation.param));
+  }
+
+  // Incremental output is only available as SSE; the default JSON-array
+  // stream is answered in one piece
+  const sse = route.stream && url.searchParams.get('alt') === 'sse';
+  const chatBody = transformGeminiToChat(body, route.model, sse);
+  const chatResponse = await processChatCompletion(chatBody, auth, env, getContextOptions(request, body));
+
+  if (!chatResponse.ok) {
+    return toGeminiError(chatResponse);
+  }
+
+  if (sse) {
+    return handleTranslatedStreaming(chatResponse, createGeminiStreamTranslator(route.model));
+  }
+
+  const chatData = await chatResponse.json();
+  const geminiData = transformChatToGemini(chatData, route.model);
+  return withHeaders(jsonResponse(route.stream ? [geminiData] : geminiData), fallbackHeadersOf(chatResponse));
 }
 
-async function handleImageGeneration(request, env) {
-  // Authentication
-  const authHeader = request.headers.get('Authorization');
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return handleMissingApiKey();
+async function toGeminiError(errorResponse) {
+  const errorData = await errorResponse.json();
+  return jsonResponse(transformErrorToGemini(errorData, errorResponse.status), errorResponse.status);
+}
+
+async function handleEmbeddings(request, env, auth) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return handleInvalidRequest('Invalid JSON in request body');
+  }
+
+  if (!body.model) {
+    return handleInvalidRequest('Missing required parameter: model', 'model');
   }
+  body.model = routeModel(body.model, auth);
 
-  const apiKey = authHeader.substring(7);
+  const modelValidation = validateModel(body.model);
+  if (!modelValidation.valid || !isEmbeddingModel(body.model)) {
+    return handleInvalidModel(body.model);
+  }
+  const modelInfo = modelValidation.model;
 
+  const validation = validateEmbeddingRequest(body, body.model, modelInfo);
+  if (!validation.valid) {
+    return createErrorResponse(validation.error, ERROR_CODES.INVALID_REQUEST_ERROR, 400, validation.param, validation.code);
+  }
+
+  if (!isEmbeddingProviderConfigured(env)) {
+    return handleInvalidRequest('Embeddings require the AI binding or EMBEDDINGS_URL');
+  }
+
+  const result = await createEmbeddings(env, modelInfo, validation.inputs);
+  if (result.error) {
+    return result.error;
+  }
+
+  await recordTokenUsage(env, auth, validation.promptTokens);
+  return jsonResponse(formatEmbeddingResponse(result.embeddings, body, validation.promptTokens));
+}
+
+async function handleImageGeneration(request, env, auth) {
   // Parse request body
   let body;
   try {
@@ -478,10 +1302,7 @@ async function handleImageGeneration(request, env) {
     return handleInvalidRequest('Invalid JSON in request body');
   }
 
-  // Validate required fields
-  if (!body.prompt) {
-    return handleInvalidRequest('Missing required parameter: prompt', 'prompt');
-  }
+  body.model = routeModel(body.model, auth);
 
   // Validate model for image generation
   const modelValidation = validateModel(body.model);
@@ -491,45 +1312,207 @@ async function handleImageGeneration(request, env) {
 
   const modelInfo = modelValidation.model;
 
+  // Validate the prompt, and sizes, counts and styles against what the provider supports
+  const validation = validateImageGenerationRequest(body, modelInfo);
+  if (!validation.valid) {
+    return handleInvalidRequest(validation.error, validation.param);
+  }
+  const { params } = validation;
+
   // Transform request for 1min AI
   const transformedRequest = {
     type: 'IMAGE_GENERATOR',
     model: modelInfo.name, // Use the 1min AI identifier from config
-    promptObject: {
-      prompt: body.prompt,
-      n: body.n || 1,
-      size: body.size || '1024x1024'
-    }
+    promptObject: buildImagePromptObject(params, modelInfo)
   };
 
   try {
-    const oneMinResponse = await fetch(`${env.ONE_MIN_API_URL}/api/features`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'API-KEY': apiKey  // Always use the client's API key
-      },
-      body: JSON.stringify(transformedRequest)
+    const upstream = await requestOneMin(auth, env, () => transformedRequest);
+    if (upstream.error) {
+      return upstream.error;
+    }
+
+    const responseData = await upstream.response.json();
+
+    // Transform response to OpenAI format
+    return jsonResponse({
+      created: Math.floor(Date.now() / 1000),
+      data: await formatImageResults(getResultUrls(responseData, env), params)
     });
+  } catch (error) {
+    return handleUpstreamError(error);
+  }
+}
+
+// /v1/images/edits and /v1/images/variations; kind is 'edit' or 'variation'
+async function handleImageEdit(request, env, auth, kind) {
+  if (!(request.headers.get('Content-Type') || '').includes('multipart/form-data')) {
+    return handleInvalidRequest('Request body must be multipart/form-data');
+  }
+
+  let form;
+  try {
+    form = await request.formData();
+  } catch (error) {
+    return handleInvalidRequest('Invalid multipart/form-data body');
+  }
 
-    if (!oneMinResponse.ok) {
-      return handleUpstreamError(new Error(`API returned ${oneMinResponse.status}`));
+  const fields = readImageForm(form);
+  fields.model = routeModel(fields.model || 'dall-e-2', auth);
+
+  // image and mask may name Files API files instead of uploading them
+  for (const param of ['image', 'mask']) {
+    if (typeof fields[param] === 'string') {
+      const stored = await getStoredFile(env, auth.clientKey, fields[param]);
+      if (!stored) {
+        return handleInvalidRequest(`No such file: ${fields[param]}`, param);
+      }
+      fields[param] = stored;
     }
+  }
 
-    const responseData = await oneMinResponse.json();
+  const modelValidation = validateModel(fields.model);
+  if (!modelValidation.valid) {
+    return handleInvalidModel(fields.model);
+  }
+  const modelInfo = modelValidation.model;
 
-    // Transform response to OpenAI format
-    const transformedResponse = {
+  const validation = validateImageEditRequest(fields, modelInfo, kind);
+  if (!validation.valid) {
+    return handleInvalidRequest(validation.error, validation.param);
+  }
+  const { params } = validation;
+
+  try {
+    // Input images go through the 1min AI assets endpoint of the sending key first
+    const upstream = await requestOneMin(auth, env, async upstreamKey => {
+      const keyEnv = { ...env, clientApiKey: upstreamKey.apiKey };
+      // Stored files are uploaded once per upstream key and reused afterwards
+      const image = await uploadFile(params.image, keyEnv).catch(uploadFailure('Image upload failed', 'image'));
+      const mask = params.mask ? await uploadFile(params.mask, keyEnv).catch(uploadFailure('Image upload failed', 'image')) : null;
+      return {
+        type: params.feature,
+        model: modelInfo.name,
+        promptObject: buildImageEditPromptObject(params, image.url, mask?.url)
+      };
+    });
+    if (upstream.error) {
+      return upstream.error;
+    }
+
+    const responseData = await upstream.response.json();
+    return jsonResponse({
       created: Math.floor(Date.now() / 1000),
-      data: [{
-        url: responseData.temporaryUrl || responseData.aiRecord?.temporaryUrl,
-        revised_prompt: body.prompt
-      }]
-    };
+      data: await formatImageResults(getResultUrls(responseData, env), params)
+    });
+  } catch (error) {
+    return handleUpstreamError(error);
+  }
+}
+
+// /v1/audio/transcriptions and /v1/audio/translations; task is 'transcribe' or 'translate'
+async function handleTranscription(request, env, auth, task) {
+  if (!(request.headers.get('Content-Type') || '').includes('multipart/form-data')) {
+    return handleInvalidRequest('Request body must be multipart/form-data');
+  }
+
+  let form;
+  try {
+    form = await request.formData();
+  } catch (error) {
+    return handleInvalidRequest('Invalid multipart/form-data body');
+  }
+
+  const params = readAudioForm(form);
+  if (!params.model) {
+    return handleInvalidRequest('Missing required parameter: model', 'model');
+  }
+  params.model = routeModel(params.model, auth);
+
+  const modelValidation = validateModel(params.model);
+  if (!modelValidation.valid || modelValidation.model.type !== 'speech_to_text') {
+    return handleInvalidModel(params.model);
+  }
+  const modelInfo = modelValidation.model;
+
+  const validation = validateTranscriptionRequest(params);
+  if (!validation.valid) {
+    return handleInvalidRequest(validation.error, validation.param);
+  }
+
+  try {
+    // The audio goes through the 1min AI assets endpoint of the sending key first
+    const upstream = await requestOneMin(auth, env, async upstreamKey => {
+      const audio = await uploadFile(params.file, { ...env, clientApiKey: upstreamKey.apiKey }, 'audio', getAudioMimeType(params.file))
+        .catch(uploadFailure('Audio upload failed', 'file'));
+      return {
+        type: TRANSCRIPTION_FEATURES[task],
+        model: modelInfo.name,
+        promptObject: buildTranscriptionPromptObject(params, audio.url)
+      };
+    });
+    if (upstream.error) {
+      return upstream.error;
+    }
+
+    const transcript = parseTranscript(getResultText(await upstream.response.json()));
+    const { body, contentType } = formatTranscript(transcript, params.response_format, task);
+    return new Response(body, {
+      headers: {
+        'Content-Type': contentType,
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  } catch (error) {
+    return handleUpstreamError(error);
+  }
+}
+
+async function handleSpeech(request, env, auth) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return handleInvalidRequest('Invalid JSON in request body');
+  }
+
+  if (!body.model) {
+    return handleInvalidRequest('Missing required parameter: model', 'model');
+  }
+  body.model = routeModel(body.model, auth);
+
+  const modelValidation = validateModel(body.model);
+  if (!modelValidation.valid || modelValidation.model.type !== 'text_to_speech') {
+    return handleInvalidModel(body.model);
+  }
+
+  const validation = validateSpeechRequest(body);
+  if (!validation.valid) {
+    return handleInvalidRequest(validation.error, validation.param);
+  }
+
+  const transformedRequest = {
+    type: SPEECH_FEATURE,
+    model: modelValidation.model.name,
+    promptObject: buildSpeechPromptObject(body)
+  };
+
+  try {
+    const upstream = await requestOneMin(auth, env, () => transformedRequest);
+    if (upstream.error) {
+      return upstream.error;
+    }
+
+    const [audioUrl] = getResultUrls(await upstream.response.json(), env);
+    const audio = audioUrl ? await fetch(audioUrl) : null;
+    if (!audio?.ok) {
+      return createErrorResponse('1min AI did not return the generated audio', ERROR_CODES.API_ERROR, 502);
+    }
 
-    return new Response(JSON.stringify(transformedResponse), {
+    // Stream the audio file through without buffering it
+    return new Response(audio.body, {
       headers: {
-        'Content-Type': 'application/json',
+        'Content-Type': SPEECH_CONTENT_TYPES[body.response_format || 'mp3'],
         'Access-Control-Allow-Origin': '*'
       }
     });
@@ -538,7 +1521,7 @@ async function handleImageGeneration(request, env) {
   }
 }
 
-function transformStreamChunk(chunk) {
+function transformStreamChunk(chunk, delta = { content: chunk.response || chunk.text || '' }) {
   return {
     id: `chatcmpl-${Date.now()}`,
     object: 'chat.completion.chunk',
@@ -547,9 +1530,7 @@ function transformStreamChunk(chunk) {
     system_fingerprint: null,
     choices: [{
       index: 0,
-      delta: {
-        content: chunk.response || chunk.text || ''
-      },
+      delta,
       logprobs: null,
       finish_reason: null
     }]
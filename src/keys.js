@@ -0,0 +1,195 @@
+// Gateway-managed virtual API keys
+// Virtual keys are issued through the admin API and stored in the CACHE KV
+// namespace by hash only. Each one maps to upstream 1min AI keys that live in
+// Worker secrets named ONE_MIN_API_KEY_<NAME>, so real keys never reach storage
+// or clients. Keys that are not virtual are forwarded as-is (pure proxy mode)
+// unless PURE_PROXY_FALLBACK is "false".
+import { ERROR_CODES, createErrorResponse, handleAuthenticationError } from './errors.js';
+import { isStorageConfigured, hashApiKey } from './store.js';
+import { validateRateLimits } from './ratelimit.js';
+import { orderUpstreamKeys } from './pool.js';
+
+export const VIRTUAL_KEY_PREFIX = 'sk-gw-';
+const UPSTREAM_KEY_PREFIX = 'ONE_MIN_API_KEY_';
+const MAX_LABEL_LENGTH = 100;
+
+function randomHex(byteLength) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(byteLength)))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function keyId(keyHash) {
+  return `vk_${keyHash.slice(0, 24)}`;
+}
+
+function storageKey(id) {
+  return `virtual_key:${id}`;
+}
+
+export function isVirtualKey(apiKey) {
+  return apiKey.startsWith(VIRTUAL_KEY_PREFIX);
+}
+
+// Names of the configured upstream keys, e.g. ONE_MIN_API_KEY_PRIMARY -> "primary"
+export function getUpstreamKeyNames(env) {
+  return Object.keys(env)
+    .filter(name => name.startsWith(UPSTREAM_KEY_PREFIX) && typeof env[name] === 'string' && env[name])
+    .map(name => name.slice(UPSTREAM_KEY_PREFIX.length).toLowerCase());
+}
+
+export function getUpstreamKey(env, name) {
+  return env[`${UPSTREAM_KEY_PREFIX}${name.toUpperCase()}`] || null;
+}
+
+export function getKeyStatus(record, now = Math.floor(Date.now() / 1000)) {
+  if (record.revoked_at) {
+    return 'revoked';
+  }
+  if (record.expires_at && record.expires_at <= now) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+// The stored record minus the key hash, as returned by the admin API
+export function toPublicKey(record) {
+  const { key_hash: _keyHash, ...publicRecord } = record;
+  return { ...publicRecord, status: getKeyStatus(record) };
+}
+
+export function validateKeyRequest(body, env) {
+  if (body.label !== undefined && (typeof body.label !== 'string' || body.label.length > MAX_LABEL_LENGTH)) {
+    return { valid: false, error: `label must be a string of at most ${MAX_LABEL_LENGTH} characters`, param: 'label' };
+  }
+
+  if (body.expires_at !== undefined && body.expires_at !== null) {
+    if (!Number.isInteger(body.expires_at) || body.expires_at <= Math.floor(Date.now() / 1000)) {
+      return { valid: false, error: 'expires_at must be a Unix timestamp in the future', param: 'expires_at' };
+    }
+  }
+
+  const configured = getUpstreamKeyNames(env);
+  if (configured.length === 0) {
+    return { valid: false, error: `No upstream keys configured. Add Worker secrets named ${UPSTREAM_KEY_PREFIX}<NAME>.`, param: 'upstream_keys' };
+  }
+
+  if (body.upstream_keys !== undefined) {
+    if (!Array.isArray(body.upstream_keys) || body.upstream_keys.length === 0) {
+      return { valid: false, error: 'upstream_keys must be a non-empty array of upstream key names', param: 'upstream_keys' };
+    }
+    const unknown = body.upstream_keys.filter(name => !configured.includes(String(name).toLowerCase()));
+    if (unknown.length > 0) {
+      return { valid: false, error: `Unknown upstream keys: ${unknown.join(', ')}. Configured: ${configured.join(', ')}`, param: 'upstream_keys' };
+    }
+  }
+
+  return validateRateLimits(body.rate_limits);
+}
+
+// Returns the plaintext key (shown once) and the stored record
+export async function createVirtualKey(env, body) {
+  const key = `${VIRTUAL_KEY_PREFIX}${randomHex(24)}`;
+  const keyHash = await hashApiKey(key);
+
+  const record = {
+    id: keyId(keyHash),
+    object: 'virtual_key',
+    label: body.label || null,
+    key_hint: `${key.slice(0, VIRTUAL_KEY_PREFIX.length + 4)}...${key.slice(-4)}`,
+    key_hash: keyHash,
+    upstream_keys: (body.upstream_keys || getUpstreamKeyNames(env)).map(name => String(name).toLowerCase()),
+    created_at: Math.floor(Date.now() / 1000),
+    expires_at: body.expires_at ?? null,
+    rate_limits: body.rate_limits || null,
+    revoked_at: null
+  };
+
+  await saveVirtualKey(env, record);
+  return { key, record };
+}
+
+async function saveVirtualKey(env, record) {
+  // The public record doubles as list metadata so listing needs no extra reads
+  const { status: _status, ...metadata } = toPublicKey(record);
+  await env.CACHE.put(storageKey(record.id), JSON.stringify(record), { metadata });
+}
+
+export async function getVirtualKey(env, id) {
+  return env.CACHE.get(storageKey(id), 'json');
+}
+
+export async function listVirtualKeys(env) {
+  const keys = [];
+  let cursor;
+
+  do {
+    const page = await env.CACHE.list({ prefix: storageKey(''), cursor });
+    for (const entry of page.keys) {
+      if (entry.metadata) {
+        keys.push({ ...entry.metadata, status: getKeyStatus(entry.metadata) });
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return keys.sort((a, b) => b.created_at - a.created_at);
+}
+
+export async function revokeVirtualKey(env, id) {
+  const record = await getVirtualKey(env, id);
+  if (!record) {
+    return null;
+  }
+  if (!record.revoked_at) {
+    record.revoked_at = Math.floor(Date.now() / 1000);
+    await saveVirtualKey(env, record);
+  }
+  return record;
+}
+
+async function resolveVirtualKey(env, apiKey) {
+  const keyHash = await hashApiKey(apiKey);
+  const record = await getVirtualKey(env, keyId(keyHash));
+  return record?.key_hash === keyHash ? record : null;
+}
+
+// Resolve the client's key to the upstream keys used for 1min AI.
+// Returns { apiKey, clientKey, virtualKey, upstreamKeys } or { error: Response },
+// where upstreamKeys ({ name, apiKey, healthy }) is the failover order and
+// apiKey the first of them. Pass-through keys have a single unnamed entry.
+export async function authenticate(clientKey, env) {
+  if (!isVirtualKey(clientKey)) {
+    if (env.PURE_PROXY_FALLBACK === 'false') {
+      return { error: handleAuthenticationError() };
+    }
+    return {
+      apiKey: clientKey,
+      clientKey,
+      virtualKey: null,
+      upstreamKeys: [{ name: null, apiKey: clientKey, healthy: true }]
+    };
+  }
+
+  const record = isStorageConfigured(env) ? await resolveVirtualKey(env, clientKey) : null;
+  if (!record) {
+    return { error: handleAuthenticationError() };
+  }
+
+  const status = getKeyStatus(record);
+  if (status !== 'active') {
+    return { error: handleAuthenticationError(`This API key has been ${status}`) };
+  }
+
+  const pool = record.upstream_keys
+    .map(name => ({ name, apiKey: getUpstreamKey(env, name) }))
+    .filter(key => key.apiKey);
+  if (pool.length === 0) {
+    return {
+      error: createErrorResponse('No upstream credentials are configured for this API key', ERROR_CODES.API_ERROR, 503)
+    };
+  }
+
+  const upstreamKeys = await orderUpstreamKeys(env, pool);
+  return { apiKey: upstreamKeys[0].apiKey, clientKey, virtualKey: record, upstreamKeys };
+}
@@ -0,0 +1,26 @@
+// Shared helpers for working with OpenAI chat messages
+
+export function contentToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .map(part => typeof part === 'string' ? part : part?.text || '')
+      .join('');
+  }
+  return '';
+}
+
+// Append gateway instructions to the first system message, or add one.
+export function appendSystemPrompt(messages, prompt) {
+  const systemIndex = messages.findIndex(message => message.role === 'system' && typeof message.content === 'string');
+
+  if (systemIndex === -1) {
+    return [{ role: 'system', content: prompt }, ...messages];
+  }
+
+  return messages.map((message, index) => index === systemIndex
+    ? { ...message, content: `${message.content}\n\n${prompt}` }
+    : message);
+}
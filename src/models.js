@@ -1,102 +1,108 @@
 // Comprehensive model mapping with all latest models
+// Text models carry context_window (prompt + completion tokens) and max_output_tokens;
+// reasoning marks models that think before answering. Embedding models are
+// served by Workers AI rather than 1min AI (see embeddings.js) and carry dimensions.
+// Audio models are typed speech_to_text or text_to_speech (see audio.js).
 export const MODELS_CONFIG = {
   // OpenAI Models
-  'o3-mini': { name: 'o3-mini', provider: 'openai' },
-  'o1-preview': { name: 'o1-preview', provider: 'openai' },
-  'o1-mini': { name: 'o1-mini', provider: 'openai' },
-  'gpt-4o': { name: 'gpt-4o', provider: 'openai', vision: true },
-  'gpt-4o-2024-11-20': { name: 'gpt-4o-2024-11-20', provider: 'openai', vision: true },
-  'gpt-4o-2024-08-06': { name: 'gpt-4o-2024-08-06', provider: 'openai', vision: true },
-  'gpt-4o-2024-05-13': { name: 'gpt-4o-2024-05-13', provider: 'openai', vision: true },
-  'gpt-4o-mini': { name: 'gpt-4o-mini', provider: 'openai', vision: true },
-  'gpt-4o-mini-2024-07-18': { name: 'gpt-4o-mini-2024-07-18', provider: 'openai', vision: true },
-  'gpt-4-turbo': { name: 'gpt-4-turbo', provider: 'openai', vision: true },
-  'gpt-4-turbo-2024-04-09': { name: 'gpt-4-turbo-2024-04-09', provider: 'openai', vision: true },
-  'gpt-4-turbo-preview': { name: 'gpt-4-turbo-preview', provider: 'openai', vision: true },
-  'gpt-4-vision-preview': { name: 'gpt-4-vision-preview', provider: 'openai', vision: true },
-  'gpt-4': { name: 'gpt-4', provider: 'openai' },
-  'gpt-4-0613': { name: 'gpt-4-0613', provider: 'openai' },
-  'gpt-4-0314': { name: 'gpt-4-0314', provider: 'openai' },
-  'gpt-3.5-turbo': { name: 'gpt-3.5-turbo', provider: 'openai' },
-  'gpt-3.5-turbo-0125': { name: 'gpt-3.5-turbo-0125', provider: 'openai' },
-  'gpt-3.5-turbo-1106': { name: 'gpt-3.5-turbo-1106', provider: 'openai' },
-  'gpt-5': { name: 'gpt-5', provider: 'openai' },
-  'gpt-5-chat-latest': { name: 'gpt-5-chat-latest', provider: 'openai' },
-  'gpt-5.1-codex': { name: 'gpt-5.1-codex', provider: 'openai' },
-  'gpt-5.1-codex-mini': { name: 'gpt-5.1-codex-mini', provider: 'openai' },
-  'o3': { name: 'o3', provider: 'openai' },
+  'o3-mini': { name: 'o3-mini', provider: 'openai', reasoning: true, context_window: 200000, max_output_tokens: 100000 },
+  'o1-preview': { name: 'o1-preview', provider: 'openai', reasoning: true, context_window: 128000, max_output_tokens: 32768 },
+  'o1-mini': { name: 'o1-mini', provider: 'openai', reasoning: true, context_window: 128000, max_output_tokens: 65536 },
+  'gpt-4o': { name: 'gpt-4o', provider: 'openai', vision: true, context_window: 128000, max_output_tokens: 16384 },
+  'gpt-4o-2024-11-20': { name: 'gpt-4o-2024-11-20', provider: 'openai', vision: true, context_window: 128000, max_output_tokens: 16384 },
+  'gpt-4o-2024-08-06': { name: 'gpt-4o-2024-08-06', provider: 'openai', vision: true, context_window: 128000, max_output_tokens: 16384 },
+  'gpt-4o-2024-05-13': { name: 'gpt-4o-2024-05-13', provider: 'openai', vision: true, context_window: 128000, max_output_tokens: 4096 },
+  'gpt-4o-mini': { name: 'gpt-4o-mini', provider: 'openai', vision: true, context_window: 128000, max_output_tokens: 16384 },
+  'gpt-4o-mini-2024-07-18': { name: 'gpt-4o-mini-2024-07-18', provider: 'openai', vision: true, context_window: 128000, max_output_tokens: 16384 },
+  'gpt-4-turbo': { name: 'gpt-4-turbo', provider: 'openai', vision: true, context_window: 128000, max_output_tokens: 4096 },
+  'gpt-4-turbo-2024-04-09': { name: 'gpt-4-turbo-2024-04-09', provider: 'openai', vision: true, context_window: 128000, max_output_tokens: 4096 },
+  'gpt-4-turbo-preview': { name: 'gpt-4-turbo-preview', provider: 'openai', vision: true, context_window: 128000, max_output_tokens: 4096 },
+  'gpt-4-vision-preview': { name: 'gpt-4-vision-preview', provider: 'openai', vision: true, context_window: 128000, max_output_tokens: 4096 },
+  'gpt-4': { name: 'gpt-4', provider: 'openai', context_window: 8192, max_output_tokens: 8192 },
+  'gpt-4-0613': { name: 'gpt-4-0613', provider: 'openai', context_window: 8192, max_output_tokens: 8192 },
+  'gpt-4-0314': { name: 'gpt-4-0314', provider: 'openai', context_window: 8192, max_output_tokens: 8192 },
+  'gpt-3.5-turbo': { name: 'gpt-3.5-turbo', provider: 'openai', context_window: 16385, max_output_tokens: 4096 },
+  'gpt-3.5-turbo-0125': { name: 'gpt-3.5-turbo-0125', provider: 'openai', context_window: 16385, max_output_tokens: 4096 },
+  'gpt-3.5-turbo-1106': { name: 'gpt-3.5-turbo-1106', provider: 'openai', context_window: 16385, max_output_tokens: 4096 },
+  'gpt-5': { name: 'gpt-5', provider: 'openai', reasoning: true, context_window: 400000, max_output_tokens: 128000 },
+  'gpt-5-chat-latest': { name: 'gpt-5-chat-latest', provider: 'openai', context_window: 128000, max_output_tokens: 16384 },
+  'gpt-5.1-codex': { name: 'gpt-5.1-codex', provider: 'openai', reasoning: true, context_window: 400000, max_output_tokens: 128000 },
+  'gpt-5.1-codex-mini': { name: 'gpt-5.1-codex-mini', provider: 'openai', reasoning: true, context_window: 400000, max_output_tokens: 128000 },
+  'o3': { name: 'o3', provider: 'openai', reasoning: true, context_window: 200000, max_output_tokens: 100000 },
 
   // Claude Models
-  'claude-instant-1.2': { name: 'claude-instant-1.2', provider: 'anthropic' },
-  'claude-2.1': { name: 'claude-2.1', provider: 'anthropic' },
-  'claude-3-5-sonnet-20241022': { name: 'claude-3-5-sonnet-20241022', provider: 'anthropic', vision: true },
-  'claude-3-5-sonnet-20240620': { name: 'claude-3-5-sonnet-20240620', provider: 'anthropic', vision: true },
-  'claude-3-5-haiku-20241022': { name: 'claude-3-5-haiku-20241022', provider: 'anthropic', vision: true },
-  'claude-3-opus-20240229': { name: 'claude-3-opus-20240229', provider: 'anthropic', vision: true },
-  'claude-3-sonnet-20240229': { name: 'claude-3-sonnet-20240229', provider: 'anthropic', vision: true },
-  'claude-3-haiku-20240307': { name: 'claude-3-haiku-20240307', provider: 'anthropic', vision: true },
-  'claude-sonnet-4-5-20250929': { name: 'claude-sonnet-4-5-20250929', provider: 'anthropic', vision: true },
-  'claude-sonnet-4-20250514': { name: 'claude-sonnet-4-20250514', provider: 'anthropic', vision: true },
-  'claude-opus-4-5-20251101': { name: 'claude-opus-4-5-20251101', provider: 'anthropic', vision: true },
-  'claude-opus-4-1-20250805': { name: 'claude-opus-4-1-20250805', provider: 'anthropic', vision: true },
-  'claude-haiku-4-5-20251001': { name: 'claude-haiku-4-5-20251001', provider: 'anthropic', vision: true },
+  'claude-instant-1.2': { name: 'claude-instant-1.2', provider: 'anthropic', context_window: 100000, max_output_tokens: 4096 },
+  'claude-2.1': { name: 'claude-2.1', provider: 'anthropic', context_window: 200000, max_output_tokens: 4096 },
+  'claude-3-5-sonnet-20241022': { name: 'claude-3-5-sonnet-20241022', provider: 'anthropic', vision: true, context_window: 200000, max_output_tokens: 8192 },
+  'claude-3-5-sonnet-20240620': { name: 'claude-3-5-sonnet-20240620', provider: 'anthropic', vision: true, context_window: 200000, max_output_tokens: 8192 },
+  'claude-3-5-haiku-20241022': { name: 'claude-3-5-haiku-20241022', provider: 'anthropic', vision: true, context_window: 200000, max_output_tokens: 8192 },
+  'claude-3-opus-20240229': { name: 'claude-3-opus-20240229', provider: 'anthropic', vision: true, context_window: 200000, max_output_tokens: 4096 },
+  'claude-3-sonnet-20240229': { name: 'claude-3-sonnet-20240229', provider: 'anthropic', vision: true, context_window: 200000, max_output_tokens: 4096 },
+  'claude-3-haiku-20240307': { name: 'claude-3-haiku-20240307', provider: 'anthropic', vision: true, context_window: 200000, max_output_tokens: 4096 },
+  'claude-sonnet-4-5-20250929': { name: 'claude-sonnet-4-5-20250929', provider: 'anthropic', vision: true, reasoning: true, context_window: 200000, max_output_tokens: 64000 },
+  'claude-sonnet-4-20250514': { name: 'claude-sonnet-4-20250514', provider: 'anthropic', vision: true, reasoning: true, context_window: 200000, max_output_tokens: 64000 },
+  'claude-opus-4-5-20251101': { name: 'claude-opus-4-5-20251101', provider: 'anthropic', vision: true, reasoning: true, context_window: 200000, max_output_tokens: 64000 },
+  'claude-opus-4-1-20250805': { name: 'claude-opus-4-1-20250805', provider: 'anthropic', vision: true, reasoning: true, context_window: 200000, max_output_tokens: 32000 },
+  'claude-haiku-4-5-20251001': { name: 'claude-haiku-4-5-20251001', provider: 'anthropic', vision: true, reasoning: true, context_window: 200000, max_output_tokens: 64000 },
 
   // Google Models
-  'gemini-1.0-pro': { name: 'gemini-1.0-pro', provider: 'google' },
-  'gemini-1.5-pro': { name: 'gemini-1.5-pro', provider: 'google', vision: true },
-  'gemini-1.5-pro-002': { name: 'gemini-1.5-pro-002', provider: 'google', vision: true },
-  'gemini-1.5-flash': { name: 'gemini-1.5-flash', provider: 'google', vision: true },
-  'gemini-1.5-flash-002': { name: 'gemini-1.5-flash-002', provider: 'google', vision: true },
-  'gemini-1.5-flash-8b': { name: 'gemini-1.5-flash-8b', provider: 'google', vision: true },
-  'gemini-3-pro-preview': { name: 'gemini-3-pro-preview', provider: 'google', vision: true },
-  'chat-bison@002': { name: 'chat-bison@002', provider: 'google' },
+  'gemini-1.0-pro': { name: 'gemini-1.0-pro', provider: 'google', context_window: 32760, max_output_tokens: 8192 },
+  'gemini-1.5-pro': { name: 'gemini-1.5-pro', provider: 'google', vision: true, context_window: 2097152, max_output_tokens: 8192 },
+  'gemini-1.5-pro-002': { name: 'gemini-1.5-pro-002', provider: 'google', vision: true, context_window: 2097152, max_output_tokens: 8192 },
+  'gemini-1.5-flash': { name: 'gemini-1.5-flash', provider: 'google', vision: true, context_window: 1048576, max_output_tokens: 8192 },
+  'gemini-1.5-flash-002': { name: 'gemini-1.5-flash-002', provider: 'google', vision: true, context_window: 1048576, max_output_tokens: 8192 },
+  'gemini-1.5-flash-8b': { name: 'gemini-1.5-flash-8b', provider: 'google', vision: true, context_window: 1048576, max_output_tokens: 8192 },
+  'gemini-3-pro-preview': { name: 'gemini-3-pro-preview', provider: 'google', vision: true, reasoning: true, context_window: 1048576, max_output_tokens: 65536 },
+  'chat-bison@002': { name: 'chat-bison@002', provider: 'google', context_window: 8192, max_output_tokens: 2048 },
 
   // Meta Llama Models
-  'llama-3.2-90b-vision-instruct': { name: 'llama-3.2-90b-vision-instruct', provider: 'meta', vision: true },
-  'llama-3.2-11b-vision-instruct': { name: 'llama-3.2-11b-vision-instruct', provider: 'meta', vision: true },
-  'llama-3.1-405b-instruct': { name: 'llama-3.1-405b-instruct', provider: 'meta' },
-  'llama-3.1-70b-instruct': { name: 'llama-3.1-70b-instruct', provider: 'meta' },
-  'llama-3.1-8b-instruct': { name: 'llama-3.1-8b-instruct', provider: 'meta' },
-  'meta/llama-2-70b-chat': { name: 'meta/llama-2-70b-chat', provider: 'meta' },
-  'meta/meta-llama-3-70b-instruct': { name: 'meta/meta-llama-3-70b-instruct', provider: 'meta' },
-  'meta/meta-llama-3.1-405b-instruct': { name: 'meta/meta-llama-3.1-405b-instruct', provider: 'meta' },
+  'llama-3.2-90b-vision-instruct': { name: 'llama-3.2-90b-vision-instruct', provider: 'meta', vision: true, context_window: 128000, max_output_tokens: 4096 },
+  'llama-3.2-11b-vision-instruct': { name: 'llama-3.2-11b-vision-instruct', provider: 'meta', vision: true, context_window: 128000, max_output_tokens: 4096 },
+  'llama-3.1-405b-instruct': { name: 'llama-3.1-405b-instruct', provider: 'meta', context_window: 128000, max_output_tokens: 4096 },
+  'llama-3.1-70b-instruct': { name: 'llama-3.1-70b-instruct', provider: 'meta', context_window: 128000, max_output_tokens: 4096 },
+  'llama-3.1-8b-instruct': { name: 'llama-3.1-8b-instruct', provider: 'meta', context_window: 128000, max_output_tokens: 4096 },
+  'meta/llama-2-70b-chat': { name: 'meta/llama-2-70b-chat', provider: 'meta', context_window: 4096, max_output_tokens: 4096 },
+  'meta/meta-llama-3-70b-instruct': { name: 'meta/meta-llama-3-70b-instruct', provider: 'meta', context_window: 8192, max_output_tokens: 4096 },
+  'meta/meta-llama-3.1-405b-instruct': { name: 'meta/meta-llama-3.1-405b-instruct', provider: 'meta', context_window: 128000, max_output_tokens: 4096 },
 
   // Mistral Models
-  'mistral-large-latest': { name: 'mistral-large-latest', provider: 'mistral' },
-  'mistral-large-2407': { name: 'mistral-large-2407', provider: 'mistral' },
-  'mistral-large-2402': { name: 'mistral-large-2402', provider: 'mistral' },
-  'mistral-small-latest': { name: 'mistral-small-latest', provider: 'mistral' },
-  'mistral-small-2409': { name: 'mistral-small-2409', provider: 'mistral' },
-  'mistral-nemo': { name: 'mistral-nemo', provider: 'mistral' },
-  'pixtral-12b': { name: 'pixtral-12b', provider: 'mistral', vision: true },
-  'open-mixtral-8x22b': { name: 'open-mixtral-8x22b', provider: 'mistral' },
-  'open-mixtral-8x7b': { name: 'open-mixtral-8x7b', provider: 'mistral' },
-  'open-mistral-7b': { name: 'open-mistral-7b', provider: 'mistral' },
-  'codestral-2405': { name: 'codestral-2405', provider: 'mistral' },
-  'mistralai/mixtral-8x7b-instruct-v0.1': { name: 'mistralai/mixtral-8x7b-instruct-v0.1', provider: 'mistral' },
+  'mistral-large-latest': { name: 'mistral-large-latest', provider: 'mistral', context_window: 128000, max_output_tokens: 4096 },
+  'mistral-large-2407': { name: 'mistral-large-2407', provider: 'mistral', context_window: 128000, max_output_tokens: 4096 },
+  'mistral-large-2402': { name: 'mistral-large-2402', provider: 'mistral', context_window: 32000, max_output_tokens: 4096 },
+  'mistral-small-latest': { name: 'mistral-small-latest', provider: 'mistral', context_window: 32000, max_output_tokens: 4096 },
+  'mistral-small-2409': { name: 'mistral-small-2409', provider: 'mistral', context_window: 32000, max_output_tokens: 4096 },
+  'mistral-nemo': { name: 'mistral-nemo', provider: 'mistral', context_window: 128000, max_output_tokens: 4096 },
+  'pixtral-12b': { name: 'pixtral-12b', provider: 'mistral', vision: true, context_window: 128000, max_output_tokens: 4096 },
+  'open-mixtral-8x22b': { name: 'open-mixtral-8x22b', provider: 'mistral', context_window: 64000, max_output_tokens: 4096 },
+  'open-mixtral-8x7b': { name: 'open-mixtral-8x7b', provider: 'mistral', context_window: 32000, max_output_tokens: 4096 },
+  'open-mistral-7b': { name: 'open-mistral-7b', provider: 'mistral', context_window: 32000, max_output_tokens: 4096 },
+  'codestral-2405': { name: 'codestral-2405', provider: 'mistral', context_window: 32000, max_output_tokens: 4096 },
+  'mistralai/mixtral-8x7b-instruct-v0.1': { name: 'mistralai/mixtral-8x7b-instruct-v0.1', provider: 'mistral', context_window: 32000, max_output_tokens: 4096 },
 
   // DeepSeek Models
-  'deepseek-chat': { name: 'deepseek-chat', provider: 'deepseek' },
-  'deepseek-reasoner': { name: 'deepseek-reasoner', provider: 'deepseek' },
+  'deepseek-chat': { name: 'deepseek-chat', provider: 'deepseek', context_window: 64000, max_output_tokens: 8192 },
+  'deepseek-reasoner': { name: 'deepseek-reasoner', provider: 'deepseek', reasoning: true, context_window: 64000, max_output_tokens: 8192 },
 
   // Alibaba Cloud Models
-  'qwen3-coder-plus': { name: 'qwen3-coder-plus', provider: 'alibaba' },
-  'qwen3-coder-flash': { name: 'qwen3-coder-flash', provider: 'alibaba' },
+  'qwen3-coder-plus': { name: 'qwen3-coder-plus', provider: 'alibaba', context_window: 1000000, max_output_tokens: 65536 },
+  'qwen3-coder-flash': { name: 'qwen3-coder-flash', provider: 'alibaba', context_window: 1000000, max_output_tokens: 65536 },
 
   // Other Text Models
-  'command': { name: 'command', provider: 'cohere' },
-  'grok-2': { name: 'grok-2', provider: 'xai' },
-  'grok-code-fast-1': { name: 'grok-code-fast-1', provider: 'xai' },
+  'command': { name: 'command', provider: 'cohere', context_window: 4096, max_output_tokens: 4096 },
+  'grok-2': { name: 'grok-2', provider: 'xai', context_window: 131072, max_output_tokens: 4096 },
+  'grok-code-fast-1': { name: 'grok-code-fast-1', provider: 'xai', reasoning: true, context_window: 256000, max_output_tokens: 10000 },
 
   // Image Generation Models
-  'dall-e-3': { name: 'dall-e-3', provider: 'openai', type: 'image_generation' },
-  'dall-e-2': { name: 'dall-e-2', provider: 'openai', type: 'image_generation' },
+  // sizes overrides the provider's supported sizes; edits lists the /v1/images/edits
+  // operations and variations marks /v1/images/variations support (see imagegen.js)
+  'dall-e-3': { name: 'dall-e-3', provider: 'openai', type: 'image_generation', sizes: ['1024x1024', '1792x1024', '1024x1792'], max_images: 1 },
+  'dall-e-2': { name: 'dall-e-2', provider: 'openai', type: 'image_generation', sizes: ['256x256', '512x512', '1024x1024'], max_images: 10, edits: ['inpaint'], variations: true },
 
   // Stability AI
   'stable-image': { name: 'stable-image', provider: 'stability', type: 'image_generation' },
   'stable-diffusion-xl-1024-v1-0': { name: 'stable-diffusion-xl-1024-v1-0', provider: 'stability', type: 'image_generation' },
   'stable-diffusion-v1-6': { name: 'stable-diffusion-v1-6', provider: 'stability', type: 'image_generation' },
-  'esrgan-v1-x2plus': { name: 'esrgan-v1-x2plus', provider: 'stability', type: 'image_generation' },
+  'esrgan-v1-x2plus': { name: 'esrgan-v1-x2plus', provider: 'stability', type: 'image_editing', edits: ['upscale'] },
 
   // Leonardo AI
   '6b645e3a-d64f-4341-a6d8-7a3690fbf042': { name: '6b645e3a-d64f-4341-a6d8-7a3690fbf042', provider: 'leonardo', type: 'image_generation' }, // Leonardo Phoenix
@@ -108,20 +114,33 @@ export const MODELS_CONFIG = {
   '2067ae52-33fd-4a82-bb92-c2c55e7d2786': { name: '2067ae52-33fd-4a82-bb92-c2c55e7d2786', provider: 'leonardo', type: 'image_generation' }, // Leonardo Albedo Base XL
 
   // Midjourney
-  'midjourney': { name: 'midjourney', provider: 'midjourney', type: 'image_generation' },
-  'midjourney_6_1': { name: 'midjourney_6_1', provider: 'midjourney', type: 'image_generation' },
+  'midjourney': { name: 'midjourney', provider: 'midjourney', type: 'image_generation', variations: true },
+  'midjourney_6_1': { name: 'midjourney_6_1', provider: 'midjourney', type: 'image_generation', variations: true },
 
   // Clipdrop
-  'clipdrop': { name: 'clipdrop', provider: 'clipdrop', type: 'image_generation' },
+  'clipdrop': { name: 'clipdrop', provider: 'clipdrop', type: 'image_generation', edits: ['replace_background', 'remove_background', 'inpaint', 'upscale'] },
 
   // Flux Models
   'flux-schnell': { name: 'flux-schnell', provider: 'black-forest-labs', type: 'image_generation' },
   'flux-dev': { name: 'flux-dev', provider: 'black-forest-labs', type: 'image_generation' },
   'flux-pro': { name: 'flux-pro', provider: 'black-forest-labs', type: 'image_generation' },
-  'flux-1.1-pro': { name: 'flux-1.1-pro', provider: 'black-forest-labs', type: 'image_generation' }
+  'flux-1.1-pro': { name: 'flux-1.1-pro', provider: 'black-forest-labs', type: 'image_generation' },
+
+  // Audio Models
+  'whisper-1': { name: 'whisper-1', provider: 'openai', type: 'speech_to_text' },
+  'tts-1': { name: 'tts-1', provider: 'openai', type: 'text_to_speech' },
+  'tts-1-hd': { name: 'tts-1-hd', provider: 'openai', type: 'text_to_speech' },
+
+  // Embedding Models (Workers AI)
+  'bge-small-en-v1.5': { name: '@cf/baai/bge-small-en-v1.5', provider: 'baai', type: 'embedding', dimensions: 384, context_window: 512 },
+  'bge-base-en-v1.5': { name: '@cf/baai/bge-base-en-v1.5', provider: 'baai', type: 'embedding', dimensions: 768, context_window: 512 },
+  'bge-large-en-v1.5': { name: '@cf/baai/bge-large-en-v1.5', provider: 'baai', type: 'embedding', dimensions: 1024, context_window: 512 },
+  'bge-m3': { name: '@cf/baai/bge-m3', provider: 'baai', type: 'embedding', dimensions: 1024, context_window: 8192 }
 };
 
-// OpenAI-style model aliases for backwards compatibility
+// OpenAI-style model aliases for backwards compatibility. routeModel (see
+// routing.js) applies them after every routing rule, so rules can retarget or
+// drop them.
 export const MODEL_ALIASES = {
   'gpt-4': 'gpt-4o',
   'gpt-3.5-turbo': 'gpt-3.5-turbo-0125',
@@ -143,10 +162,26 @@ export const MODEL_ALIASES = {
   'deepseek': 'deepseek-chat'
 };
 
+// The synced 1min AI catalog merged with MODELS_CONFIG (see catalog.js), or
+// null to serve the static table
+let catalogModels = null;
+
+export function setModelCatalog(models) {
+  catalogModels = models;
+}
+
+function getModels() {
+  return catalogModels || MODELS_CONFIG;
+}
+
+// The MODELS_CONFIG id behind a model id or alias. A model's own entry wins
+// over an alias of the same name, so a routed `gpt-4` stays gpt-4.
+export function resolveModelId(modelId) {
+  return getModels()[modelId] ? modelId : MODEL_ALIASES[modelId] || modelId;
+}
+
 export function getModelInfo(modelId) {
-  // Check aliases first
-  const resolvedModel = MODEL_ALIASES[modelId] || modelId;
-  return MODELS_CONFIG[resolvedModel] || null;
+  return getModels()[resolveModelId(modelId)] || null;
 }
 
 export function isVisionModel(modelId) {
@@ -159,6 +194,17 @@ export function isImageGenerationModel(modelId) {
   return modelInfo?.type === 'image_generation';
 }
 
+// Text models are the ones without a type
+export function isChatModel(modelId) {
+  const modelInfo = getModelInfo(modelId);
+  return Boolean(modelInfo) && !modelInfo.type;
+}
+
+export function isEmbeddingModel(modelId) {
+  const modelInfo = getModelInfo(modelId);
+  return modelInfo?.type === 'embedding';
+}
+
 export function validateModel(modelId) {
   const modelInfo = getModelInfo(modelId);
   if (!modelInfo) {
@@ -169,22 +215,74 @@ export function validateModel(modelId) {
 }
 
 export function getAllModels() {
-  return Object.keys(MODELS_CONFIG);
+  return Object.keys(getModels());
 }
 
-export function formatModelsForOpenAI() {
-  const models = getAllModels();
-
-  return models.map(modelId => {
-    const modelInfo = getModelInfo(modelId);
-    return {
-      id: modelId,
-      object: 'model',
-      created: Math.floor(Date.now() / 1000),
-      owned_by: modelInfo.provider,
-      permission: [],
-      root: modelId,
-      parent: null
-    };
-  });
-}
\ No newline at end of file
+// Models without a date in their id report this fixed creation time
+const DEFAULT_CREATED = 1704067200; // 2024-01-01T00:00:00Z
+
+// Stable `created` timestamp taken from the date in the model id
+// (gpt-4o-2024-08-06, claude-3-5-sonnet-20241022, mistral-large-2407)
+export function getModelCreated(modelId) {
+  const fullDate = modelId.match(/(20\d{2})-?(0[1-9]|1[0-2])-?(0[1-9]|[12]\d|3[01])(?!\d)/);
+  if (fullDate) {
+    return Date.UTC(Number(fullDate[1]), Number(fullDate[2]) - 1, Number(fullDate[3])) / 1000;
+  }
+  const yearMonth = modelId.match(/-(2\d)(0[1-9]|1[0-2])$/);
+  if (yearMonth) {
+    return Date.UTC(2000 + Number(yearMonth[1]), Number(yearMonth[2]) - 1, 1) / 1000;
+  }
+  return DEFAULT_CREATED;
+}
+
+export function getModelAliases(modelId) {
+  return Object.keys(MODEL_ALIASES).filter(alias => alias !== modelId && MODEL_ALIASES[alias] === modelId);
+}
+
+export function formatModel(modelId, modelInfo) {
+  const imageGeneration = modelInfo.type === 'image_generation';
+  const chat = !modelInfo.type;
+  return {
+    id: modelId,
+    object: 'model',
+    created: modelInfo.created ?? getModelCreated(modelId),
+    owned_by: modelInfo.provider,
+    permission: [],
+    root: modelId,
+    parent: null,
+    type: modelInfo.type || 'chat',
+    context_window: modelInfo.context_window ?? null,
+    max_output_tokens: modelInfo.max_output_tokens ?? null,
+    capabilities: {
+      vision: modelInfo.vision === true,
+      image_generation: imageGeneration,
+      image_editing: Boolean(modelInfo.edits?.length || modelInfo.variations),
+      // Tools are emulated and streaming is supported for every chat model
+      tools: chat,
+      streaming: chat,
+      reasoning: modelInfo.reasoning === true
+    },
+    // 1min AI credits, when the synced catalog reports them
+    pricing: modelInfo.pricing ?? null,
+    aliases: getModelAliases(modelId),
+    ...(modelInfo.type === 'embedding' && { dimensions: modelInfo.dimensions })
+  };
+}
+
+// filters: { type, provider, capability } as given in the /v1/models query string
+export function formatModelsForOpenAI(filters = {}) {
+  return getAllModels()
+    .map(modelId => formatModel(modelId, getModels()[modelId]))
+    .filter(model => !filters.type || model.type === filters.type)
+    .filter(model => !filters.provider || model.owned_by === filters.provider.toLowerCase())
+    .filter(model => !filters.capability || model.capabilities[filters.capability] === true);
+}
+
+// A single model by id or alias, or null
+export function getModelForOpenAI(modelId) {
+  const modelInfo = getModelInfo(modelId);
+  if (!modelInfo) {
+    return null;
+  }
+  return formatModel(resolveModelId(modelId), modelInfo);
+}
@@ -0,0 +1,179 @@
+// Upstream key pool
+// Virtual keys draw on a pool of 1min AI keys (the ONE_MIN_API_KEY_<NAME>
+// secrets). Requests are spread across healthy keys round-robin or by weight,
+// and a key that runs out of credits, is rejected or is rate limited cools
+// down while requests fail over to the next one. Health is shared through the
+// CACHE KV namespace when bound, one entry per key so isolates marking
+// different keys do not overwrite each other; otherwise it is tracked per isolate.
+import { isStorageConfigured } from './store.js';
+
+export const POOL_STRATEGIES = ['round_robin', 'weighted'];
+
+const HEALTH_PREFIX = 'upstream_pool:health:';
+const MAX_ERROR_LENGTH = 200;
+
+// Default cooldowns per failure reason, in seconds
+const COOLDOWN_SECONDS = {
+  exhausted: 3600,
+  unauthorized: 3600,
+  rate_limited: 60
+};
+
+const CREDIT_ERROR_PATTERN = /credit|insufficient|quota|balance/i;
+const AUTH_ERROR_PATTERN = /invalid api[ -]?key|unauthori[sz]ed/i;
+
+let localHealth = {};
+let roundRobinCursor = 0;
+
+export function getPoolStrategy(env) {
+  return POOL_STRATEGIES.includes(env.UPSTREAM_POOL_STRATEGY) ? env.UPSTREAM_POOL_STRATEGY : 'round_robin';
+}
+
+// UPSTREAM_KEY_WEIGHTS="primary=3,backup=1"; unlisted keys weigh 1
+export function getKeyWeights(env) {
+  const weights = {};
+  for (const entry of (env.UPSTREAM_KEY_WEIGHTS || '').split(',')) {
+    const [name, value] = entry.split('=').map(part => part.trim());
+    const weight = Number(value);
+    if (name && weight > 0) {
+      weights[name.toLowerCase()] = weight;
+    }
+  }
+  return weights;
+}
+
+// Health entries of the named keys, by name
+async function loadHealth(env, names) {
+  if (!isStorageConfigured(env)) {
+    return localHealth;
+  }
+  try {
+    const entries = await Promise.all(names.map(name => env.CACHE.get(HEALTH_PREFIX + name, 'json')));
+    return Object.fromEntries(names.map((name, index) => [name, entries[index]]));
+  } catch (error) {
+    console.error('Failed to load upstream key health:', error);
+    return {};
+  }
+}
+
+async function saveHealth(env, name, entry) {
+  if (!isStorageConfigured(env)) {
+    localHealth = { ...localHealth, [name]: entry };
+    return;
+  }
+  try {
+    await env.CACHE.put(HEALTH_PREFIX + name, JSON.stringify(entry));
+  } catch (error) {
+    console.error('Failed to save upstream key health:', error);
+  }
+}
+
+function isCoolingDown(entry, now) {
+  return Boolean(entry?.cooldown_until && entry.cooldown_until > now);
+}
+
+// Weighted shuffle: heavier keys tend to come first
+function weightedOrder(keys, weights) {
+  const remaining = [...keys];
+  const ordered = [];
+  while (remaining.length > 0) {
+    const total = remaining.reduce((sum, key) => sum + (weights[key.name] || 1), 0);
+    let pick = Math.random() * total;
+    const index = remaining.findIndex(key => (pick -= weights[key.name] || 1) < 0);
+    ordered.push(...remaining.splice(index === -1 ? remaining.length - 1 : index, 1));
+  }
+  return ordered;
+}
+
+// Order pooled keys ({ name, apiKey }) for a request: healthy keys by the
+// configured strategy, then cooling keys as a last resort, soonest first.
+export async function orderUpstreamKeys(env, keys) {
+  if (keys.length <= 1) {
+    return keys.map(key => ({ ...key, healthy: true }));
+  }
+
+  const health = await loadHealth(env, keys.map(key => key.name));
+  const now = Math.floor(Date.now() / 1000);
+  const healthy = keys.filter(key => !isCoolingDown(health[key.name], now));
+  const cooling = keys
+    .filter(key => isCoolingDown(health[key.name], now))
+    .sort((a, b) => health[a.name].cooldown_until - health[b.name].cooldown_until);
+
+  let ordered;
+  if (getPoolStrategy(env) === 'weighted') {
+    ordered = weightedOrder(healthy, getKeyWeights(env));
+  } else {
+    const start = healthy.length > 0 ? roundRobinCursor++ % healthy.length : 0;
+    ordered = [...healthy.slice(start), ...healthy.slice(0, start)];
+  }
+
+  return [
+    ...ordered.map(key => ({ ...key, healthy: true })),
+    ...cooling.map(key => ({ ...key, healthy: false }))
+  ];
+}
+
+// Move the named key to the front when it is healthy, e.g. the key that owns a conversation
+export function preferUpstreamKey(keys, name) {
+  const index = keys.findIndex(key => key.name === name && key.healthy);
+  if (index <= 0) {
+    return keys;
+  }
+  return [keys[index], ...keys.slice(0, index), ...keys.slice(index + 1)];
+}
+
+// Failures that say something about the key rather than the request.
+// Returns the reason, or null when another key would not help. Other 403s
+// (e.g. a model the plan does not include) are about the request.
+export function classifyUpstreamFailure(status, errorText = '') {
+  if (status === 402 || ((status === 400 || status === 403) && CREDIT_ERROR_PATTERN.test(errorText))) {
+    return 'exhausted';
+  }
+  if (status === 401 || (status === 403 && AUTH_ERROR_PATTERN.test(errorText))) {
+    return 'unauthorized';
+  }
+  if (status === 429) {
+    return 'rate_limited';
+  }
+  return null;
+}
+
+export async function markUpstreamFailure(env, name, reason, { retryAfter, errorText } = {}) {
+  const entry = (await loadHealth(env, [name]))[name] || { failures: 0 };
+  const now = Math.floor(Date.now() / 1000);
+  const cooldown = Number(retryAfter) > 0 ? Number(retryAfter) : COOLDOWN_SECONDS[reason];
+
+  await saveHealth(env, name, {
+    reason,
+    cooldown_until: now + cooldown,
+    failures: entry.failures + 1,
+    last_error: errorText ? errorText.slice(0, MAX_ERROR_LENGTH) : null,
+    last_failure_at: now
+  });
+}
+
+// Health of every configured upstream key, as shown by GET /admin/pool
+export async function getPoolStatus(env, names) {
+  const health = await loadHealth(env, names);
+  const weights = getKeyWeights(env);
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    object: 'upstream_pool',
+    strategy: getPoolStrategy(env),
+    data: names.map(name => {
+      const entry = health[name];
+      const cooling = isCoolingDown(entry, now);
+      return {
+        name,
+        weight: weights[name] || 1,
+        status: cooling ? 'cooling_down' : 'healthy',
+        reason: cooling ? entry.reason : null,
+        cooldown_until: cooling ? entry.cooldown_until : null,
+        failures: entry?.failures || 0,
+        last_error: entry?.last_error || null,
+        last_failure_at: entry?.last_failure_at || null
+      };
+    })
+  };
+}
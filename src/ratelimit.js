@@ -0,0 +1,217 @@
+// Per-key rate limits and token budgets
+// Each API key gets a RateLimiter Durable Object holding token buckets for
+// requests and tokens per minute plus daily and monthly token counters, so
+// limits hold across edge locations. Limits come from the virtual key record,
+// falling back to the RATE_LIMIT_* environment variables. Without the
+// RATE_LIMITER binding, or without any configured limit, nothing is enforced.
+import { DurableObject } from 'cloudflare:workers';
+import { handleRateLimitError } from './errors.js';
+import { hashApiKey } from './store.js';
+
+export const RATE_LIMIT_FIELDS = {
+  requests_per_minute: 'RATE_LIMIT_REQUESTS_PER_MINUTE',
+  tokens_per_minute: 'RATE_LIMIT_TOKENS_PER_MINUTE',
+  tokens_per_day: 'RATE_LIMIT_TOKENS_PER_DAY',
+  tokens_per_month: 'RATE_LIMIT_TOKENS_PER_MONTH'
+};
+
+export function getRateLimits(env, virtualKey) {
+  const limits = {};
+  for (const [field, variable] of Object.entries(RATE_LIMIT_FIELDS)) {
+    const value = virtualKey?.rate_limits?.[field] ?? Number(env[variable] || 0);
+    if (value > 0) {
+      limits[field] = value;
+    }
+  }
+  return limits;
+}
+
+export function validateRateLimits(rateLimits) {
+  if (rateLimits === undefined || rateLimits === null) {
+    return { valid: true };
+  }
+  if (typeof rateLimits !== 'object' || Array.isArray(rateLimits)) {
+    return { valid: false, error: 'rate_limits must be an object', param: 'rate_limits' };
+  }
+  for (const [field, value] of Object.entries(rateLimits)) {
+    if (!(field in RATE_LIMIT_FIELDS)) {
+      return { valid: false, error: `Unknown rate limit '${field}'. Expected: ${Object.keys(RATE_LIMIT_FIELDS).join(', ')}`, param: 'rate_limits' };
+    }
+    if (!Number.isInteger(value) || value < 1) {
+      return { valid: false, error: `rate_limits.${field} must be a positive integer`, param: 'rate_limits' };
+    }
+  }
+  return { valid: true };
+}
+
+function isRateLimited(env, limits) {
+  return Boolean(env.RATE_LIMITER) && Object.keys(limits).length > 0;
+}
+
+async function getLimiter(env, auth) {
+  const name = auth.virtualKey ? auth.virtualKey.id : `key:${await hashApiKey(auth.clientKey)}`;
+  return env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(name));
+}
+
+// OpenAI-style durations: 20ms, 1s, 6m0s
+function formatDuration(seconds) {
+  if (seconds < 1) {
+    return `${Math.ceil(seconds * 1000)}ms`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.ceil(seconds % 60);
+  return minutes > 0 ? `${minutes}m${rest}s` : `${rest}s`;
+}
+
+export function getRateLimitHeaders(state) {
+  const headers = {};
+  if (state.requests) {
+    headers['x-ratelimit-limit-requests'] = String(state.requests.limit);
+    headers['x-ratelimit-remaining-requests'] = String(state.requests.remaining);
+    headers['x-ratelimit-reset-requests'] = formatDuration(state.requests.reset);
+  }
+  if (state.tokens) {
+    headers['x-ratelimit-limit-tokens'] = String(state.tokens.limit);
+    headers['x-ratelimit-remaining-tokens'] = String(state.tokens.remaining);
+    headers['x-ratelimit-reset-tokens'] = formatDuration(state.tokens.reset);
+  }
+  if (state.retryAfter) {
+    headers['retry-after'] = String(Math.ceil(state.retryAfter));
+  }
+  return headers;
+}
+
+// Count one request (or several upstream calls made for one) against the key's limits.
+// Returns { headers } when allowed, otherwise { error: Response } (a 429).
+export async function checkRateLimit(env, auth, requests = 1) {
+  const limits = getRateLimits(env, auth.virtualKey);
+  if (!isRateLimited(env, limits)) {
+    return { headers: {} };
+  }
+
+  const limiter = await getLimiter(env, auth);
+  const state = await limiter.check(limits, requests);
+  const headers = getRateLimitHeaders(state);
+
+  if (state.allowed) {
+    return { headers };
+  }
+
+  const error = state.reason === 'budget'
+    ? handleRateLimitError(`You exceeded your ${state.period} token budget for this API key`, 'insufficient_quota')
+    : handleRateLimitError(`Rate limit reached for ${state.reason} per minute. Please try again in ${formatDuration(state.retryAfter)}.`);
+  for (const [name, value] of Object.entries(headers)) {
+    error.headers.set(name, value);
+  }
+  return { error, headers };
+}
+
+// Charge the tokens a completed request actually used
+export async function recordTokenUsage(env, auth, tokens) {
+  const limits = getRateLimits(env, auth.virtualKey);
+  if (!isRateLimited(env, limits) || !tokens) {
+    return;
+  }
+
+  try {
+    const limiter = await getLimiter(env, auth);
+    await limiter.record(limits, tokens);
+  } catch (error) {
+    console.error('Failed to record token usage:', error);
+  }
+}
+
+export class RateLimiter extends DurableObject {
+  async loadState() {
+    if (!this.state) {
+      this.state = (await this.ctx.storage.get('state')) || { buckets: {}, usage: {} };
+    }
+    return this.state;
+  }
+
+  // Refill a per-minute bucket and return its current level
+  refill(state, name, capacity, now) {
+    const bucket = state.buckets[name] || { level: capacity, updated: now };
+    const rate = capacity / 60;
+    bucket.level = Math.min(capacity, bucket.level + (now - bucket.updated) * rate);
+    bucket.updated = now;
+    state.buckets[name] = bucket;
+    return bucket;
+  }
+
+  // Daily and monthly counters reset when the UTC period changes
+  usage(state, period, now) {
+    const key = new Date(now * 1000).toISOString().slice(0, period === 'daily' ? 10 : 7);
+    if (state.usage[period]?.key !== key) {
+      state.usage[period] = { key, used: 0 };
+    }
+    return state.usage[period];
+  }
+
+  snapshot(state, limits, now) {
+    const result = {};
+    if (limits.requests_per_minute) {
+      const bucket = this.refill(state, 'requests', limits.requests_per_minute, now);
+      result.requests = {
+        limit: limits.requests_per_minute,
+        remaining: Math.max(0, Math.floor(bucket.level)),
+        reset: (limits.requests_per_minute - bucket.level) / (limits.requests_per_minute / 60)
+      };
+    }
+    if (limits.tokens_per_minute) {
+      const bucket = this.refill(state, 'tokens', limits.tokens_per_minute, now);
+      result.tokens = {
+        limit: limits.tokens_per_minute,
+        remaining: Math.max(0, Math.floor(bucket.level)),
+        reset: (limits.tokens_per_minute - bucket.level) / (limits.tokens_per_minute / 60)
+      };
+    }
+    return result;
+  }
+
+  async check(limits, requests = 1) {
+    const state = await this.loadState();
+    const now = Date.now() / 1000;
+    const result = { allowed: true, ...this.snapshot(state, limits, now) };
+
+    for (const [period, budget] of [['daily', limits.tokens_per_day], ['monthly', limits.tokens_per_month]]) {
+      if (budget && this.usage(state, period, now).used >= budget) {
+        return { ...result, allowed: false, reason: 'budget', period };
+      }
+    }
+
+    if (limits.requests_per_minute && state.buckets.requests.level < requests) {
+      const retryAfter = (requests - state.buckets.requests.level) / (limits.requests_per_minute / 60);
+      return { ...result, allowed: false, reason: 'requests', retryAfter };
+    }
+
+    // Token usage is only known afterwards, so a request may start while any tokens remain
+    if (limits.tokens_per_minute && state.buckets.tokens.level <= 0) {
+      const retryAfter = -state.buckets.tokens.level / (limits.tokens_per_minute / 60) || 1;
+      return { ...result, allowed: false, reason: 'tokens', retryAfter };
+    }
+
+    if (limits.requests_per_minute) {
+      const bucket = state.buckets.requests;
+      bucket.level -= requests;
+      result.requests.remaining = Math.max(0, Math.floor(bucket.level));
+      result.requests.reset = (limits.requests_per_minute - bucket.level) / (limits.requests_per_minute / 60);
+    }
+
+    await this.ctx.storage.put('state', state);
+    return result;
+  }
+
+  async record(limits, tokens) {
+    const state = await this.loadState();
+    const now = Date.now() / 1000;
+
+    if (limits.tokens_per_minute) {
+      this.refill(state, 'tokens', limits.tokens_per_minute, now).level -= tokens;
+    }
+    this.usage(state, 'daily', now).used += tokens;
+    this.usage(state, 'monthly', now).used += tokens;
+
+    await this.ctx.storage.put('state', state);
+  }
+}
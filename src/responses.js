@@ -0,0 +1,442 @@
+// OpenAI Responses API support
+// Requests are translated to chat completions and the results are translated
+// back into Response objects and the typed streaming event protocol.
+
+export function generateResponseId() {
+  return `resp_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+function generateItemId(prefix) {
+  return `${prefix}_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+export function transformResponsesToChat(responsesBody) {
+  const messages = [];
+
+  // Convert instructions to system message
+  if (responsesBody.instructions) {
+    messages.push({ role: 'system', content: responsesBody.instructions });
+  }
+
+  // Convert input to messages
+  messages.push(...transformInputToMessages(responsesBody.input));
+
+  return {
+    model: responsesBody.model,
+    messages: messages,
+    stream: responsesBody.stream || false,
+    temperature: responsesBody.temperature,
+    max_tokens: responsesBody.max_output_tokens || responsesBody.max_tokens || responsesBody.max_completion_tokens,
+    response_format: responsesBody.response_format || transformTextFormat(responsesBody.text?.format),
+    tools: transformTools(responsesBody.tools),
+    tool_choice: transformToolChoice(responsesBody.tool_choice),
+    parallel_tool_calls: responsesBody.parallel_tool_calls
+  };
+}
+
+export function transformInputToMessages(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+
+  if (!Array.isArray(input)) {
+    return [];
+  }
+
+  const messages = [];
+  for (const item of input) {
+    if (typeof item === 'string') {
+      messages.push({ role: 'user', content: item });
+    } else if (item.type === 'function_call') {
+      const toolCall = {
+        id: item.call_id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments }
+      };
+      const previous = messages[messages.length - 1];
+      // Consecutive function calls belong to the same assistant turn
+      if (previous?.role === 'assistant' && previous.tool_calls) {
+        previous.tool_calls.push(toolCall);
+      } else {
+        messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+      }
+    } else if (item.type === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+      });
+    } else if (item.role && item.content) {
+      messages.push({
+        role: item.role === 'developer' ? 'system' : item.role,
+        content: transformInputContent(item.content)
+      });
+    }
+  }
+
+  return messages;
+}
+
+// Normalize request input into Responses item objects with ids, as stored
+// for previous_response_id chaining and returned by input_items
+export function normalizeInputItems(input) {
+  const items = typeof input === 'string' ? [input] : (Array.isArray(input) ? input : []);
+
+  return items.map(item => {
+    if (typeof item === 'string') {
+      return {
+        id: generateItemId('msg'),
+        type: 'message',
+        role: 'user',
+        content: [{ type: 'input_text', text: item }]
+      };
+    }
+
+    if (item.role && (!item.type || item.type === 'message')) {
+      const textType = item.role === 'assistant' ? 'output_text' : 'input_text';
+      return {
+        id: item.id || generateItemId('msg'),
+        type: 'message',
+        role: item.role,
+        content: typeof item.content === 'string'
+          ? [{ type: textType, text: item.content }]
+          : item.content
+      };
+    }
+
+    return { id: item.id || generateItemId(item.type === 'function_call_output' ? 'fco' : 'item'), ...item };
+  });
+}
+
+export function paginateItems(items, params) {
+  const order = params.get('order') === 'asc' ? 'asc' : 'desc';
+  const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || 20, 1), 100);
+  const after = params.get('after');
+
+  let ordered = order === 'asc' ? [...items] : [...items].reverse();
+  if (after) {
+    const index = ordered.findIndex(item => item.id === after);
+    ordered = index === -1 ? [] : ordered.slice(index + 1);
+  }
+
+  const data = ordered.slice(0, limit);
+  return {
+    object: 'list',
+    data,
+    first_id: data[0]?.id || null,
+    last_id: data[data.length - 1]?.id || null,
+    has_more: ordered.length > limit
+  };
+}
+
+function transformInputContent(content) {
+  if (!Array.isArray(content)) {
+    return content;
+  }
+
+  return content.map(part => {
+    if (part.type === 'input_text' || part.type === 'output_text') {
+      return { type: 'text', text: part.text };
+    }
+    if (part.type === 'input_image' && part.file_id) {
+      return { type: 'file', file: { file_id: part.file_id } };
+    }
+    if (part.type === 'input_image') {
+      return { type: 'image_url', image_url: { url: part.image_url, detail: part.detail } };
+    }
+    if (part.type === 'input_file') {
+      return { type: 'file', file: { file_data: part.file_data, file_id: part.file_id, file_url: part.file_url, filename: part.filename } };
+    }
+    return part;
+  });
+}
+
+// The Responses API nests structured output settings under text.format
+function transformTextFormat(format) {
+  if (!format || format.type !== 'json_schema') {
+    return format;
+  }
+
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: format.name,
+      description: format.description,
+      schema: format.schema,
+      strict: format.strict
+    }
+  };
+}
+
+function transformTools(tools) {
+  if (!Array.isArray(tools)) {
+    return undefined;
+  }
+
+  // Only function tools can be emulated; built-in tools (web_search, ...) are dropped
+  return tools
+    .filter(tool => tool.type === 'function')
+    .map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+}
+
+function transformToolChoice(toolChoice) {
+  if (toolChoice?.type === 'function' && toolChoice.name) {
+    return { type: 'function', function: { name: toolChoice.name } };
+  }
+  return toolChoice;
+}
+
+export function transformUsage(usage) {
+  const inputTokens = usage?.prompt_tokens || 0;
+  const outputTokens = usage?.completion_tokens || 0;
+
+  return {
+    input_tokens: inputTokens,
+    input_tokens_details: { cached_tokens: 0 },
+    output_tokens: outputTokens,
+    output_tokens_details: { reasoning_tokens: 0 },
+    total_tokens: inputTokens + outputTokens
+  };
+}
+
+// Skeleton Response object echoing the request parameters
+export function createResponseObject(responsesBody, overrides = {}) {
+  return {
+    id: generateResponseId(),
+    object: 'response',
+    created_at: Math.floor(Date.now() / 1000),
+    status: 'in_progress',
+    error: null,
+    incomplete_details: null,
+    instructions: responsesBody.instructions || null,
+    max_output_tokens: responsesBody.max_output_tokens || null,
+    model: responsesBody.model,
+    output: [],
+    parallel_tool_calls: responsesBody.parallel_tool_calls ?? true,
+    previous_response_id: responsesBody.previous_response_id || null,
+    reasoning: { effort: null, summary: null },
+    store: responsesBody.store ?? true,
+    temperature: responsesBody.temperature ?? 1,
+    text: responsesBody.text || { format: { type: 'text' } },
+    tool_choice: responsesBody.tool_choice || 'auto',
+    tools: responsesBody.tools || [],
+    top_p: responsesBody.top_p ?? 1,
+    truncation: 'disabled',
+    usage: null,
+    user: responsesBody.user || null,
+    metadata: responsesBody.metadata || {},
+    ...overrides
+  };
+}
+
+function createMessageItem(text, status = 'completed') {
+  return {
+    id: generateItemId('msg'),
+    type: 'message',
+    status,
+    role: 'assistant',
+    content: text === null ? [] : [createOutputText(text)]
+  };
+}
+
+function createOutputText(text) {
+  return { type: 'output_text', text, annotations: [] };
+}
+
+function createFunctionCallItem(toolCall, status = 'completed') {
+  return {
+    id: generateItemId('fc'),
+    type: 'function_call',
+    status,
+    call_id: toolCall.id,
+    name: toolCall.function.name,
+    arguments: toolCall.function.arguments
+  };
+}
+
+export function getOutputText(output) {
+  return output
+    .filter(item => item.type === 'message')
+    .flatMap(item => item.content)
+    .filter(part => part.type === 'output_text')
+    .map(part => part.text)
+    .join('');
+}
+
+export function transformChatToResponses(chatResponse, responsesBody = {}) {
+  const output = [];
+
+  for (const choice of chatResponse.choices) {
+    if (choice.message.content) {
+      output.push(createMessageItem(choice.message.content));
+    }
+    for (const toolCall of choice.message.tool_calls || []) {
+      output.push(createFunctionCallItem(toolCall));
+    }
+  }
+
+  return createResponseObject(responsesBody, {
+    created_at: chatResponse.created,
+    model: chatResponse.model || responsesBody.model,
+    status: 'completed',
+    output,
+    output_text: getOutputText(output),
+    usage: transformUsage(chatResponse.usage)
+  });
+}
+
+// Translates chat.completion.chunk objects into the typed Responses event
+// sequence. Each method returns the events to emit, already numbered.
+export function createResponsesStreamTranslator(responsesBody) {
+  const response = createResponseObject(responsesBody);
+  const toolCalls = [];
+  let sequenceNumber = 0;
+  let messageItem = null;
+  let text = '';
+  let usage = null;
+
+  const event = (type, payload) => ({ type, sequence_number: sequenceNumber++, ...payload });
+
+  const openMessage = () => {
+    messageItem = createMessageItem(null, 'in_progress');
+    response.output.push(messageItem);
+    const outputIndex = response.output.length - 1;
+    return [
+      event('response.output_item.added', { output_index: outputIndex, item: { ...messageItem, content: [] } }),
+      event('response.content_part.added', {
+        item_id: messageItem.id,
+        output_index: outputIndex,
+        content_index: 0,
+        part: createOutputText('')
+      })
+    ];
+  };
+
+  const closeMessage = () => {
+    const outputIndex = response.output.indexOf(messageItem);
+    const part = createOutputText(text);
+    messageItem.status = 'completed';
+    messageItem.content = [part];
+    return [
+      event('response.output_text.done', {
+        item_id: messageItem.id,
+        output_index: outputIndex,
+        content_index: 0,
+        text,
+        logprobs: []
+      }),
+      event('response.content_part.done', {
+        item_id: messageItem.id,
+        output_index: outputIndex,
+        content_index: 0,
+        part
+      }),
+      event('response.output_item.done', { output_index: outputIndex, item: messageItem })
+    ];
+  };
+
+  return {
+    response,
+
+    start() {
+      return [
+        event('response.created', { response: { ...response, output: [] } }),
+        event('response.in_progress', { response: { ...response, output: [] } })
+      ];
+    },
+
+    push(chatChunk) {
+      const events = [];
+      if (chatChunk.usage) {
+        usage = chatChunk.usage;
+      }
+      if (chatChunk.model) {
+        response.model = chatChunk.model;
+      }
+
+      for (const choice of chatChunk.choices || []) {
+        const delta = choice.delta || {};
+
+        if (delta.content) {
+          if (!messageItem) {
+            events.push(...openMessage());
+          }
+          text += delta.content;
+          events.push(event('response.output_text.delta', {
+            item_id: messageItem.id,
+            output_index: response.output.indexOf(messageItem),
+            content_index: 0,
+            delta: delta.content,
+            logprobs: []
+          }));
+        }
+
+        for (const toolCallDelta of delta.tool_calls || []) {
+          let entry = toolCalls[toolCallDelta.index];
+          if (!entry) {
+            const item = createFunctionCallItem({
+              id: toolCallDelta.id,
+              function: { name: toolCallDelta.function?.name, arguments: '' }
+            }, 'in_progress');
+            response.output.push(item);
+            entry = { item, outputIndex: response.output.length - 1 };
+            toolCalls[toolCallDelta.index] = entry;
+            events.push(event('response.output_item.added', { output_index: entry.outputIndex, item: { ...item } }));
+          }
+
+          const argumentsDelta = toolCallDelta.function?.arguments;
+          if (argumentsDelta) {
+            entry.item.arguments += argumentsDelta;
+            events.push(event('response.function_call_arguments.delta', {
+              item_id: entry.item.id,
+              output_index: entry.outputIndex,
+              delta: argumentsDelta
+            }));
+          }
+        }
+      }
+
+      return events;
+    },
+
+    finish() {
+      const events = [];
+
+      if (messageItem) {
+        events.push(...closeMessage());
+      }
+
+      for (const entry of toolCalls.filter(Boolean)) {
+        entry.item.status = 'completed';
+        events.push(
+          event('response.function_call_arguments.done', {
+            item_id: entry.item.id,
+            output_index: entry.outputIndex,
+            arguments: entry.item.arguments
+          }),
+          event('response.output_item.done', { output_index: entry.outputIndex, item: entry.item })
+        );
+      }
+
+      response.status = 'completed';
+      response.output_text = getOutputText(response.output);
+      response.usage = transformUsage(usage);
+      events.push(event('response.completed', { response }));
+
+      return events;
+    },
+
+    fail(error) {
+      response.status = 'failed';
+      response.error = { code: 'server_error', message: error.message };
+      return [event('response.failed', { response })];
+    }
+  };
+}
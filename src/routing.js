@@ -0,0 +1,162 @@
+// Model routing rules
+// Rules retarget requested model names without a redeploy. They come from the
+// CACHE KV namespace (managed through /admin/routing) or, when none are
+// stored, the MODEL_ROUTING var. Each rule matches a model name, optionally a
+// glob such as "claude-*-latest", and either rewrites it to one `target` or
+// splits traffic by weight between several models. Rules limited to `keys`
+// (virtual key ids) are checked before the global ones; within each group the
+// first match wins. The static MODEL_ALIASES act as global rules checked after
+// all others: a rule for an alias name (even one mapping it to itself, such as
+// gpt-4 -> gpt-4) replaces it, and rule targets are used as they are.
+import { getModelInfo, MODEL_ALIASES } from './models.js';
+import { isStorageConfigured } from './store.js';
+
+const ROUTING_KEY = 'model_routing';
+// How long an isolate keeps the rules before reading KV again
+const ROUTING_REFRESH_MS = 60 * 1000;
+const MAX_RULES = 100;
+
+let activeRules = [];
+let loadedAt = 0;
+
+function getEnvRules(env) {
+  if (!env.MODEL_ROUTING) {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(env.MODEL_ROUTING);
+    const rules = Array.isArray(parsed) ? parsed : parsed.rules;
+    const validation = validateRoutingRules({ rules });
+    if (!validation.valid) {
+      console.error('Ignoring invalid MODEL_ROUTING:', validation.error);
+      return null;
+    }
+    return rules;
+  } catch (error) {
+    console.error('Ignoring invalid MODEL_ROUTING:', error.message);
+    return null;
+  }
+}
+
+function setRules(rules) {
+  activeRules = (rules || []).map(rule => ({ ...rule, pattern: toPattern(rule.match) }));
+}
+
+function toPattern(match) {
+  const escaped = match.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+function validateRule(rule, index) {
+  const name = `rules[${index}]`;
+  if (!rule || typeof rule !== 'object' || typeof rule.match !== 'string' || !rule.match) {
+    return `${name}.match must be a model name or glob pattern`;
+  }
+  if ((rule.target === undefined) === (rule.split === undefined)) {
+    return `${name} must have exactly one of target or split`;
+  }
+  if (rule.target !== undefined && (typeof rule.target !== 'string' || !getModelInfo(rule.target))) {
+    return `${name}.target must be a supported model`;
+  }
+  if (rule.split !== undefined) {
+    if (!Array.isArray(rule.split) || rule.split.length < 2) {
+      return `${name}.split must list at least two models`;
+    }
+    const invalid = rule.split.find(arm => !arm || typeof arm.model !== 'string' || !getModelInfo(arm.model) ||
+      !(typeof arm.weight === 'number' && arm.weight > 0));
+    if (invalid) {
+      return `${name}.split entries need a supported model and a positive weight`;
+    }
+  }
+  if (rule.keys !== undefined && (!Array.isArray(rule.keys) || rule.keys.some(key => typeof key !== 'string'))) {
+    return `${name}.keys must be an array of virtual key ids`;
+  }
+  return null;
+}
+
+export function validateRoutingRules(body) {
+  const rules = body?.rules;
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    return { valid: false, error: `rules must be an array of at most ${MAX_RULES} rules`, param: 'rules' };
+  }
+  for (const [index, rule] of rules.entries()) {
+    const error = validateRule(rule, index);
+    if (error) {
+      return { valid: false, error, param: 'rules' };
+    }
+  }
+  return { valid: true };
+}
+
+function pickWeighted(split) {
+  const total = split.reduce((sum, arm) => sum + arm.weight, 0);
+  let roll = Math.random() * total;
+  for (const arm of split) {
+    roll -= arm.weight;
+    if (roll < 0) {
+      return arm.model;
+    }
+  }
+  return split[split.length - 1].model;
+}
+
+// The model a request for `model` should use. `auth` is the authenticate()
+// result; key-scoped rules only apply to virtual keys.
+export function routeModel(model, auth) {
+  if (typeof model !== 'string') {
+    return model;
+  }
+
+  const keyId = auth?.virtualKey?.id;
+  const keyRules = keyId ? activeRules.filter(rule => rule.keys?.includes(keyId)) : [];
+  const globalRules = activeRules.filter(rule => !rule.keys);
+  const rule = [...keyRules, ...globalRules].find(candidate => candidate.pattern.test(model));
+
+  if (!rule) {
+    return MODEL_ALIASES[model] ?? model;
+  }
+  return rule.target ?? pickWeighted(rule.split);
+}
+
+export async function getRoutingRules(env) {
+  const stored = isStorageConfigured(env) ? await env.CACHE.get(ROUTING_KEY, 'json') : null;
+  if (stored) {
+    return { source: 'kv', rules: stored.rules, updated_at: stored.updated_at };
+  }
+  const rules = getEnvRules(env);
+  return { source: rules ? 'env' : 'none', rules: rules || [], updated_at: null };
+}
+
+// Store rules in KV, replacing MODEL_ROUTING until they are deleted
+export async function saveRoutingRules(env, rules) {
+  if (!isStorageConfigured(env)) {
+    throw new Error('Storing routing rules requires the CACHE KV binding');
+  }
+  const record = { rules, updated_at: Math.floor(Date.now() / 1000) };
+  await env.CACHE.put(ROUTING_KEY, JSON.stringify(record));
+  setRules(rules);
+  loadedAt = Date.now();
+  return { source: 'kv', ...record };
+}
+
+export async function clearRoutingRules(env) {
+  if (isStorageConfigured(env)) {
+    await env.CACHE.delete(ROUTING_KEY);
+  }
+  setRules(getEnvRules(env));
+  loadedAt = Date.now();
+}
+
+// Called per request; reads KV at most once per ROUTING_REFRESH_MS per isolate
+export async function loadRoutingRules(env) {
+  if (Date.now() - loadedAt < ROUTING_REFRESH_MS) {
+    return;
+  }
+  loadedAt = Date.now();
+
+  try {
+    setRules((await getRoutingRules(env)).rules);
+  } catch (error) {
+    console.error('Failed to load routing rules:', error);
+  }
+}
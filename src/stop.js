@@ -0,0 +1,100 @@
+// Stop sequence emulation
+// 1min AI does not accept stop sequences, so generated text is cut at the
+// first match on the gateway side.
+
+// OpenAI accepts at most this many stop sequences
+export const MAX_STOP_SEQUENCES = 4;
+
+// The stop parameter of /v1/chat/completions and /v1/completions: a string or
+// up to MAX_STOP_SEQUENCES strings, as OpenAI enforces it
+export function validateStopSequences(stop) {
+  if (stop === undefined || stop === null || typeof stop === 'string') {
+    return { valid: true };
+  }
+  if (!Array.isArray(stop) || !stop.every(sequence => typeof sequence === 'string')) {
+    return { valid: false, error: 'stop must be a string or an array of strings' };
+  }
+  if (stop.length > MAX_STOP_SEQUENCES) {
+    return { valid: false, error: `stop may contain at most ${MAX_STOP_SEQUENCES} sequences, got ${stop.length}` };
+  }
+  return { valid: true };
+}
+
+export function normalizeStopSequences(stop) {
+  if (!stop) {
+    return [];
+  }
+  const sequences = Array.isArray(stop) ? stop : [stop];
+  return sequences.filter(sequence => typeof sequence === 'string' && sequence.length > 0);
+}
+
+function findFirstStop(text, stops) {
+  let match = null;
+  for (const sequence of stops) {
+    const index = text.indexOf(sequence);
+    if (index !== -1 && (match === null || index < match.index)) {
+      match = { index, sequence };
+    }
+  }
+  return match;
+}
+
+export function truncateAtStop(text, stops) {
+  const match = stops.length > 0 && text ? findFirstStop(text, stops) : null;
+  if (!match) {
+    return { text, stopSequence: null };
+  }
+  return { text: text.slice(0, match.index), stopSequence: match.sequence };
+}
+
+// Streaming variant: holds back any trailing text that could be the start of
+// a stop sequence, and swallows everything after a match.
+export function createStopFilter(stops) {
+  let pending = '';
+  let stopSequence = null;
+
+  return {
+    get stopSequence() {
+      return stopSequence;
+    },
+
+    push(text) {
+      if (stopSequence !== null) {
+        return '';
+      }
+
+      pending += text;
+      const match = findFirstStop(pending, stops);
+      if (match) {
+        stopSequence = match.sequence;
+        const visible = pending.slice(0, match.index);
+        pending = '';
+        return visible;
+      }
+
+      const held = heldLength(pending, stops);
+      const visible = pending.slice(0, pending.length - held);
+      pending = pending.slice(pending.length - held);
+      return visible;
+    },
+
+    flush() {
+      const visible = stopSequence === null ? pending : '';
+      pending = '';
+      return visible;
+    }
+  };
+}
+
+function heldLength(text, stops) {
+  let held = 0;
+  for (const sequence of stops) {
+    for (let length = Math.min(sequence.length - 1, text.length); length > held; length--) {
+      if (sequence.startsWith(text.slice(-length))) {
+        held = length;
+        break;
+      }
+    }
+  }
+  return held;
+}
@@ -0,0 +1,45 @@
+// KV-backed persistence for gateway state
+// Uses the optional CACHE KV namespace; every record is scoped to a hash of the
+// caller's API key so keys never reach storage and callers cannot read each other's data.
+
+// Stored responses expire after 30 days, matching OpenAI's retention
+const RESPONSE_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+export function isStorageConfigured(env) {
+  return Boolean(env.CACHE);
+}
+
+export async function hashApiKey(apiKey) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+async function responseKey(apiKey, responseId) {
+  return `response:${await hashApiKey(apiKey)}:${responseId}`;
+}
+
+// record: { response, input_items, conversation }
+export async function saveResponse(env, apiKey, record) {
+  await env.CACHE.put(await responseKey(apiKey, record.response.id), JSON.stringify(record), {
+    expirationTtl: RESPONSE_TTL_SECONDS
+  });
+}
+
+export async function getStoredResponse(env, apiKey, responseId) {
+  if (!isStorageConfigured(env)) {
+    return null;
+  }
+  return env.CACHE.get(await responseKey(apiKey, responseId), 'json');
+}
+
+export async function deleteStoredResponse(env, apiKey, responseId) {
+  const key = await responseKey(apiKey, responseId);
+  const existing = await env.CACHE.get(key);
+  if (existing === null) {
+    return false;
+  }
+  await env.CACHE.delete(key);
+  return true;
+}
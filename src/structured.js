@@ -0,0 +1,323 @@
+// Structured output (response_format) enforcement
+// The model is steered through the system prompt, and its reply is validated
+// against the requested JSON schema before it is returned to the client.
+import { appendSystemPrompt } from './messages.js';
+
+export function getResponseFormat(responseFormat) {
+  if (!responseFormat || responseFormat.type === 'text') {
+    return null;
+  }
+  return responseFormat;
+}
+
+export function validateResponseFormat(responseFormat) {
+  if (!responseFormat) {
+    return { valid: true };
+  }
+
+  if (responseFormat.type === 'json_object') {
+    return { valid: true };
+  }
+
+  if (responseFormat.type === 'json_schema') {
+    const schema = responseFormat.json_schema?.schema;
+    if (!responseFormat.json_schema?.name) {
+      return { valid: false, error: 'response_format.json_schema.name is required' };
+    }
+    if (schema !== undefined && (typeof schema !== 'object' || schema === null || Array.isArray(schema))) {
+      return { valid: false, error: 'response_format.json_schema.schema must be a JSON schema object' };
+    }
+    const invalidPattern = findInvalidPattern(schema);
+    if (invalidPattern !== null) {
+      return { valid: false, error: `response_format.json_schema.schema has an invalid pattern: ${invalidPattern}` };
+    }
+    return { valid: true };
+  }
+
+  return { valid: false, error: `Invalid response_format type: ${responseFormat.type}` };
+}
+
+// Compiled schema patterns, so each is compiled once rather than on every
+// validation. Schemas come from clients, so the least recently used patterns
+// are evicted past MAX_CACHED_PATTERNS.
+const MAX_CACHED_PATTERNS = 256;
+const patternCache = new Map();
+
+function compilePattern(pattern) {
+  let compiled = patternCache.get(pattern);
+  if (compiled) {
+    // Re-inserting moves the pattern to the most recently used end
+    patternCache.delete(pattern);
+  } else {
+    compiled = new RegExp(pattern);
+    if (patternCache.size >= MAX_CACHED_PATTERNS) {
+      patternCache.delete(patternCache.keys().next().value);
+    }
+  }
+  patternCache.set(pattern, compiled);
+  return compiled;
+}
+
+// Keywords whose values hold subschemas (a schema, a list or a map of them).
+// Others such as enum, const, default and examples hold plain values.
+const SUBSCHEMA_KEYWORDS = ['properties', 'items', 'anyOf', 'oneOf', 'allOf', '$defs', 'definitions', 'additionalProperties'];
+const SCHEMA_MAP_KEYWORDS = ['properties', '$defs', 'definitions'];
+
+// The first pattern in the schema or its subschemas that does not compile, or null
+function findInvalidPattern(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+  if (typeof schema.pattern === 'string') {
+    try {
+      compilePattern(schema.pattern);
+    } catch (error) {
+      return schema.pattern;
+    }
+  }
+  for (const keyword of SUBSCHEMA_KEYWORDS) {
+    const value = schema[keyword];
+    if (!value || typeof value !== 'object') {
+      continue;
+    }
+    const subschemas = Array.isArray(value) ? value
+      : SCHEMA_MAP_KEYWORDS.includes(keyword) ? Object.values(value)
+        : [value];
+    for (const subschema of subschemas) {
+      const invalid = findInvalidPattern(subschema);
+      if (invalid !== null) {
+        return invalid;
+      }
+    }
+  }
+  return null;
+}
+
+export function buildResponseFormatPrompt(responseFormat) {
+  const lines = [];
+
+  if (responseFormat.type === 'json_schema') {
+    const { name, description, schema } = responseFormat.json_schema;
+    lines.push(`Respond only with a JSON value named "${name}" that conforms to this JSON schema:`);
+    if (description) {
+      lines.push(description);
+    }
+    lines.push('', JSON.stringify(schema || {}, null, 2), '');
+  } else {
+    lines.push('Respond only with a valid JSON object.');
+  }
+
+  lines.push('Do not wrap the JSON in markdown code fences and do not add any other text.');
+  return lines.join('\n');
+}
+
+export function applyResponseFormatPrompt(messages, responseFormat) {
+  return appendSystemPrompt(messages, buildResponseFormatPrompt(responseFormat));
+}
+
+export function buildRetryPrompt(errors) {
+  return [
+    'Your previous reply did not match the required JSON format:',
+    ...errors.map(error => `- ${error}`),
+    'Reply again with only the corrected JSON.'
+  ].join('\n');
+}
+
+// Returns { valid, text, errors } where text is the normalized JSON on success.
+export function checkStructuredOutput(text, responseFormat) {
+  const parsed = extractJson(text);
+  if (parsed.error) {
+    return { valid: false, errors: [parsed.error] };
+  }
+
+  const value = parsed.value;
+  let errors;
+
+  if (responseFormat.type === 'json_schema') {
+    errors = validateJsonSchema(value, responseFormat.json_schema.schema || {});
+  } else if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    errors = ['Expected a JSON object'];
+  } else {
+    errors = [];
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return { valid: true, text: JSON.stringify(value), errors: [] };
+}
+
+export function extractJson(text) {
+  if (!text || typeof text !== 'string') {
+    return { error: 'Reply was empty' };
+  }
+
+  const candidates = [text.trim()];
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  if (fenced) {
+    candidates.push(fenced[1]);
+  }
+
+  const start = text.search(/[{[]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  if (start !== -1 && end > start) {
+    candidates.push(text.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return { error: 'Reply is not valid JSON' };
+}
+
+// Validates a value against the subset of JSON Schema used by OpenAI structured outputs.
+// refs holds the $refs followed at the current path; meeting one again means the
+// schema refers to itself without descending into the value, which never ends.
+export function validateJsonSchema(value, schema, path = '$', root = schema, refs = []) {
+  if (schema === true || schema === undefined) {
+    return [];
+  }
+  if (schema === false) {
+    return [`${path} is not allowed`];
+  }
+
+  if (schema.$ref) {
+    if (refs.includes(schema.$ref)) {
+      return [`${path}: circular $ref ${schema.$ref}`];
+    }
+    const resolved = resolveRef(schema.$ref, root);
+    if (!resolved) {
+      return [`${path}: unresolvable $ref ${schema.$ref}`];
+    }
+    return validateJsonSchema(value, resolved, path, root, [...refs, schema.$ref]);
+  }
+
+  const errors = [];
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateJsonSchema(value, option, path, root, refs).length === 0)) {
+    errors.push(`${path} does not match any allowed schema`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(option => validateJsonSchema(value, option, path, root, refs).length === 0).length !== 1) {
+    errors.push(`${path} must match exactly one allowed schema`);
+  }
+  if (schema.allOf) {
+    for (const option of schema.allOf) {
+      errors.push(...validateJsonSchema(value, option, path, root, refs));
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} must be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} must be of type ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !compilePattern(schema.pattern).test(value)) {
+      errors.push(`${path} must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path} must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path} must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`, root));
+      });
+    }
+  } else if (value !== null && typeof value === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateJsonSchema(propertyValue, properties[key], `${path}.${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(propertyValue, schema.additionalProperties, `${path}.${key}`, root));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) {
+    return null;
+  }
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root) || null;
+}
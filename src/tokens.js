@@ -1,45 +1,205 @@
 // Token calculation utilities
-export function estimateTokens(text) {
+// Text is counted with bundled BPE encoders (cl100k_base / o200k_base). Non-OpenAI
+// providers use the closest encoding scaled by an empirical ratio.
+import { Tiktoken } from 'js-tiktoken/lite';
+import cl100k_base from 'js-tiktoken/ranks/cl100k_base';
+import o200k_base from 'js-tiktoken/ranks/o200k_base';
+import { getModelInfo } from './models.js';
+import { getImageDimensions, decodeDataUrl } from './images.js';
+import { getDocumentMimeType, describeDocument } from './documents.js';
+
+const RANKS = { cl100k_base, o200k_base };
+
+// Encoders are expensive to build, so each one is created once per isolate
+const encoders = {};
+
+const PROVIDER_TOKENIZERS = {
+  openai: { encoding: 'o200k_base', ratio: 1 },
+  anthropic: { encoding: 'cl100k_base', ratio: 1.1 },
+  google: { encoding: 'o200k_base', ratio: 1 },
+  meta: { encoding: 'o200k_base', ratio: 1 },
+  mistral: { encoding: 'cl100k_base', ratio: 1.15 },
+  deepseek: { encoding: 'cl100k_base', ratio: 1 },
+  alibaba: { encoding: 'o200k_base', ratio: 1 },
+  cohere: { encoding: 'cl100k_base', ratio: 1.05 },
+  xai: { encoding: 'o200k_base', ratio: 1 }
+};
+
+const DEFAULT_TOKENIZER = { encoding: 'cl100k_base', ratio: 1 };
+
+// OpenAI chat format overhead: every message is wrapped in
+// <|start|>{role/name}\n{content}<|end|>\n and every reply is primed with <|start|>assistant<|message|>
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const REPLY_PRIMING_TOKENS = 3;
+
+// Vision pricing: a fixed base plus a cost per 512px tile
+const IMAGE_BASE_TOKENS = 85;
+const IMAGE_TILE_TOKENS = 170;
+
+// Documents: text files are counted exactly; PDFs at a typical page of text,
+// and other files from their (compressed) size
+const DOCUMENT_PAGE_TOKENS = 800;
+const DOCUMENT_BYTES_PER_TOKEN = 12;
+
+export function getTokenizerForModel(modelId) {
+  const modelInfo = modelId ? getModelInfo(modelId) : null;
+  const name = modelInfo?.name || modelId || '';
+
+  if (modelInfo?.provider === 'openai' && /^(gpt-4(?!o)|gpt-3\.5)/.test(name)) {
+    return { encoding: 'cl100k_base', ratio: 1 };
+  }
+  if (name.includes('llama-2')) {
+    return { encoding: 'cl100k_base', ratio: 1.2 };
+  }
+
+  return PROVIDER_TOKENIZERS[modelInfo?.provider] || DEFAULT_TOKENIZER;
+}
+
+function getEncoder(encoding) {
+  if (!encoders[encoding]) {
+    encoders[encoding] = new Tiktoken(RANKS[encoding]);
+  }
+  return encoders[encoding];
+}
+
+export function countTokens(text, modelId) {
   if (!text || typeof text !== 'string') return 0;
-  
-  // Rough estimation: ~4 characters per token for English text
-  // This is a simplified version - a proper implementation would use tiktoken
-  return Math.ceil(text.length / 4);
+
+  const { encoding, ratio } = getTokenizerForModel(modelId);
+  // Special-token strings in user text are counted as plain text
+  const count = getEncoder(encoding).encode(text, [], []).length;
+  return Math.ceil(count * ratio);
+}
+
+export function estimateTokens(text, modelId) {
+  if (!text || typeof text !== 'string') return 0;
+
+  try {
+    return countTokens(text, modelId);
+  } catch (error) {
+    // Fall back to the ~4 characters per token rule of thumb
+    console.error('Tokenizer error:', error.message);
+    return Math.ceil(text.length / 4);
+  }
 }
 
-export function calculatePromptTokens(messages) {
+export function calculateImageTokens(width, height, detail = 'auto') {
+  if (detail === 'low') {
+    return IMAGE_BASE_TOKENS;
+  }
+
+  // Unknown dimensions: assume a 1024x1024 image
+  if (!width || !height) {
+    width = 1024;
+    height = 1024;
+  }
+
+  // Fit within 2048x2048, then scale the shortest side down to 768px
+  const fitScale = Math.min(1, 2048 / Math.max(width, height));
+  let scaledWidth = width * fitScale;
+  let scaledHeight = height * fitScale;
+
+  const shortestScale = Math.min(1, 768 / Math.min(scaledWidth, scaledHeight));
+  scaledWidth *= shortestScale;
+  scaledHeight *= shortestScale;
+
+  const tiles = Math.ceil(scaledWidth / 512) * Math.ceil(scaledHeight / 512);
+  return IMAGE_BASE_TOKENS + IMAGE_TILE_TOKENS * tiles;
+}
+
+// document: { size, pages, text_content } as described by describeDocument
+export function calculateDocumentTokens(document, modelId) {
+  if (document.text_content) {
+    return estimateTokens(document.text_content, modelId);
+  }
+  if (document.pages) {
+    return document.pages * DOCUMENT_PAGE_TOKENS;
+  }
+  return Math.ceil((document.size || 0) / DOCUMENT_BYTES_PER_TOKEN);
+}
+
+function calculateContentItemTokens(item, modelId) {
+  if (typeof item === 'string') {
+    return estimateTokens(item, modelId);
+  }
+  if (item.type === 'text') {
+    return estimateTokens(item.text, modelId);
+  }
+  if (item.type === 'image_url') {
+    const url = item.image_url?.url || '';
+    const dimensions = url.startsWith('data:') ? getImageDimensions(decodeDataUrl(url)?.bytes) : null;
+    return calculateImageTokens(dimensions?.width, dimensions?.height, item.image_url?.detail);
+  }
+  if (item.type === 'image') {
+    // Already read by processImageContent
+    return calculateImageTokens(item.width, item.height, item.detail);
+  }
+  if (item.type === 'file') {
+    const decoded = typeof item.file?.file_data === 'string' ? decodeDataUrl(item.file.file_data) : null;
+    return decoded
+      ? calculateDocumentTokens(describeDocument(decoded.bytes, getDocumentMimeType(item.file.filename, decoded.mimeType)), modelId)
+      : 0;
+  }
+  if (item.type === 'document') {
+    // Already read by processImageContent
+    return calculateDocumentTokens(item, modelId);
+  }
+  return 0;
+}
+
+export function calculatePromptTokens(messages, modelId) {
   let totalTokens = 0;
-  
+
   for (const message of messages) {
-    // Add tokens for role
-    totalTokens += estimateTokens(message.role);
-    
+    totalTokens += TOKENS_PER_MESSAGE;
+    totalTokens += estimateTokens(message.role, modelId);
+
+    if (message.name) {
+      totalTokens += TOKENS_PER_NAME + estimateTokens(message.name, modelId);
+    }
+
     // Add tokens for content
     if (typeof message.content === 'string') {
-      totalTokens += estimateTokens(message.content);
+      totalTokens += estimateTokens(message.content, modelId);
     } else if (Array.isArray(message.content)) {
       for (const item of message.content) {
-        if (item.type === 'text') {
-          totalTokens += estimateTokens(item.text);
-        } else if (item.type === 'image_url') {
-          // Images typically cost ~85 tokens for vision models
-          totalTokens += 85;
-        }
+        totalTokens += calculateContentItemTokens(item, modelId);
       }
     }
-    
-    // Add overhead tokens for message formatting
-    totalTokens += 4;
+
+    for (const toolCall of message.tool_calls || []) {
+      totalTokens += estimateTokens(toolCall.function?.name, modelId);
+      totalTokens += estimateTokens(toolCall.function?.arguments, modelId);
+    }
   }
-  
-  // Add overhead for conversation formatting
-  totalTokens += 2;
-  
-  return totalTokens;
+
+  return totalTokens + REPLY_PRIMING_TOKENS;
 }
 
-export function calculateCompletionTokens(responseText) {
-  return estimateTokens(responseText);
+export function calculateCompletionTokens(responseText, modelId) {
+  return estimateTokens(responseText, modelId);
+}
+
+// 1min AI reports its own token counts on some responses; those win over local estimates
+export function getUpstreamUsage(oneMinResponse) {
+  const sources = [
+    oneMinResponse,
+    oneMinResponse?.aiRecord,
+    oneMinResponse?.aiRecord?.aiRecordDetail,
+    oneMinResponse?.aiRecord?.aiRecordDetail?.responseObject
+  ];
+
+  const usage = { promptTokens: null, completionTokens: null };
+  for (const source of sources) {
+    if (Number.isFinite(source?.promptTokens) && usage.promptTokens === null) {
+      usage.promptTokens = source.promptTokens;
+    }
+    if (Number.isFinite(source?.completionTokens) && usage.completionTokens === null) {
+      usage.completionTokens = source.completionTokens;
+    }
+  }
+  return usage;
 }
 
 export function calculateTotalTokens(promptTokens, completionTokens) {
@@ -52,4 +212,4 @@ export function createUsageObject(promptTokens, completionTokens) {
     completion_tokens: completionTokens,
     total_tokens: calculateTotalTokens(promptTokens, completionTokens)
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,282 @@
+// Tool / function calling emulation
+// 1min AI has no native tool support, so tool schemas are described in the prompt
+// and the model's structured reply is parsed back into OpenAI tool_calls.
+import { contentToText, appendSystemPrompt } from './messages.js';
+
+export const TOOL_CALL_OPEN = '<tool_call>';
+export const TOOL_CALL_CLOSE = '</tool_call>';
+
+const TOOL_CALL_PATTERN = /<tool_call>\s*([\s\S]*?)\s*<\/tool_call>/g;
+
+export function hasToolDefinitions(body) {
+  return Array.isArray(body.tools) && body.tools.length > 0 && body.tool_choice !== 'none';
+}
+
+export function getToolNames(tools = []) {
+  return tools
+    .filter(tool => tool.type === 'function' && tool.function?.name)
+    .map(tool => tool.function.name);
+}
+
+export function validateTools(tools) {
+  if (tools === undefined || tools === null) {
+    return { valid: true };
+  }
+
+  if (!Array.isArray(tools)) {
+    return { valid: false, error: 'tools must be an array' };
+  }
+
+  for (const tool of tools) {
+    if (tool?.type !== 'function' || !tool.function?.name) {
+      return { valid: false, error: 'Each tool must be of type "function" with a function name' };
+    }
+  }
+
+  return { valid: true };
+}
+
+// A forced function must be one of the tools, or no reply could satisfy it
+export function validateToolChoice(toolChoice, tools) {
+  if (toolChoice?.type !== 'function' || !toolChoice.function?.name) {
+    return { valid: true };
+  }
+  if (!getToolNames(tools).includes(toolChoice.function.name)) {
+    return { valid: false, error: `tool_choice names function '${toolChoice.function.name}', which is not in tools` };
+  }
+  return { valid: true };
+}
+
+// The tools a reply has to call: any of them for tool_choice 'required', the
+// named one for a forced function, or null when the model may answer in text
+export function getRequiredToolNames(body) {
+  if (!hasToolDefinitions(body)) {
+    return null;
+  }
+  if (body.tool_choice === 'required') {
+    return getToolNames(body.tools);
+  }
+  if (body.tool_choice?.type === 'function' && body.tool_choice.function?.name) {
+    return [body.tool_choice.function.name];
+  }
+  return null;
+}
+
+// The prompt only asks for the tool_choice, so the parsed calls are checked against it
+export function checkToolChoice(toolCalls = [], requiredNames = null) {
+  if (!requiredNames) {
+    return { valid: true };
+  }
+  if (toolCalls.length === 0) {
+    return { valid: false, error: 'The reply did not call a tool' };
+  }
+  const other = toolCalls.find(call => !requiredNames.includes(call.function.name));
+  if (other) {
+    return { valid: false, error: `The reply called "${other.function.name}", which tool_choice does not allow` };
+  }
+  return { valid: true };
+}
+
+export function buildToolChoiceRetryPrompt(error, requiredNames) {
+  const target = requiredNames.length === 1
+    ? `the tool "${requiredNames[0]}"`
+    : `one of the tools ${requiredNames.map(name => `"${name}"`).join(', ')}`;
+  return `${error}. Call ${target} now, replying only with ${TOOL_CALL_OPEN} blocks in the format described above.`;
+}
+
+export function buildToolPrompt(tools, toolChoice, parallelToolCalls = true) {
+  const definitions = tools.map(tool => ({
+    name: tool.function.name,
+    description: tool.function.description || '',
+    parameters: tool.function.parameters || { type: 'object', properties: {} }
+  }));
+
+  const lines = [
+    'You have access to the following tools:',
+    '',
+    JSON.stringify(definitions, null, 2),
+    '',
+    'To call a tool, reply with one block per call in exactly this format:',
+    TOOL_CALL_OPEN,
+    '{"name": "<tool name>", "arguments": {<arguments matching the tool parameters>}}',
+    TOOL_CALL_CLOSE,
+    '',
+    'Tool results will be sent back to you inside <tool_result> blocks.'
+  ];
+
+  if (toolChoice === 'required') {
+    lines.push('You must call at least one tool before answering.');
+  } else if (toolChoice?.type === 'function' && toolChoice.function?.name) {
+    lines.push(`You must call the tool "${toolChoice.function.name}".`);
+  } else {
+    lines.push('If no tool is needed, answer the user directly without any tool_call block.');
+  }
+
+  if (parallelToolCalls === false) {
+    lines.push('Call at most one tool per reply.');
+  }
+
+  return lines.join('\n');
+}
+
+// Flatten assistant tool_calls and tool results into plain text turns, and
+// prepend the tool instructions to the system prompt when tools are enabled.
+export function applyToolPrompt(messages, body) {
+  const toolNamesById = {};
+  const flattened = messages.map(message => {
+    if (message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+      const blocks = message.tool_calls.map(call => {
+        toolNamesById[call.id] = call.function?.name;
+        return formatToolCallBlock(call.function?.name, call.function?.arguments);
+      });
+      const text = contentToText(message.content);
+      return { role: 'assistant', content: [text, ...blocks].filter(Boolean).join('\n') };
+    }
+
+    if (message.role === 'tool') {
+      const name = message.name || toolNamesById[message.tool_call_id] || 'unknown';
+      return {
+        role: 'user',
+        content: `<tool_result name="${name}" tool_call_id="${message.tool_call_id || ''}">\n${contentToText(message.content)}\n</tool_result>`
+      };
+    }
+
+    return message;
+  });
+
+  if (!hasToolDefinitions(body)) {
+    return flattened;
+  }
+
+  return appendSystemPrompt(flattened, buildToolPrompt(body.tools, body.tool_choice, body.parallel_tool_calls));
+}
+
+export function parseToolCalls(text, toolNames = []) {
+  if (!text || !text.includes(TOOL_CALL_OPEN)) {
+    return { content: text, toolCalls: [] };
+  }
+
+  const toolCalls = [];
+  for (const match of text.matchAll(TOOL_CALL_PATTERN)) {
+    const call = parseToolCallBlock(match[1]);
+    if (call && (toolNames.length === 0 || toolNames.includes(call.name))) {
+      toolCalls.push({
+        id: generateToolCallId(),
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {})
+        }
+      });
+    }
+  }
+
+  if (toolCalls.length === 0) {
+    return { content: text, toolCalls: [] };
+  }
+
+  const content = text.replace(TOOL_CALL_PATTERN, '').trim();
+  return { content: content || null, toolCalls };
+}
+
+// Streaming filter: passes plain text through as it arrives, but holds back
+// anything from the first <tool_call> marker on so it can be parsed at the end.
+export function createToolStreamFilter(toolNames = []) {
+  let pending = '';
+  let captured = null;
+
+  return {
+    push(text) {
+      if (captured !== null) {
+        captured += text;
+        return '';
+      }
+
+      pending += text;
+      const start = pending.indexOf(TOOL_CALL_OPEN);
+      if (start !== -1) {
+        const visible = pending.slice(0, start);
+        captured = pending.slice(start);
+        pending = '';
+        return visible;
+      }
+
+      const held = partialMarkerLength(pending);
+      const visible = pending.slice(0, pending.length - held);
+      pending = pending.slice(pending.length - held);
+      return visible;
+    },
+
+    finish() {
+      if (captured === null) {
+        return { content: pending, toolCalls: [] };
+      }
+
+      const { content, toolCalls } = parseToolCalls(captured, toolNames);
+      return { content: pending + (content || ''), toolCalls };
+    }
+  };
+}
+
+// Split each tool call into an opening delta (id, name) and an arguments delta,
+// mirroring how OpenAI streams tool_calls.
+export function createToolCallDeltas(toolCalls) {
+  const deltas = [];
+
+  toolCalls.forEach((call, index) => {
+    deltas.push({
+      tool_calls: [{
+        index,
+        id: call.id,
+        type: 'function',
+        function: { name: call.function.name, arguments: '' }
+      }]
+    });
+    deltas.push({
+      tool_calls: [{
+        index,
+        function: { arguments: call.function.arguments }
+      }]
+    });
+  });
+
+  return deltas;
+}
+
+function parseToolCallBlock(block) {
+  const json = block.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    const parsed = JSON.parse(json);
+    if (parsed && typeof parsed.name === 'string') {
+      return parsed;
+    }
+  } catch (error) {
+    console.error('Failed to parse tool call block:', error.message);
+  }
+  return null;
+}
+
+function formatToolCallBlock(name, args) {
+  let parsedArgs = args;
+  if (typeof args === 'string') {
+    try {
+      parsedArgs = JSON.parse(args);
+    } catch (error) {
+      parsedArgs = args;
+    }
+  }
+  return `${TOOL_CALL_OPEN}\n${JSON.stringify({ name, arguments: parsedArgs ?? {} })}\n${TOOL_CALL_CLOSE}`;
+}
+
+function partialMarkerLength(text) {
+  for (let length = Math.min(TOOL_CALL_OPEN.length - 1, text.length); length > 0; length--) {
+    if (TOOL_CALL_OPEN.startsWith(text.slice(-length))) {
+      return length;
+    }
+  }
+  return 0;
+}
+
+function generateToolCallId() {
+  return `call_${crypto.randomUUID().replace(/-/g, '').slice(0, 24)}`;
+}
@@ -28,6 +28,7 @@ const SUPPORTED_MODELS = {
   'command': true,
   'deepseek-chat': true,
   'grok-2': true,
+  'mock-new-model': true, // Only known through the catalog
   // Image models
   'dall-e-3': true,
   'dall-e-2': true,
@@ -37,9 +38,228 @@ const SUPPORTED_MODELS = {
   '6b645e3a-d64f-4341-a6d8-7a3690fbf042': true, // Leonardo Phoenix
   '5c232a9e-9061-4777-980a-ddc8e65647c6': true, // Leonardo Vision
   'flux-schnell': true,
-  'clipdrop': true
+  'flux-dev': true,
+  'esrgan-v1-x2plus': true,
+  'clipdrop': true,
+  // Audio models
+  'whisper-1': true,
+  'tts-1': true,
+  'tts-1-hd': true
 };
 
+const IMAGE_MODELS = [
+  'dall-e-3', 'dall-e-2', 'stable-diffusion-xl-1024-v1-0', 'stable-image', 'midjourney',
+  '6b645e3a-d64f-4341-a6d8-7a3690fbf042', '5c232a9e-9061-4777-980a-ddc8e65647c6', 'flux-schnell', 'flux-dev', 'clipdrop'
+];
+
+// Catalog features of the audio models
+const AUDIO_MODEL_FEATURES = {
+  'whisper-1': ['SPEECH_TO_TEXT', 'AUDIO_TRANSLATOR'],
+  'tts-1': ['TEXT_TO_SPEECH'],
+  'tts-1-hd': ['TEXT_TO_SPEECH']
+};
+
+// Models that always answer 503, for fallback chain tests
+const DOWN_MODELS = {
+  'claude-sonnet-4-5-20250929': true
+};
+
+// Embedding models served by the mock /v1/embeddings (standing in for Workers AI)
+const EMBEDDING_DIMENSIONS = {
+  '@cf/baai/bge-small-en-v1.5': 384,
+  '@cf/baai/bge-base-en-v1.5': 768,
+  '@cf/baai/bge-large-en-v1.5': 1024,
+  '@cf/baai/bge-m3': 1024
+};
+const embeddingBatches = [];
+
+// A 1x1 PNG returned for every generated image
+const MOCK_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+const imageRequests = [];
+
+// Image features: generation plus the editing tools, which take an uploaded asset
+const IMAGE_FEATURES = ['IMAGE_GENERATOR', 'IMAGE_VARIATOR', 'IMAGE_EDITOR', 'IMAGE_UPSCALER', 'BACKGROUND_REMOVER', 'BACKGROUND_REPLACER'];
+// Asset URLs handed out by /api/assets -> the API key that uploaded them.
+// Like 1min AI, assets only work for the account that uploaded them.
+const uploadedAssets = new Map();
+const ownsAsset = (req, url) => uploadedAssets.get(url) === req.headers['api-key'];
+
+// Audio features; speech-to-text takes an uploaded asset
+const AUDIO_FEATURES = ['SPEECH_TO_TEXT', 'AUDIO_TRANSLATOR', 'TEXT_TO_SPEECH'];
+// An ID3 header standing in for every generated speech file
+const MOCK_MP3 = Buffer.from('ID3\x03\x00\x00\x00\x00\x00\x00mock-audio', 'binary');
+const MOCK_TRANSCRIPT = {
+  text: 'Hello from the mock transcript. This is the second sentence.',
+  language: 'english',
+  duration: 4.2,
+  segments: [
+    { id: 0, start: 0, end: 1.8, text: ' Hello from the mock transcript.' },
+    { id: 1, start: 1.8, end: 4.2, text: ' This is the second sentence.' }
+  ]
+};
+const audioRequests = [];
+
+// Documents accepted by /api/assets for CHAT_WITH_PDF
+const DOCUMENT_EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/msword': 'doc',
+  'text/plain': 'txt',
+  'text/markdown': 'md',
+  'text/csv': 'csv',
+  'application/json': 'json'
+};
+const assetUploads = [];
+
+// Deterministic pseudo-embedding derived from the text
+function mockEmbedding(text, dimensions) {
+  const seed = crypto.createHash('sha256').update(text).digest();
+  return Array.from({ length: dimensions }, (_, i) => (seed[i % seed.length] - 128) / 128 + i / dimensions / 10);
+}
+
+// Prompts containing this marker fail once with a 502 before succeeding
+const FLAKY_MARKER = 'mock-flaky';
+const flakyAttempts = new Map();
+
+// Prompts containing this marker are answered after 200ms, to observe concurrency
+const SLOW_MARKER = 'mock-slow';
+const slowRequests = { inFlight: 0, peak: 0 };
+
+// Conversations created through /api/conversations: uuid -> { model, type, turns }
+const conversations = new Map();
+
+// Answer a chat request, in the conversation it names if any
+function respondToChat(request, res) {
+  const conversation = conversations.get(request.conversationId);
+  if (request.type === 'CHAT_WITH_PDF' && !conversation?.fileList.length) {
+    res.statusCode = 400;
+    res.end(JSON.stringify({ message: 'CHAT_WITH_PDF needs a conversation with files' }));
+    return;
+  }
+  const reply = buildMockReply(request, conversation?.turns);
+  conversation?.turns.push({ prompt: request.promptObject?.prompt || '', reply });
+
+  if (request.stream) {
+    // Streaming response
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+
+    const words = reply.split(' ');
+    let index = 0;
+
+    const interval = setInterval(() => {
+      if (index < words.length) {
+        const chunk = {
+          response: words[index] + (index < words.length - 1 ? ' ' : ''),
+          model: request.model
+        };
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        index++;
+      } else {
+        res.write('data: [DONE]\n\n');
+        res.end();
+        clearInterval(interval);
+      }
+    }, 100);
+  } else {
+    // Validate model for chat
+    if (!SUPPORTED_MODELS[request.model]) {
+      res.statusCode = 400;
+      res.end(JSON.stringify({
+        message: `Invalid model ${request.model} for AI feature CHAT_WITH_AI!`
+      }));
+      return;
+    }
+
+    // Non-streaming response (1min AI format)
+    res.end(JSON.stringify({
+      aiRecord: {
+        uuid: crypto.randomUUID(),
+        model: request.model,
+        type: 'CHAT_WITH_AI',
+        status: 'SUCCESS',
+        createdAt: new Date().toISOString(),
+        aiRecordDetail: {
+          promptObject: request.promptObject,
+          resultObject: [reply],
+          responseObject: {}
+        }
+      },
+      response: reply,
+      model: request.model,
+      promptTokens: 10,
+      completionTokens: 8
+    }));
+  }
+}
+
+// Emulate a model that follows the gateway's tool-calling instructions:
+// call the first advertised tool until a tool result has been sent back.
+// It ignores tool_choice until a retry prompt names the tool to call, and
+// prompts containing 'mock-no-tools' are always answered in plain text.
+function buildMockReply(request, history = []) {
+  // Earlier turns of the conversation are visible to the model, like upstream
+  const prompt = [...history.map(turn => `${turn.prompt}\n\n${turn.reply}`), request.promptObject?.prompt || ''].join('\n\n');
+
+  if (prompt.includes('You have access to the following tools') && !prompt.includes('<tool_result name=') && !prompt.includes('mock-no-tools')) {
+    const toolName = prompt.match(/Call the tool "([^"]+)" now/)?.[1] || prompt.match(/"name": "([^"]+)"/)?.[1] || 'unknown';
+    return `<tool_call>\n{"name": "${toolName}", "arguments": {"location": "Paris"}}\n</tool_call>`;
+  }
+
+  if (prompt.includes('<tool_result name=')) {
+    return 'The tool says it is sunny.';
+  }
+
+  // Structured output: the first attempt is fenced and incomplete, the retry is complete
+  if (prompt.includes('did not match the required JSON format')) {
+    return '{"greeting": "hello", "count": 1}';
+  }
+
+  if (prompt.includes('conforms to this JSON schema')) {
+    return '```json\n{"greeting": "hello"}\n```';
+  }
+
+  if (prompt.includes('Respond only with a valid JSON object')) {
+    return '{"greeting": "hello"}';
+  }
+
+  return `Hello from mock ${request.model}! Your message: ${prompt.slice(0, 50) || 'No message'}`;
+}
+
+// Simulate accounts out of credits or rate limited, for upstream key pool tests.
+// Returns true when the request was answered with an error.
+function rejectAccount(req, res) {
+  const apiKey = req.headers['api-key'] || '';
+  if (apiKey.includes('exhausted')) {
+    res.statusCode = 403;
+    res.end(JSON.stringify({ message: 'Insufficient credits. Please top up your account.' }));
+    return true;
+  }
+  if (apiKey.includes('invalid')) {
+    res.statusCode = 401;
+    res.end(JSON.stringify({ message: 'Invalid API Key' }));
+    return true;
+  }
+  // Error bodies without a plain message field
+  if (apiKey.includes('string-body')) {
+    res.statusCode = 401;
+    res.end(JSON.stringify('Invalid API Key'));
+    return true;
+  }
+  if (apiKey.includes('object-body')) {
+    res.statusCode = 400;
+    res.end(JSON.stringify({ error: { code: 'E_PROMPT', detail: 'Prompt rejected' } }));
+    return true;
+  }
+  if (apiKey.includes('ratelimited')) {
+    res.statusCode = 429;
+    res.setHeader('Retry-After', '30');
+    res.end(JSON.stringify({ message: 'Too many requests' }));
+    return true;
+  }
+  return false;
+}
+
 const server = http.createServer((req, res) => {
   console.log(`${req.method} ${req.url}`);
   console.log('Headers:', req.headers);
@@ -47,6 +267,171 @@ const server = http.createServer((req, res) => {
   res.setHeader('Content-Type', 'application/json');
   
   // The /v1/models endpoint is handled by the gateway itself, not forwarded to 1min AI
+
+  if (req.url === '/api/conversations' && req.method === 'POST') {
+    if (!req.headers['api-key']) {
+      res.statusCode = 401;
+      res.end(JSON.stringify({ message: 'Invalid API Key' }));
+      return;
+    }
+    if (rejectAccount(req, res)) {
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      const uuid = crypto.randomUUID();
+      // Document chats hold their uploaded files
+      if (request.fileList && !request.fileList.every(url => ownsAsset(req, url))) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ message: 'fileList must contain uploaded assets' }));
+        return;
+      }
+      conversations.set(uuid, { model: request.model, type: request.type, apiKey: req.headers['api-key'], fileList: request.fileList || [], turns: [] });
+      res.end(JSON.stringify({ conversation: { uuid, title: request.title, type: request.type, model: request.model } }));
+    });
+    return;
+  }
+
+  // Asset uploads: base64 image, audio or document data in, asset URL out
+  if (req.url === '/api/assets' && req.method === 'POST') {
+    if (rejectAccount(req, res)) {
+      return;
+    }
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      const extension = request.mimeType?.startsWith('audio/') ? 'mp3'
+        : request.mimeType?.startsWith('image/') ? 'png'
+          : DOCUMENT_EXTENSIONS[request.mimeType];
+      if (!request.data || !extension) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ message: 'Invalid asset' }));
+        return;
+      }
+      const id = crypto.randomUUID();
+      const url = `http://localhost:${PORT}/assets/uploads/${id}.${extension}`;
+      assetUploads.push({ type: request.type, mimeType: request.mimeType, bytes: Buffer.from(request.data, 'base64').length, url, apiKey: req.headers['api-key'] });
+      uploadedAssets.set(url, req.headers['api-key']);
+      res.end(JSON.stringify({ id, url }));
+    });
+    return;
+  }
+
+  // Model catalog: every supported model, grouped as 1min AI features
+  if (req.url === '/api/models' && req.method === 'GET') {
+    const models = Object.keys(SUPPORTED_MODELS).map(modelId => ({
+      modelId,
+      features: AUDIO_MODEL_FEATURES[modelId] ||
+        (modelId === 'esrgan-v1-x2plus' ? ['IMAGE_UPSCALER'] : IMAGE_MODELS.includes(modelId) ? ['IMAGE_GENERATOR'] : ['CHAT_WITH_AI']),
+      ...(modelId === 'mock-new-model' && { provider: 'Mock', contextWindow: 32000, credits: { input: 2, output: 6 } }),
+      ...(modelId === 'command' && { contextWindow: 128000 })
+    }));
+    res.end(JSON.stringify({ models }));
+    return;
+  }
+
+  // OpenAI-compatible embeddings, as served by the Workers AI REST API
+  if (req.url === '/v1/embeddings' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      const dimensions = EMBEDDING_DIMENSIONS[request.model];
+      if (!dimensions) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: { message: `Unknown embedding model ${request.model}` } }));
+        return;
+      }
+      embeddingBatches.push(request.input.length);
+      res.end(JSON.stringify({
+        object: 'list',
+        data: request.input.map((text, index) => ({ object: 'embedding', index, embedding: mockEmbedding(text, dimensions) })).reverse(),
+        model: request.model
+      }));
+    });
+    return;
+  }
+
+  // Test helper: the size of each embeddings batch received
+  if (req.url === '/mock/embeddings' && req.method === 'GET') {
+    res.end(JSON.stringify(embeddingBatches));
+    return;
+  }
+
+  // Test helper: a text document past the 20 MB document limit, sent with its
+  // Content-Length or (/mock/large-document?chunked) without one
+  if (req.url.startsWith('/mock/large-document') && req.method === 'GET') {
+    const size = 21 * 1024 * 1024;
+    const chunk = Buffer.alloc(64 * 1024, 'a');
+    res.setHeader('Content-Type', 'text/plain');
+    if (!req.url.includes('chunked')) {
+      res.setHeader('Content-Length', size);
+    }
+    let sent = 0;
+    const write = () => {
+      while (sent < size && !res.destroyed) {
+        sent += chunk.length;
+        if (!res.write(chunk)) {
+          res.once('drain', write);
+          return;
+        }
+      }
+      res.end();
+    };
+    write();
+    return;
+  }
+
+  // Generated images and speech, as served from the asset bucket
+  if (req.url.startsWith('/assets/') && req.method === 'GET') {
+    const audio = req.url.split('?')[0].endsWith('.mp3');
+    res.setHeader('Content-Type', audio ? 'audio/mpeg' : 'image/png');
+    res.end(audio ? MOCK_MP3 : MOCK_PNG);
+    return;
+  }
+
+  // Test helper: every asset upload
+  if (req.url === '/mock/assets' && req.method === 'GET') {
+    res.end(JSON.stringify(assetUploads));
+    return;
+  }
+
+  // Test helper: the promptObject of each audio request
+  if (req.url === '/mock/audio' && req.method === 'GET') {
+    res.end(JSON.stringify(audioRequests));
+    return;
+  }
+
+  // Test helper: the promptObject of each image generation request
+  if (req.url === '/mock/images' && req.method === 'GET') {
+    res.end(JSON.stringify(imageRequests));
+    return;
+  }
+
+  // Test helper: how often each flaky prompt was attempted
+  if (req.url === '/mock/flaky' && req.method === 'GET') {
+    res.end(JSON.stringify(Object.fromEntries(flakyAttempts)));
+    return;
+  }
+
+  // Test helper: the most slow prompts in flight at once; DELETE resets the peak
+  if (req.url === '/mock/concurrency') {
+    if (req.method === 'DELETE') {
+      slowRequests.peak = 0;
+    }
+    res.end(JSON.stringify(slowRequests));
+    return;
+  }
+
+  // Test helper: inspect what each conversation received
+  if (req.url === '/mock/conversations' && req.method === 'GET') {
+    res.end(JSON.stringify(Array.from(conversations, ([uuid, conversation]) => ({ uuid, ...conversation }))));
+    return;
+  }
   
   if (req.url === '/api/features' && req.method === 'POST') {
     // Check for API key
@@ -58,6 +443,9 @@ const server = http.createServer((req, res) => {
       res.end(JSON.stringify({ message: 'Invalid API Key' }));
       return;
     }
+    if (rejectAccount(req, res)) {
+      return;
+    }
     
     let body = '';
     req.on('data', chunk => body += chunk);
@@ -66,21 +454,32 @@ const server = http.createServer((req, res) => {
       console.log('Request body:', JSON.stringify(request, null, 2));
       
       // Handle different request types
-      if (request.type === 'IMAGE_GENERATOR') {
+      if (IMAGE_FEATURES.includes(request.type)) {
         // Validate model
         if (!SUPPORTED_MODELS[request.model]) {
           res.statusCode = 400;
           res.end(JSON.stringify({
-            message: `Invalid model ${request.model} for AI feature IMAGE_GENERATOR!`
+            message: `Invalid model ${request.model} for AI feature ${request.type}!`
           }));
           return;
         }
+        // Editing features work on an uploaded asset
+        if (request.type !== 'IMAGE_GENERATOR' && !ownsAsset(req, request.promptObject.imageUrl)) {
+          res.statusCode = 400;
+          res.end(JSON.stringify({ message: 'imageUrl must be an uploaded asset' }));
+          return;
+        }
         
-        // Generate mock image URL
+        // One asset per requested image; Midjourney always renders four
+        const count = request.model.startsWith('midjourney')
+          ? 4
+          : request.promptObject.n || request.promptObject.num_outputs || request.promptObject.samples || 1;
         const timestamp = new Date().toISOString().replace(/[:.]/g, '_').slice(0, -1);
-        const randomId = Math.floor(Math.random() * 1000000);
-        const mockImageUrl = `https://s3.us-east-1.amazonaws.com/asset.1min.ai/images/${timestamp}_${randomId}.png?X-Amz-Algorithm=AWS4-HMAC-SHA256&X-Amz-Content-Sha256=UNSIGNED-PAYLOAD&X-Amz-Credential=MOCK%2F20250629%2Fus-east-1%2Fs3%2Faws4_request&X-Amz-Date=20250629T145659Z&X-Amz-Expires=604800&X-Amz-Signature=mocksignature&X-Amz-SignedHeaders=host&x-amz-checksum-mode=ENABLED&x-id=GetObject`;
-        
+        const paths = Array.from({ length: count }, () => `images/${timestamp}_${Math.floor(Math.random() * 1000000)}.png`);
+        // Only the first result comes back signed, like upstream
+        const mockImageUrl = `http://localhost:${PORT}/assets/${paths[0]}?X-Amz-Algorithm=AWS4-HMAC-SHA256&X-Amz-Expires=604800&X-Amz-Signature=mocksignature`;
+        imageRequests.push({ type: request.type, model: request.model, promptObject: request.promptObject });
+
         // Handle image generation with 1min AI format
         res.end(JSON.stringify({
           aiRecord: {
@@ -88,12 +487,12 @@ const server = http.createServer((req, res) => {
             userId: 'mock-user-id',
             teamId: 'mock-team-id',
             model: request.model,
-            type: 'IMAGE_GENERATOR',
+            type: request.type,
             status: 'SUCCESS',
             createdAt: new Date().toISOString(),
             aiRecordDetail: {
               promptObject: request.promptObject,
-              resultObject: [`images/${timestamp}_${randomId}.png`],
+              resultObject: paths,
               responseObject: {}
             }
           },
@@ -102,46 +501,91 @@ const server = http.createServer((req, res) => {
         return;
       }
       
-      if (request.stream) {
-        // Streaming response
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        
-        const words = ['Hello', 'from', 'mock', 'server!'];
-        let index = 0;
-        
-        const interval = setInterval(() => {
-          if (index < words.length) {
-            const chunk = {
-              response: words[index] + ' ',
-              model: request.model
-            };
-            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-            index++;
-          } else {
-            res.write('data: [DONE]\n\n');
-            res.end();
-            clearInterval(interval);
-          }
-        }, 100);
-      } else {
-        // Validate model for chat
-        if (!SUPPORTED_MODELS[request.model]) {
+      if (AUDIO_FEATURES.includes(request.type)) {
+        if (!AUDIO_MODEL_FEATURES[request.model]?.includes(request.type)) {
           res.statusCode = 400;
-          res.end(JSON.stringify({
-            message: `Invalid model ${request.model} for AI feature CHAT_WITH_AI!`
-          }));
+          res.end(JSON.stringify({ message: `Invalid model ${request.model} for AI feature ${request.type}!` }));
           return;
         }
-        
-        // Non-streaming response (1min AI format)
+        if (request.type !== 'TEXT_TO_SPEECH' && !ownsAsset(req, request.promptObject.audioUrl)) {
+          res.statusCode = 400;
+          res.end(JSON.stringify({ message: 'audioUrl must be an uploaded asset' }));
+          return;
+        }
+        audioRequests.push({ type: request.type, model: request.model, promptObject: request.promptObject });
+
+        // Transcripts come back as Whisper's verbose JSON, translations as plain text
+        const path = `audio/${crypto.randomUUID()}.mp3`;
+        const result = {
+          SPEECH_TO_TEXT: JSON.stringify(MOCK_TRANSCRIPT),
+          AUDIO_TRANSLATOR: 'Hello, this is the translated text.',
+          TEXT_TO_SPEECH: path
+        }[request.type];
         res.end(JSON.stringify({
-          response: `Hello from mock ${request.model}! Your message: ${request.promptObject?.prompt?.slice(0, 50) || 'No message'}`,
-          model: request.model,
-          promptTokens: 10,
-          completionTokens: 8
+          aiRecord: {
+            uuid: crypto.randomUUID(),
+            model: request.model,
+            type: request.type,
+            status: 'SUCCESS',
+            createdAt: new Date().toISOString(),
+            aiRecordDetail: {
+              promptObject: request.promptObject,
+              resultObject: [result],
+              responseObject: {}
+            }
+          },
+          ...(request.type === 'TEXT_TO_SPEECH' && { temporaryUrl: `http://localhost:${PORT}/assets/${path}?X-Amz-Signature=mocksignature` })
         }));
+        return;
+      }
+
+      if (DOWN_MODELS[request.model]) {
+        res.statusCode = 503;
+        res.end(JSON.stringify({ message: `Model ${request.model} is temporarily unavailable` }));
+        return;
       }
+
+      const prompt = request.promptObject?.prompt || '';
+      if (prompt.includes('mock-moderation')) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ message: 'Your prompt was flagged by content moderation' }));
+        return;
+      }
+
+      if (!(request.promptObject?.imageList || []).every(url => ownsAsset(req, url))) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ message: 'imageList must contain uploaded assets' }));
+        return;
+      }
+
+      if (prompt.includes('mock-forbidden')) {
+        res.statusCode = 403;
+        res.end(JSON.stringify({ message: `Model ${request.model} is not included in your plan` }));
+        return;
+      }
+
+      if (prompt.includes(FLAKY_MARKER)) {
+        const attempts = (flakyAttempts.get(prompt) || 0) + 1;
+        flakyAttempts.set(prompt, attempts);
+        if (attempts === 1) {
+          res.statusCode = 502;
+          res.end(JSON.stringify({ message: 'Bad gateway' }));
+          return;
+        }
+      }
+
+      // Slow prompts answer after a delay; the peak number in flight is recorded
+      if (prompt.includes(SLOW_MARKER)) {
+        slowRequests.inFlight++;
+        slowRequests.peak = Math.max(slowRequests.peak, slowRequests.inFlight);
+        setTimeout(() => {
+          slowRequests.inFlight--;
+          respondToChat(request, res);
+        }, 200);
+        return;
+      }
+
+      respondToChat(request, res);
     });
     return;
   }
@@ -155,9 +599,11 @@ server.listen(PORT, () => {
   console.log(`Mock 1min AI server running on http://localhost:${PORT}`);
   console.log('Endpoints:');
   console.log('  POST /api/features - Main 1min AI endpoint');
+  console.log('  POST /api/conversations - Create a conversation');
   console.log('  - Handles CHAT_WITH_AI for text generation');
   console.log('  - Handles IMAGE_GENERATOR for image generation');
   console.log(`\nSupported models: ${Object.keys(SUPPORTED_MODELS).length}`);
   console.log('  - Text: GPT, Claude, Gemini, Llama, Mistral, Cohere, DeepSeek, Grok');
   console.log('  - Image: DALL-E, Stable Diffusion, Leonardo, Midjourney, Flux, Clipdrop');
+  console.log('  - Audio: Whisper, TTS');
 });
\ No newline at end of file
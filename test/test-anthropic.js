@@ -0,0 +1,199 @@
+// Test script for the Anthropic-compatible /v1/messages endpoint
+// Run with: node test/test-anthropic.js
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+
+async function createMessage(body, headers = {}) {
+  return fetch(`${BASE_URL}/v1/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': API_KEY,
+      'anthropic-version': '2023-06-01',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+function parseEvents(text) {
+  return text.split('\n\n')
+    .filter(block => block.trim())
+    .map(block => {
+      const lines = block.split('\n');
+      const name = lines.find(line => line.startsWith('event: '))?.slice(7);
+      const data = JSON.parse(lines.find(line => line.startsWith('data: ')).slice(6));
+      return { name, data };
+    });
+}
+
+async function testMessage() {
+  console.log('Testing /v1/messages (non-streaming)...');
+  try {
+    const response = await createMessage({
+      model: 'claude-3-5-sonnet-20241022',
+      system: [{ type: 'text', text: 'You are a helpful assistant.' }],
+      max_tokens: 100,
+      messages: [{ role: 'user', content: [{ type: 'text', text: 'Say hello.' }] }]
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      console.error('✗ Message failed:', response.status, error);
+      return false;
+    }
+
+    const data = await response.json();
+    console.log('✓ Message response:', JSON.stringify(data, null, 2));
+    return data.type === 'message' &&
+      data.id.startsWith('msg_') &&
+      data.content[0].type === 'text' &&
+      data.stop_reason === 'end_turn' &&
+      typeof data.usage.input_tokens === 'number';
+  } catch (error) {
+    console.error('✗ Message test failed:', error);
+    return false;
+  }
+}
+
+async function testStopSequences() {
+  console.log('\nTesting /v1/messages stop_sequences...');
+  try {
+    const response = await createMessage({
+      model: 'claude-3-5-sonnet-20241022',
+      max_tokens: 100,
+      stop_sequences: ['mock'],
+      messages: [{ role: 'user', content: 'Say hello.' }]
+    });
+    const data = await response.json();
+    console.log('✓ Stopped message:', JSON.stringify(data.content), data.stop_reason);
+    return data.content[0].text === 'Hello from ' &&
+      data.stop_reason === 'stop_sequence' &&
+      data.stop_sequence === 'mock';
+  } catch (error) {
+    console.error('✗ Stop sequence test failed:', error);
+    return false;
+  }
+}
+
+async function testStreaming() {
+  console.log('\nTesting /v1/messages (streaming)...');
+  try {
+    const response = await createMessage({
+      model: 'claude-3-5-sonnet-20241022',
+      max_tokens: 100,
+      stream: true,
+      messages: [{ role: 'user', content: 'Count from 1 to 3.' }]
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      console.error('✗ Streaming failed:', response.status, error);
+      return false;
+    }
+
+    const events = parseEvents(await response.text());
+    const names = events.map(event => event.name);
+    const text = events
+      .filter(event => event.data.delta?.type === 'text_delta')
+      .map(event => event.data.delta.text)
+      .join('');
+    console.log('✓ Events:', [...new Set(names)].join(', '));
+    console.log('✓ Streamed text:', text);
+
+    return names[0] === 'message_start' &&
+      names.includes('content_block_start') &&
+      names.includes('content_block_delta') &&
+      names.includes('content_block_stop') &&
+      names.includes('message_delta') &&
+      names[names.length - 1] === 'message_stop' &&
+      events.every(event => event.name === event.data.type) &&
+      text.length > 0;
+  } catch (error) {
+    console.error('✗ Streaming test failed:', error);
+    return false;
+  }
+}
+
+async function testToolUse() {
+  console.log('\nTesting /v1/messages tool use...');
+  try {
+    const response = await createMessage({
+      model: 'claude-3-5-sonnet-20241022',
+      max_tokens: 100,
+      tools: [{
+        name: 'get_weather',
+        description: 'Get the current weather for a location',
+        input_schema: { type: 'object', properties: { location: { type: 'string' } }, required: ['location'] }
+      }],
+      messages: [{ role: 'user', content: 'What is the weather in Paris?' }]
+    });
+    const data = await response.json();
+    console.log('✓ Tool use response:', JSON.stringify(data.content), data.stop_reason);
+
+    const toolUse = data.content.find(block => block.type === 'tool_use');
+    if (data.stop_reason !== 'tool_use' || toolUse?.input?.location !== 'Paris') {
+      return false;
+    }
+
+    const followUp = await createMessage({
+      model: 'claude-3-5-sonnet-20241022',
+      max_tokens: 100,
+      tools: [{
+        name: 'get_weather',
+        input_schema: { type: 'object', properties: { location: { type: 'string' } } }
+      }],
+      messages: [
+        { role: 'user', content: 'What is the weather in Paris?' },
+        { role: 'assistant', content: data.content },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: toolUse.id, content: 'Sunny, 22C' }] }
+      ]
+    });
+    const followUpData = await followUp.json();
+    console.log('✓ Tool result response:', JSON.stringify(followUpData.content), followUpData.stop_reason);
+    return followUpData.stop_reason === 'end_turn';
+  } catch (error) {
+    console.error('✗ Tool use test failed:', error);
+    return false;
+  }
+}
+
+async function testErrorFormat() {
+  console.log('\nTesting /v1/messages error format...');
+  try {
+    const response = await createMessage({
+      model: 'claude-3-5-sonnet-20241022',
+      messages: [{ role: 'user', content: 'Hi' }]
+    });
+    const data = await response.json();
+    console.log('✓ Error response:', response.status, JSON.stringify(data));
+    return response.status === 400 && data.type === 'error' && data.error.type === 'invalid_request_error';
+  } catch (error) {
+    console.error('✗ Error format test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting /v1/messages API tests...');
+  const results = {
+    message: await testMessage(),
+    stopSequences: await testStopSequences(),
+    streaming: await testStreaming(),
+    toolUse: await testToolUse(),
+    errorFormat: await testErrorFormat()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Message:', results.message ? '✓ PASS' : '✗ FAIL');
+  console.log('Stop Sequences:', results.stopSequences ? '✓ PASS' : '✗ FAIL');
+  console.log('Streaming:', results.streaming ? '✓ PASS' : '✗ FAIL');
+  console.log('Tool Use:', results.toolUse ? '✓ PASS' : '✗ FAIL');
+  console.log('Error Format:', results.errorFormat ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
@@ -0,0 +1,180 @@
+// Test script for audio transcriptions, translations and speech
+// Run with: node test/test-audio.js
+// Expects the development env: the mock server transcribes uploaded audio,
+// serves generated speech files and records the promptObject of every request.
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const MOCK_URL = process.env.MOCK_URL || 'http://localhost:8788';
+
+// An ID3 header is enough for the mock
+const MP3 = Buffer.from('ID3\x03\x00\x00\x00\x00\x00\x00test-audio', 'binary');
+
+async function postAudioForm(path, fields, file = { name: 'speech.mp3', type: 'audio/mpeg', bytes: MP3 }) {
+  const form = new FormData();
+  if (file) {
+    form.append('file', new Blob([file.bytes], { type: file.type }), file.name);
+  }
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, String(value));
+  }
+  const response = await fetch(`${BASE_URL}/v1/audio/${path}`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${API_KEY}` },
+    body: form
+  });
+  return { status: response.status, contentType: response.headers.get('Content-Type'), text: await response.text() };
+}
+
+async function speech(body) {
+  return fetch(`${BASE_URL}/v1/audio/speech`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${API_KEY}`
+    },
+    body: JSON.stringify({ model: 'tts-1', input: 'Hello there', voice: 'alloy', ...body })
+  });
+}
+
+async function lastAudioRequest() {
+  const requests = await (await fetch(`${MOCK_URL}/mock/audio`)).json();
+  return requests[requests.length - 1];
+}
+
+async function testTranscriptionFormats() {
+  console.log('Testing transcription response formats...');
+  try {
+    const json = await postAudioForm('transcriptions', { model: 'whisper-1', language: 'en' });
+    const request = await lastAudioRequest();
+    const text = await postAudioForm('transcriptions', { model: 'whisper-1', response_format: 'text' });
+    const verbose = await postAudioForm('transcriptions', { model: 'whisper-1', response_format: 'verbose_json' });
+    const verboseData = JSON.parse(verbose.text);
+    console.log('✓ json:', json.text);
+    console.log('✓ verbose_json segments:', verboseData.segments?.length);
+    return json.status === 200 &&
+      JSON.parse(json.text).text === 'Hello from the mock transcript. This is the second sentence.' &&
+      request.type === 'SPEECH_TO_TEXT' &&
+      request.promptObject.language === 'en' &&
+      request.promptObject.audioUrl.endsWith('.mp3') &&
+      text.status === 200 &&
+      text.contentType.startsWith('text/plain') &&
+      text.text === 'Hello from the mock transcript. This is the second sentence.\n' &&
+      verbose.status === 200 &&
+      verboseData.task === 'transcribe' &&
+      verboseData.language === 'english' &&
+      verboseData.duration === 4.2 &&
+      verboseData.segments.length === 2 &&
+      verboseData.segments[1].start === 1.8;
+  } catch (error) {
+    console.error('✗ Transcription formats test failed:', error);
+    return false;
+  }
+}
+
+async function testSubtitles() {
+  console.log('\nTesting srt and vtt...');
+  try {
+    const srt = await postAudioForm('transcriptions', { model: 'whisper-1', response_format: 'srt' });
+    const vtt = await postAudioForm('transcriptions', { model: 'whisper-1', response_format: 'vtt' });
+    console.log('✓ srt:', JSON.stringify(srt.text));
+    console.log('✓ vtt:', JSON.stringify(vtt.text));
+    return srt.status === 200 &&
+      srt.text.startsWith('1\n00:00:00,000 --> 00:00:01,800\nHello from the mock transcript.\n\n2\n00:00:01,800 --> 00:00:04,200\n') &&
+      vtt.status === 200 &&
+      vtt.contentType.startsWith('text/vtt') &&
+      vtt.text.startsWith('WEBVTT\n\n00:00:00.000 --> 00:00:01.800\nHello from the mock transcript.\n');
+  } catch (error) {
+    console.error('✗ Subtitles test failed:', error);
+    return false;
+  }
+}
+
+async function testTranslation() {
+  console.log('\nTesting translations...');
+  try {
+    const json = await postAudioForm('translations', { model: 'whisper-1' });
+    const request = await lastAudioRequest();
+    // A plain-text result still yields subtitles, as one estimated cue
+    const srt = await postAudioForm('translations', { model: 'whisper-1', response_format: 'srt' });
+    console.log('✓ Translation:', json.text);
+    return json.status === 200 &&
+      JSON.parse(json.text).text === 'Hello, this is the translated text.' &&
+      request.type === 'AUDIO_TRANSLATOR' &&
+      srt.status === 200 &&
+      /^1\n00:00:00,000 --> 00:00:0\d,\d{3}\nHello, this is the translated text.\n$/.test(srt.text);
+  } catch (error) {
+    console.error('✗ Translation test failed:', error);
+    return false;
+  }
+}
+
+async function testSpeech() {
+  console.log('\nTesting speech...');
+  try {
+    const response = await speech({ voice: 'nova', speed: 1.5 });
+    const bytes = Buffer.from(await response.arrayBuffer());
+    const request = await lastAudioRequest();
+    const wav = await speech({ model: 'tts-1-hd', response_format: 'wav' });
+    await wav.arrayBuffer();
+    console.log('✓ Content-Type:', response.headers.get('Content-Type'), 'bytes:', bytes.length);
+    return response.status === 200 &&
+      response.headers.get('Content-Type') === 'audio/mpeg' &&
+      bytes.subarray(0, 3).toString() === 'ID3' &&
+      request.type === 'TEXT_TO_SPEECH' &&
+      request.promptObject.text === 'Hello there' &&
+      request.promptObject.voice === 'nova' &&
+      request.promptObject.speed === 1.5 &&
+      wav.status === 200 &&
+      wav.headers.get('Content-Type') === 'audio/wav';
+  } catch (error) {
+    console.error('✗ Speech test failed:', error);
+    return false;
+  }
+}
+
+async function testValidation() {
+  console.log('\nTesting validation...');
+  try {
+    const noFile = await postAudioForm('transcriptions', { model: 'whisper-1' }, null);
+    const badType = await postAudioForm('transcriptions', { model: 'whisper-1' }, { name: 'notes.txt', type: 'text/plain', bytes: Buffer.from('hi') });
+    const badFormat = await postAudioForm('transcriptions', { model: 'whisper-1', response_format: 'xml' });
+    const chatModel = await postAudioForm('transcriptions', { model: 'gpt-4o' });
+    const badVoice = await speech({ voice: 'robot' });
+    const badSpeed = await speech({ speed: 10 });
+    const longInput = await speech({ input: 'a'.repeat(4097) });
+    const sttModel = await speech({ model: 'whisper-1' });
+    const params = [noFile, badType, badFormat, chatModel].map(result => JSON.parse(result.text).error.param);
+    const speechParams = await Promise.all([badVoice, badSpeed, longInput, sttModel].map(async response => (await response.json()).error.param));
+    console.log('✓ Params:', params, speechParams);
+    return [noFile, badType, badFormat, chatModel, badVoice, badSpeed, longInput, sttModel].every(result => result.status === 400) &&
+      JSON.stringify(params) === JSON.stringify(['file', 'file', 'response_format', 'model']) &&
+      JSON.stringify(speechParams) === JSON.stringify(['voice', 'speed', 'input', 'model']);
+  } catch (error) {
+    console.error('✗ Validation test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting audio tests...');
+  const results = {
+    formats: await testTranscriptionFormats(),
+    subtitles: await testSubtitles(),
+    translation: await testTranslation(),
+    speech: await testSpeech(),
+    validation: await testValidation()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Transcription formats:', results.formats ? '✓ PASS' : '✗ FAIL');
+  console.log('srt and vtt:', results.subtitles ? '✓ PASS' : '✗ FAIL');
+  console.log('Translations:', results.translation ? '✓ PASS' : '✗ FAIL');
+  console.log('Speech:', results.speech ? '✓ PASS' : '✗ FAIL');
+  console.log('Validation:', results.validation ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
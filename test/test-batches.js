@@ -0,0 +1,292 @@
+// Test script for the Batch API
+// Run with: node test/test-batches.js
+// Expects the development env (FILES and BATCH_RUNNER bound, BATCH_CONCURRENCY
+// of 3). Slow prompts make the mock server record how many batch requests
+// reach it at once. The restart test runs its own wrangler dev on RESTART_PORT.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const MOCK_URL = process.env.MOCK_URL || 'http://localhost:8788';
+const RESTART_PORT = Number(process.env.RESTART_PORT || 8789);
+const CONCURRENCY = 3;
+
+// Switched to the restartable worker by testRestart
+let baseUrl = BASE_URL;
+
+function requestLine(customId, body) {
+  return { custom_id: customId, method: 'POST', url: '/v1/chat/completions', body };
+}
+
+function chatLine(customId, prompt, model = 'gpt-4o-mini') {
+  return requestLine(customId, { model, messages: [{ role: 'user', content: prompt }] });
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: { 'Authorization': `Bearer ${API_KEY}`, 'Content-Type': 'application/json', ...options.headers }
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function uploadInput(lines, purpose = 'batch') {
+  const text = lines.map(line => typeof line === 'string' ? line : JSON.stringify(line)).join('\n');
+  const form = new FormData();
+  form.append('file', new Blob([text], { type: 'application/jsonl' }), 'input.jsonl');
+  form.append('purpose', purpose);
+  const response = await fetch(`${baseUrl}/v1/files`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${API_KEY}` },
+    body: form
+  });
+  return (await response.json()).id;
+}
+
+function createBatch(inputFileId, overrides = {}) {
+  return request('/v1/batches', {
+    method: 'POST',
+    body: JSON.stringify({ input_file_id: inputFileId, endpoint: '/v1/chat/completions', completion_window: '24h', ...overrides })
+  });
+}
+
+async function waitForBatch(batchId, statuses = ['completed', 'failed', 'expired', 'cancelled']) {
+  for (let attempt = 0; attempt < 120; attempt++) {
+    const { data } = await request(`/v1/batches/${batchId}`);
+    if (statuses.includes(data.status)) {
+      return data;
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`Batch ${batchId} did not finish`);
+}
+
+async function readJsonl(fileId) {
+  const response = await fetch(`${baseUrl}/v1/files/${fileId}/content`, {
+    headers: { 'Authorization': `Bearer ${API_KEY}` }
+  });
+  return (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A wrangler dev of its own, with state in stateDir so a restart keeps the
+// runner's storage but not what it held in memory
+function startWorker(stateDir, vars = {}) {
+  const args = [
+    require.resolve('wrangler/bin/wrangler.js'), 'dev', '--env', 'development',
+    '--port', String(RESTART_PORT), '--inspector-port', String(RESTART_PORT + 1000), '--persist-to', stateDir,
+    ...Object.entries(vars).flatMap(([name, value]) => ['--var', `${name}:${value}`])
+  ];
+  const child = spawn(process.execPath, args, { cwd: join(__dirname, '..'), detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => stopWorker(child).then(() => reject(new Error('wrangler dev did not start'))), 60000);
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Ready on')) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    });
+    child.stderr.resume();
+  });
+}
+
+// Kills the whole process group, like a crash would
+function stopWorker(child) {
+  if (child.exitCode !== null) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    child.once('exit', resolve);
+    process.kill(-child.pid, 'SIGKILL');
+  });
+}
+
+async function testCompletedBatch() {
+  console.log('Testing a batch through to its output files...');
+  try {
+    const inputFileId = await uploadInput([
+      chatLine('req-1', 'Hello one'),
+      chatLine('req-2', 'Hello two'),
+      chatLine('req-3', 'Hello three', 'not-a-real-model'),
+      chatLine('req-4', 'Hello four'),
+      chatLine('req-5', 'Hello five'),
+      // Streaming is turned off for batch requests
+      requestLine('req-6', { model: 'gpt-4o', stream: true, messages: [{ role: 'user', content: 'Hello six' }] })
+    ]);
+    const { status, data: created } = await createBatch(inputFileId, { metadata: { job: 'nightly' } });
+    const batch = await waitForBatch(created.id);
+    const output = await readJsonl(batch.output_file_id);
+    const errors = await readJsonl(batch.error_file_id);
+    const outputFile = (await request(`/v1/files/${batch.output_file_id}`)).data;
+    const outputs = (await request('/v1/files?purpose=batch_output&limit=100')).data;
+    console.log('✓ Batch:', batch.status, JSON.stringify(batch.request_counts));
+    return status === 200 &&
+      created.id.startsWith('batch_') &&
+      created.object === 'batch' &&
+      created.status === 'in_progress' &&
+      created.input_file_id === inputFileId &&
+      created.metadata.job === 'nightly' &&
+      batch.status === 'completed' &&
+      Number.isInteger(batch.completed_at) &&
+      batch.request_counts.total === 6 &&
+      batch.request_counts.completed === 5 &&
+      batch.request_counts.failed === 1 &&
+      outputFile.purpose === 'batch_output' &&
+      outputs.data.some(file => file.id === batch.output_file_id) &&
+      output.map(line => line.custom_id).join() === 'req-1,req-2,req-4,req-5,req-6' &&
+      output.every(line => line.id.startsWith('batch_req_') &&
+        line.response.status_code === 200 &&
+        line.response.body.object === 'chat.completion' &&
+        line.error === null) &&
+      errors.length === 1 &&
+      errors[0].custom_id === 'req-3' &&
+      errors[0].response.status_code === 400 &&
+      errors[0].response.body.error.type === 'invalid_request_error';
+  } catch (error) {
+    console.error('✗ Completed batch test failed:', error);
+    return false;
+  }
+}
+
+async function testConcurrency() {
+  console.log('\nTesting bounded concurrency...');
+  try {
+    await fetch(`${MOCK_URL}/mock/concurrency`, { method: 'DELETE' });
+    const lines = Array.from({ length: 9 }, (_, index) => chatLine(`slow-${index}`, `mock-slow ${index}`));
+    const { data: created } = await createBatch(await uploadInput(lines));
+    const batch = await waitForBatch(created.id);
+    const { peak } = await (await fetch(`${MOCK_URL}/mock/concurrency`)).json();
+    console.log('✓ Peak requests in flight:', peak);
+    return batch.status === 'completed' &&
+      batch.request_counts.completed === 9 &&
+      peak > 1 &&
+      peak <= CONCURRENCY;
+  } catch (error) {
+    console.error('✗ Concurrency test failed:', error);
+    return false;
+  }
+}
+
+async function testListAndCancel() {
+  console.log('\nTesting list and cancel...');
+  try {
+    const lines = Array.from({ length: 30 }, (_, index) => chatLine(`cancel-${index}`, `mock-slow ${index}`));
+    const { data: created } = await createBatch(await uploadInput(lines));
+    const { status, data: cancelling } = await request(`/v1/batches/${created.id}/cancel`, { method: 'POST' });
+    const batch = await waitForBatch(created.id);
+    const again = await request(`/v1/batches/${created.id}/cancel`, { method: 'POST' });
+    const list = (await request('/v1/batches?limit=100')).data;
+    const firstPage = (await request('/v1/batches?limit=1')).data;
+    const missing = await request('/v1/batches/batch_missing');
+    console.log('✓ Cancelled after', batch.request_counts.completed, 'of', batch.request_counts.total);
+    return status === 200 &&
+      cancelling.status === 'cancelling' &&
+      batch.status === 'cancelled' &&
+      Number.isInteger(batch.cancelled_at) &&
+      batch.request_counts.completed < 30 &&
+      again.status === 400 &&
+      list.object === 'list' &&
+      // Newest first by default
+      list.data[0].id === created.id &&
+      firstPage.data.length === 1 &&
+      firstPage.has_more === true &&
+      missing.status === 404;
+  } catch (error) {
+    console.error('✗ List and cancel test failed:', error);
+    return false;
+  }
+}
+
+async function testValidation() {
+  console.log('\nTesting validation...');
+  try {
+    const inputFileId = await uploadInput([chatLine('ok', 'Hello')]);
+    const badEndpoint = await createBatch(inputFileId, { endpoint: '/v1/embeddings' });
+    const badWindow = await createBatch(inputFileId, { completion_window: '1h' });
+    const missingFile = await createBatch('file-does-not-exist');
+    const wrongPurpose = await createBatch(await uploadInput([chatLine('ok', 'Hello')], 'user_data'));
+    const badJson = await createBatch(await uploadInput([chatLine('ok', 'Hello'), '{not json']));
+    const duplicate = await createBatch(await uploadInput([chatLine('same', 'Hello'), chatLine('same', 'Again')]));
+    const wrongUrl = await createBatch(await uploadInput([{ ...chatLine('ok', 'Hello'), url: '/v1/completions' }]));
+    const results = [badEndpoint, badWindow, missingFile, wrongPurpose, badJson, duplicate, wrongUrl];
+    console.log('✓ Errors:', results.map(result => result.data.error?.message));
+    return results.every(result => result.status === 400 && result.data.error.type === 'invalid_request_error') &&
+      badEndpoint.data.error.param === 'endpoint' &&
+      badWindow.data.error.param === 'completion_window' &&
+      missingFile.data.error.param === 'input_file_id' &&
+      badJson.data.error.message.startsWith('Line 2:') &&
+      duplicate.data.error.message.includes('duplicate custom_id');
+  } catch (error) {
+    console.error('✗ Validation test failed:', error);
+    return false;
+  }
+}
+
+async function testRestart() {
+  console.log('\nTesting a runner restart mid-batch...');
+  const stateDir = fs.mkdtempSync(join(os.tmpdir(), 'batch-restart-'));
+  let worker = null;
+  try {
+    baseUrl = `http://localhost:${RESTART_PORT}`;
+    const lines = Array.from({ length: 30 }, (_, index) => chatLine(`restart-${index}`, `mock-slow ${index}`));
+
+    worker = await startWorker(stateDir);
+    const { data: created } = await createBatch(await uploadInput(lines));
+    // Stop while the first requests are running
+    await sleep(500);
+    await stopWorker(worker);
+
+    // wrangler dev does not replay the runner's alarm, so polling is what hands
+    // the restarted runner the key again
+    worker = await startWorker(stateDir);
+    const stalled = (await request(`/v1/batches/${created.id}`)).data;
+    const batch = await waitForBatch(created.id);
+    const output = await readJsonl(batch.output_file_id);
+    console.log('✓ After restart:', stalled.status, JSON.stringify(stalled.request_counts), '->', batch.status, JSON.stringify(batch.request_counts));
+    return stalled.status === 'in_progress' &&
+      stalled.request_counts.completed === 0 &&
+      batch.status === 'completed' &&
+      batch.request_counts.completed === 30 &&
+      output.map(line => line.custom_id).join() === lines.map(line => line.custom_id).join();
+  } catch (error) {
+    console.error('✗ Restart test failed:', error);
+    return false;
+  } finally {
+    if (worker) {
+      await stopWorker(worker);
+    }
+    baseUrl = BASE_URL;
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  }
+}
+
+async function runTests() {
+  console.log('Starting Batch API tests...');
+  const results = {
+    completed: await testCompletedBatch(),
+    concurrency: await testConcurrency(),
+    cancel: await testListAndCancel(),
+    validation: await testValidation(),
+    restart: await testRestart()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Completed batch:', results.completed ? '✓ PASS' : '✗ FAIL');
+  console.log('Bounded concurrency:', results.concurrency ? '✓ PASS' : '✗ FAIL');
+  console.log('List and cancel:', results.cancel ? '✓ PASS' : '✗ FAIL');
+  console.log('Validation:', results.validation ? '✓ PASS' : '✗ FAIL');
+  console.log('Runner restart:', results.restart ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
@@ -0,0 +1,161 @@
+// Test script for the live model catalog and its admin endpoints
+// Run with: node test/test-catalog.js
+// The mock server's /api/models lists its supported models plus `mock-new-model`.
+// The synced catalog is cleared again at the end so other tests see the static table.
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'admin-test-key';
+
+async function admin(path, method = 'GET') {
+  const response = await fetch(`${BASE_URL}/admin${path}`, {
+    method,
+    headers: { 'Authorization': `Bearer ${ADMIN_API_KEY}` }
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function listModelIds() {
+  const response = await fetch(`${BASE_URL}/v1/models`);
+  return (await response.json()).data.map(model => model.id);
+}
+
+async function chat(model) {
+  return fetch(`${BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${API_KEY}`
+    },
+    body: JSON.stringify({ model, models: [], messages: [{ role: 'user', content: 'Hello' }] })
+  });
+}
+
+async function testDiff() {
+  console.log('Testing catalog diff...');
+  try {
+    await admin('/catalog', 'DELETE');
+    const { status, data } = await admin('/catalog');
+    console.log('✓ Diff:', JSON.stringify({ added: data.added, removed: data.removed.length, changed: data.changed }));
+    const command = data.changed.find(entry => entry.id === 'command');
+    return status === 200 &&
+      data.source === 'static' &&
+      data.added.includes('mock-new-model') &&
+      data.removed.includes('claude-sonnet-4-20250514') &&
+      command?.fields.some(field => field.field === 'context_window' && field.static === 4096 && field.remote === 128000);
+  } catch (error) {
+    console.error('✗ Diff test failed:', error);
+    return false;
+  }
+}
+
+async function testSync() {
+  console.log('\nTesting catalog sync...');
+  try {
+    const before = await listModelIds();
+    const { status, data } = await admin('/catalog/sync', 'POST');
+    const after = await listModelIds();
+    console.log('✓ Models before/after sync:', before.length, after.length);
+    if (status !== 200 || data.source !== 'synced' || !data.synced_at) {
+      console.error('✗ Unexpected sync response:', status, JSON.stringify(data));
+      return false;
+    }
+
+    // New models are served; static ones the catalog dropped stay until pruned
+    const added = await chat('mock-new-model');
+    await added.text();
+    const newModel = await (await fetch(`${BASE_URL}/v1/models/mock-new-model`)).json();
+    console.log('✓ Catalog pricing:', JSON.stringify(newModel.pricing));
+    return !before.includes('mock-new-model') &&
+      after.includes('mock-new-model') &&
+      after.includes('claude-sonnet-4-20250514') &&
+      added.ok &&
+      newModel.pricing?.output === 6 &&
+      newModel.context_window === 32000 &&
+      data.pruned.length === 0;
+  } catch (error) {
+    console.error('✗ Sync test failed:', error);
+    return false;
+  }
+}
+
+async function testPrune() {
+  console.log('\nTesting catalog prune...');
+  try {
+    const { status, data } = await admin('/catalog/prune', 'POST');
+    const models = await listModelIds();
+    const retired = await chat('claude-sonnet-4-20250514');
+    const retiredError = await retired.json();
+    // A later sync keeps the pruned models out
+    await admin('/catalog/sync', 'POST');
+    const resynced = await listModelIds();
+    console.log('✓ Pruned:', data.pruned?.length, '| models left:', models.length);
+    return status === 200 &&
+      data.pruned.includes('claude-sonnet-4-20250514') &&
+      !data.pruned.includes('bge-small-en-v1.5') &&
+      !models.includes('claude-sonnet-4-20250514') &&
+      models.includes('bge-small-en-v1.5') &&
+      models.includes('mock-new-model') &&
+      retired.status === 400 &&
+      retiredError.error.param === 'model' &&
+      !resynced.includes('claude-sonnet-4-20250514');
+  } catch (error) {
+    console.error('✗ Prune test failed:', error);
+    return false;
+  }
+}
+
+async function testLocalOverrides() {
+  console.log('\nTesting static overrides on the synced catalog...');
+  try {
+    // `command` keeps its static 4096-token window despite the catalog's 128000
+    const response = await fetch(`${BASE_URL}/v1/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${API_KEY}`
+      },
+      body: JSON.stringify({ model: 'command', max_tokens: 4096, messages: [{ role: 'user', content: 'Hello' }] })
+    });
+    const data = await response.json();
+    return response.status === 400 && data.error.code === 'context_length_exceeded';
+  } catch (error) {
+    console.error('✗ Override test failed:', error);
+    return false;
+  }
+}
+
+async function testClear() {
+  console.log('\nTesting revert to the static table...');
+  try {
+    const { data } = await admin('/catalog', 'DELETE');
+    const models = await listModelIds();
+    return data.source === 'static' && !models.includes('mock-new-model') && models.includes('claude-sonnet-4-20250514');
+  } catch (error) {
+    console.error('✗ Clear test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting model catalog tests...');
+  const results = {
+    diff: await testDiff(),
+    sync: await testSync(),
+    prune: await testPrune(),
+    overrides: await testLocalOverrides(),
+    clear: await testClear()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Catalog diff:', results.diff ? '✓ PASS' : '✗ FAIL');
+  console.log('Catalog sync:', results.sync ? '✓ PASS' : '✗ FAIL');
+  console.log('Catalog prune:', results.prune ? '✓ PASS' : '✗ FAIL');
+  console.log('Static overrides:', results.overrides ? '✓ PASS' : '✗ FAIL');
+  console.log('Revert to static:', results.clear ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
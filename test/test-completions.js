@@ -0,0 +1,169 @@
+// Test script for the legacy /v1/completions endpoint
+// Run with: node test/test-completions.js
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const MOCK_URL = process.env.MOCK_URL || 'http://localhost:8788';
+
+async function createCompletion(body) {
+  return fetch(`${BASE_URL}/v1/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${API_KEY}`
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+async function testCompletion() {
+  console.log('Testing /v1/completions (prompt array, n=2)...');
+  try {
+    const response = await createCompletion({
+      model: 'gpt-4o',
+      prompt: ['Once upon a time', 'The quick brown fox'],
+      n: 2,
+      max_tokens: 50
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      console.error('✗ Completion failed:', response.status, error);
+      return false;
+    }
+
+    const data = await response.json();
+    console.log('✓ Completion response:', JSON.stringify(data, null, 2));
+    return data.object === 'text_completion' &&
+      data.choices.length === 4 &&
+      data.choices.every((choice, index) => choice.index === index && typeof choice.text === 'string') &&
+      data.usage.total_tokens > 0;
+  } catch (error) {
+    console.error('✗ Completion test failed:', error);
+    return false;
+  }
+}
+
+async function testStopAndEcho() {
+  console.log('\nTesting /v1/completions stop and echo...');
+  try {
+    const response = await createCompletion({
+      model: 'gpt-4o',
+      prompt: 'Say hi. ',
+      stop: ['mock'],
+      echo: true
+    });
+    const data = await response.json();
+    console.log('✓ Completion text:', JSON.stringify(data.choices[0].text));
+    return data.choices[0].text === 'Say hi. Hello from ';
+  } catch (error) {
+    console.error('✗ Stop/echo test failed:', error);
+    return false;
+  }
+}
+
+async function testStreamingCompletion() {
+  console.log('\nTesting /v1/completions (streaming)...');
+  try {
+    const response = await createCompletion({
+      model: 'gpt-4o',
+      prompt: 'Count from 1 to 3.',
+      stream: true
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      console.error('✗ Streaming completion failed:', response.status, error);
+      return false;
+    }
+
+    const lines = (await response.text()).split('\n').filter(line => line.startsWith('data: '));
+    const chunks = lines.filter(line => line !== 'data: [DONE]').map(line => JSON.parse(line.slice(6)));
+    const text = chunks.map(chunk => chunk.choices[0].text).join('');
+    console.log('✓ Streamed text:', text);
+    return lines[lines.length - 1] === 'data: [DONE]' &&
+      chunks.every(chunk => chunk.object === 'text_completion') &&
+      chunks[chunks.length - 1].choices[0].finish_reason === 'stop' &&
+      text.length > 0;
+  } catch (error) {
+    console.error('✗ Streaming completion test failed:', error);
+    return false;
+  }
+}
+
+async function testChoiceLimits() {
+  console.log('\nTesting the cap and concurrency of prompts times n...');
+  try {
+    const tooMany = await createCompletion({ model: 'gpt-4o', prompt: ['a', 'b', 'c'], n: 7 });
+    const tooManyData = await tooMany.json();
+
+    // Slow prompts make the mock server record how many calls overlap
+    await fetch(`${MOCK_URL}/mock/concurrency`, { method: 'DELETE' });
+    const response = await createCompletion({ model: 'gpt-4o', prompt: 'mock-slow story', n: 8 });
+    const data = await response.json();
+    const { peak } = await (await fetch(`${MOCK_URL}/mock/concurrency`)).json();
+    console.log('✓ Over the cap:', tooMany.status, tooManyData.error?.message, 'peak in flight:', peak);
+    return tooMany.status === 400 &&
+      tooManyData.error.param === 'n' &&
+      response.status === 200 &&
+      data.choices.length === 8 &&
+      peak > 1 &&
+      peak <= 4;
+  } catch (error) {
+    console.error('✗ Choice limit test failed:', error);
+    return false;
+  }
+}
+
+async function testStopValidation() {
+  console.log('\nTesting stop validation on /v1/completions and /v1/chat/completions...');
+  try {
+    const chat = body => fetch(`${BASE_URL}/v1/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${API_KEY}`
+      },
+      body: JSON.stringify({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hello' }], ...body })
+    });
+    const responses = [
+      await createCompletion({ model: 'gpt-4o', prompt: 'Hello', stop: ['a', 'b', 'c', 'd', 'e'] }),
+      await createCompletion({ model: 'gpt-4o', prompt: 'Hello', stop: ['a', 1] }),
+      await chat({ stop: ['a', 'b', 'c', 'd', 'e'] }),
+      await chat({ stop: [null] })
+    ];
+    const errors = await Promise.all(responses.map(response => response.json()));
+    const allowed = await chat({ stop: ['a', 'b', 'c', 'd'] });
+    await allowed.json();
+    console.log('✓ Errors:', errors.map(data => data.error?.message));
+    return responses.every(response => response.status === 400) &&
+      errors.every(data => data.error.type === 'invalid_request_error' && data.error.param === 'stop') &&
+      allowed.ok;
+  } catch (error) {
+    console.error('✗ Stop validation test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting /v1/completions tests...');
+  const results = {
+    completion: await testCompletion(),
+    stopAndEcho: await testStopAndEcho(),
+    streaming: await testStreamingCompletion(),
+    limits: await testChoiceLimits(),
+    stopValidation: await testStopValidation()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Completion:', results.completion ? '✓ PASS' : '✗ FAIL');
+  console.log('Stop & Echo:', results.stopAndEcho ? '✓ PASS' : '✗ FAIL');
+  console.log('Streaming:', results.streaming ? '✓ PASS' : '✗ FAIL');
+  console.log('Choice limits:', results.limits ? '✓ PASS' : '✗ FAIL');
+  console.log('Stop validation:', results.stopValidation ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
@@ -0,0 +1,182 @@
+// Test script for context window checks and truncation strategies
+// Run with: node test/test-context.js
+// Uses the `command` model (4096-token context window) and the mock server's conversation log.
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const MOCK_URL = process.env.MOCK_URL || 'http://localhost:8788';
+
+async function createChatCompletion(body, headers = {}) {
+  return fetch(`${BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${API_KEY}`,
+      ...headers
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+// 30 turns of ~200 tokens each: well over the 4096-token window
+function buildLongChat(marker) {
+  const messages = [{ role: 'system', content: `You are helpful. ${marker}` }];
+  for (let i = 0; i < 30; i++) {
+    messages.push({
+      role: i % 2 === 0 ? 'user' : 'assistant',
+      content: `Turn ${i}. ${'lorem ipsum '.repeat(100)}`
+    });
+  }
+  messages.push({ role: 'user', content: 'Final question?' });
+  return messages;
+}
+
+async function getSentPrompt(marker) {
+  const conversations = await (await fetch(`${MOCK_URL}/mock/conversations`)).json();
+  return conversations.find(conversation => conversation.turns[0]?.prompt.includes(marker))?.turns[0].prompt || '';
+}
+
+async function testContextLengthExceeded() {
+  console.log('Testing context_length_exceeded...');
+  try {
+    const response = await createChatCompletion({ model: 'command', messages: buildLongChat('exceeded') });
+    const data = await response.json();
+    console.log('✓ Error:', data.error?.message);
+    return response.status === 400 &&
+      data.error.code === 'context_length_exceeded' &&
+      data.error.param === 'messages' &&
+      data.error.message.includes('maximum context length is 4096 tokens');
+  } catch (error) {
+    console.error('✗ Context length test failed:', error);
+    return false;
+  }
+}
+
+async function testCompletionReserve() {
+  console.log('\nTesting max_tokens reservation...');
+  try {
+    const response = await createChatCompletion({
+      model: 'command',
+      max_tokens: 4096,
+      messages: [{ role: 'user', content: 'Hello' }]
+    });
+    const data = await response.json();
+    return response.status === 400 && data.error.message.includes('in the completion');
+  } catch (error) {
+    console.error('✗ Reservation test failed:', error);
+    return false;
+  }
+}
+
+async function testDropOldest() {
+  console.log('\nTesting drop_oldest strategy (header)...');
+  try {
+    const marker = `drop-${Date.now()}`;
+    const response = await createChatCompletion(
+      { model: 'command', messages: buildLongChat(marker) },
+      { 'x-context-strategy': 'drop_oldest' }
+    );
+    if (!response.ok) {
+      console.error('✗ drop_oldest failed:', response.status, await response.text());
+      return false;
+    }
+
+    const data = await response.json();
+    const prompt = await getSentPrompt(marker);
+    console.log('✓ Prompt tokens after truncation:', data.usage.prompt_tokens);
+    return data.usage.prompt_tokens <= 4096 &&
+      !prompt.includes('Turn 0.') &&
+      prompt.includes('Turn 29.') &&
+      prompt.includes('Final question?');
+  } catch (error) {
+    console.error('✗ drop_oldest test failed:', error);
+    return false;
+  }
+}
+
+async function testKeepLast() {
+  console.log('\nTesting keep_last strategy (body field)...');
+  try {
+    const marker = `keep-${Date.now()}`;
+    const response = await createChatCompletion({
+      model: 'command',
+      messages: buildLongChat(marker),
+      context_strategy: 'keep_last',
+      context_keep_last: 3
+    });
+    if (!response.ok) {
+      console.error('✗ keep_last failed:', response.status, await response.text());
+      return false;
+    }
+
+    const prompt = await getSentPrompt(marker);
+    // The last three turns are 28 (user), 29 (assistant) and the final question
+    return !prompt.includes('Turn 27.') && prompt.includes('Turn 28.') && prompt.includes('Final question?');
+  } catch (error) {
+    console.error('✗ keep_last test failed:', error);
+    return false;
+  }
+}
+
+async function testSummarize() {
+  console.log('\nTesting summarize strategy...');
+  try {
+    const marker = `summary-${Date.now()}`;
+    const response = await createChatCompletion(
+      { model: 'command', messages: buildLongChat(marker) },
+      { 'x-context-strategy': 'summarize' }
+    );
+    if (!response.ok) {
+      console.error('✗ summarize failed:', response.status, await response.text());
+      return false;
+    }
+
+    const prompt = await getSentPrompt(marker);
+    return prompt.includes('Summary of the earlier conversation:') &&
+      !prompt.includes('Turn 0.') &&
+      prompt.includes('Final question?');
+  } catch (error) {
+    console.error('✗ summarize test failed:', error);
+    return false;
+  }
+}
+
+async function testInvalidStrategy() {
+  console.log('\nTesting invalid strategy...');
+  try {
+    const response = await createChatCompletion(
+      { model: 'command', messages: [{ role: 'user', content: 'Hi' }] },
+      { 'x-context-strategy': 'compress' }
+    );
+    const data = await response.json();
+    return response.status === 400 && data.error.param === 'context_strategy';
+  } catch (error) {
+    console.error('✗ Invalid strategy test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting context window tests...');
+  const results = {
+    exceeded: await testContextLengthExceeded(),
+    reserve: await testCompletionReserve(),
+    dropOldest: await testDropOldest(),
+    keepLast: await testKeepLast(),
+    summarize: await testSummarize(),
+    invalid: await testInvalidStrategy()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Context length exceeded:', results.exceeded ? '✓ PASS' : '✗ FAIL');
+  console.log('Completion reserve:', results.reserve ? '✓ PASS' : '✗ FAIL');
+  console.log('Drop oldest:', results.dropOldest ? '✓ PASS' : '✗ FAIL');
+  console.log('Keep last:', results.keepLast ? '✓ PASS' : '✗ FAIL');
+  console.log('Summarize:', results.summarize ? '✓ PASS' : '✗ FAIL');
+  console.log('Invalid strategy:', results.invalid ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
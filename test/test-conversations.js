@@ -0,0 +1,157 @@
+// Test script for multi-turn conversation mapping
+// Run with: node test/test-conversations.js
+// Requires the mock server, which exposes the prompts each conversation received.
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const MOCK_URL = process.env.MOCK_URL || 'http://localhost:8788';
+
+async function createChatCompletion(body) {
+  return fetch(`${BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${API_KEY}`
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+// Find the mock conversation whose first prompt contains the marker
+async function findConversation(marker) {
+  const conversations = await (await fetch(`${MOCK_URL}/mock/conversations`)).json();
+  return conversations.filter(conversation => conversation.turns[0]?.prompt.includes(marker));
+}
+
+async function testConversationReuse() {
+  console.log('Testing conversation reuse across turns...');
+  try {
+    const marker = `marker-${Date.now()}`;
+    const history = [
+      { role: 'system', content: `You are terse. ${marker}` },
+      { role: 'user', content: 'My name is Ada.' }
+    ];
+
+    const first = await (await createChatCompletion({ model: 'gpt-4o', messages: history })).json();
+    const reply = first.choices[0].message;
+
+    const secondResponse = await createChatCompletion({
+      model: 'gpt-4o',
+      messages: [...history, { role: 'assistant', content: reply.content }, { role: 'user', content: 'What is my name?' }]
+    });
+    if (!secondResponse.ok) {
+      console.error('✗ Second turn failed:', secondResponse.status, await secondResponse.text());
+      return false;
+    }
+    const second = await secondResponse.json();
+
+    const matches = await findConversation(marker);
+    console.log('✓ Conversation turns:', JSON.stringify(matches.map(conversation => conversation.turns.map(turn => turn.prompt))));
+    return matches.length === 1 &&
+      matches[0].turns.length === 2 &&
+      matches[0].turns[0].prompt.startsWith('<|im_start|>system') &&
+      matches[0].turns[1].prompt === 'What is my name?' &&
+      second.choices[0].message.content.length > 0;
+  } catch (error) {
+    console.error('✗ Conversation reuse test failed:', error);
+    return false;
+  }
+}
+
+async function testStreamingReuse() {
+  console.log('\nTesting conversation reuse after a streamed turn...');
+  try {
+    const marker = `stream-${Date.now()}`;
+    const history = [{ role: 'user', content: `Remember ${marker}.` }];
+
+    const streamed = await (await createChatCompletion({ model: 'gpt-4o', messages: history, stream: true })).text();
+    const content = streamed
+      .split('\n')
+      .filter(line => line.startsWith('data: ') && line !== 'data: [DONE]')
+      .map(line => JSON.parse(line.slice(6)).choices[0].delta.content || '')
+      .join('');
+
+    await createChatCompletion({
+      model: 'gpt-4o',
+      messages: [...history, { role: 'assistant', content }, { role: 'user', content: 'And now?' }]
+    });
+
+    const matches = await findConversation(marker);
+    return matches.length === 1 && matches[0].turns.map(turn => turn.prompt).join('|') === `Remember ${marker}.|And now?`;
+  } catch (error) {
+    console.error('✗ Streaming reuse test failed:', error);
+    return false;
+  }
+}
+
+async function testMultiPartContent() {
+  console.log('\nTesting multi-part content...');
+  try {
+    const marker = `parts-${Date.now()}`;
+    await createChatCompletion({
+      model: 'gpt-4o',
+      messages: [{
+        role: 'user',
+        content: [{ type: 'text', text: `Part one ${marker}. ` }, { type: 'text', text: 'Part two.' }]
+      }]
+    });
+
+    const [conversation] = await findConversation(marker);
+    console.log('✓ Prompt:', conversation?.turns[0].prompt);
+    return conversation?.turns[0].prompt === `Part one ${marker}. Part two.`;
+  } catch (error) {
+    console.error('✗ Multi-part content test failed:', error);
+    return false;
+  }
+}
+
+async function testProviderTemplates() {
+  console.log('\nTesting provider chat templates...');
+  const cases = [
+    { model: 'claude-3-5-sonnet-20241022', check: prompt => prompt.includes('\n\nHuman: Hi') && prompt.endsWith('Assistant:') },
+    { model: 'mistral-large-latest', check: prompt => prompt.startsWith('[INST] Be brief') && prompt.endsWith('Hi [/INST]') },
+    { model: 'llama-3.1-405b-instruct', check: prompt => prompt.includes('<|start_header_id|>user<|end_header_id|>\n\nHi<|eot_id|>') }
+  ];
+
+  try {
+    for (const { model, check } of cases) {
+      const marker = `template-${model}-${Date.now()}`;
+      await createChatCompletion({
+        model,
+        messages: [{ role: 'system', content: `Be brief ${marker}` }, { role: 'user', content: 'Hi' }]
+      });
+
+      const [conversation] = await findConversation(marker);
+      if (!conversation || !check(conversation.turns[0].prompt)) {
+        console.error(`✗ Unexpected ${model} prompt:`, JSON.stringify(conversation?.turns[0].prompt));
+        return false;
+      }
+      console.log(`✓ ${model} template applied`);
+    }
+    return true;
+  } catch (error) {
+    console.error('✗ Template test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting conversation mapping tests...');
+  const results = {
+    reuse: await testConversationReuse(),
+    streamingReuse: await testStreamingReuse(),
+    multiPart: await testMultiPartContent(),
+    templates: await testProviderTemplates()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Conversation reuse:', results.reuse ? '✓ PASS' : '✗ FAIL');
+  console.log('Streaming reuse:', results.streamingReuse ? '✓ PASS' : '✗ FAIL');
+  console.log('Multi-part content:', results.multiPart ? '✓ PASS' : '✗ FAIL');
+  console.log('Provider templates:', results.templates ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
@@ -0,0 +1,225 @@
+// Test script for document inputs in chat (file parts and Anthropic document blocks)
+// Run with: node test/test-documents.js
+// Requires the mock server, which records asset uploads and the files each
+// conversation was created with.
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const MOCK_URL = process.env.MOCK_URL || 'http://localhost:8788';
+
+// A two-page PDF skeleton; enough for page counting
+const PDF = Buffer.from([
+  '%PDF-1.4',
+  '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+  '2 0 obj << /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >> endobj',
+  '3 0 obj << /Type /Page /Parent 2 0 R >> endobj',
+  '4 0 obj << /Type /Page /Parent 2 0 R >> endobj',
+  '%%EOF'
+].join('\n'));
+const TEXT = 'Quarterly report. Revenue grew by twelve percent while costs stayed flat. '.repeat(20);
+
+function dataUrl(mimeType, bytes) {
+  return `data:${mimeType};base64,${Buffer.from(bytes).toString('base64')}`;
+}
+
+async function createChatCompletion(body) {
+  const response = await fetch(`${BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${API_KEY}`
+    },
+    body: JSON.stringify({ model: 'gpt-4o', ...body })
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+function fileMessage(text, files) {
+  return {
+    role: 'user',
+    content: [{ type: 'text', text }, ...files.map(file => ({ type: 'file', file }))]
+  };
+}
+
+// The gateway's own prompt token estimate, read from the context length error
+// of a request that reserves command's whole context window for the completion
+async function estimatePromptTokens(messages) {
+  const { data } = await createChatCompletion({ model: 'command', max_tokens: 4096, messages });
+  return Number(data.error?.message.match(/\((\d+) in the messages/)?.[1]);
+}
+
+// Mock conversations whose first prompt contains the marker
+async function findConversations(marker) {
+  const conversations = await (await fetch(`${MOCK_URL}/mock/conversations`)).json();
+  return conversations.filter(conversation => conversation.turns[0]?.prompt.includes(marker));
+}
+
+async function lastAssetUpload() {
+  const uploads = await (await fetch(`${MOCK_URL}/mock/assets`)).json();
+  return uploads[uploads.length - 1];
+}
+
+async function testPdfFilePart() {
+  console.log('Testing OpenAI file parts...');
+  try {
+    const marker = `pdf-${Date.now()}`;
+    const { status, data } = await createChatCompletion({
+      messages: [fileMessage(`Summarize this. ${marker}`, [{ filename: 'report.pdf', file_data: dataUrl('application/pdf', PDF) }])]
+    });
+    const upload = await lastAssetUpload();
+    const [conversation] = await findConversations(marker);
+    console.log('✓ Conversation:', conversation?.type, conversation?.fileList);
+    return status === 200 &&
+      upload.type === 'document' &&
+      upload.mimeType === 'application/pdf' &&
+      upload.bytes === PDF.length &&
+      conversation.type === 'CHAT_WITH_PDF' &&
+      conversation.fileList.length === 1 &&
+      conversation.fileList[0] === upload.url &&
+      data.choices[0].message.content.length > 0;
+  } catch (error) {
+    console.error('✗ PDF file part test failed:', error);
+    return false;
+  }
+}
+
+async function testTextTokens() {
+  console.log('\nTesting token accounting for documents...');
+  try {
+    const plain = await estimatePromptTokens([fileMessage('Summarize this.', [])]);
+    const text = await estimatePromptTokens([fileMessage('Summarize this.', [{ filename: 'report.txt', file_data: dataUrl('text/plain', TEXT) }])]);
+    const pdf = await estimatePromptTokens([fileMessage('Summarize this.', [{ filename: 'report.pdf', file_data: dataUrl('application/pdf', PDF) }])]);
+    console.log('✓ Tokens added by the text file:', text - plain, 'by the PDF:', pdf - plain);
+    // 20 repetitions of a ~14 token sentence; two PDF pages of text
+    return text - plain > 200 && text - plain < 400 && pdf - plain === 1600;
+  } catch (error) {
+    console.error('✗ Text token test failed:', error);
+    return false;
+  }
+}
+
+async function testFollowUpTurns() {
+  console.log('\nTesting documents across turns...');
+  try {
+    const marker = `turns-${Date.now()}`;
+    const first = fileMessage(`Read this. ${marker}`, [{ filename: 'a.txt', file_data: dataUrl('text/plain', 'First document') }]);
+    const reply = (await createChatCompletion({ messages: [first] })).data.choices[0].message;
+
+    // No new document: the conversation holding the file is reused
+    const followUp = await createChatCompletion({ messages: [first, reply, { role: 'user', content: 'And then?' }] });
+    const afterFollowUp = await findConversations(marker);
+
+    // A new document needs a conversation created with both files
+    const secondFile = fileMessage('Compare with this.', [{ filename: 'b.md', file_data: dataUrl('text/markdown', '# Second') }]);
+    const withNewFile = await createChatCompletion({ messages: [first, reply, secondFile] });
+    const afterNewFile = await findConversations(marker);
+    console.log('✓ Conversations:', afterNewFile.map(conversation => conversation.fileList.length));
+    return followUp.status === 200 &&
+      afterFollowUp.length === 1 &&
+      afterFollowUp[0].turns.length === 2 &&
+      withNewFile.status === 200 &&
+      afterNewFile.length === 2 &&
+      afterNewFile[1].fileList.length === 2;
+  } catch (error) {
+    console.error('✗ Follow-up turn test failed:', error);
+    return false;
+  }
+}
+
+async function testAnthropicDocuments() {
+  console.log('\nTesting Anthropic document blocks...');
+  try {
+    const marker = `anthropic-${Date.now()}`;
+    const response = await fetch(`${BASE_URL}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': API_KEY,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: 'claude-3-5-sonnet-20241022',
+        max_tokens: 100,
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: PDF.toString('base64') }, title: 'report.pdf' },
+            { type: 'document', source: { type: 'text', media_type: 'text/plain', data: 'Plain notes' } },
+            { type: 'text', text: `What do these say? ${marker}` }
+          ]
+        }]
+      })
+    });
+    const data = await response.json();
+    const [conversation] = await findConversations(marker);
+    console.log('✓ Files:', conversation?.fileList);
+    return response.status === 200 &&
+      data.type === 'message' &&
+      conversation.type === 'CHAT_WITH_PDF' &&
+      conversation.fileList.length === 2 &&
+      conversation.fileList[0].endsWith('.pdf') &&
+      conversation.fileList[1].endsWith('.txt');
+  } catch (error) {
+    console.error('✗ Anthropic document test failed:', error);
+    return false;
+  }
+}
+
+async function testValidation() {
+  console.log('\nTesting validation...');
+  try {
+    const zip = await createChatCompletion({
+      messages: [fileMessage('Hi', [{ filename: 'archive.zip', file_data: dataUrl('application/zip', 'PK') }])]
+    });
+    const fileId = await createChatCompletion({ messages: [fileMessage('Hi', [{ file_id: 'file-abc' }])] });
+    const empty = await createChatCompletion({ messages: [fileMessage('Hi', [{ filename: 'a.pdf' }])] });
+    console.log('✓ Errors:', [zip, fileId, empty].map(result => result.data.error?.message));
+    return [zip, fileId, empty].every(result => result.status === 400 && result.data.error.type === 'invalid_request_error') &&
+      zip.data.error.message.includes('Unsupported file type');
+  } catch (error) {
+    console.error('✗ Validation test failed:', error);
+    return false;
+  }
+}
+
+async function testLargeDocumentUrl() {
+  console.log('\nTesting documents by URL past the size limit...');
+  try {
+    const results = [];
+    for (const query of ['', '?chunked']) {
+      results.push(await createChatCompletion({
+        messages: [fileMessage('Summarize this', [{ filename: 'big.txt', file_url: `${MOCK_URL}/mock/large-document${query}` }])]
+      }));
+    }
+    console.log('✓ Errors:', results.map(result => result.data.error?.message));
+    return results.every(result => result.status === 400 && result.data.error.message.includes('larger than 20 MB'));
+  } catch (error) {
+    console.error('✗ Large document test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting document input tests...');
+  const results = {
+    pdf: await testPdfFilePart(),
+    tokens: await testTextTokens(),
+    turns: await testFollowUpTurns(),
+    anthropic: await testAnthropicDocuments(),
+    validation: await testValidation(),
+    largeUrl: await testLargeDocumentUrl()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('PDF file part:', results.pdf ? '✓ PASS' : '✗ FAIL');
+  console.log('Document tokens:', results.tokens ? '✓ PASS' : '✗ FAIL');
+  console.log('Follow-up turns:', results.turns ? '✓ PASS' : '✗ FAIL');
+  console.log('Anthropic documents:', results.anthropic ? '✓ PASS' : '✗ FAIL');
+  console.log('Validation:', results.validation ? '✓ PASS' : '✗ FAIL');
+  console.log('Large document URL:', results.largeUrl ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
@@ -0,0 +1,154 @@
+// Test script for the embeddings endpoint
+// Run with: node test/test-embeddings.js
+// Expects the development env, whose EMBEDDINGS_URL points at the mock server.
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const MOCK_URL = process.env.MOCK_URL || 'http://localhost:8788';
+
+async function createEmbeddings(body) {
+  const response = await fetch(`${BASE_URL}/v1/embeddings`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${API_KEY}`
+    },
+    body: JSON.stringify({ model: 'bge-base-en-v1.5', ...body })
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function testStringInput() {
+  console.log('Testing a single string input...');
+  try {
+    const { status, data } = await createEmbeddings({ input: 'The quick brown fox' });
+    console.log('✓ Vector length:', data.data?.[0].embedding.length, '| usage:', JSON.stringify(data.usage));
+    return status === 200 &&
+      data.object === 'list' &&
+      data.model === 'bge-base-en-v1.5' &&
+      data.data.length === 1 &&
+      data.data[0].object === 'embedding' &&
+      data.data[0].embedding.length === 768 &&
+      data.usage.prompt_tokens > 0 &&
+      data.usage.total_tokens === data.usage.prompt_tokens;
+  } catch (error) {
+    console.error('✗ String input test failed:', error);
+    return false;
+  }
+}
+
+async function testBatching() {
+  console.log('\nTesting batched array input...');
+  try {
+    const before = (await (await fetch(`${MOCK_URL}/mock/embeddings`)).json()).length;
+    const input = Array.from({ length: 150 }, (_, i) => `document ${i}`);
+    const { status, data } = await createEmbeddings({ input });
+    const batches = (await (await fetch(`${MOCK_URL}/mock/embeddings`)).json()).slice(before);
+    const single = await createEmbeddings({ input: 'document 120' });
+    console.log('✓ Batches sent:', batches);
+    return status === 200 &&
+      data.data.length === 150 &&
+      data.data.every((item, index) => item.index === index) &&
+      JSON.stringify(batches) === JSON.stringify([100, 50]) &&
+      // Order survives batching and the provider's ordering
+      JSON.stringify(data.data[120].embedding) === JSON.stringify(single.data.data[0].embedding);
+  } catch (error) {
+    console.error('✗ Batching test failed:', error);
+    return false;
+  }
+}
+
+async function testDimensionsAndBase64() {
+  console.log('\nTesting dimensions and base64 encoding...');
+  try {
+    const floats = await createEmbeddings({ input: 'hello', dimensions: 256 });
+    const encoded = await createEmbeddings({ input: 'hello', dimensions: 256, encoding_format: 'base64' });
+    const vector = floats.data.data[0].embedding;
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    const bytes = Buffer.from(encoded.data.data[0].embedding, 'base64');
+    const decoded = Array.from(new Float32Array(bytes.buffer, bytes.byteOffset, bytes.length / 4));
+    console.log('✓ Norm:', norm.toFixed(6), '| decoded length:', decoded.length);
+    return vector.length === 256 &&
+      Math.abs(norm - 1) < 1e-6 &&
+      decoded.length === 256 &&
+      decoded.every((value, index) => Math.abs(value - vector[index]) < 1e-6);
+  } catch (error) {
+    console.error('✗ Dimensions test failed:', error);
+    return false;
+  }
+}
+
+async function testValidation() {
+  console.log('\nTesting request validation...');
+  try {
+    const chatModel = await createEmbeddings({ model: 'gpt-4o', input: 'hello' });
+    const tokens = await createEmbeddings({ input: [[1, 2, 3]] });
+    const dimensions = await createEmbeddings({ input: 'hello', dimensions: 4096 });
+    const tooLong = await createEmbeddings({ model: 'bge-small-en-v1.5', input: 'word '.repeat(2000) });
+    return chatModel.status === 400 && chatModel.data.error.param === 'model' &&
+      tokens.status === 400 && tokens.data.error.param === 'input' &&
+      dimensions.status === 400 && dimensions.data.error.param === 'dimensions' &&
+      tooLong.status === 400 && tooLong.data.error.code === 'context_length_exceeded';
+  } catch (error) {
+    console.error('✗ Validation test failed:', error);
+    return false;
+  }
+}
+
+async function testChatRejectsEmbeddingModel() {
+  console.log('\nTesting chat with an embedding model...');
+  try {
+    const response = await fetch(`${BASE_URL}/v1/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${API_KEY}`
+      },
+      body: JSON.stringify({ model: 'bge-m3', messages: [{ role: 'user', content: 'Hello' }] })
+    });
+    const data = await response.json();
+    return response.status === 400 && data.error.param === 'model';
+  } catch (error) {
+    console.error('✗ Chat rejection test failed:', error);
+    return false;
+  }
+}
+
+async function testModelListing() {
+  console.log('\nTesting embedding models in /v1/models...');
+  try {
+    const response = await fetch(`${BASE_URL}/v1/models?type=embedding`);
+    const data = await response.json();
+    console.log('✓ Embedding models:', data.data.map(model => model.id));
+    return data.data.length > 0 &&
+      data.data.every(model => model.type === 'embedding' && model.dimensions > 0 && !model.capabilities.streaming);
+  } catch (error) {
+    console.error('✗ Model listing test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting embeddings tests...');
+  const results = {
+    string: await testStringInput(),
+    batching: await testBatching(),
+    dimensions: await testDimensionsAndBase64(),
+    validation: await testValidation(),
+    chat: await testChatRejectsEmbeddingModel(),
+    listing: await testModelListing()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('String input:', results.string ? '✓ PASS' : '✗ FAIL');
+  console.log('Batched input:', results.batching ? '✓ PASS' : '✗ FAIL');
+  console.log('Dimensions and base64:', results.dimensions ? '✓ PASS' : '✗ FAIL');
+  console.log('Validation:', results.validation ? '✓ PASS' : '✗ FAIL');
+  console.log('Chat rejects embedding models:', results.chat ? '✓ PASS' : '✗ FAIL');
+  console.log('Model listing:', results.listing ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
@@ -0,0 +1,102 @@
+// Test script for translating 1min AI errors into OpenAI errors
+// Run with: node test/test-errors.js
+// Relies on the mock server: keys containing "invalid" or "exhausted" are rejected,
+// "string-body" and "object-body" keys get error bodies without a message field,
+// prompts containing "mock-moderation" are flagged and unsupported models are refused.
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'admin-test-key';
+
+// A virtual key whose only upstream key is "revoked", which the mock server answers with 401
+async function createRevokedVirtualKey() {
+  const response = await fetch(`${BASE_URL}/admin/keys`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${ADMIN_API_KEY}`
+    },
+    body: JSON.stringify({ label: 'errors-test', upstream_keys: ['revoked'] })
+  });
+  return (await response.json()).key;
+}
+
+async function createChatCompletion(body, apiKey = API_KEY) {
+  return fetch(`${BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hello' }], ...body })
+  });
+}
+
+async function expectError(name, responsePromise, check) {
+  try {
+    const response = await responsePromise;
+    const data = await response.json();
+    console.log(`✓ ${name}:`, response.status, JSON.stringify(data.error));
+    return check(response, data.error || {});
+  } catch (error) {
+    console.error(`✗ ${name} test failed:`, error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting upstream error translation tests...');
+  const results = {
+    invalidKey: await expectError('Invalid key', createChatCompletion({}, 'mock-invalid-key'),
+      (response, error) => response.status === 401 &&
+        error.type === 'authentication_error' &&
+        error.code === 'invalid_api_key'),
+    modelNotFound: await expectError('Model not found', createChatCompletion({ model: 'claude-sonnet-4-20250514' }),
+      (response, error) => response.status === 404 &&
+        error.code === 'model_not_found' &&
+        error.param === 'model' &&
+        error.message.includes('Invalid model claude-sonnet-4-20250514')),
+    insufficientQuota: await expectError('Out of credits', createChatCompletion({}, 'mock-exhausted-client-key'),
+      (response, error) => response.status === 429 &&
+        error.code === 'insufficient_quota' &&
+        error.message.includes('Insufficient credits')),
+    contentFilter: await expectError('Moderation', createChatCompletion({ messages: [{ role: 'user', content: 'mock-moderation' }] }),
+      (response, error) => response.status === 400 &&
+        error.code === 'content_filter'),
+    serverError: await expectError('Upstream outage', createChatCompletion({ model: 'claude-sonnet-4-5-20250929', models: [] }),
+      (response, error) => response.status === 503 &&
+        error.type === 'overloaded_error' &&
+        error.message.includes('temporarily unavailable')),
+    noKeyLeak: await expectError('No key in message', createChatCompletion({}, 'mock-invalid-key'),
+      (response, error) => Boolean(error.message) && !error.message.includes('mock-invalid-key')),
+    stringBody: await expectError('JSON string body', createChatCompletion({}, 'mock-string-body-key'),
+      (response, error) => response.status === 401 &&
+        error.code === 'invalid_api_key' &&
+        error.message.includes('(1min AI: Invalid API Key)')),
+    objectBody: await expectError('Error object body', createChatCompletion({}, 'mock-object-body-key'),
+      (response, error) => response.status === 400 &&
+        error.message.includes('E_PROMPT') &&
+        error.message.includes('Prompt rejected') &&
+        !error.message.includes('[object Object]')),
+    pooledKeyRejected: await expectError('Pooled key rejected', createChatCompletion({}, await createRevokedVirtualKey()),
+      (response, error) => response.status === 502 &&
+        error.type === 'api_error' &&
+        error.code === 'upstream_key_rejected')
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Invalid API key:', results.invalidKey ? '✓ PASS' : '✗ FAIL');
+  console.log('Model not found:', results.modelNotFound ? '✓ PASS' : '✗ FAIL');
+  console.log('Insufficient quota:', results.insufficientQuota ? '✓ PASS' : '✗ FAIL');
+  console.log('Content filter:', results.contentFilter ? '✓ PASS' : '✗ FAIL');
+  console.log('Upstream outage:', results.serverError ? '✓ PASS' : '✗ FAIL');
+  console.log('No key leak:', results.noKeyLeak ? '✓ PASS' : '✗ FAIL');
+  console.log('JSON string body:', results.stringBody ? '✓ PASS' : '✗ FAIL');
+  console.log('Error object body:', results.objectBody ? '✓ PASS' : '✗ FAIL');
+  console.log('Pooled key rejected:', results.pooledKeyRejected ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
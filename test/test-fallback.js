@@ -0,0 +1,138 @@
+// Test script for model fallback chains and upstream retries
+// Run with: node test/test-fallback.js
+// Expects the development env: the mock server reports claude-sonnet-4-5-20250929
+// as down, and MODEL_FALLBACKS sends it to claude-3-5-sonnet-20241022.
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const MOCK_URL = process.env.MOCK_URL || 'http://localhost:8788';
+
+async function createChatCompletion(body) {
+  return fetch(`${BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${API_KEY}`
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+async function testRequestFallbacks() {
+  console.log('Testing models array fallback...');
+  try {
+    const response = await createChatCompletion({
+      model: 'claude-sonnet-4-5-20250929',
+      models: ['gpt-4o-mini'],
+      messages: [{ role: 'user', content: 'Hello' }]
+    });
+    const data = await response.json();
+    console.log('✓ Served by:', data.model, '| header:', response.headers.get('x-gateway-fallback'));
+    return response.ok &&
+      data.model === 'gpt-4o-mini' &&
+      response.headers.get('x-gateway-fallback') === 'claude-sonnet-4-5-20250929 -> gpt-4o-mini';
+  } catch (error) {
+    console.error('✗ Request fallback test failed:', error);
+    return false;
+  }
+}
+
+async function testServerFallbacks() {
+  console.log('\nTesting MODEL_FALLBACKS with streaming...');
+  try {
+    // The alias is resolved by routing, so the header names its target
+    const response = await createChatCompletion({
+      model: 'claude-4-5',
+      stream: true,
+      messages: [{ role: 'user', content: 'Hello' }]
+    });
+    const text = await response.text();
+    const chunks = text.split('\n')
+      .filter(line => line.startsWith('data: ') && !line.includes('[DONE]'))
+      .map(line => JSON.parse(line.slice(6)));
+    console.log('✓ Header:', response.headers.get('x-gateway-fallback'));
+    return response.ok &&
+      response.headers.get('x-gateway-fallback') === 'claude-sonnet-4-5-20250929 -> claude-3-5-sonnet-20241022' &&
+      chunks.every(chunk => chunk.model === 'claude-3-5-sonnet-20241022');
+  } catch (error) {
+    console.error('✗ Server fallback test failed:', error);
+    return false;
+  }
+}
+
+async function testRetry() {
+  console.log('\nTesting retry of a transient failure...');
+  try {
+    const marker = `mock-flaky-${Date.now()}`;
+    const response = await createChatCompletion({
+      model: 'gpt-4o',
+      messages: [{ role: 'user', content: marker }]
+    });
+    const data = await response.json();
+    const attempts = await (await fetch(`${MOCK_URL}/mock/flaky`)).json();
+    console.log('✓ Attempts:', attempts[marker]);
+    return response.ok &&
+      data.model === 'gpt-4o' &&
+      !response.headers.get('x-gateway-fallback') &&
+      attempts[marker] === 2;
+  } catch (error) {
+    console.error('✗ Retry test failed:', error);
+    return false;
+  }
+}
+
+async function testChainExhausted() {
+  console.log('\nTesting a chain with no working model...');
+  try {
+    const response = await createChatCompletion({
+      model: 'claude-sonnet-4-5-20250929',
+      models: [],
+      messages: [{ role: 'user', content: 'Hello' }]
+    });
+    const data = await response.json();
+    console.log('✓ Error:', response.status, data.error?.message);
+    return response.status >= 500 && Boolean(data.error);
+  } catch (error) {
+    console.error('✗ Exhausted chain test failed:', error);
+    return false;
+  }
+}
+
+async function testInvalidModels() {
+  console.log('\nTesting invalid models array...');
+  try {
+    const response = await createChatCompletion({
+      model: 'gpt-4o',
+      models: ['not-a-model'],
+      messages: [{ role: 'user', content: 'Hello' }]
+    });
+    const data = await response.json();
+    return response.status === 400 && data.error.param === 'models';
+  } catch (error) {
+    console.error('✗ Invalid models test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting fallback tests...');
+  const results = {
+    requestFallbacks: await testRequestFallbacks(),
+    serverFallbacks: await testServerFallbacks(),
+    retry: await testRetry(),
+    exhausted: await testChainExhausted(),
+    invalid: await testInvalidModels()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Request fallbacks:', results.requestFallbacks ? '✓ PASS' : '✗ FAIL');
+  console.log('Server fallbacks (streaming):', results.serverFallbacks ? '✓ PASS' : '✗ FAIL');
+  console.log('Transient retry:', results.retry ? '✓ PASS' : '✗ FAIL');
+  console.log('Exhausted chain:', results.exhausted ? '✓ PASS' : '✗ FAIL');
+  console.log('Invalid models:', results.invalid ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
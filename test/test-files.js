@@ -0,0 +1,212 @@
+// Test script for the Files API and file_id references
+// Run with: node test/test-files.js
+// Expects the development env (FILES bound to a local R2 bucket). The mock
+// server records every asset upload, which shows whether stored files are
+// uploaded to 1min AI again.
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const MOCK_URL = process.env.MOCK_URL || 'http://localhost:8788';
+
+// A two-page PDF skeleton and a 1x1 PNG
+const PDF = Buffer.from('%PDF-1.4\n3 0 obj << /Type /Page >> endobj\n4 0 obj << /Type /Page >> endobj\n%%EOF');
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+
+async function uploadFile(bytes, filename, type, purpose = 'user_data', apiKey = API_KEY) {
+  const form = new FormData();
+  if (bytes) {
+    form.append('file', new Blob([bytes], { type }), filename);
+  }
+  if (purpose) {
+    form.append('purpose', purpose);
+  }
+  const response = await fetch(`${BASE_URL}/v1/files`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${apiKey}` },
+    body: form
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function request(path, options = {}, apiKey = API_KEY) {
+  return fetch(`${BASE_URL}${path}`, {
+    ...options,
+    headers: { 'Authorization': `Bearer ${apiKey}`, ...options.headers }
+  });
+}
+
+async function countAssetUploads() {
+  return (await (await fetch(`${MOCK_URL}/mock/assets`)).json()).length;
+}
+
+async function testUploadAndRetrieve() {
+  console.log('Testing upload, retrieve and content...');
+  try {
+    const { status, data: file } = await uploadFile(PDF, 'report.pdf', 'application/pdf');
+    const retrieved = await (await request(`/v1/files/${file.id}`)).json();
+    const content = await request(`/v1/files/${file.id}/content`);
+    const bytes = Buffer.from(await content.arrayBuffer());
+    console.log('✓ File:', JSON.stringify(file));
+    return status === 200 &&
+      file.id.startsWith('file-') &&
+      file.object === 'file' &&
+      file.bytes === PDF.length &&
+      file.filename === 'report.pdf' &&
+      file.purpose === 'user_data' &&
+      Number.isInteger(file.created_at) &&
+      JSON.stringify(retrieved) === JSON.stringify(file) &&
+      content.status === 200 &&
+      content.headers.get('Content-Type') === 'application/pdf' &&
+      bytes.equals(PDF);
+  } catch (error) {
+    console.error('✗ Upload test failed:', error);
+    return false;
+  }
+}
+
+async function testListAndScope() {
+  console.log('\nTesting list, purpose filter and per-key scoping...');
+  try {
+    const batch = (await uploadFile(Buffer.from('{}\n'), 'input.jsonl', 'application/jsonl', 'batch')).data;
+    const vision = (await uploadFile(PNG, 'pixel.png', 'image/png', 'vision')).data;
+    const all = await (await request('/v1/files?limit=100')).json();
+    const batches = await (await request('/v1/files?purpose=batch&limit=100')).json();
+    const firstPage = await (await request('/v1/files?limit=1')).json();
+
+    // Another key sees none of these files
+    const otherKey = `${API_KEY}-other`;
+    const otherList = await (await request('/v1/files', {}, otherKey)).json();
+    const otherGet = await request(`/v1/files/${vision.id}`, {}, otherKey);
+    const otherDelete = await request(`/v1/files/${vision.id}`, { method: 'DELETE' }, otherKey);
+    console.log('✓ Listed:', all.data.length, 'batch files:', batches.data.length);
+    return all.object === 'list' &&
+      all.data.some(file => file.id === batch.id) &&
+      all.data.some(file => file.id === vision.id) &&
+      // Newest first by default
+      all.data[0].id === vision.id &&
+      batches.data.every(file => file.purpose === 'batch') &&
+      batches.data.some(file => file.id === batch.id) &&
+      firstPage.data.length === 1 &&
+      firstPage.has_more === true &&
+      !otherList.data.some(file => file.id === vision.id) &&
+      otherGet.status === 404 &&
+      otherDelete.status === 404;
+  } catch (error) {
+    console.error('✗ List test failed:', error);
+    return false;
+  }
+}
+
+async function testChatFileId() {
+  console.log('\nTesting file_id in chat content...');
+  try {
+    const file = (await uploadFile(PDF, 'report.pdf', 'application/pdf')).data;
+    const chat = () => request('/v1/chat/completions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: [{ type: 'text', text: 'Summarize' }, { type: 'file', file: { file_id: file.id } }] }]
+      })
+    });
+
+    const before = await countAssetUploads();
+    const first = await chat();
+    const afterFirst = await countAssetUploads();
+    const second = await chat();
+    const afterSecond = await countAssetUploads();
+    const conversations = await (await fetch(`${MOCK_URL}/mock/conversations`)).json();
+    const [previous, last] = conversations.slice(-2);
+    console.log('✓ Asset uploads:', afterFirst - before, afterSecond - afterFirst);
+    return first.status === 200 &&
+      second.status === 200 &&
+      afterFirst - before === 1 &&
+      // The second reference reuses the mirrored asset
+      afterSecond === afterFirst &&
+      last.type === 'CHAT_WITH_PDF' &&
+      last.fileList[0] === previous.fileList[0];
+  } catch (error) {
+    console.error('✗ Chat file_id test failed:', error);
+    return false;
+  }
+}
+
+async function testImageEditFileId() {
+  console.log('\nTesting file_id in image edits...');
+  try {
+    const file = (await uploadFile(PNG, 'pixel.png', 'image/png', 'vision')).data;
+    const edit = () => {
+      const form = new FormData();
+      form.append('image', file.id);
+      form.append('model', 'clipdrop');
+      form.append('operation', 'remove_background');
+      return request('/v1/images/edits', { method: 'POST', body: form });
+    };
+
+    const before = await countAssetUploads();
+    const first = await edit();
+    const second = await edit();
+    const uploads = await countAssetUploads() - before;
+    const missing = new FormData();
+    missing.append('image', 'file-does-not-exist');
+    const unknown = await request('/v1/images/edits', { method: 'POST', body: missing });
+    const unknownData = await unknown.json();
+    console.log('✓ Statuses:', first.status, second.status, 'uploads:', uploads);
+    return first.status === 200 &&
+      second.status === 200 &&
+      (await first.json()).data.length === 1 &&
+      uploads === 1 &&
+      unknown.status === 400 &&
+      unknownData.error.param === 'image';
+  } catch (error) {
+    console.error('✗ Image edit file_id test failed:', error);
+    return false;
+  }
+}
+
+async function testDeleteAndValidation() {
+  console.log('\nTesting delete and validation...');
+  try {
+    const file = (await uploadFile(PDF, 'report.pdf', 'application/pdf')).data;
+    const deleted = await (await request(`/v1/files/${file.id}`, { method: 'DELETE' })).json();
+    const gone = await request(`/v1/files/${file.id}`);
+    const goneContent = await request(`/v1/files/${file.id}/content`);
+    const noPurpose = await uploadFile(PDF, 'report.pdf', 'application/pdf', null);
+    const badPurpose = await uploadFile(PDF, 'report.pdf', 'application/pdf', 'training');
+    const noFile = await uploadFile(null, null, null);
+    console.log('✓ Deleted:', JSON.stringify(deleted));
+    return deleted.id === file.id &&
+      deleted.deleted === true &&
+      gone.status === 404 &&
+      goneContent.status === 404 &&
+      noPurpose.status === 400 && noPurpose.data.error.param === 'purpose' &&
+      badPurpose.status === 400 && badPurpose.data.error.param === 'purpose' &&
+      noFile.status === 400 && noFile.data.error.param === 'file';
+  } catch (error) {
+    console.error('✗ Delete test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting Files API tests...');
+  const results = {
+    upload: await testUploadAndRetrieve(),
+    list: await testListAndScope(),
+    chat: await testChatFileId(),
+    edits: await testImageEditFileId(),
+    delete: await testDeleteAndValidation()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Upload and retrieve:', results.upload ? '✓ PASS' : '✗ FAIL');
+  console.log('List and scoping:', results.list ? '✓ PASS' : '✗ FAIL');
+  console.log('file_id in chat:', results.chat ? '✓ PASS' : '✗ FAIL');
+  console.log('file_id in image edits:', results.edits ? '✓ PASS' : '✗ FAIL');
+  console.log('Delete and validation:', results.delete ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
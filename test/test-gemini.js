@@ -0,0 +1,141 @@
+// Test script for the Gemini-compatible generateContent endpoints
+// Run with: node test/test-gemini.js
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+
+async function generate(method, body, query = '') {
+  return fetch(`${BASE_URL}/v1beta/models/gemini-1.5-pro:${method}${query}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': API_KEY
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+async function testGenerateContent() {
+  console.log('Testing :generateContent...');
+  try {
+    const response = await generate('generateContent', {
+      systemInstruction: { parts: [{ text: 'You are a helpful assistant.' }] },
+      contents: [{ role: 'user', parts: [{ text: 'Say hello.' }] }],
+      generationConfig: { temperature: 0.5, maxOutputTokens: 100 }
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      console.error('✗ generateContent failed:', response.status, error);
+      return false;
+    }
+
+    const data = await response.json();
+    console.log('✓ generateContent response:', JSON.stringify(data, null, 2));
+    return data.candidates[0].content.role === 'model' &&
+      typeof data.candidates[0].content.parts[0].text === 'string' &&
+      data.candidates[0].finishReason === 'STOP' &&
+      typeof data.usageMetadata.totalTokenCount === 'number';
+  } catch (error) {
+    console.error('✗ generateContent test failed:', error);
+    return false;
+  }
+}
+
+async function testStreamGenerateContent() {
+  console.log('\nTesting :streamGenerateContent?alt=sse...');
+  try {
+    const response = await generate('streamGenerateContent', {
+      contents: [{ role: 'user', parts: [{ text: 'Count from 1 to 3.' }] }]
+    }, '?alt=sse');
+
+    if (!response.ok) {
+      const error = await response.text();
+      console.error('✗ streamGenerateContent failed:', response.status, error);
+      return false;
+    }
+
+    const chunks = (await response.text()).split('\n')
+      .filter(line => line.startsWith('data: '))
+      .map(line => JSON.parse(line.slice(6)));
+    const text = chunks.map(chunk => chunk.candidates[0].content.parts.map(part => part.text || '').join('')).join('');
+    const last = chunks[chunks.length - 1];
+    console.log('✓ Received', chunks.length, 'chunks:', text);
+    return chunks.length > 1 && text.length > 0 && last.candidates[0].finishReason === 'STOP' && last.usageMetadata;
+  } catch (error) {
+    console.error('✗ streamGenerateContent test failed:', error);
+    return false;
+  }
+}
+
+async function testFunctionCalling() {
+  console.log('\nTesting function calling...');
+  try {
+    const tools = [{
+      functionDeclarations: [{
+        name: 'get_weather',
+        description: 'Get the current weather for a location',
+        parameters: { type: 'OBJECT', properties: { location: { type: 'STRING' } }, required: ['location'] }
+      }]
+    }];
+    const response = await generate('generateContent', {
+      contents: [{ role: 'user', parts: [{ text: 'What is the weather in Paris?' }] }],
+      tools
+    });
+    const data = await response.json();
+    const call = data.candidates[0].content.parts[0].functionCall;
+    console.log('✓ Function call:', JSON.stringify(call));
+    if (call?.name !== 'get_weather' || call.args.location !== 'Paris') {
+      return false;
+    }
+
+    const followUp = await generate('generateContent', {
+      contents: [
+        { role: 'user', parts: [{ text: 'What is the weather in Paris?' }] },
+        { role: 'model', parts: [{ functionCall: call }] },
+        { role: 'user', parts: [{ functionResponse: { name: 'get_weather', response: { condition: 'sunny' } } }] }
+      ],
+      tools
+    });
+    const followUpData = await followUp.json();
+    console.log('✓ Function response answer:', followUpData.candidates[0].content.parts[0].text);
+    return typeof followUpData.candidates[0].content.parts[0].text === 'string';
+  } catch (error) {
+    console.error('✗ Function calling test failed:', error);
+    return false;
+  }
+}
+
+async function testErrorFormat() {
+  console.log('\nTesting error format...');
+  try {
+    const response = await generate('generateContent', { contents: [] });
+    const data = await response.json();
+    console.log('✓ Error response:', response.status, JSON.stringify(data));
+    return response.status === 400 && data.error.status === 'INVALID_ARGUMENT' && data.error.code === 400;
+  } catch (error) {
+    console.error('✗ Error format test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting Gemini compatibility tests...');
+  const results = {
+    generateContent: await testGenerateContent(),
+    streaming: await testStreamGenerateContent(),
+    functionCalling: await testFunctionCalling(),
+    errorFormat: await testErrorFormat()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('generateContent:', results.generateContent ? '✓ PASS' : '✗ FAIL');
+  console.log('streamGenerateContent:', results.streaming ? '✓ PASS' : '✗ FAIL');
+  console.log('Function Calling:', results.functionCalling ? '✓ PASS' : '✗ FAIL');
+  console.log('Error Format:', results.errorFormat ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
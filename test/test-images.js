@@ -0,0 +1,217 @@
+// Test script for image generation, edits and variations
+// Run with: node test/test-images.js
+// Expects the development env: generated images are served by the mock server,
+// which also records the feature and promptObject of every request.
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const MOCK_URL = process.env.MOCK_URL || 'http://localhost:8788';
+
+async function generate(body) {
+  const response = await fetch(`${BASE_URL}/v1/images/generations`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${API_KEY}`
+    },
+    body: JSON.stringify({ prompt: 'A lighthouse at dusk', ...body })
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function lastImageRequest() {
+  const requests = await (await fetch(`${MOCK_URL}/mock/images`)).json();
+  return requests[requests.length - 1];
+}
+
+async function lastPromptObject() {
+  return (await lastImageRequest()).promptObject;
+}
+
+// 1x1 PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+
+async function postImageForm(path, fields, files = { image: PNG }) {
+  const form = new FormData();
+  for (const [name, bytes] of Object.entries(files)) {
+    form.append(name, new Blob([bytes], { type: 'image/png' }), `${name}.png`);
+  }
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, String(value));
+  }
+  const response = await fetch(`${BASE_URL}/v1/images/${path}`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${API_KEY}` },
+    body: form
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function testMultipleImages() {
+  console.log('Testing n > 1...');
+  try {
+    const { status, data } = await generate({ model: 'dall-e-2', n: 3, size: '512x512' });
+    console.log('✓ URLs:', data.data?.map(image => image.url.split('?')[0]));
+    return status === 200 &&
+      data.data.length === 3 &&
+      new Set(data.data.map(image => image.url)).size === 3 &&
+      data.data.every(image => image.url.startsWith('http'));
+  } catch (error) {
+    console.error('✗ Multiple images test failed:', error);
+    return false;
+  }
+}
+
+async function testBase64() {
+  console.log('\nTesting response_format b64_json...');
+  try {
+    const { status, data } = await generate({ model: 'dall-e-3', response_format: 'b64_json' });
+    const bytes = Buffer.from(data.data[0].b64_json, 'base64');
+    console.log('✓ Decoded bytes:', bytes.length);
+    return status === 200 &&
+      !data.data[0].url &&
+      bytes.subarray(1, 4).toString() === 'PNG';
+  } catch (error) {
+    console.error('✗ Base64 test failed:', error);
+    return false;
+  }
+}
+
+async function testProviderMapping() {
+  console.log('\nTesting per-provider parameter mapping...');
+  try {
+    await generate({ model: 'dall-e-3', size: '1792x1024', quality: 'hd', style: 'natural' });
+    const dalle = await lastPromptObject();
+    const midjourney = await generate({ model: 'midjourney', size: '1792x1024', negative_prompt: 'people', seed: 42 });
+    const midjourneyParams = await lastPromptObject();
+    await generate({ model: 'flux-dev', size: '832x1216', quality: 'hd', n: 2 });
+    const flux = await lastPromptObject();
+    await generate({ model: 'stable-diffusion-xl-1024-v1-0', size: '1216x832', style: 'natural', negative_prompt: 'blur' });
+    const stability = await lastPromptObject();
+    await generate({ model: 'leonardo-phoenix', size: '768x1024', style: 'vivid', quality: 'hd' });
+    const leonardo = await lastPromptObject();
+    console.log('✓ Prompt objects:', JSON.stringify({ dalle, midjourneyParams, flux, stability, leonardo }));
+
+    return dalle.size === '1792x1024' && dalle.quality === 'hd' && dalle.style === 'natural' &&
+      midjourney.data.data.length === 4 &&
+      midjourneyParams.aspect_width === 16 && midjourneyParams.aspect_height === 9 &&
+      midjourneyParams.no === 'people' && midjourneyParams.seed === 42 &&
+      flux.aspect_ratio === '2:3' && flux.num_inference_steps === 50 && flux.num_outputs === 2 &&
+      stability.width === 1216 && stability.height === 832 &&
+      stability.style_preset === 'photographic' && stability.negative_prompt === 'blur' &&
+      leonardo.width === 768 && leonardo.presetStyle === 'DYNAMIC' && leonardo.alchemy === true;
+  } catch (error) {
+    console.error('✗ Provider mapping test failed:', error);
+    return false;
+  }
+}
+
+async function testValidation() {
+  console.log('\nTesting size and parameter validation...');
+  try {
+    const size = await generate({ model: 'dall-e-3', size: '512x512' });
+    const count = await generate({ model: 'dall-e-3', n: 2 });
+    const format = await generate({ model: 'dall-e-3', response_format: 'png' });
+    const chatModel = await generate({ model: 'gpt-4o' });
+    console.log('✓ Size error:', size.data.error?.message);
+    return size.status === 400 && size.data.error.param === 'size' &&
+      count.status === 400 && count.data.error.param === 'n' &&
+      format.status === 400 && format.data.error.param === 'response_format' &&
+      chatModel.status === 400 && chatModel.data.error.param === 'model';
+  } catch (error) {
+    console.error('✗ Validation test failed:', error);
+    return false;
+  }
+}
+
+async function testEdits() {
+  console.log('\nTesting image edits...');
+  try {
+    const inpaint = await postImageForm('edits', { prompt: 'Add a red door', n: 2, size: '512x512' }, { image: PNG, mask: PNG });
+    const inpaintRequest = await lastImageRequest();
+    const replaced = await postImageForm('edits', { model: 'clipdrop', prompt: 'A beach' });
+    const replacedRequest = await lastImageRequest();
+    const removed = await postImageForm('edits', { model: 'clipdrop', response_format: 'b64_json' });
+    const removedRequest = await lastImageRequest();
+    const upscaled = await postImageForm('edits', { model: 'esrgan-v1-x2plus' });
+    const upscaledRequest = await lastImageRequest();
+    console.log('✓ Features:', [inpaintRequest, replacedRequest, removedRequest, upscaledRequest].map(request => request.type));
+
+    return inpaint.status === 200 && inpaint.data.data.length === 2 &&
+      inpaintRequest.type === 'IMAGE_EDITOR' && inpaintRequest.model === 'dall-e-2' &&
+      inpaintRequest.promptObject.imageUrl.includes('/uploads/') &&
+      inpaintRequest.promptObject.maskUrl.includes('/uploads/') &&
+      inpaintRequest.promptObject.prompt === 'Add a red door' &&
+      replaced.status === 200 && replacedRequest.type === 'BACKGROUND_REPLACER' &&
+      removed.status === 200 && removedRequest.type === 'BACKGROUND_REMOVER' &&
+      Buffer.from(removed.data.data[0].b64_json, 'base64').subarray(1, 4).toString() === 'PNG' &&
+      upscaled.status === 200 && upscaledRequest.type === 'IMAGE_UPSCALER' && upscaledRequest.model === 'esrgan-v1-x2plus';
+  } catch (error) {
+    console.error('✗ Edits test failed:', error);
+    return false;
+  }
+}
+
+async function testVariations() {
+  console.log('\nTesting image variations...');
+  try {
+    const { status, data } = await postImageForm('variations', { n: 2 });
+    const request = await lastImageRequest();
+    const midjourney = await postImageForm('variations', { model: 'midjourney' });
+    return status === 200 && data.data.length === 2 &&
+      request.type === 'IMAGE_VARIATOR' && request.promptObject.n === 2 &&
+      midjourney.status === 200 && midjourney.data.data.length === 4;
+  } catch (error) {
+    console.error('✗ Variations test failed:', error);
+    return false;
+  }
+}
+
+async function testEditValidation() {
+  console.log('\nTesting edit validation...');
+  try {
+    const noImage = await postImageForm('edits', { prompt: 'Hi' }, {});
+    const noEdits = await postImageForm('edits', { model: 'dall-e-3', prompt: 'Hi' });
+    const noPrompt = await postImageForm('edits', { model: 'dall-e-2' });
+    const badOperation = await postImageForm('edits', { model: 'esrgan-v1-x2plus', operation: 'inpaint' });
+    const noVariations = await postImageForm('variations', { model: 'esrgan-v1-x2plus' });
+    const json = await generate({ model: 'esrgan-v1-x2plus' });
+    return noImage.status === 400 && noImage.data.error.param === 'image' &&
+      noEdits.status === 400 && noEdits.data.error.param === 'model' &&
+      noPrompt.status === 400 && noPrompt.data.error.param === 'prompt' &&
+      badOperation.status === 400 && badOperation.data.error.param === 'operation' &&
+      noVariations.status === 400 && noVariations.data.error.param === 'model' &&
+      // The upscaler cannot generate from a prompt
+      json.status === 400 && json.data.error.param === 'model';
+  } catch (error) {
+    console.error('✗ Edit validation test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting image generation tests...');
+  const results = {
+    multiple: await testMultipleImages(),
+    base64: await testBase64(),
+    mapping: await testProviderMapping(),
+    validation: await testValidation(),
+    edits: await testEdits(),
+    variations: await testVariations(),
+    editValidation: await testEditValidation()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Multiple images:', results.multiple ? '✓ PASS' : '✗ FAIL');
+  console.log('b64_json output:', results.base64 ? '✓ PASS' : '✗ FAIL');
+  console.log('Provider mapping:', results.mapping ? '✓ PASS' : '✗ FAIL');
+  console.log('Validation:', results.validation ? '✓ PASS' : '✗ FAIL');
+  console.log('Edits:', results.edits ? '✓ PASS' : '✗ FAIL');
+  console.log('Variations:', results.variations ? '✓ PASS' : '✗ FAIL');
+  console.log('Edit validation:', results.editValidation ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
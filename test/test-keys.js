@@ -0,0 +1,136 @@
+// Test script for virtual API keys and the admin keys API
+// Run with: node test/test-keys.js
+// Expects the development env: ADMIN_API_KEY=admin-test-key and ONE_MIN_API_KEY_PRIMARY=mock-upstream-key.
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const MOCK_URL = process.env.MOCK_URL || 'http://localhost:8788';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'admin-test-key';
+
+async function admin(path, options = {}, adminKey = ADMIN_API_KEY) {
+  return fetch(`${BASE_URL}/admin${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${adminKey}`
+    }
+  });
+}
+
+async function chat(apiKey, content = 'Hello') {
+  return fetch(`${BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({ model: 'gpt-4o', messages: [{ role: 'user', content }] })
+  });
+}
+
+async function testAdminAuth() {
+  console.log('Testing admin authentication...');
+  try {
+    const response = await admin('/keys', {}, 'wrong-key');
+    const data = await response.json();
+    return response.status === 401 && data.error.type === 'authentication_error';
+  } catch (error) {
+    console.error('✗ Admin auth test failed:', error);
+    return false;
+  }
+}
+
+async function testKeyLifecycle() {
+  console.log('\nTesting virtual key lifecycle...');
+  try {
+    const expiresAt = Math.floor(Date.now() / 1000) + 3600;
+    const createResponse = await admin('/keys', {
+      method: 'POST',
+      body: JSON.stringify({ label: 'ci', expires_at: expiresAt, upstream_keys: ['primary'] })
+    });
+    const created = await createResponse.json();
+    console.log('✓ Created key:', JSON.stringify({ ...created, key: '<redacted>' }));
+    if (createResponse.status !== 201 || !created.key.startsWith('sk-gw-') || created.key_hash || created.status !== 'active') {
+      console.error('✗ Unexpected create response');
+      return false;
+    }
+
+    // Requests with the virtual key reach 1min AI with the upstream secret
+    const marker = `virtual-${Date.now()}`;
+    const chatResponse = await chat(created.key, marker);
+    if (!chatResponse.ok) {
+      console.error('✗ Chat with virtual key failed:', chatResponse.status, await chatResponse.text());
+      return false;
+    }
+    const conversations = await (await fetch(`${MOCK_URL}/mock/conversations`)).json();
+    const upstream = conversations.find(conversation => conversation.turns[0]?.prompt.includes(marker));
+    if (upstream?.apiKey !== 'mock-upstream-key') {
+      console.error('✗ Upstream key was not substituted:', upstream?.apiKey);
+      return false;
+    }
+
+    const list = await (await admin('/keys')).json();
+    const listed = list.data.find(key => key.id === created.id);
+    if (!listed || listed.label !== 'ci' || listed.expires_at !== expiresAt) {
+      console.error('✗ Key missing from list');
+      return false;
+    }
+
+    const revoked = await (await admin(`/keys/${created.id}`, { method: 'DELETE' })).json();
+    const afterRevoke = await chat(created.key);
+    const afterRevokeData = await afterRevoke.json();
+    console.log('✓ After revoke:', afterRevoke.status, afterRevokeData.error?.message);
+    return revoked.status === 'revoked' &&
+      afterRevoke.status === 401 &&
+      afterRevokeData.error.message.includes('revoked');
+  } catch (error) {
+    console.error('✗ Key lifecycle test failed:', error);
+    return false;
+  }
+}
+
+async function testUnknownVirtualKey() {
+  console.log('\nTesting unknown virtual key...');
+  try {
+    const response = await chat('sk-gw-0000000000000000');
+    return response.status === 401;
+  } catch (error) {
+    console.error('✗ Unknown key test failed:', error);
+    return false;
+  }
+}
+
+async function testInvalidUpstream() {
+  console.log('\nTesting unknown upstream key name...');
+  try {
+    const response = await admin('/keys', {
+      method: 'POST',
+      body: JSON.stringify({ upstream_keys: ['missing'] })
+    });
+    const data = await response.json();
+    return response.status === 400 && data.error.param === 'upstream_keys';
+  } catch (error) {
+    console.error('✗ Invalid upstream test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting virtual key tests...');
+  const results = {
+    adminAuth: await testAdminAuth(),
+    lifecycle: await testKeyLifecycle(),
+    unknownKey: await testUnknownVirtualKey(),
+    invalidUpstream: await testInvalidUpstream()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Admin auth:', results.adminAuth ? '✓ PASS' : '✗ FAIL');
+  console.log('Key lifecycle:', results.lifecycle ? '✓ PASS' : '✗ FAIL');
+  console.log('Unknown virtual key:', results.unknownKey ? '✓ PASS' : '✗ FAIL');
+  console.log('Invalid upstream key:', results.invalidUpstream ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
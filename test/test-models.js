@@ -0,0 +1,108 @@
+// Test script for the /v1/models listing and /v1/models/{id} retrieval
+// Run with: node test/test-models.js
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+
+async function getJson(path) {
+  const response = await fetch(`${BASE_URL}${path}`);
+  return { status: response.status, data: await response.json() };
+}
+
+async function testRetrieve() {
+  console.log('Testing model retrieval...');
+  try {
+    const { status, data } = await getJson('/v1/models/claude-3-5-sonnet-20241022');
+    console.log('✓ Model:', JSON.stringify(data));
+    return status === 200 &&
+      data.object === 'model' &&
+      data.owned_by === 'anthropic' &&
+      data.type === 'chat' &&
+      data.context_window > 0 &&
+      data.capabilities.vision === true &&
+      data.capabilities.streaming === true &&
+      data.created === Date.UTC(2024, 9, 22) / 1000;
+  } catch (error) {
+    console.error('✗ Retrieve test failed:', error);
+    return false;
+  }
+}
+
+async function testAlias() {
+  console.log('\nTesting retrieval by alias...');
+  try {
+    const { status, data } = await getJson('/v1/models/claude-4-5');
+    console.log('✓ Alias resolves to:', data.id, '| aliases:', data.aliases);
+    return status === 200 &&
+      data.id === 'claude-sonnet-4-5-20250929' &&
+      data.aliases.includes('claude-4-5') &&
+      data.capabilities.reasoning === true;
+  } catch (error) {
+    console.error('✗ Alias test failed:', error);
+    return false;
+  }
+}
+
+async function testNotFound() {
+  console.log('\nTesting unknown model...');
+  try {
+    const { status, data } = await getJson('/v1/models/not-a-model');
+    return status === 404 && data.error.code === 'model_not_found';
+  } catch (error) {
+    console.error('✗ Not found test failed:', error);
+    return false;
+  }
+}
+
+async function testStableCreated() {
+  console.log('\nTesting stable created timestamps...');
+  try {
+    const first = await getJson('/v1/models');
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const second = await getJson('/v1/models');
+    return first.data.data.length > 0 &&
+      first.data.data.every((model, index) => model.created === second.data.data[index].created);
+  } catch (error) {
+    console.error('✗ Created test failed:', error);
+    return false;
+  }
+}
+
+async function testFilters() {
+  console.log('\nTesting list filters...');
+  try {
+    const images = await getJson('/v1/models?type=image_generation&provider=openai');
+    const vision = await getJson('/v1/models?capability=vision');
+    console.log('✓ OpenAI image models:', images.data.data.map(model => model.id));
+    return images.data.data.length > 0 &&
+      images.data.data.every(model => model.type === 'image_generation' && model.owned_by === 'openai') &&
+      images.data.data.some(model => model.id === 'dall-e-3') &&
+      vision.data.data.length > 0 &&
+      vision.data.data.every(model => model.capabilities.vision);
+  } catch (error) {
+    console.error('✗ Filter test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting model listing tests...');
+  const results = {
+    retrieve: await testRetrieve(),
+    alias: await testAlias(),
+    notFound: await testNotFound(),
+    created: await testStableCreated(),
+    filters: await testFilters()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Retrieve model:', results.retrieve ? '✓ PASS' : '✗ FAIL');
+  console.log('Retrieve by alias:', results.alias ? '✓ PASS' : '✗ FAIL');
+  console.log('Unknown model:', results.notFound ? '✓ PASS' : '✗ FAIL');
+  console.log('Stable created:', results.created ? '✓ PASS' : '✗ FAIL');
+  console.log('Filters:', results.filters ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
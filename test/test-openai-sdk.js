@@ -38,7 +38,23 @@ async function testWithOpenAISDK() {
     for await (const chunk of stream) {
       process.stdout.write(chunk.choices[0]?.delta?.content || '');
     }
-    console.log('\n\n✓ All tests passed!');
+
+    // Test 4: Responses API streaming helper
+    console.log('\n\nTesting responses stream...');
+    const responseStream = client.responses.stream({
+      model: 'gpt-4o',
+      input: 'Count from 1 to 5'
+    });
+
+    process.stdout.write('Streaming response: ');
+    for await (const event of responseStream) {
+      if (event.type === 'response.output_text.delta') {
+        process.stdout.write(event.delta);
+      }
+    }
+    const finalResponse = await responseStream.finalResponse();
+    console.log('\nFinal output_text:', finalResponse.output_text);
+    console.log('\n✓ All tests passed!');
     
   } catch (error) {
     console.error('Test failed:', error);
@@ -0,0 +1,190 @@
+// Test script for the upstream key pool: failover, conversation affinity and status
+// Run with: node test/test-pool.js
+// Expects the development env: upstream keys "primary", "secondary" and "depleted"
+// (which the mock server answers as out of credits) and ADMIN_API_KEY=admin-test-key.
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const MOCK_URL = process.env.MOCK_URL || 'http://localhost:8788';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'admin-test-key';
+// A 1x1 PNG
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+async function admin(path, options = {}) {
+  return fetch(`${BASE_URL}/admin${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${ADMIN_API_KEY}`
+    }
+  });
+}
+
+async function createKey(upstreamKeys) {
+  const response = await admin('/keys', {
+    method: 'POST',
+    body: JSON.stringify({ label: 'pool-test', upstream_keys: upstreamKeys })
+  });
+  return (await response.json()).key;
+}
+
+async function chat(apiKey, messages) {
+  return fetch(`${BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({ model: 'gpt-4o', messages })
+  });
+}
+
+async function testFailover() {
+  console.log('Testing failover past an exhausted key...');
+  try {
+    const key = await createKey(['depleted', 'primary']);
+    for (let i = 0; i < 4; i++) {
+      const response = await chat(key, [{ role: 'user', content: `Failover ${i}` }]);
+      if (!response.ok) {
+        console.error('✗ Request failed:', response.status, await response.text());
+        return false;
+      }
+      await response.json();
+    }
+    console.log('✓ All requests served');
+    return true;
+  } catch (error) {
+    console.error('✗ Failover test failed:', error);
+    return false;
+  }
+}
+
+async function testAllExhausted() {
+  console.log('\nTesting a pool with no usable key...');
+  try {
+    const key = await createKey(['depleted']);
+    const response = await chat(key, [{ role: 'user', content: 'Hello' }]);
+    const data = await response.json();
+    console.log('✓ Error:', response.status, data.error?.message);
+    return !response.ok && Boolean(data.error);
+  } catch (error) {
+    console.error('✗ Exhausted pool test failed:', error);
+    return false;
+  }
+}
+
+async function testConversationAffinity() {
+  console.log('\nTesting conversation affinity across pooled keys...');
+  try {
+    const key = await createKey(['primary', 'secondary']);
+    const marker = `affinity-${Date.now()}`;
+    const messages = [{ role: 'user', content: marker }];
+
+    const first = await (await chat(key, messages)).json();
+    messages.push(first.choices[0].message, { role: 'user', content: 'And again?' });
+    // Round-robin would move this turn to the other key without affinity
+    const second = await chat(key, messages);
+    await second.json();
+
+    const conversations = await (await fetch(`${MOCK_URL}/mock/conversations`)).json();
+    const upstream = conversations.find(conversation => conversation.turns[0]?.prompt.includes(marker));
+    console.log('✓ Turns in upstream conversation:', upstream?.turns.length);
+    return second.ok && upstream?.turns.length === 2;
+  } catch (error) {
+    console.error('✗ Affinity test failed:', error);
+    return false;
+  }
+}
+
+async function testForbiddenModel() {
+  console.log('\nTesting that a forbidden model does not cool keys down...');
+  try {
+    const key = await createKey(['primary', 'secondary']);
+    const response = await chat(key, [{ role: 'user', content: 'mock-forbidden' }]);
+    const data = await response.json();
+    const status = await (await admin('/pool')).json();
+    const cooling = status.data.filter(entry => ['primary', 'secondary'].includes(entry.name) && entry.status !== 'healthy');
+    console.log('✓ Error:', response.status, data.error?.type, '| cooling keys:', cooling.length);
+    return response.status === 403 &&
+      data.error.type === 'permission_error' &&
+      cooling.length === 0;
+  } catch (error) {
+    console.error('✗ Forbidden model test failed:', error);
+    return false;
+  }
+}
+
+async function testImageUploads() {
+  console.log('\nTesting that images are uploaded with the key that sends them...');
+  try {
+    const key = await createKey(['primary', 'secondary']);
+    const image = { type: 'image_url', image_url: { url: `data:image/png;base64,${PNG}` } };
+    const messages = [{ role: 'user', content: [{ type: 'text', text: `Pooled image ${Date.now()}` }, image] }];
+
+    const first = await (await chat(key, messages)).json();
+    // The follow-up stays with the key owning the conversation while round-robin
+    // puts the other key first; the mock only accepts assets of the sending account
+    messages.push(first.choices[0].message, { role: 'user', content: [{ type: 'text', text: 'And this one?' }, image] });
+    const before = (await (await fetch(`${MOCK_URL}/mock/assets`)).json()).length;
+    const second = await chat(key, messages);
+    const data = await second.json();
+
+    const conversations = await (await fetch(`${MOCK_URL}/mock/conversations`)).json();
+    const upstream = conversations.find(conversation => conversation.turns[0]?.prompt.includes(messages[0].content[0].text));
+    const uploads = (await (await fetch(`${MOCK_URL}/mock/assets`)).json()).slice(before);
+    console.log('✓ Status:', second.status, '| turns:', upstream?.turns.length, '| uploads:', uploads.length);
+    return second.ok &&
+      Boolean(data.choices?.[0].message.content) &&
+      upstream?.turns.length === 2 &&
+      uploads.length > 0 &&
+      uploads.every(upload => upload.apiKey === upstream.apiKey);
+  } catch (error) {
+    console.error('✗ Image upload test failed:', error);
+    return false;
+  }
+}
+
+async function testPoolStatus() {
+  console.log('\nTesting pool status endpoint...');
+  try {
+    const response = await admin('/pool');
+    const status = await response.json();
+    console.log('✓ Pool:', JSON.stringify(status.data.map(({ name, status, reason }) => ({ name, status, reason }))));
+    const depleted = status.data.find(key => key.name === 'depleted');
+    const primary = status.data.find(key => key.name === 'primary');
+    return response.ok &&
+      status.strategy === 'round_robin' &&
+      depleted?.status === 'cooling_down' &&
+      depleted.reason === 'exhausted' &&
+      depleted.failures > 0 &&
+      primary?.status === 'healthy' &&
+      !JSON.stringify(status).includes('mock-upstream-key');
+  } catch (error) {
+    console.error('✗ Pool status test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting upstream key pool tests...');
+  const results = {
+    failover: await testFailover(),
+    allExhausted: await testAllExhausted(),
+    affinity: await testConversationAffinity(),
+    forbidden: await testForbiddenModel(),
+    imageUploads: await testImageUploads(),
+    status: await testPoolStatus()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Failover:', results.failover ? '✓ PASS' : '✗ FAIL');
+  console.log('All keys exhausted:', results.allExhausted ? '✓ PASS' : '✗ FAIL');
+  console.log('Conversation affinity:', results.affinity ? '✓ PASS' : '✗ FAIL');
+  console.log('Forbidden model:', results.forbidden ? '✓ PASS' : '✗ FAIL');
+  console.log('Image uploads:', results.imageUploads ? '✓ PASS' : '✗ FAIL');
+  console.log('Pool status:', results.status ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
@@ -0,0 +1,223 @@
+// Test script for per-key rate limits and token budgets
+// Run with: node test/test-ratelimit.js
+// Expects the development env (RATE_LIMITER binding, ADMIN_API_KEY=admin-test-key).
+// Limits are set per virtual key so other test scripts are unaffected.
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'admin-test-key';
+
+async function createKey(rateLimits) {
+  const response = await fetch(`${BASE_URL}/admin/keys`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${ADMIN_API_KEY}`
+    },
+    body: JSON.stringify({ label: 'rate-limit-test', rate_limits: rateLimits })
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function chat(apiKey, stream = false) {
+  return fetch(`${BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({ model: 'gpt-4o', stream, messages: [{ role: 'user', content: 'Hello' }] })
+  });
+}
+
+async function testRequestsPerMinute() {
+  console.log('Testing requests_per_minute...');
+  try {
+    const { data: key } = await createKey({ requests_per_minute: 2 });
+
+    const first = await chat(key.key);
+    await first.text();
+    console.log('✓ First request headers:',
+      first.headers.get('x-ratelimit-limit-requests'),
+      first.headers.get('x-ratelimit-remaining-requests'),
+      first.headers.get('x-ratelimit-reset-requests'));
+    if (!first.ok || first.headers.get('x-ratelimit-limit-requests') !== '2' ||
+      first.headers.get('x-ratelimit-remaining-requests') !== '1') {
+      console.error('✗ Missing rate limit headers on success');
+      return false;
+    }
+
+    await (await chat(key.key)).text();
+    const limited = await chat(key.key);
+    const data = await limited.json();
+    console.log('✓ Third request:', limited.status, data.error?.message, 'retry-after:', limited.headers.get('retry-after'));
+    return limited.status === 429 &&
+      data.error.type === 'rate_limit_error' &&
+      data.error.code === 'rate_limit_exceeded' &&
+      Number(limited.headers.get('retry-after')) > 0 &&
+      limited.headers.get('x-ratelimit-remaining-requests') === '0';
+  } catch (error) {
+    console.error('✗ Requests per minute test failed:', error);
+    return false;
+  }
+}
+
+async function testTokenBudget() {
+  console.log('\nTesting tokens_per_day budget...');
+  try {
+    const { data: key } = await createKey({ tokens_per_day: 5 });
+
+    // The first request starts under budget; its usage then exhausts it
+    const first = await chat(key.key, true);
+    await first.text();
+    if (!first.ok) {
+      console.error('✗ First request failed:', first.status);
+      return false;
+    }
+
+    const limited = await chat(key.key);
+    const data = await limited.json();
+    console.log('✓ Over budget:', limited.status, data.error?.code);
+    return limited.status === 429 && data.error.code === 'insufficient_quota';
+  } catch (error) {
+    console.error('✗ Token budget test failed:', error);
+    return false;
+  }
+}
+
+async function testCompletionChoices() {
+  console.log('\nTesting that every completion choice counts as a request...');
+  try {
+    const complete = (apiKey, n) => fetch(`${BASE_URL}/v1/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({ model: 'gpt-4o', prompt: 'Hello', n })
+    });
+
+    // Four choices fit a limit of four requests and use it up
+    const { data: key } = await createKey({ requests_per_minute: 4 });
+    const allowed = await complete(key.key, 4);
+    const allowedData = await allowed.json();
+    const exhausted = await complete(key.key, 1);
+    const exhaustedData = await exhausted.json();
+
+    // ...but not a limit of three
+    const { data: smallKey } = await createKey({ requests_per_minute: 3 });
+    const tooMany = await complete(smallKey.key, 4);
+    const tooManyData = await tooMany.json();
+    console.log('✓ Statuses:', allowed.status, exhausted.status, tooMany.status);
+    return allowed.status === 200 &&
+      allowedData.choices.length === 4 &&
+      exhausted.status === 429 &&
+      exhaustedData.error.code === 'rate_limit_exceeded' &&
+      tooMany.status === 429 &&
+      tooManyData.error.code === 'rate_limit_exceeded';
+  } catch (error) {
+    console.error('✗ Completion choices test failed:', error);
+    return false;
+  }
+}
+
+async function uploadBatchInput(apiKey, count) {
+  const lines = Array.from({ length: count }, (_, index) => JSON.stringify({
+    custom_id: `req-${index}`,
+    method: 'POST',
+    url: '/v1/chat/completions',
+    body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hello' }] }
+  }));
+  const form = new FormData();
+  form.append('file', new Blob([lines.join('\n')], { type: 'application/jsonl' }), 'input.jsonl');
+  form.append('purpose', 'batch');
+  const response = await fetch(`${BASE_URL}/v1/files`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${apiKey}` },
+    body: form
+  });
+  return (await response.json()).id;
+}
+
+async function createBatch(apiKey, inputFileId) {
+  const response = await fetch(`${BASE_URL}/v1/batches`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({ input_file_id: inputFileId, endpoint: '/v1/chat/completions', completion_window: '24h' })
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function testBatches() {
+  console.log('\nTesting batch requests against the limits...');
+  try {
+    // The upload and the batch itself take 2 of the 30 requests; the rest
+    // refill at one every 2 seconds, so the runner has to pause for the last lines
+    const { data: key } = await createKey({ requests_per_minute: 30 });
+    const { data: created } = await createBatch(key.key, await uploadBatchInput(key.key, 31));
+    let batch = created;
+    for (let attempt = 0; attempt < 60 && batch.status === 'in_progress'; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const response = await fetch(`${BASE_URL}/v1/batches/${created.id}`, { headers: { 'Authorization': `Bearer ${key.key}` } });
+      batch = await response.json();
+    }
+    // The batch used up the bucket
+    const after = await chat(key.key);
+    await after.text();
+    const remaining = after.status === 429 ? 0 : Number(after.headers.get('x-ratelimit-remaining-requests'));
+
+    // A spent token budget is checked when the batch is created
+    const { data: budgetKey } = await createKey({ tokens_per_day: 5 });
+    const inputFileId = await uploadBatchInput(budgetKey.key, 1);
+    await (await chat(budgetKey.key)).text();
+    const overBudget = await createBatch(budgetKey.key, inputFileId);
+
+    console.log('✓ Batch:', batch.status, JSON.stringify(batch.request_counts), '| remaining after:', remaining,
+      '| over budget:', overBudget.status, overBudget.data.error?.code);
+    return batch.status === 'completed' &&
+      batch.request_counts.completed === 31 &&
+      batch.request_counts.failed === 0 &&
+      remaining < 5 &&
+      overBudget.status === 429 &&
+      overBudget.data.error.code === 'insufficient_quota';
+  } catch (error) {
+    console.error('✗ Batch test failed:', error);
+    return false;
+  }
+}
+
+async function testInvalidLimits() {
+  console.log('\nTesting invalid rate_limits...');
+  try {
+    const { status, data } = await createKey({ requests_per_second: 5 });
+    return status === 400 && data.error.param === 'rate_limits';
+  } catch (error) {
+    console.error('✗ Invalid limits test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting rate limit tests...');
+  const results = {
+    requests: await testRequestsPerMinute(),
+    budget: await testTokenBudget(),
+    choices: await testCompletionChoices(),
+    batches: await testBatches(),
+    invalid: await testInvalidLimits()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Requests per minute:', results.requests ? '✓ PASS' : '✗ FAIL');
+  console.log('Token budget:', results.budget ? '✓ PASS' : '✗ FAIL');
+  console.log('Completion choices:', results.choices ? '✓ PASS' : '✗ FAIL');
+  console.log('Batches:', results.batches ? '✓ PASS' : '✗ FAIL');
+  console.log('Invalid limits:', results.invalid ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
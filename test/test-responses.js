@@ -36,7 +36,10 @@ async function testResponsesEndpoint() {
     const isValid = data.object === 'response' &&
       Array.isArray(data.output) &&
       data.output.length > 0 &&
-      data.id.startsWith('resp-');
+      data.output[0].type === 'message' &&
+      data.output[0].content[0].type === 'output_text' &&
+      typeof data.output_text === 'string' &&
+      data.id.startsWith('resp_');
 
     if (isValid) {
       console.log('✓ Response structure is valid');
@@ -76,39 +79,41 @@ async function testResponsesStreaming() {
       return false;
     }
 
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let chunks = [];
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      const chunk = decoder.decode(value);
-      const lines = chunk.split('\n').filter(line => line.trim());
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6).trim();
-          if (data === '[DONE]') {
-            console.log('\n✓ Stream completed');
-          } else {
-            try {
-              const parsed = JSON.parse(data);
-              chunks.push(parsed);
-              if (parsed.output?.[0]?.delta) {
-                process.stdout.write(parsed.output[0].delta);
-              }
-            } catch (e) {
-              console.error('Failed to parse chunk:', data);
-            }
-          }
-        }
+    const text = await response.text();
+    const events = [];
+
+    for (const block of text.split('\n\n').filter(block => block.trim())) {
+      const eventLine = block.split('\n').find(line => line.startsWith('event: '));
+      const dataLine = block.split('\n').find(line => line.startsWith('data: '));
+      if (!eventLine || !dataLine) {
+        console.error('Malformed event block:', block);
+        return false;
+      }
+
+      const parsed = JSON.parse(dataLine.slice(6));
+      if (parsed.type !== eventLine.slice(7)) {
+        console.error('Event name does not match payload type:', block);
+        return false;
+      }
+      events.push(parsed);
+      if (parsed.type === 'response.output_text.delta') {
+        process.stdout.write(parsed.delta);
       }
     }
 
-    console.log('✓ Received', chunks.length, 'chunks');
-    const isValid = chunks.length > 0 && chunks[0].object === 'response.chunk';
+    const types = events.map(event => event.type);
+    console.log('\n✓ Received', events.length, 'events:', [...new Set(types)].join(', '));
+
+    const completed = events[events.length - 1];
+    const isValid = types[0] === 'response.created' &&
+      types.includes('response.output_item.added') &&
+      types.includes('response.content_part.added') &&
+      types.includes('response.output_text.delta') &&
+      types.includes('response.output_text.done') &&
+      completed.type === 'response.completed' &&
+      completed.response.status === 'completed' &&
+      events.every((event, index) => event.sequence_number === index);
+
     if (isValid) {
       console.log('✓ Streaming structure is valid');
     } else {
@@ -121,16 +126,133 @@ async function testResponsesStreaming() {
   }
 }
 
+async function testStringInput() {
+  console.log('\nTesting /v1/responses endpoint (string input)...');
+  try {
+    const response = await fetch(`${BASE_URL}/v1/responses`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${API_KEY}`
+      },
+      body: JSON.stringify({
+        model: 'gpt-4o',
+        input: 'Say hello.'
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      console.error('✗ String input failed:', response.status, error);
+      return false;
+    }
+
+    const data = await response.json();
+    console.log('✓ output_text:', data.output_text);
+    return data.output_text.length > 0;
+  } catch (error) {
+    console.error('✗ String input test failed:', error);
+    return false;
+  }
+}
+
+async function createResponse(body, apiKey = API_KEY) {
+  return fetch(`${BASE_URL}/v1/responses`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+async function testStoredResponses() {
+  console.log('\nTesting stored responses (previous_response_id)...');
+  try {
+    const first = await (await createResponse({ model: 'gpt-4o', input: 'My name is Ada.' })).json();
+    const secondResponse = await createResponse({
+      model: 'gpt-4o',
+      input: 'What is my name?',
+      previous_response_id: first.id
+    });
+
+    if (!secondResponse.ok) {
+      const error = await secondResponse.text();
+      console.error('✗ Chained response failed:', secondResponse.status, error);
+      return false;
+    }
+
+    const second = await secondResponse.json();
+    console.log('✓ Chained output_text:', second.output_text);
+    if (!second.output_text.includes('My name is Ada.') || second.previous_response_id !== first.id) {
+      console.error('✗ Previous conversation was not replayed');
+      return false;
+    }
+
+    const retrieved = await fetch(`${BASE_URL}/v1/responses/${second.id}`, {
+      headers: { 'Authorization': `Bearer ${API_KEY}` }
+    });
+    const retrievedData = await retrieved.json();
+    if (!retrieved.ok || retrievedData.id !== second.id) {
+      console.error('✗ Retrieval failed:', retrieved.status, JSON.stringify(retrievedData));
+      return false;
+    }
+    console.log('✓ Retrieved stored response');
+
+    const items = await (await fetch(`${BASE_URL}/v1/responses/${second.id}/input_items`, {
+      headers: { 'Authorization': `Bearer ${API_KEY}` }
+    })).json();
+    if (items.object !== 'list' || items.data.length !== 1 || items.data[0].content[0].text !== 'What is my name?') {
+      console.error('✗ Unexpected input items:', JSON.stringify(items));
+      return false;
+    }
+    console.log('✓ Listed input items');
+
+    const otherKey = await fetch(`${BASE_URL}/v1/responses/${second.id}`, {
+      headers: { 'Authorization': 'Bearer another-key' }
+    });
+    if (otherKey.status !== 404) {
+      console.error('✗ Response visible to another API key:', otherKey.status);
+      return false;
+    }
+    console.log('✓ Response is scoped to its API key');
+
+    const deleted = await (await fetch(`${BASE_URL}/v1/responses/${second.id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${API_KEY}` }
+    })).json();
+    const afterDelete = await fetch(`${BASE_URL}/v1/responses/${second.id}`, {
+      headers: { 'Authorization': `Bearer ${API_KEY}` }
+    });
+    if (!deleted.deleted || afterDelete.status !== 404) {
+      console.error('✗ Deletion failed:', JSON.stringify(deleted), afterDelete.status);
+      return false;
+    }
+    console.log('✓ Deleted stored response');
+
+    const missing = await createResponse({ model: 'gpt-4o', input: 'Hi', previous_response_id: 'resp_missing' });
+    return missing.status === 404;
+  } catch (error) {
+    console.error('✗ Stored responses test failed:', error);
+    return false;
+  }
+}
+
 async function runTests() {
   console.log('Starting /v1/responses API tests...');
   const results = {
     nonStreaming: await testResponsesEndpoint(),
-    streaming: await testResponsesStreaming()
+    streaming: await testResponsesStreaming(),
+    stringInput: await testStringInput(),
+    stored: await testStoredResponses()
   };
 
   console.log('\n--- Test Results ---');
   console.log('Non-Streaming:', results.nonStreaming ? '✓ PASS' : '✗ FAIL');
   console.log('Streaming:', results.streaming ? '✓ PASS' : '✗ FAIL');
+  console.log('String Input:', results.stringInput ? '✓ PASS' : '✗ FAIL');
+  console.log('Stored Responses:', results.stored ? '✓ PASS' : '✗ FAIL');
 
   const allPassed = Object.values(results).every(r => r);
   process.exit(allPassed ? 0 : 1);
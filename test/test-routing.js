@@ -0,0 +1,152 @@
+// Test script for model routing rules and the admin routing API
+// Run with: node test/test-routing.js
+// Expects the development env, whose MODEL_ROUTING sends claude-*-latest to
+// claude-3-5-sonnet-20241022. Stored rules are deleted again at the end.
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'admin-test-key';
+
+async function admin(path, method = 'GET', body) {
+  const response = await fetch(`${BASE_URL}/admin${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${ADMIN_API_KEY}`
+    },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function chat(model, apiKey = API_KEY) {
+  const response = await fetch(`${BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({ model, messages: [{ role: 'user', content: 'Hello' }] })
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function testEnvRules() {
+  console.log('Testing MODEL_ROUTING glob rules...');
+  try {
+    const { data: routing } = await admin('/routing', 'DELETE');
+    const { status, data } = await chat('claude-3-latest');
+    console.log('✓ claude-3-latest served by:', data.model);
+    return routing.source === 'env' &&
+      routing.static_aliases['gpt-4'] === 'gpt-4o' &&
+      status === 200 &&
+      data.model === 'claude-3-5-sonnet-20241022';
+  } catch (error) {
+    console.error('✗ Env rules test failed:', error);
+    return false;
+  }
+}
+
+async function testInvalidRules() {
+  console.log('\nTesting rule validation...');
+  try {
+    const { status, data } = await admin('/routing', 'PUT', {
+      rules: [{ match: 'gpt-4', target: 'not-a-model' }]
+    });
+    return status === 400 && data.error.param === 'rules';
+  } catch (error) {
+    console.error('✗ Validation test failed:', error);
+    return false;
+  }
+}
+
+async function testStoredRules(keyId, virtualKey) {
+  console.log('\nTesting stored rules, splits and per-key overrides...');
+  try {
+    const { status, data: routing } = await admin('/routing', 'PUT', {
+      rules: [
+        { match: 'gpt-4', target: 'gpt-4-turbo' },
+        { match: 'ab-test', split: [{ model: 'gpt-4o', weight: 1 }, { model: 'gpt-4o-mini', weight: 1 }] },
+        { match: 'gpt-4', keys: [keyId], target: 'gpt-4o-mini' }
+      ]
+    });
+    if (status !== 200 || routing.source !== 'kv' || routing.rules.length !== 3) {
+      console.error('✗ Unexpected PUT response:', status, JSON.stringify(routing));
+      return false;
+    }
+
+    const retargeted = await chat('gpt-4');
+    const perKey = await chat('gpt-4', virtualKey);
+    const replaced = await chat('claude-3-latest');
+    const arms = new Set();
+    for (let i = 0; i < 16; i++) {
+      arms.add((await chat('ab-test')).data.model);
+    }
+    console.log('✓ gpt-4 ->', retargeted.data.model, '| per key ->', perKey.data.model, '| split arms:', [...arms]);
+
+    return retargeted.data.model === 'gpt-4-turbo' &&
+      perKey.data.model === 'gpt-4o-mini' &&
+      // Stored rules replace MODEL_ROUTING
+      replaced.status === 400 &&
+      arms.size === 2;
+  } catch (error) {
+    console.error('✗ Stored rules test failed:', error);
+    return false;
+  }
+}
+
+async function testAliasOverride() {
+  console.log('\nTesting rules that replace a built-in alias...');
+  try {
+    // gpt-4 has its own entry, but the gpt-4 -> gpt-4o alias hides it until a rule maps it to itself
+    await admin('/routing', 'PUT', { rules: [{ match: 'gpt-4', target: 'gpt-4' }] });
+    const own = await chat('gpt-4');
+    // Aliases without a rule still apply
+    const aliased = await chat('claude-2');
+    console.log('✓ gpt-4 ->', own.data.model, '| claude-2 ->', aliased.data.model);
+    return own.status === 200 &&
+      own.data.model === 'gpt-4' &&
+      aliased.data.model === 'claude-2.1';
+  } catch (error) {
+    console.error('✗ Alias override test failed:', error);
+    return false;
+  }
+}
+
+async function testRevert() {
+  console.log('\nTesting revert to MODEL_ROUTING...');
+  try {
+    const { data: routing } = await admin('/routing', 'DELETE');
+    const { data } = await chat('gpt-4');
+    return routing.source === 'env' && routing.updated_at === null && data.model === 'gpt-4o';
+  } catch (error) {
+    console.error('✗ Revert test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting model routing tests...');
+  const { data: key } = await admin('/keys', 'POST', { label: 'routing-test', upstream_keys: ['primary'] });
+
+  const results = {
+    env: await testEnvRules(),
+    invalid: await testInvalidRules(),
+    stored: await testStoredRules(key.id, key.key),
+    aliases: await testAliasOverride(),
+    revert: await testRevert()
+  };
+  await admin(`/keys/${key.id}`, 'DELETE');
+
+  console.log('\n--- Test Results ---');
+  console.log('MODEL_ROUTING globs:', results.env ? '✓ PASS' : '✗ FAIL');
+  console.log('Rule validation:', results.invalid ? '✓ PASS' : '✗ FAIL');
+  console.log('Stored rules:', results.stored ? '✓ PASS' : '✗ FAIL');
+  console.log('Alias override:', results.aliases ? '✓ PASS' : '✗ FAIL');
+  console.log('Revert to MODEL_ROUTING:', results.revert ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
@@ -0,0 +1,217 @@
+// Test script for response_format enforcement on /v1/chat/completions
+// Run with: node test/test-structured-output.js
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+
+async function createCompletion(responseFormat, stream = false) {
+  return fetch(`${BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${API_KEY}`
+    },
+    body: JSON.stringify({
+      model: 'gpt-4o',
+      messages: [{ role: 'user', content: 'Greet me.' }],
+      response_format: responseFormat,
+      stream
+    })
+  });
+}
+
+const GREETING_SCHEMA = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'greeting',
+    strict: true,
+    schema: {
+      type: 'object',
+      properties: {
+        greeting: { type: 'string' },
+        count: { type: 'integer' }
+      },
+      required: ['greeting', 'count'],
+      additionalProperties: false
+    }
+  }
+};
+
+async function testJsonObject() {
+  console.log('Testing response_format json_object...');
+  try {
+    const response = await createCompletion({ type: 'json_object' });
+    if (!response.ok) {
+      console.error('✗ json_object failed:', response.status, await response.text());
+      return false;
+    }
+
+    const data = await response.json();
+    const parsed = JSON.parse(data.choices[0].message.content);
+    console.log('✓ json_object content:', parsed);
+    return typeof parsed === 'object' && parsed !== null;
+  } catch (error) {
+    console.error('✗ json_object test failed:', error);
+    return false;
+  }
+}
+
+async function testJsonSchemaWithRetry() {
+  console.log('\nTesting response_format json_schema (with retry)...');
+  try {
+    const response = await createCompletion(GREETING_SCHEMA);
+    if (!response.ok) {
+      console.error('✗ json_schema failed:', response.status, await response.text());
+      return false;
+    }
+
+    const data = await response.json();
+    const parsed = JSON.parse(data.choices[0].message.content);
+    console.log('✓ json_schema content:', parsed);
+    return parsed.greeting === 'hello' && parsed.count === 1;
+  } catch (error) {
+    console.error('✗ json_schema test failed:', error);
+    return false;
+  }
+}
+
+async function testJsonSchemaStreaming() {
+  console.log('\nTesting response_format json_schema (streaming)...');
+  try {
+    const response = await createCompletion(GREETING_SCHEMA, true);
+    if (!response.ok) {
+      console.error('✗ json_schema streaming failed:', response.status, await response.text());
+      return false;
+    }
+
+    const text = await response.text();
+    const content = text.split('\n')
+      .filter(line => line.startsWith('data: ') && line !== 'data: [DONE]')
+      .map(line => JSON.parse(line.slice(6)).choices[0].delta?.content || '')
+      .join('');
+    const parsed = JSON.parse(content);
+    console.log('✓ Streamed json_schema content:', parsed);
+    return parsed.count === 1;
+  } catch (error) {
+    console.error('✗ json_schema streaming test failed:', error);
+    return false;
+  }
+}
+
+async function testJsonSchemaFailure() {
+  console.log('\nTesting response_format json_schema (unsatisfied)...');
+  try {
+    const response = await createCompletion({
+      type: 'json_schema',
+      json_schema: {
+        name: 'unreachable',
+        schema: { type: 'object', required: ['missing'] }
+      }
+    });
+    const data = await response.json();
+    console.log('✓ Error response:', response.status, JSON.stringify(data));
+    return response.status === 502 && data.error?.code === 'json_validate_failed';
+  } catch (error) {
+    console.error('✗ json_schema failure test failed:', error);
+    return false;
+  }
+}
+
+async function testInvalidResponseFormat() {
+  console.log('\nTesting invalid response_format...');
+  try {
+    const response = await createCompletion({ type: 'xml' });
+    const data = await response.json();
+    console.log('✓ Error response:', response.status, JSON.stringify(data));
+    return response.status === 400 && data.error?.param === 'response_format';
+  } catch (error) {
+    console.error('✗ Invalid response_format test failed:', error);
+    return false;
+  }
+}
+
+async function testInvalidSchemaPattern() {
+  console.log('\nTesting json_schema with an invalid pattern...');
+  try {
+    const response = await createCompletion({
+      type: 'json_schema',
+      json_schema: {
+        name: 'bad_pattern',
+        schema: { type: 'object', properties: { greeting: { type: 'string', pattern: '([a-z' } } }
+      }
+    });
+    const data = await response.json();
+    console.log('✓ Error response:', response.status, JSON.stringify(data));
+    return response.status === 400 &&
+      data.error?.type === 'invalid_request_error' &&
+      data.error?.param === 'response_format';
+  } catch (error) {
+    console.error('✗ Invalid pattern test failed:', error);
+    return false;
+  }
+}
+
+async function testPatternInValues() {
+  console.log('\nTesting json_schema with pattern-like values outside subschemas...');
+  try {
+    const schema = structuredClone(GREETING_SCHEMA);
+    // Only subschemas hold patterns; example values are free-form data
+    schema.json_schema.schema.properties.greeting.examples = [{ pattern: '([a-z' }];
+    const response = await createCompletion(schema);
+    const data = await response.json();
+    console.log('✓ Response:', response.status, data.choices?.[0].message.content);
+    return response.ok && JSON.parse(data.choices[0].message.content).greeting === 'hello';
+  } catch (error) {
+    console.error('✗ Pattern-like values test failed:', error);
+    return false;
+  }
+}
+
+async function testCircularRef() {
+  console.log('\nTesting json_schema with a self-referencing $ref...');
+  try {
+    const response = await createCompletion({
+      type: 'json_schema',
+      json_schema: {
+        name: 'circular',
+        schema: { $defs: { node: { anyOf: [{ $ref: '#/$defs/node' }] } }, anyOf: [{ $ref: '#' }, { $ref: '#/$defs/node' }] }
+      }
+    });
+    const data = await response.json();
+    console.log('✓ Error response:', response.status, JSON.stringify(data));
+    // The schema can never be satisfied, but it must fail validation rather than the worker
+    return response.status === 502 && data.error?.code === 'json_validate_failed';
+  } catch (error) {
+    console.error('✗ Circular $ref test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting structured output tests...');
+  const results = {
+    jsonObject: await testJsonObject(),
+    jsonSchema: await testJsonSchemaWithRetry(),
+    streaming: await testJsonSchemaStreaming(),
+    failure: await testJsonSchemaFailure(),
+    invalid: await testInvalidResponseFormat(),
+    pattern: await testInvalidSchemaPattern(),
+    patternValues: await testPatternInValues(),
+    circular: await testCircularRef()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('JSON Object:', results.jsonObject ? '✓ PASS' : '✗ FAIL');
+  console.log('JSON Schema:', results.jsonSchema ? '✓ PASS' : '✗ FAIL');
+  console.log('Streaming:', results.streaming ? '✓ PASS' : '✗ FAIL');
+  console.log('Validation Failure:', results.failure ? '✓ PASS' : '✗ FAIL');
+  console.log('Invalid Format:', results.invalid ? '✓ PASS' : '✗ FAIL');
+  console.log('Invalid Pattern:', results.pattern ? '✓ PASS' : '✗ FAIL');
+  console.log('Pattern-like Values:', results.patternValues ? '✓ PASS' : '✗ FAIL');
+  console.log('Circular $ref:', results.circular ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);
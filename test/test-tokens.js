@@ -0,0 +1,206 @@
+// Test script for token accounting (BPE encoders, message overhead, image costs)
+// Run with: node test/test-tokens.js
+// The mock server reports promptTokens/completionTokens on non-streaming replies
+// only, so streamed usage shows the gateway's own estimates.
+
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:8787';
+
+// 21 tokens in cl100k_base, 12 in o200k_base
+const RUSSIAN_TEXT = 'Привет, как дела? Сегодня хорошая погода.';
+
+async function createChatCompletion(body) {
+  const response = await fetch(`${BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${API_KEY}`
+    },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, text: await response.text() };
+}
+
+// The usage of a streamed reply, i.e. the gateway's local estimate
+async function streamedUsage(model, content) {
+  const { text } = await createChatCompletion({
+    model,
+    stream: true,
+    stream_options: { include_usage: true },
+    messages: [{ role: 'user', content }]
+  });
+  const chunks = text.split('\n')
+    .filter(line => line.startsWith('data: {'))
+    .map(line => JSON.parse(line.slice(6)));
+  return chunks.find(chunk => chunk.usage)?.usage;
+}
+
+// The prompt tokens an image part adds to a short text prompt
+async function imageTokens(bytes, mimeType, detail) {
+  const text = { type: 'text', text: 'Describe this.' };
+  const image = {
+    type: 'image_url',
+    image_url: { url: `data:${mimeType};base64,${Buffer.from(bytes).toString('base64')}`, ...(detail && { detail }) }
+  };
+  const withImage = await streamedUsage('gpt-4o', [text, image]);
+  const withoutImage = await streamedUsage('gpt-4o', [text]);
+  return withImage.prompt_tokens - withoutImage.prompt_tokens;
+}
+
+function padded(bytes, length = 64) {
+  const result = Buffer.alloc(Math.max(length, bytes.length));
+  Buffer.from(bytes).copy(result);
+  return result;
+}
+
+// Minimal headers carrying just the dimensions for each format
+function png(width, height) {
+  const header = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header);
+  header.writeUInt32BE(13, 8);
+  header.write('IHDR', 12, 'latin1');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return padded(header);
+}
+
+function gif(width, height) {
+  const header = Buffer.alloc(10);
+  header.write('GIF89a', 0, 'latin1');
+  header.writeUInt16LE(width, 6);
+  header.writeUInt16LE(height, 8);
+  return padded(header);
+}
+
+function jpeg(width, height) {
+  // SOI, an APP0 segment to skip, then a baseline start-of-frame
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x10, ...Buffer.from('JFIF\0', 'latin1'), 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+  const frame = Buffer.alloc(19);
+  frame.writeUInt16BE(0xffc0, 0);
+  frame.writeUInt16BE(17, 2);
+  frame[4] = 8;
+  frame.writeUInt16BE(height, 5);
+  frame.writeUInt16BE(width, 7);
+  return padded(Buffer.concat([Buffer.from([0xff, 0xd8]), app0, frame]));
+}
+
+function webp(chunk, width, height) {
+  const header = Buffer.alloc(30);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(64 - 8, 4);
+  header.write('WEBP', 8, 'latin1');
+  header.write(chunk, 12, 'latin1');
+  if (chunk === 'VP8 ') {
+    // Frame tag and start code, then 14-bit dimensions
+    Buffer.from([0x9d, 0x01, 0x2a]).copy(header, 23);
+    header.writeUInt16LE(width, 26);
+    header.writeUInt16LE(height, 28);
+  } else if (chunk === 'VP8L') {
+    // Signature byte, then width-1 and height-1 packed in 14 bits each
+    header[20] = 0x2f;
+    const bits = (width - 1) | ((height - 1) << 14);
+    header.writeUInt32LE(bits >>> 0, 21);
+  } else {
+    header.writeUIntLE(width - 1, 24, 3);
+    header.writeUIntLE(height - 1, 27, 3);
+  }
+  return padded(header);
+}
+
+async function testEncoders() {
+  console.log('Testing cl100k_base vs o200k_base counts...');
+  try {
+    // 3 tokens per message, 1 for the role, the content, and 3 to prime the reply
+    const cl100k = await streamedUsage('gpt-4-turbo', RUSSIAN_TEXT);
+    const o200k = await streamedUsage('gpt-4o', RUSSIAN_TEXT);
+    console.log('✓ Prompt tokens: gpt-4-turbo', cl100k.prompt_tokens, 'gpt-4o', o200k.prompt_tokens);
+    return cl100k.prompt_tokens === 3 + 1 + 21 + 3 &&
+      o200k.prompt_tokens === 3 + 1 + 12 + 3 &&
+      o200k.completion_tokens > 0 &&
+      o200k.total_tokens === o200k.prompt_tokens + o200k.completion_tokens;
+  } catch (error) {
+    console.error('✗ Encoder test failed:', error);
+    return false;
+  }
+}
+
+async function testImageDetail() {
+  console.log('\nTesting high vs low detail image costs...');
+  try {
+    // 1024x1024 is scaled to 768x768: four 512px tiles
+    const high = await imageTokens(png(1024, 1024), 'image/png', 'high');
+    const low = await imageTokens(png(1024, 1024), 'image/png', 'low');
+    console.log('✓ Image tokens: high', high, 'low', low);
+    return high === 85 + 170 * 4 && low === 85;
+  } catch (error) {
+    console.error('✗ Image detail test failed:', error);
+    return false;
+  }
+}
+
+async function testUpstreamUsage() {
+  console.log('\nTesting that upstream token counts win...');
+  try {
+    const { status, text } = await createChatCompletion({
+      model: 'gpt-4o',
+      messages: [{ role: 'user', content: RUSSIAN_TEXT }]
+    });
+    const { usage } = JSON.parse(text);
+    console.log('✓ Usage:', JSON.stringify(usage));
+    // The mock server reports promptTokens: 10 and completionTokens: 8
+    return status === 200 &&
+      usage.prompt_tokens === 10 &&
+      usage.completion_tokens === 8 &&
+      usage.total_tokens === 18;
+  } catch (error) {
+    console.error('✗ Upstream usage test failed:', error);
+    return false;
+  }
+}
+
+async function testImageDimensions() {
+  console.log('\nTesting image dimensions for each format...');
+  try {
+    // Tiles per size; an unreadable header would be costed as 1024x1024 (765)
+    const cases = [
+      ['PNG', png(600, 400), 'image/png', 85 + 170 * 2],
+      ['GIF', gif(300, 200), 'image/gif', 85 + 170],
+      ['JPEG', jpeg(1000, 500), 'image/jpeg', 85 + 170 * 2],
+      ['WebP VP8', webp('VP8 ', 100, 100), 'image/webp', 85 + 170],
+      ['WebP VP8L', webp('VP8L', 200, 700), 'image/webp', 85 + 170 * 2],
+      ['WebP VP8X', webp('VP8X', 1100, 300), 'image/webp', 85 + 170 * 3]
+    ];
+
+    let passed = true;
+    for (const [format, bytes, mimeType, expected] of cases) {
+      const tokens = await imageTokens(bytes, mimeType, 'high');
+      console.log(`${tokens === expected ? '✓' : '✗'} ${format}:`, tokens, 'expected', expected);
+      passed = passed && tokens === expected;
+    }
+    return passed;
+  } catch (error) {
+    console.error('✗ Image dimension test failed:', error);
+    return false;
+  }
+}
+
+async function runTests() {
+  console.log('Starting token accounting tests...');
+  const results = {
+    encoders: await testEncoders(),
+    detail: await testImageDetail(),
+    upstream: await testUpstreamUsage(),
+    dimensions: await testImageDimensions()
+  };
+
+  console.log('\n--- Test Results ---');
+  console.log('Encoders:', results.encoders ? '✓ PASS' : '✗ FAIL');
+  console.log('Image detail:', results.detail ? '✓ PASS' : '✗ FAIL');
+  console.log('Upstream usage:', results.upstream ? '✓ PASS' : '✗ FAIL');
+  console.log('Image dimensions:', results.dimensions ? '✓ PASS' : '✗ FAIL');
+
+  const allPassed = Object.values(results).every(r => r);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(console.error);